@@ -0,0 +1,37 @@
+// 大模型推理后端配置
+// 题目生成、套卷生成和问答题批改都通过这里配置的后端调用模型，请求中可以用 provider 参数临时指定其他后端
+// Ollama 的模型、超时和推理参数（options）见 gpu-config.json，由 src/services/gpuConfigService.js 加载
+
+module.exports = {
+    // 默认后端：ollama | openai | stub
+    defaultProvider: process.env.LLM_PROVIDER || 'ollama',
+
+    providers: {
+        // 本地Ollama服务（/api/generate）
+        ollama: {
+            baseURL: process.env.OLLAMA_BASE_URL || 'http://127.0.0.1:11434', // 使用 127.0.0.1 避免 IPv6 解析问题
+            stream: process.env.OLLAMA_STREAM !== 'false',                 // 逐token读取响应
+            streamIdleTimeout: parseInt(process.env.OLLAMA_STREAM_IDLE_TIMEOUT) || 30000, // 超过该时间没有新token则中止
+            maxOutputTokens: 4096
+        },
+
+        // 兼容OpenAI接口的服务（/v1/chat/completions），如 llama.cpp server、vLLM、LM Studio
+        openai: {
+            baseURL: process.env.OPENAI_COMPAT_BASE_URL || 'http://127.0.0.1:8080/v1',
+            apiKey: process.env.OPENAI_COMPAT_API_KEY || '',
+            model: process.env.OPENAI_COMPAT_MODEL || '',                  // 为空时使用服务端返回的第一个模型
+            timeout: parseInt(process.env.OPENAI_COMPAT_TIMEOUT) || 90000,
+            stream: process.env.OPENAI_COMPAT_STREAM !== 'false',
+            streamIdleTimeout: parseInt(process.env.OPENAI_COMPAT_STREAM_IDLE_TIMEOUT) || 30000,
+            contextWindow: parseInt(process.env.OPENAI_COMPAT_CONTEXT_WINDOW) || 8192,
+            maxOutputTokens: parseInt(process.env.OPENAI_COMPAT_MAX_OUTPUT_TOKENS) || 4096
+        },
+
+        // 确定性的本地桩：不需要推理服务，相同提示词总是返回相同结果，用于开发和演示
+        stub: {
+            model: 'stub-deterministic',
+            contextWindow: 32768,
+            maxOutputTokens: 4096
+        }
+    }
+};
@@ -0,0 +1,21 @@
+// 离线文字识别（OCR）配置
+// 扫描版 PDF 中没有文字层的页面和上传的图片用本机安装的 tesseract 识别，PDF 页面先用 poppler 的 pdftoppm 转为图片。
+// 需要安装 tesseract 及中文（chi_sim）、英文（eng）语言包，如 apt install tesseract-ocr tesseract-ocr-chi-sim poppler-utils
+
+module.exports = {
+    enabled: process.env.OCR_ENABLED !== 'false',
+    tesseractPath: process.env.TESSERACT_PATH || 'tesseract',
+    pdftoppmPath: process.env.PDFTOPPM_PATH || 'pdftoppm',
+    languages: process.env.OCR_LANGUAGES || 'chi_sim+eng',   // 未安装的语言包会被跳过
+    dpi: parseInt(process.env.OCR_DPI) || 300,                // PDF 页面转图片的分辨率
+    pageSegmentationMode: 3,                                  // tesseract --psm：全自动版面分析
+    timeout: parseInt(process.env.OCR_TIMEOUT) || 120000,     // 单页识别超时（毫秒）
+    maxPages: parseInt(process.env.OCR_MAX_PAGES) || 300,     // 每个文件最多识别的页数
+
+    // 页面文字层的非空白字符少于该值时视为扫描页，需要识别
+    minPageText: 20,
+    // 识别置信度（0-100）低于该值的行标记为低置信度区域，在材料详情中提示核对
+    lowConfidence: 60,
+    // 每页最多记录的低置信度区域数
+    maxFlaggedRegions: 30
+};
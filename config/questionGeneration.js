@@ -107,7 +107,8 @@ module.exports = {
             questionLength: 10,        // 题目最短长度
             optionLength: 2,          // 选项最短长度
             explanationLength: 20,     // 解释最短长度
-            uniquenessThreshold: 0.8   // 唯一性阈值
+            uniquenessThreshold: 0.8,  // 与已有题目的相似度（题干加答案的 MinHash 估计）达到此值视为近似重复
+            contentRelevance: 0.2      // 题干和答案中出现在材料里的双字片段的最低比例
         },
 
         // 质量检查
@@ -118,6 +119,20 @@ module.exports = {
             contentRelevance: true     // 内容相关性检查
         },
 
+        // 盲解校验：不给答案让模型重新作答，答案不一致、干扰项也正确或题干泄露答案的题目被拒绝
+        verification: {
+            enabled: true,
+            llmStrategiesOnly: true,   // 只校验大模型生成的题目，模板题目只做静态检查
+            types: ['multiple-choice', 'multi-select', 'true-false', 'fill-blank'],
+            minConfidence: 0.5         // 答案一致但模型把握低于此值时也拒绝
+        },
+
+        // 来源定位：为每道题找到材料中支持答案的原文句子
+        grounding: {
+            enabled: true,
+            minMatchScore: 0.3         // 没有可核对的摘录时，按题干和答案匹配原文句子的最低得分
+        },
+
         // 备用题目配置
         fallback: {
             enabled: true,
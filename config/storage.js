@@ -0,0 +1,7 @@
+// 材料存储配置
+// 每个用户上传的材料占用的空间不能超过配额：内容相同的文件只计一次，同一材料的各个版本分别计算。
+// 管理员可以为单个用户设置配额（users.storage_quota），未设置时使用这里的默认值
+
+module.exports = {
+    defaultQuota: (parseInt(process.env.STORAGE_QUOTA_MB) || 500) * 1024 * 1024   // 默认配额（字节）
+};
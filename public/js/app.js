@@ -202,7 +202,9 @@ async function handleFileUpload(files) {
             if (response.ok) {
                 const result = await response.json();
                 console.log('上传成功响应:', result);
-                showToast('success', `${file.name} 上传成功！`);
+                // 内容相同的文件使用已有材料，同名文件保存为新版本
+                const data = result.data || {};
+                showToast('success', data.duplicate || data.version > 1 ? `${file.name}：${result.message}` : `${file.name} 上传成功！`);
                 
                 // 模拟进度条
                 let progress = 10;
@@ -222,7 +224,13 @@ async function handleFileUpload(files) {
             } else {
                 const errorText = await response.text();
                 console.error('上传失败响应:', errorText);
-                throw new Error(`上传失败: ${response.status} ${response.statusText}`);
+                let message = `${response.status} ${response.statusText}`;
+                try {
+                    message = JSON.parse(errorText).message || message;
+                } catch (e) {
+                    // 不是 JSON 响应时显示状态码
+                }
+                throw new Error(message);
             }
         } catch (error) {
             console.error('上传错误:', error);
@@ -286,9 +294,10 @@ function displayMaterials(materials) {
         materialCard.className = 'material-card';
         
         const iconClass = getFileIcon(material.type);
-        const statusBadge = material.processed ? 
+        const statusBadge = (material.processed ? 
             '<span class="badge badge-success">已处理</span>' : 
-            '<span class="badge badge-warning">处理中</span>';
+            '<span class="badge badge-warning">处理中</span>') +
+            (material.version > 1 ? ` <span class="badge badge-info">第 ${material.version} 版</span>` : '');
         
         materialCard.innerHTML = `
             <div class="material-icon">
@@ -325,6 +334,10 @@ function displayMaterials(materials) {
                         </div>
                     </div>
                 </div>
+                ${material.owned ? `
+                <button class="btn btn-sm btn-outline-primary" onclick="showMaterialDetails(${material.id})">
+                    <i class="fas fa-info-circle"></i> 详情
+                </button>` : ''}
                 <button class="btn btn-sm btn-danger" onclick="deleteMaterial(${material.id})">
                     <i class="fas fa-trash"></i> 删除
                 </button>
@@ -344,6 +357,10 @@ function getFileIcon(fileType) {
         'ppt': 'fas fa-file-powerpoint',
         'pptx': 'fas fa-file-powerpoint',
         'txt': 'fas fa-file-alt',
+        'md': 'fas fa-file-alt',
+        'html': 'fas fa-file-code',
+        'htm': 'fas fa-file-code',
+        'epub': 'fas fa-book',
         'jpg': 'fas fa-file-image',
         'jpeg': 'fas fa-file-image',
         'png': 'fas fa-file-image',
@@ -390,7 +407,8 @@ async function startQuiz(mode) {
                         content: materialContent,
                         questionType: mode === 'mock-exam' ? 'mixed' : mode,
                         count: mode === 'mock-exam' ? 15 : 10,
-                        difficulty: 'medium'
+                        difficulty: 'medium',
+                        materialId: latestMaterial.id
                     })
                 });
                 
@@ -402,15 +420,18 @@ async function startQuiz(mode) {
                     currentQuiz = {
                         mode: mode,
                         questions: result.data.questions.map(q => ({
+                            id: q.id,
                             type: q.type,
                             question: q.question,
                             options: q.options || [],
                             correctAnswer: q.correctAnswer !== undefined ? q.correctAnswer : q.answer,
                             answer: q.answer || q.correctAnswer,
                             sampleAnswer: q.sampleAnswer,
-                            explanation: q.explanation
+                            explanation: q.explanation,
+                            sourceRef: q.sourceRef
                         })),
                         totalQuestions: result.data.questions.length,
+                        materialId: latestMaterial.id,
                         materialName: latestMaterial.name
                     };
                     
@@ -656,14 +677,85 @@ function nextQuestion() {
 }
 
 // 提交练习
-function submitQuiz() {
+async function submitQuiz() {
     if (confirm('确定要提交答案吗？')) {
+        clearAssignmentDeadline();
         stopTimer();
         calculateResults();
+        await submitQuizSession();
         showQuizResult();
     }
 }
 
+// 为题库中的题目创建练习会话，使答题记录保存到服务器
+async function startQuizSession() {
+    // 错题练习等场景在服务端组卷时已创建会话
+    if (!currentQuiz || currentQuiz.sessionId) return;
+
+    const questionIds = currentQuiz.questions.map(q => q.id);
+    if (questionIds.length === 0 || !questionIds.every(id => Number.isInteger(id))) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/quiz/start', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                materialId: currentQuiz.materialId || null,
+                quizType: currentQuiz.mode || 'mixed',
+                questionIds: questionIds
+            })
+        });
+        const result = await response.json();
+        if (result.success) {
+            currentQuiz.sessionId = result.data.sessionId;
+        }
+    } catch (error) {
+        console.warn('创建练习会话失败，本次练习不会被记录:', error);
+    }
+}
+
+// 提交答案到服务器批改并完成会话
+async function submitQuizSession() {
+    if (!currentQuiz || !currentQuiz.sessionId) return;
+
+    try {
+        for (let index = 0; index < currentQuiz.questions.length; index++) {
+            const question = currentQuiz.questions[index];
+            const response = await fetch('/api/quiz/answer', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    sessionId: currentQuiz.sessionId,
+                    questionId: question.id,
+                    userAnswer: userAnswers[index] !== undefined ? userAnswers[index] : null
+                })
+            });
+            const result = await response.json();
+            if (result.success && currentQuiz.results[index]) {
+                currentQuiz.results[index].isCorrect = result.data.isCorrect;
+            }
+        }
+
+        const response = await fetch(`/api/quiz/complete/${currentQuiz.sessionId}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ totalTimeSpent: getElapsedTime() })
+        });
+        const result = await response.json();
+        if (result.success) {
+            currentQuiz.score = result.data.score;
+            currentQuiz.correctCount = result.data.correctAnswers;
+            currentQuiz.wrongCount = result.data.wrongAnswers;
+            currentQuiz.expGained = result.data.expGained;
+        }
+    } catch (error) {
+        console.error('提交练习记录失败:', error);
+        showToast('warning', '练习结果未能保存到服务器');
+    }
+}
+
 // 计算结果
 function calculateResults() {
     let correctCount = 0;
@@ -678,7 +770,7 @@ function calculateResults() {
                 isCorrect = userAnswer === question.correctAnswer;
                 break;
             case 'fill-blank':
-                isCorrect = userAnswer && userAnswer.toLowerCase().trim() === question.answer.toLowerCase().trim();
+                isCorrect = userAnswer && question.answer && userAnswer.toLowerCase().trim() === question.answer.toLowerCase().trim();
                 break;
             case 'essay':
                 // 简单的关键词匹配，实际应该使用AI评分
@@ -752,16 +844,52 @@ function formatTime(seconds) {
 }
 
 // 查看详解
-function reviewAnswers() {
+async function reviewAnswers(sessionId) {
+    // 传入会话ID时从服务器加载历史练习
+    if (sessionId) {
+        showLoading('正在加载练习记录...');
+        try {
+            const response = await fetch(`/api/quiz/history/${sessionId}`);
+            const result = await response.json();
+            hideLoading();
+
+            if (!result.success) {
+                showToast('error', result.message || '练习记录不存在');
+                return;
+            }
+
+            if (result.data.answersHidden) {
+                showToast('info', '作业截止或用完作答次数后才能查看答案详解');
+                return;
+            }
+
+            const questions = result.data.answers.map(item => item.question);
+            const answers = result.data.answers.map(item => parseStoredAnswer(item.question, item.userAnswer));
+            const grading = result.data.answers.map(item => item.isCorrect);
+            showAnswerReview(createAnswerReviewHTML(questions, answers, grading));
+        } catch (error) {
+            hideLoading();
+            console.error('加载练习记录失败:', error);
+            showToast('error', '加载练习记录失败');
+        }
+        return;
+    }
+
     if (!currentQuiz || !currentQuiz.questions) {
         showToast('error', '没有可查看的答案');
         return;
     }
+
+    // 作业题目不含答案，由服务器判断能否查看详解
+    if (currentQuiz.mode === 'assignment') {
+        return reviewAnswers(currentQuiz.sessionId);
+    }
     
-    // 创建答案详解界面
-    const reviewHtml = createAnswerReviewHTML();
-    
-    // 显示答案详解
+    showAnswerReview(createAnswerReviewHTML(currentQuiz.questions, userAnswers));
+}
+
+// 显示答案详解
+function showAnswerReview(reviewHtml) {
     const reviewContainer = document.createElement('div');
     reviewContainer.id = 'answerReview';
     reviewContainer.className = 'answer-review-overlay';
@@ -770,16 +898,33 @@ function reviewAnswers() {
     document.body.appendChild(reviewContainer);
     
     // 添加关闭事件
-    const closeBtn = reviewContainer.querySelector('.close-review');
-    if (closeBtn) {
+    reviewContainer.querySelectorAll('.close-review').forEach(closeBtn => {
         closeBtn.onclick = () => {
             document.body.removeChild(reviewContainer);
         };
+    });
+}
+
+// 将服务器保存的答案还原为答题时的格式
+function parseStoredAnswer(question, answer) {
+    if (answer === undefined || answer === null || answer === '' || answer === 'null') {
+        return undefined;
+    }
+    if (question.type === 'multiple-choice' && /^\d+$/.test(answer)) {
+        return parseInt(answer);
     }
+    if (answer.startsWith('[') || answer.startsWith('"')) {
+        try {
+            return JSON.parse(answer);
+        } catch (error) {
+            return answer;
+        }
+    }
+    return answer;
 }
 
-// 创建答案详解HTML
-function createAnswerReviewHTML() {
+// 创建答案详解HTML，grading为服务器批改结果，未提供时在本地判断
+function createAnswerReviewHTML(questions, answers, grading = null) {
     let reviewContent = `
         <div class="review-modal">
             <div class="review-header">
@@ -791,9 +936,9 @@ function createAnswerReviewHTML() {
             <div class="review-content">
     `;
     
-    currentQuiz.questions.forEach((question, index) => {
-        const userAnswer = userAnswers[index];
-        const isCorrect = checkAnswer(question, userAnswer);
+    questions.forEach((question, index) => {
+        const userAnswer = answers[index];
+        const isCorrect = grading ? grading[index] : checkAnswer(question, userAnswer);
         
         reviewContent += `
             <div class="question-review ${isCorrect ? 'correct' : 'incorrect'}">
@@ -814,6 +959,8 @@ function createAnswerReviewHTML() {
                         <h5><i class="fas fa-lightbulb"></i> 解析：</h5>
                         <p>${question.explanation || '暂无解析'}</p>
                     </div>
+
+                    ${createSourceEvidenceHTML(question)}
                 </div>
             </div>
         `;
@@ -832,6 +979,100 @@ function createAnswerReviewHTML() {
     return reviewContent;
 }
 
+// 来源定位方式的说明，见服务端 generation/questionSchema.js 的 SOURCE_METHODS
+const SOURCE_METHOD_LABELS = {
+    quote: '出题时引用的材料原文',
+    match: '与题目最相近的材料原文（系统匹配）',
+    mismatch: '出题时引用的原文在材料中找不到，以下为最相近的材料原文，答案可能缺乏依据'
+};
+
+// 依据所在的结构单元，如"第 12 张幻灯片"、"第 37 页"
+const SOURCE_UNIT_LABELS = {
+    slide: index => `第 ${index} 张幻灯片`,
+    page: index => `第 ${index} 页`,
+    chapter: index => `第 ${index} 章`,
+    section: index => `第 ${index} 部分`
+};
+
+function describeSourceLocation(location) {
+    const label = location && SOURCE_UNIT_LABELS[location.type];
+    if (!label) return '';
+    return `${label(location.index)}${location.title ? `「${location.title}」` : ''}`;
+}
+
+// 答案依据：题库中的题目可以查看支持答案的材料原文
+function createSourceEvidenceHTML(question) {
+    if (!Number.isInteger(question.id)) {
+        return '';
+    }
+
+    const ref = question.sourceRef;
+    return `
+        <div class="source-evidence ${ref && ref.method === 'mismatch' ? 'source-mismatch' : ''}" id="sourceEvidence${question.id}">
+            <h5><i class="fas fa-book-open"></i> 为什么：</h5>
+            ${ref ? `
+                <p class="source-method">${SOURCE_METHOD_LABELS[ref.method] || ''}${ref.location ? `（${escapeHtml(describeSourceLocation(ref.location))}）` : ''}</p>
+                <blockquote class="source-quote">${escapeHtml(ref.quote)}</blockquote>
+            ` : ''}
+            <button class="btn btn-sm btn-secondary" onclick="loadQuestionSource(${question.id})">
+                <i class="fas fa-search"></i> 查看原文段落
+            </button>
+        </div>
+    `;
+}
+
+// 加载题目依据的原文段落并高亮摘录
+async function loadQuestionSource(questionId) {
+    const container = document.getElementById(`sourceEvidence${questionId}`);
+    if (!container) return;
+
+    try {
+        const response = await fetch(`/api/questions/${questionId}/source`);
+        const result = await response.json();
+
+        if (!result.success) {
+            container.innerHTML = `
+                <h5><i class="fas fa-book-open"></i> 为什么：</h5>
+                <p class="source-method">${escapeHtml(result.message || '暂无原文依据')}</p>
+            `;
+            return;
+        }
+
+        const source = result.data;
+        if (!source.found) {
+            container.innerHTML = `
+                <h5><i class="fas fa-book-open"></i> 为什么：</h5>
+                <p class="source-method">材料内容已变化，原文摘录在当前材料中找不到</p>
+                <blockquote class="source-quote">${escapeHtml(source.quote)}</blockquote>
+            `;
+            return;
+        }
+
+        const { start, end } = source.highlight;
+        const position = describeSourceLocation(source.location) || `第 ${source.chunkIndex + 1} 段`;
+        container.className = `source-evidence ${source.method === 'mismatch' ? 'source-mismatch' : ''}`;
+        container.innerHTML = `
+            <h5><i class="fas fa-book-open"></i> 为什么：</h5>
+            <p class="source-method">
+                ${SOURCE_METHOD_LABELS[source.method] || ''}（《${escapeHtml(source.materialName || '学习材料')}》${escapeHtml(position)}）
+            </p>
+            <div class="source-passage">${escapeHtml(source.passage.substring(0, start))}<mark>${escapeHtml(source.passage.substring(start, end))}</mark>${escapeHtml(source.passage.substring(end))}</div>
+        `;
+    } catch (error) {
+        console.error('加载题目来源失败:', error);
+        showToast('error', '加载题目来源失败');
+    }
+}
+
+// 材料原文按纯文本显示
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 // 创建答案显示内容
 function createAnswerDisplay(question, userAnswer, isCorrect) {
     let answerHtml = '';
@@ -913,9 +1154,270 @@ function checkAnswer(question, userAnswer) {
 }
 
 // 错题练习
-function practiceWrongQuestions() {
-    // 实现错题练习功能
-    showToast('info', '错题练习功能开发中...');
+async function practiceWrongQuestions(options = {}) {
+    showLoading('正在从错题本组卷...');
+
+    try {
+        const response = await fetch('/api/quiz/wrong-questions/practice', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ count: 10, ...options })
+        });
+        const result = await response.json();
+        hideLoading();
+
+        if (!result.success) {
+            showToast('info', result.message || '没有需要练习的错题');
+            return;
+        }
+
+        currentQuiz = {
+            mode: 'wrong-questions',
+            sessionId: result.data.sessionId,
+            questions: result.data.questions,
+            totalQuestions: result.data.questions.length,
+            materialName: '错题本'
+        };
+
+        showSection('quiz');
+        const quizResult = document.getElementById('quizResult');
+        if (quizResult) quizResult.style.display = 'none';
+        const quizModes = document.getElementById('quizModes');
+        const quizContainer = document.getElementById('quizContainer');
+        if (quizModes) quizModes.style.display = 'none';
+        if (quizContainer) quizContainer.style.display = 'block';
+
+        startGeneratedQuiz();
+        showToast('success', result.message);
+    } catch (error) {
+        hideLoading();
+        console.error('错题练习失败:', error);
+        showToast('error', '错题练习创建失败');
+    }
+}
+
+// 练习单道错题
+function practiceQuestion(wrongQuestionId) {
+    practiceWrongQuestions({ ids: [wrongQuestionId], count: 1 });
+}
+
+// 手动标记错题为已掌握
+async function removeFromWrongQuestions(wrongQuestionId) {
+    try {
+        const response = await fetch(`/api/quiz/wrong-questions/${wrongQuestionId}/master`, {
+            method: 'PUT'
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            showToast('success', '已标记为掌握');
+            loadWrongQuestions();
+        } else {
+            showToast('error', result.message || '操作失败');
+        }
+    } catch (error) {
+        showToast('error', '操作失败：' + error.message);
+    }
+}
+
+// 每日复习：按间隔重复排期取出到期题目
+async function startDailyReview() {
+    showLoading('正在准备今日复习...');
+
+    try {
+        const response = await fetch('/api/review/session', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        const result = await response.json();
+        hideLoading();
+
+        if (!result.success) {
+            showToast('info', result.message || '今天没有需要复习的题目');
+            return;
+        }
+
+        currentQuiz = {
+            mode: 'review',
+            sessionId: result.data.sessionId,
+            questions: result.data.questions,
+            totalQuestions: result.data.questions.length,
+            materialName: '每日复习'
+        };
+
+        const quizModes = document.getElementById('quizModes');
+        const quizContainer = document.getElementById('quizContainer');
+        if (quizModes) quizModes.style.display = 'none';
+        if (quizContainer) quizContainer.style.display = 'block';
+
+        startGeneratedQuiz();
+        showToast('success', result.message);
+    } catch (error) {
+        hideLoading();
+        console.error('每日复习失败:', error);
+        showToast('error', '每日复习创建失败');
+    }
+}
+
+// 更新练习模式中的待复习数量
+async function loadReviewSummary() {
+    const badge = document.getElementById('reviewDueCount');
+    if (!badge) return;
+
+    try {
+        const response = await fetch('/api/review/due?limit=1');
+        const result = await response.json();
+
+        if (result.success) {
+            const { due, nextDueAt } = result.data.summary;
+            if (due > 0) {
+                badge.textContent = `今日待复习 ${due} 题`;
+            } else if (nextDueAt) {
+                badge.textContent = `下次复习：${formatAnswerDate(nextDueAt)}`;
+            } else {
+                badge.textContent = '答错的题目会自动加入复习';
+            }
+        }
+    } catch (error) {
+        console.error('获取复习队列失败:', error);
+    }
+}
+
+// 加载班级作业列表
+async function loadAssignments() {
+    const list = document.getElementById('assignmentList');
+    if (!list) return;
+
+    try {
+        const response = await fetch('/api/assignments');
+        const result = await response.json();
+        if (!result.success) return;
+
+        if (result.data.length === 0) {
+            list.innerHTML = '<p class="empty-hint">加入班级后，老师布置的作业会显示在这里</p>';
+            return;
+        }
+
+        const statusNames = { upcoming: '未开放', open: '进行中', closed: '已截止' };
+        list.innerHTML = result.data.map(assignment => {
+            const progress = assignment.progress || { attempts: 0, attemptsLeft: assignment.maxAttempts, inProgress: false, bestScore: null };
+            const canStart = assignment.status === 'open' && (progress.inProgress || progress.attemptsLeft > 0);
+            return `
+                <div class="assignment-item">
+                    <div>
+                        <h4>${assignment.title}</h4>
+                        <div class="assignment-meta">
+                            <span class="assignment-status ${assignment.status}">${statusNames[assignment.status]}</span>
+                            <span>${assignment.className || ''}</span>
+                            <span>${assignment.questionCount} 题</span>
+                            ${assignment.timeLimitMinutes ? `<span>限时 ${assignment.timeLimitMinutes} 分钟</span>` : ''}
+                            ${assignment.openAt && assignment.status === 'upcoming' ? `<span>开放：${formatDateTime(assignment.openAt)}</span>` : ''}
+                            ${assignment.closeAt ? `<span>截止：${formatDateTime(assignment.closeAt)}</span>` : ''}
+                            <span>已作答 ${progress.attempts}/${assignment.maxAttempts} 次</span>
+                            ${progress.bestScore !== null ? `<span>最高分 ${progress.bestScore}</span>` : ''}
+                        </div>
+                    </div>
+                    <button class="btn btn-primary btn-sm" onclick="startAssignment(${assignment.id})" ${canStart ? '' : 'disabled'}>
+                        <i class="fas fa-play"></i> ${progress.inProgress ? '继续作答' : '开始作答'}
+                    </button>
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('获取作业列表失败:', error);
+    }
+}
+
+// 通过邀请码加入班级
+async function joinClass() {
+    const input = document.getElementById('inviteCodeInput');
+    const inviteCode = input ? input.value.trim() : '';
+    if (!inviteCode) {
+        showToast('warning', '请输入邀请码');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/classes/join', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ inviteCode })
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            showToast('success', result.message);
+            input.value = '';
+            loadAssignments();
+        } else {
+            showToast('error', result.message || '加入班级失败');
+        }
+    } catch (error) {
+        showToast('error', '加入班级失败：' + error.message);
+    }
+}
+
+// 开始作答班级作业，限时作业到时自动提交
+async function startAssignment(assignmentId) {
+    showLoading('正在准备作业...');
+
+    try {
+        const response = await fetch(`/api/assignments/${assignmentId}/start`, { method: 'POST' });
+        const result = await response.json();
+        hideLoading();
+
+        if (!result.success) {
+            showToast('error', result.message || '无法开始作答');
+            loadAssignments();
+            return;
+        }
+
+        currentQuiz = {
+            mode: 'assignment',
+            sessionId: result.data.sessionId,
+            questions: result.data.questions,
+            totalQuestions: result.data.questions.length,
+            materialName: '班级作业'
+        };
+
+        const quizModes = document.getElementById('quizModes');
+        const quizContainer = document.getElementById('quizContainer');
+        if (quizModes) quizModes.style.display = 'none';
+        if (quizContainer) quizContainer.style.display = 'block';
+
+        startGeneratedQuiz();
+
+        if (result.data.deadlineAt) {
+            const remaining = new Date(result.data.deadlineAt).getTime() - Date.now();
+            currentQuiz.deadlineTimer = setTimeout(submitAssignmentOnDeadline, Math.max(0, remaining));
+            showToast('info', `请在 ${formatDateTime(result.data.deadlineAt)} 前提交`);
+        } else {
+            showToast('success', result.message);
+        }
+    } catch (error) {
+        hideLoading();
+        console.error('开始作业失败:', error);
+        showToast('error', '开始作业失败');
+    }
+}
+
+// 作答时间到，自动提交
+async function submitAssignmentOnDeadline() {
+    if (!currentQuiz || currentQuiz.mode !== 'assignment') return;
+
+    showToast('warning', '作答时间已到，正在自动提交');
+    stopTimer();
+    calculateResults();
+    await submitQuizSession();
+    showQuizResult();
+}
+
+function clearAssignmentDeadline() {
+    if (currentQuiz && currentQuiz.deadlineTimer) {
+        clearTimeout(currentQuiz.deadlineTimer);
+        currentQuiz.deadlineTimer = null;
+    }
 }
 
 // 开始新练习
@@ -934,10 +1436,14 @@ function resetQuizInterface() {
     if (quizResult) quizResult.style.display = 'none';
     
     // 重置数据
+    clearAssignmentDeadline();
     currentQuiz = null;
     currentQuestionIndex = 0;
     userAnswers = [];
     stopTimer();
+
+    loadReviewSummary();
+    loadAssignments();
 }
 
 // 初始化图表
@@ -1029,51 +1535,51 @@ function updateAnalysisData() {
 }
 
 // 加载错题列表
-function loadWrongQuestions() {
+async function loadWrongQuestions() {
     const wrongQuestionsList = document.getElementById('wrongQuestionsList');
     if (!wrongQuestionsList) return;
     
-    const wrongQuestions = [
-        {
-            question: '函数 f(x) = x² + 2x + 1 的最小值是？',
-            subject: '数学',
-            wrongAnswer: '1',
-            correctAnswer: '0',
-            date: '2024-01-15'
-        },
-        {
-            question: 'HTTP协议默认端口号是？',
-            subject: '计算机',
-            wrongAnswer: '8080',
-            correctAnswer: '80',
-            date: '2024-01-14'
+    let wrongQuestions = [];
+    try {
+        const response = await fetch('/api/quiz/wrong-questions?limit=20');
+        const result = await response.json();
+        if (result.success) {
+            wrongQuestions = result.data.questions;
         }
-    ];
+    } catch (error) {
+        console.error('加载错题列表失败:', error);
+    }
+
+    if (wrongQuestions.length === 0) {
+        wrongQuestionsList.innerHTML = '<p class="empty-state">暂无错题，继续保持！</p>';
+        return;
+    }
     
     wrongQuestionsList.innerHTML = wrongQuestions.map(q => `
         <div class="wrong-question-item">
             <div class="question-info">
                 <h4>${q.question}</h4>
                 <div class="question-meta">
-                    <span class="subject-tag">${q.subject}</span>
-                    <span class="date">${q.date}</span>
+                    <span class="subject-tag">${q.materialName || '未知材料'}</span>
+                    <span class="date">${formatAnswerDate(q.lastWrongAt)}</span>
+                    <span class="wrong-count">错 ${q.wrongCount} 次</span>
                 </div>
             </div>
             <div class="answer-comparison">
                 <div class="wrong-answer">
                     <label>您的答案:</label>
-                    <span class="text-danger">${q.wrongAnswer}</span>
+                    <span class="text-danger">${formatAnswerText(q, q.lastWrongAnswer)}</span>
                 </div>
                 <div class="correct-answer">
                     <label>正确答案:</label>
-                    <span class="text-success">${q.correctAnswer}</span>
+                    <span class="text-success">${formatAnswerText(q, q.correctAnswer)}</span>
                 </div>
             </div>
             <div class="question-actions">
-                <button class="btn btn-sm btn-primary" onclick="practiceQuestion('${q.id}')">
+                <button class="btn btn-sm btn-primary" onclick="practiceQuestion(${q.id})">
                     <i class="fas fa-redo"></i> 重新练习
                 </button>
-                <button class="btn btn-sm btn-secondary" onclick="removeFromWrongQuestions('${q.id}')">
+                <button class="btn btn-sm btn-secondary" onclick="removeFromWrongQuestions(${q.id})">
                     <i class="fas fa-check"></i> 已掌握
                 </button>
             </div>
@@ -1081,6 +1587,31 @@ function loadWrongQuestions() {
     `).join('');
 }
 
+// 格式化答案显示（选择题显示选项）
+function formatAnswerText(question, answer) {
+    if (answer === undefined || answer === null || answer === '' || answer === 'null') {
+        return '未作答';
+    }
+    if (question.type === 'multiple-choice' && question.options) {
+        const index = parseInt(answer);
+        if (!isNaN(index) && question.options[index] !== undefined) {
+            return `${String.fromCharCode(65 + index)}. ${question.options[index]}`;
+        }
+    }
+    return answer;
+}
+
+// 格式化答题日期
+function formatAnswerDate(dateString) {
+    if (!dateString) return '';
+    return new Date(dateString).toLocaleDateString('zh-CN');
+}
+
+function formatDateTime(dateString) {
+    if (!dateString) return '';
+    return new Date(dateString).toLocaleString('zh-CN', { hour12: false });
+}
+
 // 加载用户数据
 function loadUserData() {
     // 模拟用户数据
@@ -1135,6 +1666,64 @@ function showProfileTab(tabName) {
     
     // 激活对应按钮
     event.target.classList.add('active');
+
+    if (tabName === 'history') {
+        loadPracticeHistory();
+    }
+}
+
+// 加载练习历史
+async function loadPracticeHistory(filters = {}) {
+    const historyList = document.querySelector('#history .history-list');
+    if (!historyList) return;
+
+    let sessions = [];
+    try {
+        const query = new URLSearchParams({ limit: 20, ...filters });
+        const response = await fetch(`/api/quiz/history?${query}`);
+        const result = await response.json();
+        if (result.success) {
+            sessions = result.data.sessions;
+        }
+    } catch (error) {
+        console.error('加载练习历史失败:', error);
+    }
+
+    if (sessions.length === 0) {
+        historyList.innerHTML = '<p class="empty-state">暂无练习记录，快去开始练习吧！</p>';
+        return;
+    }
+
+    const modeNames = {
+        'fill-blank': '填空题练习',
+        'multiple-choice': '选择题练习',
+        'essay': '问答题练习',
+        'mock-exam': '模拟考试',
+        'mixed': '综合练习',
+        'wrong-questions': '错题练习',
+        'review': '每日复习',
+        'assignment': '班级作业'
+    };
+
+    historyList.innerHTML = sessions.map(session => `
+        <div class="wrong-question-item">
+            <div class="question-info">
+                <h4>${modeNames[session.quizType] || '练习'}</h4>
+                <div class="question-meta">
+                    <span class="subject-tag">${session.materialName || '综合'}</span>
+                    <span class="date">${formatAnswerDate(session.completedAt || session.startedAt)}</span>
+                    <span>${session.correctAnswers}/${session.totalQuestions} 题正确</span>
+                    <span>得分 ${session.score}</span>
+                    <span>用时 ${formatTime(session.timeSpent || 0)}</span>
+                </div>
+            </div>
+            <div class="question-actions">
+                <button class="btn btn-sm btn-primary" onclick="reviewAnswers(${session.id})">
+                    <i class="fas fa-clipboard-list"></i> 查看详解
+                </button>
+            </div>
+        </div>
+    `).join('');
 }
 
 // 优化的题目生成 - 解决数量少和速度慢的问题
@@ -1156,6 +1745,7 @@ async function generateQuiz(materialId) {
             currentQuiz = {
                 mode: 'optimized',
                 questions: result.questions.map(q => ({
+                    id: q.id,
                     type: q.type,
                     question: q.question,
                     options: q.options || [],
@@ -1163,10 +1753,12 @@ async function generateQuiz(materialId) {
                     answer: q.answer || q.correctAnswer,
                     sampleAnswer: q.sampleAnswer,
                     explanation: q.explanation,
+                    sourceRef: q.sourceRef,
                     difficulty: q.difficulty,
                     concept: q.concept
                 })),
                 totalQuestions: result.questions.length,
+                materialId: materialId,
                 metadata: result.metadata
             };
             
@@ -1191,7 +1783,8 @@ async function generateQuiz(materialId) {
                 currentQuiz = {
                     mode: 'quick',
                     questions: fallbackResult.questions,
-                    totalQuestions: fallbackResult.questions.length
+                    totalQuestions: fallbackResult.questions.length,
+                    materialId: materialId
                 };
                 showSection('quiz');
                 startGeneratedQuiz();
@@ -1230,6 +1823,7 @@ async function generateEnhancedQuiz(materialId, options = {}) {
             currentQuiz = {
                 mode: 'enhanced',
                 questions: result.questions.map(q => ({
+                    id: q.id,
                     type: q.type,
                     question: q.question,
                     options: q.options || [],
@@ -1237,11 +1831,13 @@ async function generateEnhancedQuiz(materialId, options = {}) {
                     answer: q.answer,
                     sampleAnswer: q.sampleAnswer,
                     explanation: q.explanation,
+                    sourceRef: q.sourceRef,
                     concept: q.concept,
                     difficulty: q.difficulty,
                     enhanced: true
                 })),
                 totalQuestions: result.questions.length,
+                materialId: materialId,
                 metadata: result.metadata
             };
             
@@ -1279,6 +1875,7 @@ async function generateSmartQuiz(materialId, options = {}) {
             currentQuiz = {
                 mode: 'smart',
                 questions: result.questions.map(q => ({
+                    id: q.id,
                     type: q.type,
                     question: q.question,
                     options: q.options || [],
@@ -1286,10 +1883,12 @@ async function generateSmartQuiz(materialId, options = {}) {
                     answer: q.answer,
                     sampleAnswer: q.sampleAnswer,
                     explanation: q.explanation,
+                    sourceRef: q.sourceRef,
                     concept: q.concept,
                     difficulty: q.difficulty
                 })),
                 totalQuestions: result.questions.length,
+                materialId: materialId,
                 metadata: result.metadata
             };
             
@@ -1329,6 +1928,7 @@ async function generateBatchQuiz(materialId, batches = null) {
             currentQuiz = {
                 mode: 'batch',
                 questions: result.questions.map(q => ({
+                    id: q.id,
                     type: q.type,
                     question: q.question,
                     options: q.options || [],
@@ -1336,11 +1936,13 @@ async function generateBatchQuiz(materialId, batches = null) {
                     answer: q.answer,
                     sampleAnswer: q.sampleAnswer,
                     explanation: q.explanation,
+                    sourceRef: q.sourceRef,
                     concept: q.concept,
                     difficulty: q.difficulty,
                     enhanced: q.enhanced || false
                 })),
                 totalQuestions: result.questions.length,
+                materialId: materialId,
                 batchInfo: result.summary
             };
             
@@ -1694,13 +2296,118 @@ async function deleteMaterial(materialId) {
             showToast('success', '材料删除成功！');
             loadMaterials();
         } else {
-            throw new Error('删除失败');
+            // 材料正在处理时返回 409，提示稍后再删除
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.message || '删除失败');
         }
     } catch (error) {
         showToast('error', '删除失败：' + error.message);
     }
 }
 
+// 材料详情，扫描件和图片显示 OCR 识别质量
+async function showMaterialDetails(materialId) {
+    try {
+        const response = await fetch(`/api/materials/details/${materialId}`);
+        const result = await response.json();
+        if (!result.success) {
+            showToast('error', result.message || '获取材料详情失败');
+            return;
+        }
+
+        const material = result.data;
+        const content = material.processedContent;
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3><i class="${getFileIcon(material.type || '')}"></i> ${escapeHtml(material.name)}</h3>
+                    <button class="modal-close" onclick="this.closest('.modal').remove()">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <p class="source-method">
+                        大小: ${escapeHtml(material.size)} | 上传: ${escapeHtml(material.uploadTime)} |
+                        ${material.processed ? '已处理' : '处理中'}${content ? ` | ${content.chunk_count} 个分块` : ''}
+                    </p>
+                    ${content && content.key_terms ? `<p class="source-method">关键词: ${escapeHtml(content.key_terms)}</p>` : ''}
+                    ${createVersionHistoryHTML(material)}
+                    ${createOcrReportHTML(material.ocr)}
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+    } catch (error) {
+        console.error('获取材料详情失败:', error);
+        showToast('error', '获取材料详情失败');
+    }
+}
+
+// 版本历史：同名文件的各次上传，旧版本的题目保留
+function createVersionHistoryHTML(material) {
+    const versions = material.versions || [];
+    if (versions.length <= 1) return '';
+
+    return `
+        <div class="version-history">
+            <h5><i class="fas fa-history"></i> 版本历史</h5>
+            <ul>
+                ${versions.map(version => `
+                    <li class="${version.id === material.id ? 'current-version' : ''}">
+                        <span>第 ${version.version} 版${version.latest ? '（最新）' : ''}</span>
+                        <span>${escapeHtml(new Date(version.createdAt).toLocaleString('zh-CN'))}</span>
+                        <span>${version.questionCount} 道题目</span>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+// OCR 识别质量：每页置信度，低置信度的行需要对照原件核对
+function createOcrReportHTML(ocr) {
+    if (!ocr) return '';
+    if (ocr.unavailable) {
+        return `
+            <div class="ocr-report ocr-unavailable">
+                <h5><i class="fas fa-exclamation-triangle"></i> 文字识别（OCR）</h5>
+                <p>${(ocr.skippedPages || []).length} 页没有文字层（可能是扫描页），未能识别：${escapeHtml(ocr.unavailable)}</p>
+            </div>
+        `;
+    }
+
+    const pages = ocr.pages.map(page => `
+        <li class="${page.lowConfidenceCount > 0 ? 'ocr-page-flagged' : ''}">
+            <div class="ocr-page-summary">
+                <span>第 ${page.page} 页</span>
+                <span>置信度 ${page.confidence ?? '-'}%</span>
+                <span>${page.lowConfidenceCount > 0 ? `${page.lowConfidenceCount} 行需要核对` : '识别良好'}</span>
+            </div>
+            ${page.lowConfidence.length > 0 ? `
+            <ul class="ocr-flags">
+                ${page.lowConfidence.map(region => `
+                    <li><span class="ocr-flag-confidence">${region.confidence}%</span> ${escapeHtml(region.text)}</li>
+                `).join('')}
+            </ul>` : ''}
+        </li>
+    `).join('');
+    const problems = [
+        (ocr.failedPages || []).length > 0 ? `第 ${ocr.failedPages.join('、')} 页识别失败` : '',
+        (ocr.skippedPages || []).length > 0 ? `${ocr.skippedPages.length} 页超出识别页数上限` : ''
+    ].filter(Boolean).join('；');
+
+    return `
+        <div class="ocr-report">
+            <h5><i class="fas fa-eye"></i> 文字识别（OCR）：${ocr.pages.length} 页，平均置信度 ${ocr.confidence ?? '-'}%</h5>
+            ${problems ? `<p>${escapeHtml(problems)}</p>` : ''}
+            <ul class="ocr-pages">${pages}</ul>
+        </div>
+    `;
+}
+
 // 显示加载动画
 function showLoading(message = 'AI正在处理中...') {
     const loadingOverlay = document.getElementById('loadingOverlay');
@@ -1823,6 +2530,7 @@ function startGeneratedQuiz() {
     // 更新界面
     updateQuizInterface();
     startTimer();
+    startQuizSession();
     
     // 更新题目标题
     const quizTitle = document.getElementById('quizTitle');
@@ -1832,7 +2540,9 @@ function startGeneratedQuiz() {
             'multiple-choice': '选择题练习', 
             'essay': '问答题练习',
             'mock-exam': '模拟考试',
-            'mixed': '综合练习'
+            'mixed': '综合练习',
+            'wrong-questions': '错题练习',
+            'review': '每日复习'
         };
         const modeName = modeNames[currentQuiz.mode] || '练习';
         quizTitle.textContent = `${modeName} - 基于《${currentQuiz.materialName}》`;
@@ -1953,6 +2663,11 @@ window.nextQuestion = nextQuestion;
 window.submitQuiz = submitQuiz;
 window.reviewAnswers = reviewAnswers;
 window.practiceWrongQuestions = practiceWrongQuestions;
+window.practiceQuestion = practiceQuestion;
+window.removeFromWrongQuestions = removeFromWrongQuestions;
+window.startDailyReview = startDailyReview;
+window.joinClass = joinClass;
+window.startAssignment = startAssignment;
 window.startNewQuiz = startNewQuiz;
 window.showProfileTab = showProfileTab;
 window.generateQuiz = generateQuiz;
@@ -0,0 +1,200 @@
+// 登录状态管理 - 为API请求附带JWT令牌，未登录时提示登录
+
+class AuthManager {
+    constructor() {
+        this.storageKey = 'authToken';
+        this.refreshStorageKey = 'refreshToken';
+        this.loginDialogOpen = false;
+        this.refreshing = null;
+        this.installFetch();
+    }
+
+    getToken() {
+        return localStorage.getItem(this.storageKey);
+    }
+
+    setToken(token) {
+        if (token) {
+            localStorage.setItem(this.storageKey, token);
+        } else {
+            localStorage.removeItem(this.storageKey);
+        }
+    }
+
+    getRefreshToken() {
+        return localStorage.getItem(this.refreshStorageKey);
+    }
+
+    // 保存登录/刷新接口返回的令牌
+    saveTokens({ token, refreshToken }) {
+        this.setToken(token);
+        if (refreshToken) {
+            localStorage.setItem(this.refreshStorageKey, refreshToken);
+        } else {
+            localStorage.removeItem(this.refreshStorageKey);
+        }
+    }
+
+    /**
+     * 用刷新令牌换取新的访问令牌，并发请求共用同一次刷新
+     * @returns {boolean} 是否刷新成功
+     */
+    refreshTokens(originalFetch) {
+        if (this.refreshing) return this.refreshing;
+
+        const refreshToken = this.getRefreshToken();
+        if (!refreshToken) return Promise.resolve(false);
+
+        this.refreshing = originalFetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        })
+            .then(response => response.json())
+            .then(result => {
+                if (!result.success) {
+                    this.saveTokens({});
+                    return false;
+                }
+                this.saveTokens(result.data);
+                return true;
+            })
+            .catch(() => false)
+            .finally(() => {
+                this.refreshing = null;
+            });
+
+        return this.refreshing;
+    }
+
+    /**
+     * 包装window.fetch：/api请求自动附带令牌
+     * 访问令牌过期时先尝试刷新并重发请求，刷新失败再弹出登录框
+     * 服务端开启单用户模式时不带令牌也能正常访问
+     */
+    installFetch() {
+        const originalFetch = window.fetch.bind(window);
+
+        const send = (input, options) => {
+            const token = this.getToken();
+            const headers = new Headers(options.headers || {});
+            if (token) {
+                headers.set('Authorization', `Bearer ${token}`);
+            }
+            return originalFetch(input, { ...options, headers });
+        };
+
+        window.fetch = async (input, options = {}) => {
+            const url = typeof input === 'string' ? input : input.url;
+            if (!url.startsWith('/api/') || url.startsWith('/api/auth/login') || url.startsWith('/api/auth/refresh')) {
+                return originalFetch(input, options);
+            }
+
+            let response = await send(input, options);
+            if (response.status !== 401 && response.status !== 403) {
+                return response;
+            }
+
+            const body = await response.clone().json().catch(() => ({}));
+            if (response.status === 403 && !/令牌/.test(body.message || '')) {
+                return response;
+            }
+
+            if (body.errorType === 'token_expired' && await this.refreshTokens(originalFetch)) {
+                response = await send(input, options);
+                if (response.status !== 401) {
+                    return response;
+                }
+            }
+
+            this.saveTokens({});
+            this.showLoginDialog();
+            return response;
+        };
+    }
+
+    /**
+     * 显示登录框
+     */
+    showLoginDialog() {
+        if (this.loginDialogOpen) return;
+        this.loginDialogOpen = true;
+
+        const overlay = document.createElement('div');
+        overlay.id = 'loginDialog';
+        overlay.className = 'answer-review-overlay';
+        overlay.innerHTML = `
+            <div class="review-modal">
+                <div class="review-header">
+                    <h3><i class="fas fa-user"></i> 请先登录</h3>
+                </div>
+                <form class="review-content settings-form" id="loginForm">
+                    <div class="form-group">
+                        <label>邮箱</label>
+                        <input type="email" class="form-control" name="email" required>
+                    </div>
+                    <div class="form-group">
+                        <label>密码</label>
+                        <input type="password" class="form-control" name="password" required>
+                    </div>
+                    <p class="login-error text-danger"></p>
+                    <button type="submit" class="btn btn-primary">
+                        <i class="fas fa-sign-in-alt"></i> 登录
+                    </button>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        const form = overlay.querySelector('#loginForm');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const errorText = overlay.querySelector('.login-error');
+
+            try {
+                const response = await fetch('/api/auth/login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        email: form.email.value,
+                        password: form.password.value
+                    })
+                });
+                const result = await response.json();
+
+                if (!result.success) {
+                    errorText.textContent = result.message || '登录失败';
+                    return;
+                }
+
+                this.saveTokens(result.data);
+                document.body.removeChild(overlay);
+                this.loginDialogOpen = false;
+                window.location.reload();
+            } catch (error) {
+                errorText.textContent = '登录失败，请稍后重试';
+            }
+        });
+    }
+
+    /**
+     * 退出登录，服务端吊销刷新令牌
+     * @param {boolean} allDevices - 是否退出所有设备
+     */
+    async logout(allDevices = false) {
+        const refreshToken = this.getRefreshToken();
+        if (refreshToken) {
+            await fetch('/api/auth/logout', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken, allDevices })
+            }).catch(() => null);
+        }
+
+        this.saveTokens({});
+        window.location.reload();
+    }
+}
+
+const authManager = new AuthManager();
+window.authManager = authManager;
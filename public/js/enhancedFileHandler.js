@@ -283,9 +283,11 @@ class EnhancedFileHandler {
             this.updateProgress(taskId, 70, '上传到服务器...');
             const uploadResult = await this.uploadToServer(file, preprocessed);
             
-            // 第五步：服务器端处理
+            // 第五步：服务器端处理（内容与已处理的材料相同时没有处理任务）
             this.updateProgress(taskId, 90, '服务器处理中...');
-            const processResult = await this.waitForServerProcessing(uploadResult.taskId);
+            const processResult = uploadResult.data.taskId
+                ? await this.waitForServerProcessing(uploadResult.data.taskId, taskId)
+                : uploadResult.data;
             
             // 完成
             this.updateProgress(taskId, 100, '处理完成');
@@ -425,38 +427,40 @@ class EnhancedFileHandler {
     }
 
     /**
-     * 等待服务器处理
+     * 等待服务器处理 - 订阅任务事件流，实时显示处理阶段和分块进度
+     * @param {string} serverTaskId - 服务端任务ID
+     * @param {string} progressId - 页面进度项ID
      */
-    async waitForServerProcessing(taskId, maxWaitTime = 300000) { // 5分钟超时
-        const startTime = Date.now();
-        const pollInterval = 2000; // 2秒轮询一次
-        
-        while (Date.now() - startTime < maxWaitTime) {
-            try {
-                const response = await fetch(`/api/materials/processing-status/${taskId}`);
-                if (response.ok) {
-                    const status = await response.json();
-                    
-                    if (status.completed) {
-                        return status.result;
-                    } else if (status.error) {
-                        throw new Error(status.error);
-                    }
-                    
-                    // 更新进度
-                    if (status.progress !== undefined) {
-                        const progressPercent = 90 + (status.progress * 0.1); // 90-100%
-                        this.updateProgress(taskId, progressPercent, status.stage || '服务器处理中...');
-                    }
+    async waitForServerProcessing(serverTaskId, progressId) {
+        const stageNames = {
+            queued: '排队中...',
+            retrying: '等待重试...',
+            extracting_content: '提取文件内容...',
+            analyzing_document: '智能分块分析...',
+            saving_results: '保存处理结果...',
+            building_knowledge_graph: '构建知识图谱...',
+            finalizing: '完成处理...'
+        };
+        // 服务端进度映射到总进度的90-100%
+        const showProgress = (progress, status) => {
+            this.updateProgress(progressId, 90 + (progress || 0) * 0.1, status);
+        };
+
+        const job = await jobEventStream.follow(serverTaskId, {
+            onSnapshot: job => showProgress(job.progress, stageNames[job.stage] || '服务器处理中...'),
+            onProgress: data => showProgress(data.progress, stageNames[data.stage] || '服务器处理中...'),
+            onEvent: (type, data) => {
+                if (type === 'chunked') {
+                    this.updateProgress(progressId, 93, `已分为 ${data.chunkCount} 个内容块...`);
+                } else if (type === 'knowledge_graph') {
+                    this.updateProgress(progressId, 96, `知识图谱: ${data.nodeCount} 个概念, ${data.edgeCount} 条关联`);
+                } else if (type === 'retrying') {
+                    this.updateProgress(progressId, 90, `处理失败，等待第 ${data.attempts + 1} 次重试...`);
                 }
-            } catch (error) {
-                console.warn('轮询处理状态失败:', error);
             }
-            
-            await new Promise(resolve => setTimeout(resolve, pollInterval));
-        }
-        
-        throw new Error('服务器处理超时');
+        });
+
+        return job.result;
     }
 
     /**
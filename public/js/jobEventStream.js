@@ -0,0 +1,127 @@
+// 后台任务事件流 - 读取 /api/jobs/:taskId/events 推送的进度和逐题结果
+// 使用fetch读取事件流，请求会经过authManager附带令牌（EventSource无法设置请求头）
+
+class JobEventStream {
+    constructor() {
+        this.reconnectDelay = 2000; // 连接中断后重连间隔
+        this.maxReconnects = 5;
+    }
+
+    /**
+     * 订阅任务直到结束
+     * @param {string} taskId - 任务ID
+     * @param {Object} handlers - { onSnapshot(job), onProgress(data), onQuestion(data), onEvent(type, data) }
+     * @returns {Promise<Object>} 完成的任务信息；任务失败或取消时reject
+     */
+    async follow(taskId, handlers = {}) {
+        let reconnects = 0;
+
+        while (reconnects <= this.maxReconnects) {
+            try {
+                const finished = await this.read(taskId, handlers);
+                if (finished) {
+                    if (finished.type === 'completed') {
+                        return finished.data;
+                    }
+                    throw Object.assign(new Error(finished.data.error || '任务已取消'), { final: true, job: finished.data });
+                }
+            } catch (error) {
+                if (error.final) throw error;
+                console.warn('任务事件流中断:', error.message);
+            }
+
+            // 连接断开时重连，服务端会重新推送快照
+            reconnects++;
+            await new Promise(resolve => setTimeout(resolve, this.reconnectDelay));
+        }
+
+        throw new Error('无法获取任务进度');
+    }
+
+    /**
+     * 读取一次事件流连接，返回结束事件；连接提前断开时返回null
+     */
+    async read(taskId, handlers) {
+        const response = await fetch(`/api/jobs/${taskId}/events`, {
+            headers: { 'Accept': 'text/event-stream' }
+        });
+
+        if (!response.ok) {
+            let message = `HTTP ${response.status}`;
+            try {
+                message = (await response.json()).message || message;
+            } catch (e) {
+                // 非JSON响应保留状态码
+            }
+            // 任务不存在或无权访问时重连没有意义
+            throw Object.assign(new Error(message), { final: response.status < 500 });
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) return null;
+
+            buffer += decoder.decode(value, { stream: true });
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const raw = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                const event = this.parse(raw);
+                if (!event) continue;
+
+                this.dispatch(event, handlers);
+                if (['completed', 'failed', 'cancelled'].includes(event.type)) {
+                    reader.cancel().catch(() => {});
+                    return event;
+                }
+            }
+        }
+    }
+
+    /**
+     * 解析一条SSE消息，注释行（心跳）返回null
+     */
+    parse(raw) {
+        let type = 'message';
+        const dataLines = [];
+
+        raw.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                type = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        });
+
+        if (dataLines.length === 0) return null;
+
+        try {
+            return { type, data: JSON.parse(dataLines.join('\n')) };
+        } catch (error) {
+            console.warn('解析任务事件失败:', error);
+            return null;
+        }
+    }
+
+    dispatch(event, handlers) {
+        const { type, data } = event;
+        if (type === 'snapshot' && handlers.onSnapshot) {
+            handlers.onSnapshot(data);
+        } else if (type === 'progress' && handlers.onProgress) {
+            handlers.onProgress(data);
+        } else if (type === 'question' && handlers.onQuestion) {
+            handlers.onQuestion(data);
+        }
+        if (handlers.onEvent) {
+            handlers.onEvent(type, data);
+        }
+    }
+}
+
+const jobEventStream = new JobEventStream();
+window.jobEventStream = jobEventStream;
@@ -47,12 +47,16 @@ class OptimizedQuizHandler {
                     difficulty,
                     fastMode,
                     useCache
-                }),
-                // 增加超时时间
-                signal: AbortSignal.timeout(60000) // 60秒超时
+                })
             });
 
             const result = await response.json();
+            if (!result.success || !result.data) {
+                throw new Error(result.message || '优化生成失败');
+            }
+
+            // 生成在后台任务中执行，通过事件流逐题接收
+            const generated = await this.followGeneration(result.data.taskId, `🚀 AI正在生成${count}道题目`, showProgress);
             const endTime = Date.now();
             const duration = endTime - startTime;
 
@@ -60,23 +64,29 @@ class OptimizedQuizHandler {
                 this.hideProgressIndicator();
             }
 
-            if (result.success && result.data && result.data.questions) {
-                const questions = result.data.questions;
+            if (generated.questions.length > 0) {
+                const questions = generated.questions;
                 console.log(`✅ 优化生成成功: ${questions.length}道题目，耗时: ${duration}ms`);
                 
                 // 显示成功消息
-                showToast('success', `🎉 高速生成完成！共生成${questions.length}道高质量题目，耗时${(duration/1000).toFixed(1)}秒`);
+                if (generated.partial) {
+                    showToast('warning', `⚠️ 生成未全部完成，已保留${questions.length}道题目：${generated.error}`);
+                } else {
+                    showToast('success', `🎉 高速生成完成！共生成${questions.length}道高质量题目，耗时${(duration/1000).toFixed(1)}秒`);
+                }
                 
                 return {
                     success: true,
                     questions: questions,
                     metadata: {
-                        ...result.data.metadata,
+                        mode: result.data.mode,
+                        partial: generated.partial,
+                        totalQuestions: questions.length,
                         actualDuration: duration
                     }
                 };
             } else {
-                throw new Error(result.message || '优化生成失败');
+                throw new Error(generated.error || '优化生成失败');
             }
 
         } catch (error) {
@@ -85,15 +95,9 @@ class OptimizedQuizHandler {
             }
 
             console.error('优化生成失败:', error);
-            
-            if (error.name === 'TimeoutError') {
-                showToast('warning', '⏰ 生成超时，正在尝试快速生成...');
-                return this.generateQuickQuiz(materialId, { count: Math.min(count, 15) });
-            } else {
-                showToast('error', '❌ 优化生成失败: ' + error.message);
-                // 降级到快速生成
-                return this.generateQuickQuiz(materialId, { count: Math.min(count, 20) });
-            }
+            showToast('error', '❌ 优化生成失败: ' + error.message);
+            // 降级到快速生成
+            return this.generateQuickQuiz(materialId, { count: Math.min(count, 20) });
         }
     }
 
@@ -127,32 +131,42 @@ class OptimizedQuizHandler {
                 },
                 body: JSON.stringify({
                     batches: batchConfig
-                }),
-                signal: AbortSignal.timeout(90000) // 90秒超时
+                })
             });
 
             const result = await response.json();
+            if (!result.success || !result.data) {
+                throw new Error(result.message || '批量生成失败');
+            }
+
+            // 批量生成在后台任务队列中执行，通过事件流逐题接收
+            const generated = await this.followGeneration(result.data.taskId, `📦 AI正在批量生成${totalQuestions}道题目`);
             const endTime = Date.now();
             const duration = endTime - startTime;
 
             this.hideProgressIndicator();
 
-            if (result.success && result.data) {
-                const questions = result.data.questions;
-                const summary = result.data.summary;
+            if (generated.questions.length > 0) {
+                const questions = generated.questions;
+                const summary = generated.summary || {
+                    totalQuestions: questions.length,
+                    successfulBatches: generated.batchCount,
+                    failedBatches: batchConfig.length - generated.batchCount
+                };
                 
                 console.log(`✅ 批量生成成功: ${questions.length}道题目，成功批次: ${summary.successfulBatches}/${batchConfig.length}`);
                 
-                showToast('success', `📦 批量生成完成！共${questions.length}道题目，成功批次: ${summary.successfulBatches}/${batchConfig.length}`);
+                showToast(generated.partial ? 'warning' : 'success', `📦 批量生成${generated.partial ? '未全部完成' : '完成'}！共${questions.length}道题目，成功批次: ${summary.successfulBatches}/${batchConfig.length}`);
                 
                 return {
                     success: true,
                     questions: questions,
                     summary: summary,
+                    partial: generated.partial,
                     duration: duration
                 };
             } else {
-                throw new Error(result.message || '批量生成失败');
+                throw new Error(generated.error || '批量生成失败');
             }
 
         } catch (error) {
@@ -168,6 +182,79 @@ class OptimizedQuizHandler {
         }
     }
 
+    /**
+     * 跟踪出题任务，逐题显示生成进度
+     * 任务失败或取消时返回已经保存到题库的题目，不丢弃部分结果
+     * @param {string} taskId - 任务ID
+     * @param {string} label - 进度提示
+     * @param {boolean} showProgress - 是否更新进度提示
+     * @returns {Promise<Object>} { questions, summary, partial, error, batchCount }
+     */
+    async followGeneration(taskId, label, showProgress = true) {
+        // 按批次保存已入库的题目，重连时快照会覆盖
+        const savedBatches = new Map();
+        let previewCount = 0;
+
+        const savedQuestions = () => [...savedBatches.keys()]
+            .sort((a, b) => a - b)
+            .flatMap(index => savedBatches.get(index));
+        const show = (text) => {
+            if (showProgress) this.updateProgressIndicator(text);
+        };
+
+        try {
+            const job = await jobEventStream.follow(taskId, {
+                onSnapshot: job => {
+                    (job.checkpoint.batches || []).forEach(batch => {
+                        savedBatches.set(batch.batchIndex, batch.questions || []);
+                    });
+                    show(`${label}... ${job.progress || 0}%`);
+                },
+                onQuestion: data => {
+                    if (data.saved) {
+                        const batch = savedBatches.get(data.batchIndex) || [];
+                        batch[data.index] = data.question;
+                        savedBatches.set(data.batchIndex, batch);
+                    } else {
+                        previewCount++;
+                    }
+                    const total = Math.max(previewCount, savedQuestions().length);
+                    show(`${label}... 已生成${total}道：${this.truncate(data.question.question, 30)}`);
+                },
+                onEvent: (type, data) => {
+                    if (type === 'retrying') {
+                        show(`${label}... 生成失败，正在重试`);
+                    }
+                }
+            });
+
+            return {
+                questions: job.result.questions,
+                summary: job.result.summary,
+                partial: false,
+                error: null,
+                batchCount: savedBatches.size
+            };
+        } catch (error) {
+            const questions = savedQuestions().filter(Boolean);
+            if (questions.length === 0) throw error;
+
+            console.warn(`任务 ${taskId} 未完成，保留已生成的${questions.length}道题目`);
+            return {
+                questions: questions,
+                summary: null,
+                partial: true,
+                error: error.message,
+                batchCount: savedBatches.size
+            };
+        }
+    }
+
+    truncate(text, length) {
+        const plain = String(text || '').replace(/<[^>]+>/g, '');
+        return plain.length > length ? plain.substring(0, length) + '...' : plain;
+    }
+
     /**
      * 快速生成题目 - 超快速模式
      * @param {string} materialId - 材料ID
@@ -360,6 +447,16 @@ class OptimizedQuizHandler {
         this.startProgressAnimation();
     }
 
+    /**
+     * 更新进度提示文字（不重新显示遮罩）
+     */
+    updateProgressIndicator(message) {
+        const loadingText = document.getElementById('loadingOverlay')?.querySelector('p');
+        if (loadingText) {
+            loadingText.textContent = message;
+        }
+    }
+
     /**
      * 隐藏进度指示器
      */
@@ -2,6 +2,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 class DatabaseMigration {
     constructor() {
@@ -127,6 +128,54 @@ class DatabaseMigration {
             // 迁移5: 创建knowledge_graph表
             await this.createKnowledgeGraphTable();
 
+            // 迁移6: 为quiz_sessions/answer_records添加练习会话字段
+            await this.migrateQuizSessionsTable();
+
+            // 迁移7: 为wrong_questions添加连续答对次数等字段
+            await this.migrateWrongQuestionsTable();
+
+            // 迁移8: 创建review_cards表（间隔重复复习）
+            await this.createReviewCardsTable();
+
+            // 迁移9: 创建refresh_tokens表（刷新令牌）
+            await this.createRefreshTokensTable();
+
+            // 迁移10: 用户角色、材料发布和题集
+            await this.migrateRolesAndQuestionSets();
+
+            // 迁移11: 班级、作业，练习会话关联作业
+            await this.migrateClassesAndAssignments();
+
+            // 迁移12: processing_tasks表扩展为持久化任务队列
+            await this.migrateProcessingTasksQueue();
+
+            // 迁移13: 记录生成题目的模型
+            await this.migrateQuestionModels();
+
+            // 迁移14: 题目格式版本和多空填空题
+            await this.migrateQuestionSchema();
+
+            // 迁移15: 题目质量校验结论
+            await this.migrateQuestionQuality();
+
+            // 迁移16: 题目的来源分块、原文位置和摘录
+            await this.migrateQuestionSource();
+
+            // 迁移17: 题目相似度签名（近似重复检测）
+            await this.migrateQuestionSimilarity();
+
+            // 迁移18: 材料的文档结构（幻灯片等结构单元）
+            await this.migrateMaterialStructure();
+
+            // 迁移19: 材料内容哈希、版本和用户存储配额
+            await this.migrateMaterialVersions();
+
+            // 迁移20: 复习卡片的暂停状态（移出复习队列）
+            await this.migrateReviewCardSuspension();
+
+            // 迁移21: 题目相似度签名的算法版本（旧签名重新计算）
+            await this.migrateQuestionSimilarityVersion();
+
             console.log('✅ 数据库迁移完成');
         } catch (error) {
             console.error('❌ 数据库迁移失败:', error);
@@ -383,6 +432,710 @@ class DatabaseMigration {
         }
     }
 
+    /**
+     * 迁移quiz_sessions表 - 支持进行中的练习会话
+     */
+    async migrateQuizSessionsTable() {
+        console.log('📋 迁移quiz_sessions表...');
+
+        const newColumns = [
+            { table: 'quiz_sessions', name: 'status', type: 'TEXT DEFAULT "completed"' },
+            { table: 'quiz_sessions', name: 'question_ids', type: 'TEXT' },
+            { table: 'quiz_sessions', name: 'experience_gained', type: 'INTEGER DEFAULT 0' },
+            { table: 'answer_records', name: 'score', type: 'REAL DEFAULT 0' }
+        ];
+
+        for (const column of newColumns) {
+            const exists = await this.columnExists(column.table, column.name);
+            if (!exists) {
+                try {
+                    await this.run(`ALTER TABLE ${column.table} ADD COLUMN ${column.name} ${column.type}`);
+                    console.log(`✅ 添加列 ${column.table}.${column.name}`);
+                } catch (error) {
+                    console.error(`❌ 添加列 ${column.table}.${column.name} 失败:`, error.message);
+                }
+            } else {
+                console.log(`⏭️ 列 ${column.table}.${column.name} 已存在`);
+            }
+        }
+
+        // 创建索引
+        const indexes = [
+            'CREATE INDEX IF NOT EXISTS idx_quiz_sessions_user_status ON quiz_sessions(user_id, status)',
+            'CREATE INDEX IF NOT EXISTS idx_answer_records_session_question ON answer_records(session_id, question_id)'
+        ];
+
+        for (const indexSql of indexes) {
+            try {
+                await this.run(indexSql);
+                console.log('✅ 创建quiz_sessions索引成功');
+            } catch (error) {
+                console.error('❌ 创建quiz_sessions索引失败:', error.message);
+            }
+        }
+    }
+
+    /**
+     * 迁移wrong_questions表 - 支持自动掌握判定
+     */
+    async migrateWrongQuestionsTable() {
+        console.log('📋 迁移wrong_questions表...');
+
+        const newColumns = [
+            { name: 'correct_streak', type: 'INTEGER DEFAULT 0' },
+            { name: 'last_wrong_answer', type: 'TEXT' },
+            { name: 'last_practiced_at', type: 'DATETIME' }
+        ];
+
+        for (const column of newColumns) {
+            const exists = await this.columnExists('wrong_questions', column.name);
+            if (!exists) {
+                try {
+                    await this.run(`ALTER TABLE wrong_questions ADD COLUMN ${column.name} ${column.type}`);
+                    console.log(`✅ 添加列 wrong_questions.${column.name}`);
+                } catch (error) {
+                    console.error(`❌ 添加列 wrong_questions.${column.name} 失败:`, error.message);
+                }
+            } else {
+                console.log(`⏭️ 列 wrong_questions.${column.name} 已存在`);
+            }
+        }
+
+        try {
+            await this.run('CREATE INDEX IF NOT EXISTS idx_wrong_questions_user_mastered ON wrong_questions(user_id, mastered, last_wrong_at DESC)');
+            console.log('✅ 创建wrong_questions索引成功');
+        } catch (error) {
+            console.error('❌ 创建wrong_questions索引失败:', error.message);
+        }
+    }
+
+    /**
+     * 创建review_cards表 - 记录每个用户每道题的间隔重复状态
+     */
+    async createReviewCardsTable() {
+        console.log('📋 创建review_cards表...');
+
+        const exists = await this.tableExists('review_cards');
+        if (!exists) {
+            const sql = `
+                CREATE TABLE review_cards (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    question_id INTEGER NOT NULL,
+                    ease_factor REAL DEFAULT 2.5,
+                    interval_days INTEGER DEFAULT 0,
+                    repetitions INTEGER DEFAULT 0,
+                    lapses INTEGER DEFAULT 0,
+                    due_at DATETIME NOT NULL,
+                    last_reviewed_at DATETIME,
+                    last_quality INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+                    FOREIGN KEY (question_id) REFERENCES questions (id) ON DELETE CASCADE,
+                    UNIQUE(user_id, question_id)
+                )
+            `;
+
+            try {
+                await this.run(sql);
+                console.log('✅ review_cards表创建成功');
+
+                await this.run('CREATE INDEX IF NOT EXISTS idx_review_cards_user_due ON review_cards(user_id, due_at)');
+                console.log('✅ review_cards索引创建成功');
+            } catch (error) {
+                console.error('❌ 创建review_cards表失败:', error.message);
+            }
+        } else {
+            console.log('⏭️ review_cards表已存在');
+        }
+    }
+
+    /**
+     * 创建refresh_tokens表 - 服务端保存的刷新令牌，只存哈希值
+     */
+    async createRefreshTokensTable() {
+        console.log('📋 创建refresh_tokens表...');
+
+        const exists = await this.tableExists('refresh_tokens');
+        if (!exists) {
+            const sql = `
+                CREATE TABLE refresh_tokens (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    token_hash TEXT UNIQUE NOT NULL,
+                    family_id TEXT NOT NULL,
+                    expires_at DATETIME NOT NULL,
+                    revoked_at DATETIME,
+                    replaced_by INTEGER,
+                    user_agent TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+                )
+            `;
+
+            try {
+                await this.run(sql);
+                console.log('✅ refresh_tokens表创建成功');
+
+                const indexes = [
+                    'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id)',
+                    'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id)'
+                ];
+
+                for (const indexSql of indexes) {
+                    await this.run(indexSql);
+                }
+                console.log('✅ refresh_tokens索引创建成功');
+            } catch (error) {
+                console.error('❌ 创建refresh_tokens表失败:', error.message);
+            }
+        } else {
+            console.log('⏭️ refresh_tokens表已存在');
+        }
+    }
+
+    /**
+     * 用户角色（teacher/student/admin）、材料发布状态、教师题集
+     */
+    async migrateRolesAndQuestionSets() {
+        console.log('📋 迁移用户角色和题集...');
+
+        const newColumns = [
+            { table: 'users', name: 'role', type: 'TEXT DEFAULT "student"' },
+            { table: 'users', name: 'disabled', type: 'INTEGER DEFAULT 0' },
+            { table: 'materials', name: 'published', type: 'INTEGER DEFAULT 0' }
+        ];
+
+        for (const column of newColumns) {
+            const exists = await this.columnExists(column.table, column.name);
+            if (!exists) {
+                try {
+                    await this.run(`ALTER TABLE ${column.table} ADD COLUMN ${column.name} ${column.type}`);
+                    console.log(`✅ 添加列 ${column.table}.${column.name}`);
+
+                    // 已上传过材料的老用户升级为教师，避免升级后失去上传权限
+                    if (column.table === 'users' && column.name === 'role') {
+                        const result = await this.run(
+                            `UPDATE users SET role = 'teacher'
+                             WHERE id IN (SELECT DISTINCT user_id FROM materials)`
+                        );
+                        console.log(`✅ ${result.changes} 个已有材料的用户设为教师`);
+                    }
+                } catch (error) {
+                    console.error(`❌ 添加列 ${column.table}.${column.name} 失败:`, error.message);
+                }
+            } else {
+                console.log(`⏭️ 列 ${column.table}.${column.name} 已存在`);
+            }
+        }
+
+        const tables = [
+            {
+                name: 'question_sets',
+                sql: `
+                    CREATE TABLE question_sets (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        teacher_id INTEGER NOT NULL,
+                        title TEXT NOT NULL,
+                        description TEXT,
+                        material_id INTEGER,
+                        published INTEGER DEFAULT 0,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (teacher_id) REFERENCES users (id) ON DELETE CASCADE,
+                        FOREIGN KEY (material_id) REFERENCES materials (id) ON DELETE SET NULL
+                    )
+                `
+            },
+            {
+                name: 'question_set_items',
+                sql: `
+                    CREATE TABLE question_set_items (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        set_id INTEGER NOT NULL,
+                        question_id INTEGER NOT NULL,
+                        position INTEGER DEFAULT 0,
+                        FOREIGN KEY (set_id) REFERENCES question_sets (id) ON DELETE CASCADE,
+                        FOREIGN KEY (question_id) REFERENCES questions (id) ON DELETE CASCADE,
+                        UNIQUE(set_id, question_id)
+                    )
+                `
+            }
+        ];
+
+        for (const table of tables) {
+            const exists = await this.tableExists(table.name);
+            if (exists) {
+                console.log(`⏭️ ${table.name}表已存在`);
+                continue;
+            }
+            try {
+                await this.run(table.sql);
+                console.log(`✅ ${table.name}表创建成功`);
+            } catch (error) {
+                console.error(`❌ 创建${table.name}表失败:`, error.message);
+            }
+        }
+
+        const indexes = [
+            'CREATE INDEX IF NOT EXISTS idx_users_role ON users(role)',
+            'CREATE INDEX IF NOT EXISTS idx_question_sets_teacher ON question_sets(teacher_id)',
+            'CREATE INDEX IF NOT EXISTS idx_question_set_items_question ON question_set_items(question_id)'
+        ];
+
+        for (const indexSql of indexes) {
+            try {
+                await this.run(indexSql);
+            } catch (error) {
+                console.error('❌ 创建角色/题集索引失败:', error.message);
+            }
+        }
+        console.log('✅ 角色/题集索引创建成功');
+
+        await this.promoteAdmin();
+    }
+
+    /**
+     * 公开注册的用户都是学生，管理员由环境变量 ADMIN_EMAIL 指定的已注册用户担任
+     */
+    async promoteAdmin() {
+        const adminEmail = (process.env.ADMIN_EMAIL || '').trim();
+        if (adminEmail) {
+            const result = await this.run(
+                `UPDATE users SET role = 'admin' WHERE email = ? AND role != 'admin'`,
+                [adminEmail]
+            );
+            if (result.changes > 0) {
+                console.log(`✅ 用户 ${adminEmail} 设为管理员`);
+            } else {
+                const users = await this.query('SELECT id FROM users WHERE email = ?', [adminEmail]);
+                console.log(users.length > 0 ? `⏭️ 用户 ${adminEmail} 已是管理员` : `⚠️ ADMIN_EMAIL 指定的用户 ${adminEmail} 不存在，请先注册后重新执行迁移`);
+            }
+            return;
+        }
+
+        const admins = await this.query("SELECT id FROM users WHERE role = 'admin' LIMIT 1");
+        if (admins.length === 0) {
+            console.log('⚠️ 系统中还没有管理员，请设置 ADMIN_EMAIL 为已注册用户的邮箱后重新执行迁移');
+        }
+    }
+
+    /**
+     * 班级（邀请码加入）、班级作业，练习会话关联作业并记录作答截止时间
+     */
+    async migrateClassesAndAssignments() {
+        console.log('📋 迁移班级和作业...');
+
+        const newColumns = [
+            { name: 'assignment_id', type: 'INTEGER' },
+            { name: 'deadline_at', type: 'DATETIME' }
+        ];
+
+        for (const column of newColumns) {
+            const exists = await this.columnExists('quiz_sessions', column.name);
+            if (!exists) {
+                try {
+                    await this.run(`ALTER TABLE quiz_sessions ADD COLUMN ${column.name} ${column.type}`);
+                    console.log(`✅ 添加列 quiz_sessions.${column.name}`);
+                } catch (error) {
+                    console.error(`❌ 添加列 quiz_sessions.${column.name} 失败:`, error.message);
+                }
+            } else {
+                console.log(`⏭️ 列 quiz_sessions.${column.name} 已存在`);
+            }
+        }
+
+        const tables = [
+            {
+                name: 'classes',
+                sql: `
+                    CREATE TABLE classes (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        teacher_id INTEGER NOT NULL,
+                        name TEXT NOT NULL,
+                        description TEXT,
+                        invite_code TEXT UNIQUE NOT NULL,
+                        archived INTEGER DEFAULT 0,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (teacher_id) REFERENCES users (id) ON DELETE CASCADE
+                    )
+                `
+            },
+            {
+                name: 'class_members',
+                sql: `
+                    CREATE TABLE class_members (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        class_id INTEGER NOT NULL,
+                        user_id INTEGER NOT NULL,
+                        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (class_id) REFERENCES classes (id) ON DELETE CASCADE,
+                        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+                        UNIQUE(class_id, user_id)
+                    )
+                `
+            },
+            {
+                name: 'assignments',
+                sql: `
+                    CREATE TABLE assignments (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        class_id INTEGER NOT NULL,
+                        teacher_id INTEGER NOT NULL,
+                        title TEXT NOT NULL,
+                        description TEXT,
+                        source_type TEXT NOT NULL,
+                        question_set_id INTEGER,
+                        material_id INTEGER,
+                        open_at DATETIME,
+                        close_at DATETIME,
+                        max_attempts INTEGER DEFAULT 1,
+                        time_limit_minutes INTEGER,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (class_id) REFERENCES classes (id) ON DELETE CASCADE,
+                        FOREIGN KEY (teacher_id) REFERENCES users (id) ON DELETE CASCADE,
+                        FOREIGN KEY (question_set_id) REFERENCES question_sets (id) ON DELETE SET NULL,
+                        FOREIGN KEY (material_id) REFERENCES materials (id) ON DELETE SET NULL
+                    )
+                `
+            },
+            {
+                name: 'assignment_questions',
+                sql: `
+                    CREATE TABLE assignment_questions (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        assignment_id INTEGER NOT NULL,
+                        question_id INTEGER NOT NULL,
+                        position INTEGER DEFAULT 0,
+                        FOREIGN KEY (assignment_id) REFERENCES assignments (id) ON DELETE CASCADE,
+                        FOREIGN KEY (question_id) REFERENCES questions (id) ON DELETE CASCADE,
+                        UNIQUE(assignment_id, question_id)
+                    )
+                `
+            }
+        ];
+
+        for (const table of tables) {
+            const exists = await this.tableExists(table.name);
+            if (exists) {
+                console.log(`⏭️ ${table.name}表已存在`);
+                continue;
+            }
+            try {
+                await this.run(table.sql);
+                console.log(`✅ ${table.name}表创建成功`);
+            } catch (error) {
+                console.error(`❌ 创建${table.name}表失败:`, error.message);
+            }
+        }
+
+        const indexes = [
+            'CREATE INDEX IF NOT EXISTS idx_classes_teacher ON classes(teacher_id)',
+            'CREATE INDEX IF NOT EXISTS idx_class_members_user ON class_members(user_id)',
+            'CREATE INDEX IF NOT EXISTS idx_assignments_class ON assignments(class_id)',
+            'CREATE INDEX IF NOT EXISTS idx_assignment_questions_question ON assignment_questions(question_id)',
+            'CREATE INDEX IF NOT EXISTS idx_quiz_sessions_assignment ON quiz_sessions(assignment_id, user_id)'
+        ];
+
+        for (const indexSql of indexes) {
+            try {
+                await this.run(indexSql);
+            } catch (error) {
+                console.error('❌ 创建班级/作业索引失败:', error.message);
+            }
+        }
+        console.log('✅ 班级/作业索引创建成功');
+    }
+
+    /**
+     * processing_tasks表扩展为持久化任务队列：任务类型、参数、重试次数、延迟执行和取消标记
+     */
+    async migrateProcessingTasksQueue() {
+        console.log('📋 迁移processing_tasks任务队列字段...');
+
+        const newColumns = [
+            { name: 'job_type', type: 'TEXT DEFAULT "process_material"' },
+            { name: 'user_id', type: 'INTEGER' },
+            { name: 'payload', type: 'TEXT' },
+            { name: 'checkpoint', type: 'TEXT' },
+            { name: 'attempts', type: 'INTEGER DEFAULT 0' },
+            { name: 'max_attempts', type: 'INTEGER DEFAULT 3' },
+            { name: 'run_after', type: 'DATETIME' },
+            { name: 'locked_at', type: 'DATETIME' },
+            { name: 'cancel_requested', type: 'INTEGER DEFAULT 0' },
+            { name: 'created_at', type: 'DATETIME' },
+            { name: 'updated_at', type: 'DATETIME' }
+        ];
+
+        for (const column of newColumns) {
+            const exists = await this.columnExists('processing_tasks', column.name);
+            if (!exists) {
+                try {
+                    await this.run(`ALTER TABLE processing_tasks ADD COLUMN ${column.name} ${column.type}`);
+                    console.log(`✅ 添加列 processing_tasks.${column.name}`);
+                } catch (error) {
+                    console.error(`❌ 添加列 processing_tasks.${column.name} 失败:`, error.message);
+                }
+            } else {
+                console.log(`⏭️ 列 processing_tasks.${column.name} 已存在`);
+            }
+        }
+
+        const indexes = [
+            'CREATE INDEX IF NOT EXISTS idx_processing_tasks_queue ON processing_tasks(status, run_after)',
+            'CREATE INDEX IF NOT EXISTS idx_processing_tasks_user ON processing_tasks(user_id)'
+        ];
+
+        for (const indexSql of indexes) {
+            try {
+                await this.run(indexSql);
+            } catch (error) {
+                console.error('❌ 创建任务队列索引失败:', error.message);
+            }
+        }
+        console.log('✅ 任务队列索引创建成功');
+    }
+
+    /**
+     * questions表记录生成题目的推理后端和模型
+     */
+    async migrateQuestionModels() {
+        console.log('📋 迁移questions表模型字段...');
+
+        const newColumns = [
+            { name: 'model', type: 'TEXT' },
+            { name: 'provider', type: 'TEXT' }
+        ];
+
+        for (const column of newColumns) {
+            const exists = await this.columnExists('questions', column.name);
+            if (!exists) {
+                try {
+                    await this.run(`ALTER TABLE questions ADD COLUMN ${column.name} ${column.type}`);
+                    console.log(`✅ 添加列 questions.${column.name}`);
+                } catch (error) {
+                    console.error(`❌ 添加列 questions.${column.name} 失败:`, error.message);
+                }
+            } else {
+                console.log(`⏭️ 列 questions.${column.name} 已存在`);
+            }
+        }
+    }
+
+    /**
+     * questions表记录题目格式版本；填空题的各空答案保存在 blanks 列
+     */
+    async migrateQuestionSchema() {
+        console.log('📋 迁移questions表格式版本字段...');
+
+        const newColumns = [
+            { name: 'schema_version', type: 'TEXT' },
+            { name: 'blanks', type: 'TEXT' }
+        ];
+
+        for (const column of newColumns) {
+            const exists = await this.columnExists('questions', column.name);
+            if (!exists) {
+                try {
+                    await this.run(`ALTER TABLE questions ADD COLUMN ${column.name} ${column.type}`);
+                    console.log(`✅ 添加列 questions.${column.name}`);
+                } catch (error) {
+                    console.error(`❌ 添加列 questions.${column.name} 失败:`, error.message);
+                }
+            } else {
+                console.log(`⏭️ 列 questions.${column.name} 已存在`);
+            }
+        }
+    }
+
+    /**
+     * questions表记录质量校验的结论，分数仍保存在 quality_score
+     */
+    async migrateQuestionQuality() {
+        console.log('📋 迁移questions表质量校验字段...');
+
+        const exists = await this.columnExists('questions', 'quality_reason');
+        if (!exists) {
+            try {
+                await this.run('ALTER TABLE questions ADD COLUMN quality_reason TEXT');
+                console.log('✅ 添加列 questions.quality_reason');
+            } catch (error) {
+                console.error('❌ 添加列 questions.quality_reason 失败:', error.message);
+            }
+        } else {
+            console.log('⏭️ 列 questions.quality_reason 已存在');
+        }
+    }
+
+    /**
+     * questions表记录题目依据的材料原文：分块序号、在 materials.content_text 中的起止位置和原文摘录
+     */
+    async migrateQuestionSource() {
+        console.log('📋 迁移questions表来源字段...');
+
+        const newColumns = [
+            { name: 'source_chunk', type: 'INTEGER' },
+            { name: 'source_start', type: 'INTEGER' },
+            { name: 'source_end', type: 'INTEGER' },
+            { name: 'source_quote', type: 'TEXT' },
+            { name: 'source_method', type: 'TEXT' }
+        ];
+
+        for (const column of newColumns) {
+            const exists = await this.columnExists('questions', column.name);
+            if (!exists) {
+                try {
+                    await this.run(`ALTER TABLE questions ADD COLUMN ${column.name} ${column.type}`);
+                    console.log(`✅ 添加列 questions.${column.name}`);
+                } catch (error) {
+                    console.error(`❌ 添加列 questions.${column.name} 失败:`, error.message);
+                }
+            } else {
+                console.log(`⏭️ 列 questions.${column.name} 已存在`);
+            }
+        }
+    }
+
+    /**
+     * questions表保存题目的 MinHash 签名，旧题目的签名在首次查重时补算
+     */
+    async migrateQuestionSimilarity() {
+        console.log('📋 迁移questions表相似度签名字段...');
+
+        const exists = await this.columnExists('questions', 'similarity_signature');
+        if (!exists) {
+            try {
+                await this.run('ALTER TABLE questions ADD COLUMN similarity_signature TEXT');
+                console.log('✅ 添加列 questions.similarity_signature');
+            } catch (error) {
+                console.error('❌ 添加列 questions.similarity_signature 失败:', error.message);
+            }
+        } else {
+            console.log('⏭️ 列 questions.similarity_signature 已存在');
+        }
+    }
+
+    /**
+     * materials表保存提取器给出的结构单元（JSON），如 PowerPoint 的每张幻灯片在 content_text 中的位置和标题
+     */
+    async migrateMaterialStructure() {
+        console.log('📋 迁移materials表文档结构字段...');
+
+        const exists = await this.columnExists('materials', 'content_structure');
+        if (!exists) {
+            try {
+                await this.run('ALTER TABLE materials ADD COLUMN content_structure TEXT');
+                console.log('✅ 添加列 materials.content_structure');
+            } catch (error) {
+                console.error('❌ 添加列 materials.content_structure 失败:', error.message);
+            }
+        } else {
+            console.log('⏭️ 列 materials.content_structure 已存在');
+        }
+    }
+
+    /**
+     * materials表记录文件内容的 SHA-256（相同内容的上传复用已有材料）和版本：
+     * 同一用户上传的同名文件为同一材料的各个版本，version_group 为第一版的ID，is_latest 标记最新版本。
+     * users表的 storage_quota 为上传材料的存储配额（字节），为空时使用 config/storage.js 的默认值
+     */
+    async migrateMaterialVersions() {
+        console.log('📋 迁移材料版本和存储配额字段...');
+
+        const newColumns = [
+            { table: 'materials', name: 'content_hash', type: 'TEXT' },
+            { table: 'materials', name: 'version', type: 'INTEGER DEFAULT 1' },
+            { table: 'materials', name: 'version_group', type: 'INTEGER' },
+            { table: 'materials', name: 'is_latest', type: 'INTEGER DEFAULT 1' },
+            { table: 'users', name: 'storage_quota', type: 'INTEGER' }
+        ];
+
+        for (const column of newColumns) {
+            const exists = await this.columnExists(column.table, column.name);
+            if (!exists) {
+                try {
+                    await this.run(`ALTER TABLE ${column.table} ADD COLUMN ${column.name} ${column.type}`);
+                    console.log(`✅ 添加列 ${column.table}.${column.name}`);
+                } catch (error) {
+                    console.error(`❌ 添加列 ${column.table}.${column.name} 失败:`, error.message);
+                }
+            } else {
+                console.log(`⏭️ 列 ${column.table}.${column.name} 已存在`);
+            }
+        }
+
+        // 已有材料各自为第一版，补算文件哈希
+        await this.run('UPDATE materials SET version_group = id WHERE version_group IS NULL');
+        const materials = await this.query('SELECT id, file_path FROM materials WHERE content_hash IS NULL');
+        let hashed = 0;
+        for (const material of materials) {
+            if (!material.file_path || !fs.existsSync(material.file_path)) continue;
+            try {
+                const hash = crypto.createHash('sha256').update(fs.readFileSync(material.file_path)).digest('hex');
+                await this.run('UPDATE materials SET content_hash = ? WHERE id = ?', [hash, material.id]);
+                hashed++;
+            } catch (error) {
+                console.error(`❌ 计算材料 ${material.id} 的文件哈希失败:`, error.message);
+            }
+        }
+        if (materials.length > 0) {
+            console.log(`✅ 补算 ${hashed}/${materials.length} 个材料的文件哈希`);
+        }
+
+        const indexes = [
+            'CREATE INDEX IF NOT EXISTS idx_materials_user_hash ON materials(user_id, content_hash)',
+            'CREATE INDEX IF NOT EXISTS idx_materials_version_group ON materials(version_group, version)'
+        ];
+        for (const indexSql of indexes) {
+            try {
+                await this.run(indexSql);
+                console.log('✅ 创建索引成功');
+            } catch (error) {
+                console.error('❌ 创建索引失败:', error.message);
+            }
+        }
+    }
+
+    /**
+     * review_cards表记录卡片是否被用户移出复习队列；移出的卡片保留，避免错题同步重新建卡
+     */
+    async migrateReviewCardSuspension() {
+        console.log('📋 迁移review_cards表暂停字段...');
+
+        const exists = await this.columnExists('review_cards', 'suspended');
+        if (!exists) {
+            try {
+                await this.run('ALTER TABLE review_cards ADD COLUMN suspended INTEGER DEFAULT 0');
+                console.log('✅ 添加列 review_cards.suspended');
+            } catch (error) {
+                console.error('❌ 添加列 review_cards.suspended 失败:', error.message);
+            }
+        } else {
+            console.log('⏭️ 列 review_cards.suspended 已存在');
+        }
+    }
+
+    /**
+     * questions表记录相似度签名的算法版本；已有题目记为版本 1，首次查重时按当前算法重新计算签名
+     */
+    async migrateQuestionSimilarityVersion() {
+        console.log('📋 迁移questions表相似度签名版本字段...');
+
+        const exists = await this.columnExists('questions', 'similarity_version');
+        if (!exists) {
+            try {
+                await this.run('ALTER TABLE questions ADD COLUMN similarity_version INTEGER DEFAULT 1');
+                console.log('✅ 添加列 questions.similarity_version');
+            } catch (error) {
+                console.error('❌ 添加列 questions.similarity_version 失败:', error.message);
+            }
+        } else {
+            console.log('⏭️ 列 questions.similarity_version 已存在');
+        }
+    }
+
     /**
      * 回滚迁移（用于测试）
      */
@@ -393,6 +1146,14 @@ class DatabaseMigration {
 
             // 删除新创建的表
             const tablesToDrop = [
+                'assignment_questions',
+                'assignments',
+                'class_members',
+                'classes',
+                'question_set_items',
+                'question_sets',
+                'refresh_tokens',
+                'review_cards',
                 'knowledge_graph_edges',
                 'knowledge_graph',
                 'processing_tasks',
@@ -425,13 +1186,35 @@ class DatabaseMigration {
             await this.connect();
             console.log('🔍 检查迁移状态...');
 
-            const tables = ['material_content', 'processing_tasks', 'knowledge_graph', 'knowledge_graph_edges'];
+            const tables = [
+                'material_content', 'processing_tasks', 'knowledge_graph', 'knowledge_graph_edges',
+                'review_cards', 'refresh_tokens', 'question_sets', 'question_set_items',
+                'classes', 'class_members', 'assignments', 'assignment_questions'
+            ];
             const columns = [
                 { table: 'materials', column: 'requires_chunking' },
                 { table: 'materials', column: 'processing_status' },
                 { table: 'materials', column: 'task_id' },
                 { table: 'questions', column: 'source' },
-                { table: 'questions', column: 'enhanced' }
+                { table: 'questions', column: 'enhanced' },
+                { table: 'quiz_sessions', column: 'status' },
+                { table: 'answer_records', column: 'score' },
+                { table: 'wrong_questions', column: 'correct_streak' },
+                { table: 'users', column: 'role' },
+                { table: 'materials', column: 'published' },
+                { table: 'quiz_sessions', column: 'assignment_id' },
+                { table: 'processing_tasks', column: 'job_type' },
+                { table: 'questions', column: 'model' },
+                { table: 'questions', column: 'schema_version' },
+                { table: 'questions', column: 'quality_reason' },
+                { table: 'questions', column: 'source_start' },
+                { table: 'questions', column: 'similarity_signature' },
+                { table: 'materials', column: 'content_structure' },
+                { table: 'materials', column: 'content_hash' },
+                { table: 'materials', column: 'version_group' },
+                { table: 'users', column: 'storage_quota' },
+                { table: 'review_cards', column: 'suspended' },
+                { table: 'questions', column: 'similarity_version' }
             ];
 
             console.log('\n📋 表状态:');
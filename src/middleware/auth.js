@@ -1,5 +1,31 @@
 const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const DEFAULT_JWT_SECRET = 'your-secret-key';
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+
+// 访问令牌有效期，过期后通过刷新令牌换取新的访问令牌
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// 默认密钥是公开的，任何人都能用它伪造令牌，只允许在开发环境使用
+if (JWT_SECRET === DEFAULT_JWT_SECRET && process.env.NODE_ENV !== 'development') {
+    throw new Error('未配置JWT_SECRET环境变量，拒绝启动（仅NODE_ENV=development时允许使用默认密钥）');
+}
+
+// 单用户模式：本地自用部署时无需登录，未携带令牌的请求视为同一个本地用户
+// 多人共用部署时不要开启，否则所有人都会看到同一份数据
+const SINGLE_USER_MODE = process.env.SINGLE_USER_MODE === 'true';
+const SINGLE_USER_ID = parseInt(process.env.SINGLE_USER_ID) || 1;
+
+if (SINGLE_USER_MODE) {
+    console.log(`👤 单用户模式已开启，未登录请求将使用用户ID ${SINGLE_USER_ID}`);
+}
+
+// 用户角色：教师发布材料和题集，学生只能练习，管理员管理用户和系统
+const ROLES = ['student', 'teacher', 'admin'];
+
+// 单用户模式下的本地用户，拥有全部权限
+function singleUser() {
+    return { userId: SINGLE_USER_ID, username: 'local', role: 'admin', singleUser: true };
+}
 
 // 严格的JWT认证中间件（必须登录）
 function requireAuth(req, res, next) {
@@ -7,6 +33,10 @@ function requireAuth(req, res, next) {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (!token) {
+        if (SINGLE_USER_MODE) {
+            req.user = singleUser();
+            return next();
+        }
         return res.status(401).json({
             success: false,
             message: '访问令牌缺失，请先登录'
@@ -14,6 +44,13 @@ function requireAuth(req, res, next) {
     }
 
     jwt.verify(token, JWT_SECRET, (err, user) => {
+        if (err && err.name === 'TokenExpiredError') {
+            return res.status(401).json({
+                success: false,
+                message: '访问令牌已过期，请刷新令牌',
+                errorType: 'token_expired'
+            });
+        }
         if (err) {
             return res.status(403).json({
                 success: false,
@@ -31,7 +68,7 @@ function optionalAuth(req, res, next) {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (!token) {
-        req.user = null;
+        req.user = SINGLE_USER_MODE ? singleUser() : null;
         return next();
     }
 
@@ -45,8 +82,23 @@ function optionalAuth(req, res, next) {
     });
 }
 
-// 生成JWT令牌
-function generateToken(payload, expiresIn = '7d') {
+// 角色授权中间件，需放在requireAuth之后
+// 例：router.post('/upload', requireAuth, requireRole('teacher', 'admin'), handler)
+function requireRole(...roles) {
+    return (req, res, next) => {
+        const role = (req.user && req.user.role) || 'student';
+        if (!roles.includes(role)) {
+            return res.status(403).json({
+                success: false,
+                message: '当前账号没有权限执行该操作'
+            });
+        }
+        next();
+    };
+}
+
+// 生成JWT访问令牌
+function generateToken(payload, expiresIn = ACCESS_TOKEN_TTL) {
     return jwt.sign(payload, JWT_SECRET, { expiresIn });
 }
 
@@ -62,6 +114,9 @@ function verifyToken(token) {
 module.exports = {
     requireAuth,
     optionalAuth,
+    requireRole,
     generateToken,
-    verifyToken
+    verifyToken,
+    SINGLE_USER_MODE,
+    ROLES
 };
\ No newline at end of file
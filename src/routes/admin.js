@@ -0,0 +1,288 @@
+// 管理员路由，挂载于 /api/admin
+const express = require('express');
+const Database = require('../database/database');
+const ollamaService = require('../services/ollamaService');
+const tokenService = require('../services/tokenService');
+const duplicateQuestionService = require('../services/duplicateQuestionService');
+const materialLibrary = require('../services/materialLibrary');
+const { requireAuth, requireRole, ROLES } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole('admin'));
+
+function formatUser(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        email: row.email,
+        role: row.role || 'student',
+        disabled: row.disabled === 1,
+        materialCount: row.material_count || 0,
+        storageQuota: row.storage_quota ?? null,
+        createdAt: row.created_at
+    };
+}
+
+// 用户列表，支持按角色、关键字筛选
+router.get('/users', async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const offset = (page - 1) * limit;
+
+        const conditions = [];
+        const params = [];
+        if (req.query.role) {
+            conditions.push('u.role = ?');
+            params.push(req.query.role);
+        }
+        if (req.query.keyword) {
+            conditions.push('(u.username LIKE ? OR u.email LIKE ?)');
+            params.push(`%${req.query.keyword}%`, `%${req.query.keyword}%`);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const countResult = await Database.get(
+            `SELECT COUNT(*) as total FROM users u ${where}`,
+            params
+        );
+        const rows = await Database.query(
+            `SELECT u.id, u.username, u.email, u.role, u.disabled, u.storage_quota, u.created_at,
+                    (SELECT COUNT(*) FROM materials WHERE user_id = u.id) as material_count
+             FROM users u
+             ${where}
+             ORDER BY u.id ASC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                users: rows.map(formatUser),
+                pagination: {
+                    page: page,
+                    limit: limit,
+                    total: countResult.total,
+                    pages: Math.ceil(countResult.total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('获取用户列表失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取用户列表失败'
+        });
+    }
+});
+
+// 修改用户角色
+router.put('/users/:id/role', async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const { role } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `角色必须是 ${ROLES.join('、')} 之一`
+            });
+        }
+
+        if (userId === req.user.userId) {
+            return res.status(400).json({
+                success: false,
+                message: '不能修改自己的角色'
+            });
+        }
+
+        const result = await Database.update('UPDATE users SET role = ? WHERE id = ?', [role, userId]);
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '用户不存在'
+            });
+        }
+
+        // 角色写在访问令牌中，吊销刷新令牌让用户重新登录后生效
+        await tokenService.revokeAllForUser(userId);
+
+        const user = await Database.get('SELECT * FROM users WHERE id = ?', [userId]);
+        res.json({
+            success: true,
+            message: '角色已更新',
+            data: formatUser(user)
+        });
+    } catch (error) {
+        console.error('修改用户角色失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '修改用户角色失败'
+        });
+    }
+});
+
+// 停用/启用用户
+router.put('/users/:id/status', async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const disabled = req.body.disabled === true;
+
+        if (userId === req.user.userId) {
+            return res.status(400).json({
+                success: false,
+                message: '不能停用自己的账号'
+            });
+        }
+
+        const result = await Database.update('UPDATE users SET disabled = ? WHERE id = ?', [disabled ? 1 : 0, userId]);
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '用户不存在'
+            });
+        }
+
+        if (disabled) {
+            await tokenService.revokeAllForUser(userId);
+        }
+
+        const user = await Database.get('SELECT * FROM users WHERE id = ?', [userId]);
+        res.json({
+            success: true,
+            message: disabled ? '账号已停用' : '账号已启用',
+            data: formatUser(user)
+        });
+    } catch (error) {
+        console.error('修改用户状态失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '修改用户状态失败'
+        });
+    }
+});
+
+// 设置用户的材料存储配额（MB），为 null 时恢复默认配额
+router.put('/users/:id/quota', async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const { quotaMB } = req.body;
+
+        if (quotaMB !== null && !(Number(quotaMB) >= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: '配额必须是不小于 0 的数字（MB），或为 null 表示使用默认配额'
+            });
+        }
+
+        const quota = quotaMB === null ? null : Math.round(Number(quotaMB) * 1024 * 1024);
+        const result = await Database.update('UPDATE users SET storage_quota = ? WHERE id = ?', [quota, userId]);
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '用户不存在'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: '存储配额已更新',
+            data: await materialLibrary.getUsage(userId)
+        });
+    } catch (error) {
+        console.error('设置存储配额失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '设置存储配额失败'
+        });
+    }
+});
+
+// 近似重复题目报告：按材料或用户（不提供时为整个题库）找出相似度达到阈值的题目组，给出建议保留和合并的题目
+router.get('/duplicates', async (req, res) => {
+    try {
+        const { materialId, userId, threshold, limit } = req.query;
+        const report = await duplicateQuestionService.findDuplicates({ materialId, userId, threshold, limit });
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        console.error('生成重复题目报告失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '生成重复题目报告失败'
+        });
+    }
+});
+
+// 系统健康状态：数据库、AI服务、处理任务和进程资源
+router.get('/health', async (req, res) => {
+    try {
+        const database = { available: true };
+        try {
+            const [users, materials, questions, sessions] = await Promise.all([
+                Database.get('SELECT COUNT(*) as count FROM users'),
+                Database.get('SELECT COUNT(*) as count FROM materials'),
+                Database.get('SELECT COUNT(*) as count FROM questions'),
+                Database.get('SELECT COUNT(*) as count FROM quiz_sessions')
+            ]);
+            database.counts = {
+                users: users.count,
+                materials: materials.count,
+                questions: questions.count,
+                sessions: sessions.count
+            };
+        } catch (error) {
+            database.available = false;
+            database.error = error.message;
+        }
+
+        let tasks = {};
+        try {
+            const rows = await Database.query(
+                'SELECT status, COUNT(*) as count FROM processing_tasks GROUP BY status'
+            );
+            tasks = rows.reduce((acc, row) => {
+                acc[row.status] = row.count;
+                return acc;
+            }, {});
+        } catch (error) {
+            tasks = { error: error.message };
+        }
+
+        const ollama = await ollamaService.checkService();
+        const memory = process.memoryUsage();
+
+        res.json({
+            success: true,
+            data: {
+                status: database.available && ollama.available ? 'healthy' : 'degraded',
+                database: database,
+                ollama: ollama,
+                tasks: tasks,
+                process: {
+                    uptime: Math.round(process.uptime()),
+                    nodeVersion: process.version,
+                    memory: {
+                        rss: Math.round(memory.rss / 1024 / 1024),
+                        heapUsed: Math.round(memory.heapUsed / 1024 / 1024),
+                        heapTotal: Math.round(memory.heapTotal / 1024 / 1024)
+                    }
+                },
+                timestamp: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        console.error('获取系统状态失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取系统状态失败'
+        });
+    }
+});
+
+module.exports = router;
@@ -2,21 +2,58 @@ const express = require('express');
 const router = express.Router();
 const AIService = require('../services/aiService');
 const ollamaService = require('../services/ollamaService');
+const providers = require('../services/providers');
+const modelRouter = require('../services/modelRouter');
+const gpuConfigService = require('../services/gpuConfigService');
+const questionPipeline = require('../services/generation/questionPipeline');
+const questionSchema = require('../services/generation/questionSchema');
 const ExamPaperGenerator = require('../services/examPaperGenerator');
+const questionBankService = require('../services/questionBankService');
+const Database = require('../database/database');
+const { optionalAuth } = require('../middleware/auth');
 
 // 创建AI服务实例
 const aiService = new AIService();
 const examPaperGenerator = new ExamPaperGenerator();
 
+// 请求中的 provider 参数必须是已注册的推理后端，否则返回400
+function rejectUnknownProvider(provider, res) {
+    if (provider && !providers.has(provider)) {
+        res.status(400).json({
+            success: false,
+            message: `未知的推理后端: ${provider}`,
+            availableProviders: providers.names()
+        });
+        return true;
+    }
+    return false;
+}
+
+// 请求中的 strategy 参数必须是已注册的生成策略，否则返回400
+function rejectUnknownStrategy(strategy, res) {
+    if (strategy && !questionPipeline.hasStrategy(strategy)) {
+        res.status(400).json({
+            success: false,
+            message: `未知的生成策略: ${strategy}`,
+            availableStrategies: questionPipeline.describeStrategies().map(item => item.name)
+        });
+        return true;
+    }
+    return false;
+}
+
 // 检查AI服务状态
 router.get('/status', async (req, res) => {
     try {
-        const status = await aiService.checkServiceStatus();
+        if (rejectUnknownProvider(req.query.provider, res)) return;
+
+        const status = await aiService.checkServiceStatus(req.query.provider);
         
         res.json({
             success: true,
             data: {
                 ...status,
+                config: gpuConfigService.describe(), // 当前生效的 gpu-config.json 配置
                 timestamp: new Date().toISOString(),
                 initialized: aiService.isInitialized
             }
@@ -34,12 +71,16 @@ router.get('/status', async (req, res) => {
 // 测试Ollama连接
 router.post('/test-ollama', async (req, res) => {
     try {
+        const { provider } = req.body;
+        if (rejectUnknownProvider(provider, res)) return;
+
         const testContent = "这是一个测试内容，用于验证Ollama服务是否正常工作。";
         
         const questions = await ollamaService.generateQuestions(testContent, {
             questionCount: 2,
             questionTypes: ['multiple-choice'],
-            difficulty: 'easy'
+            difficulty: 'easy',
+            provider: provider
         });
         
         res.json({
@@ -66,18 +107,63 @@ router.post('/test-ollama', async (req, res) => {
     }
 });
 
-// 获取可用模型列表
+// 推理后端列表：状态、模型、支持的功能和token限制
+router.get('/providers', async (req, res) => {
+    try {
+        const list = await providers.describe();
+        res.json({
+            success: true,
+            data: list
+        });
+    } catch (error) {
+        console.error('获取推理后端列表失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取推理后端列表失败',
+            error: error.message
+        });
+    }
+});
+
+// 题目生成策略列表
+router.get('/strategies', (req, res) => {
+    res.json({
+        success: true,
+        data: questionPipeline.describeStrategies()
+    });
+});
+
+// 统一题目格式的版本和 JSON Schema，导入题目前可用于本地校验
+router.get('/question-schema', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            version: questionSchema.SCHEMA_VERSION,
+            types: questionSchema.QUESTION_TYPES,
+            schema: questionSchema.QUESTION_SCHEMA
+        }
+    });
+});
+
+// 获取可用模型列表和模型路由状态，?provider= 指定推理后端
 router.get('/models', async (req, res) => {
     try {
-        const status = await ollamaService.checkService();
+        if (rejectUnknownProvider(req.query.provider, res)) return;
+
+        const status = await ollamaService.checkService(req.query.provider);
+        const provider = providers.get(status.provider);
         
         res.json({
             success: true,
             data: {
+                provider: status.provider,
                 available: status.available,
                 models: status.models || [],
                 currentModel: status.currentModel,
-                modelExists: status.modelExists
+                modelExists: status.modelExists,
+                capabilities: provider.capabilities(),
+                tokenLimits: provider.tokenLimits(status.currentModel),
+                routing: await modelRouter.status(provider)
             }
         });
     } catch (error) {
@@ -91,10 +177,12 @@ router.get('/models', async (req, res) => {
 });
 
 // 生成题目（支持Ollama）
-router.post('/generate-questions', async (req, res) => {
+router.post('/generate-questions', optionalAuth, async (req, res) => {
     try {
-        const { content, questionType = 'mixed', count = 10, difficulty = 'medium' } = req.body;
+        const { content, questionType = 'mixed', count = 10, difficulty = 'medium', materialId, provider, strategy } = req.body;
         
+        if (rejectUnknownProvider(provider, res)) return;
+        if (rejectUnknownStrategy(strategy, res)) return;
         if (!content || content.trim().length < 10) {
             return res.status(400).json({
                 success: false,
@@ -102,14 +190,43 @@ router.post('/generate-questions', async (req, res) => {
             });
         }
         
+        // 指定了材料时需要登录，且材料必须属于当前用户
+        let material = null;
+        if (materialId) {
+            if (!req.user) {
+                return res.status(401).json({
+                    success: false,
+                    message: '访问令牌缺失，请先登录'
+                });
+            }
+            material = await Database.get('SELECT id, user_id FROM materials WHERE id = ?', [materialId]);
+            if (material && material.user_id !== req.user.userId) {
+                return res.status(403).json({
+                    success: false,
+                    message: '无权访问该材料'
+                });
+            }
+        }
+
         console.log(`🎯 收到题目生成请求: 类型=${questionType}, 数量=${count}, 难度=${difficulty}`);
         
-        const questions = await aiService.generateQuestionsFromContent(
-            content, 
-            questionType, 
-            count, 
-            difficulty === 'easy' ? 1 : difficulty === 'hard' ? 3 : 2
-        );
+        const difficultyLevel = difficulty === 'easy' ? 1 : difficulty === 'hard' ? 3 : 2;
+        const generation = await aiService.generateQuestions(content, {
+            questionType,
+            count,
+            difficulty: difficultyLevel,
+            provider,
+            strategy
+        });
+        let questions = generation.questions;
+
+        // 指定了材料时保存到题库，返回数据库ID
+        if (material) {
+            questions = await questionBankService.saveQuestions(material.id, questions, {
+                source: 'ai',
+                difficulty: difficultyLevel
+            });
+        }
         
         res.json({
             success: true,
@@ -121,6 +238,8 @@ router.post('/generate-questions', async (req, res) => {
                     questionType,
                     count: questions.length,
                     difficulty,
+                    strategy: generation.metadata.strategy,
+                    generation: generation.metadata,
                     generatedAt: new Date().toISOString()
                 }
             }
@@ -139,8 +258,9 @@ router.post('/generate-questions', async (req, res) => {
 // 批改问答题
 router.post('/grade-essay', async (req, res) => {
     try {
-        const { question, userAnswer, referenceAnswer } = req.body;
+        const { question, userAnswer, referenceAnswer, provider } = req.body;
         
+        if (rejectUnknownProvider(provider, res)) return;
         if (!question || !userAnswer) {
             return res.status(400).json({
                 success: false,
@@ -151,7 +271,8 @@ router.post('/grade-essay', async (req, res) => {
         const result = await ollamaService.gradeEssayQuestion(
             question, 
             userAnswer, 
-            referenceAnswer
+            referenceAnswer,
+            { provider }
         );
         
         res.json({
@@ -178,9 +299,11 @@ router.post('/generate-deepseek', async (req, res) => {
             questionType = 'mixed', 
             count = 10, 
             difficulty = 'medium',
-            focusOnConcepts = true
+            focusOnConcepts = true,
+            provider
         } = req.body;
 
+        if (rejectUnknownProvider(provider, res)) return;
         if (!content || content.trim().length === 0) {
             return res.status(400).json({
                 success: false,
@@ -191,7 +314,7 @@ router.post('/generate-deepseek', async (req, res) => {
         console.log(`🤖 收到DeepSeek题目生成请求: 类型=${questionType}, 数量=${count}, 难度=${difficulty}`);
 
         // 检查DeepSeek服务状态
-        const ollamaStatus = await ollamaService.checkService();
+        const ollamaStatus = await ollamaService.checkService(provider);
         if (!ollamaStatus.available) {
             return res.status(503).json({
                 success: false,
@@ -207,11 +330,12 @@ router.post('/generate-deepseek', async (req, res) => {
 
         const difficultyLevel = difficulty === 'easy' ? 1 : difficulty === 'hard' ? 3 : 2;
         const options = {
-            useDeepSeek: true,
+            strategy: 'deepseek',
             focusOnConcepts: focusOnConcepts,
             maxChunkSize: 1000,
             overlapSize: 200,
-            enableKnowledgeGraph: true
+            enableKnowledgeGraph: true,
+            provider: provider
         };
 
         const questions = await aiService.generateQuestionsFromContent(
@@ -232,6 +356,7 @@ router.post('/generate-deepseek', async (req, res) => {
                     questionType,
                     count: questions.length,
                     difficulty,
+                    provider: ollamaStatus.provider,
                     model: 'deepseek-r1:7b',
                     enhancedCount: questions.filter(q => q.enhanced || q.source === 'deepseek').length,
                     averageQuality: questions.reduce((sum, q) => sum + (q.qualityScore || 0.7), 0) / questions.length,
@@ -268,7 +393,7 @@ router.post('/test-deepseek', async (req, res) => {
             'mixed', 
             3, 
             2,
-            { useDeepSeek: true, focusOnConcepts: true }
+            { strategy: 'deepseek', focusOnConcepts: true }
         );
         
         res.json({
@@ -301,8 +426,9 @@ router.post('/test-deepseek', async (req, res) => {
 // 生成完整套卷（10选择+10填空+5简答）
 router.post('/generate-exam-paper', async (req, res) => {
     try {
-        const { content, difficulty = 'medium', title = '智能生成试卷' } = req.body;
+        const { content, difficulty = 'medium', title = '智能生成试卷', provider } = req.body;
         
+        if (rejectUnknownProvider(provider, res)) return;
         if (!content || content.trim().length < 100) {
             return res.status(400).json({
                 success: false,
@@ -314,7 +440,7 @@ router.post('/generate-exam-paper', async (req, res) => {
         console.log(`📄 文档长度: ${content.length} 字符`);
         
         // 检查DeepSeek服务状态
-        const ollamaStatus = await ollamaService.checkService();
+        const ollamaStatus = await ollamaService.checkService(provider);
         if (!ollamaStatus.available) {
             return res.status(503).json({
                 success: false,
@@ -336,25 +462,26 @@ router.post('/generate-exam-paper', async (req, res) => {
             title,
             includeAnswerKey: true,
             useGPUAcceleration: true,
-            timeout: 90000 // 90秒超时
+            timeout: 90000, // 90秒超时
+            provider: provider
         });
         
         const generationTime = Date.now() - startTime;
         console.log(`✅ 套卷生成完成，耗时: ${generationTime}ms`);
         
+        const counts = examPaper.metadata.sections;
         res.json({
             success: true,
-            message: `成功生成完整套卷：${examPaper.questions.multipleChoice.length}道选择题 + ${examPaper.questions.fillInBlank.length}道填空题 + ${examPaper.questions.shortAnswer.length}道简答题`,
+            message: `成功生成完整套卷：${counts.multipleChoice}道选择题 + ${counts.fillBlank}道填空题 + ${counts.shortAnswer}道简答题`,
             data: {
                 examPaper,
                 metadata: {
                     contentLength: content.length,
                     difficulty,
-                    totalQuestions: examPaper.questions.multipleChoice.length + 
-                                  examPaper.questions.fillInBlank.length + 
-                                  examPaper.questions.shortAnswer.length,
+                    totalQuestions: examPaper.metadata.totalQuestions,
                     generationTime: `${(generationTime / 1000).toFixed(2)}秒`,
-                    model: 'deepseek-r1:7b',
+                    provider: examPaper.metadata.provider,
+                    model: examPaper.metadata.model,
                     gpuAccelerated: true,
                     generatedAt: new Date().toISOString()
                 }
@@ -401,6 +528,8 @@ router.post('/test-exam-paper', async (req, res) => {
             includeAnswerKey: true
         });
         
+        const { sections } = examPaper;
+        const counts = examPaper.metadata.sections;
         res.json({
             success: true,
             message: '套卷生成测试成功',
@@ -408,19 +537,17 @@ router.post('/test-exam-paper', async (req, res) => {
                 examPaper: {
                     ...examPaper,
                     // 只返回前2道题作为示例
-                    questions: {
-                        multipleChoice: examPaper.questions.multipleChoice.slice(0, 2),
-                        fillInBlank: examPaper.questions.fillInBlank.slice(0, 2),
-                        shortAnswer: examPaper.questions.shortAnswer.slice(0, 1)
+                    sections: {
+                        multipleChoice: { ...sections.multipleChoice, questions: sections.multipleChoice.questions.slice(0, 2) },
+                        fillBlank: { ...sections.fillBlank, questions: sections.fillBlank.questions.slice(0, 2) },
+                        shortAnswer: { ...sections.shortAnswer, questions: sections.shortAnswer.questions.slice(0, 1) }
                     }
                 },
                 fullStats: {
-                    multipleChoiceCount: examPaper.questions.multipleChoice.length,
-                    fillInBlankCount: examPaper.questions.fillInBlank.length,
-                    shortAnswerCount: examPaper.questions.shortAnswer.length,
-                    totalQuestions: examPaper.questions.multipleChoice.length + 
-                                  examPaper.questions.fillInBlank.length + 
-                                  examPaper.questions.shortAnswer.length
+                    multipleChoiceCount: counts.multipleChoice,
+                    fillBlankCount: counts.fillBlank,
+                    shortAnswerCount: counts.shortAnswer,
+                    totalQuestions: examPaper.metadata.totalQuestions
                 },
                 timestamp: new Date().toISOString()
             }
@@ -1,12 +1,16 @@
 const express = require('express');
 const Database = require('../database/database');
+const { requireAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
+// 所有统计接口都需要识别当前用户
+router.use(requireAuth);
+
 // 获取学习统计数据
 router.get('/stats', async (req, res) => {
     try {
-        const userId = 1; // 本地测试使用固定用户ID
+        const userId = req.user.userId;
         const { period = '7d' } = req.query;
 
         // 计算日期范围
@@ -101,7 +105,7 @@ router.get('/stats', async (req, res) => {
 // 获取学习进度趋势
 router.get('/progress', async (req, res) => {
     try {
-        const userId = req.user ? req.user.userId : 1;
+        const userId = req.user.userId;
         const { period = '30d' } = req.query;
 
         const endDate = new Date();
@@ -149,7 +153,7 @@ router.get('/progress', async (req, res) => {
 // 获取错题分析
 router.get('/wrong-analysis', async (req, res) => {
     try {
-        const userId = 1; // 临时使用固定用户ID
+        const userId = req.user.userId;
 
         // 按题目类型统计错题
         const typeStats = await Database.query(
@@ -222,7 +226,7 @@ router.get('/wrong-analysis', async (req, res) => {
 // 获取学习建议
 router.get('/recommendations', async (req, res) => {
     try {
-        const userId = 1; // 临时使用固定用户ID
+        const userId = req.user.userId;
 
         // 获取用户最近的学习数据
         const recentStats = await Database.get(
@@ -0,0 +1,115 @@
+// 班级作业路由，挂载于 /api/assignments
+// 学生作答使用 /api/quiz/answer 和 /api/quiz/complete/:sessionId 提交
+const express = require('express');
+const assignmentService = require('../services/assignmentService');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// 统一返回服务层错误
+function sendError(res, error, fallbackMessage) {
+    console.error(`${fallbackMessage}:`, error.message);
+    res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : fallbackMessage,
+        errors: error.errors // 题目格式校验的逐题错误
+    });
+}
+
+// 作业列表：教师看自己布置的作业，学生看所在班级的作业
+router.get('/', async (req, res) => {
+    try {
+        const assignments = await assignmentService.list(req.user, { classId: req.query.classId });
+        res.json({
+            success: true,
+            data: assignments
+        });
+    } catch (error) {
+        sendError(res, error, '获取作业列表失败');
+    }
+});
+
+// 布置作业（教师、管理员）
+router.post('/', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const assignment = await assignmentService.create(req.user.userId, req.body);
+        res.status(201).json({
+            success: true,
+            message: '作业布置成功',
+            data: assignment
+        });
+    } catch (error) {
+        sendError(res, error, '布置作业失败');
+    }
+});
+
+// 作业详情
+router.get('/:id', async (req, res) => {
+    try {
+        const assignment = await assignmentService.get(req.user, req.params.id);
+        res.json({
+            success: true,
+            data: assignment
+        });
+    } catch (error) {
+        sendError(res, error, '获取作业失败');
+    }
+});
+
+// 修改作业（教师、管理员）
+router.put('/:id', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const assignment = await assignmentService.update(req.user.userId, req.params.id, req.body);
+        res.json({
+            success: true,
+            message: '作业已更新',
+            data: assignment
+        });
+    } catch (error) {
+        sendError(res, error, '更新作业失败');
+    }
+});
+
+// 删除作业（教师、管理员）
+router.delete('/:id', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        await assignmentService.remove(req.user.userId, req.params.id);
+        res.json({
+            success: true,
+            message: '作业已删除'
+        });
+    } catch (error) {
+        sendError(res, error, '删除作业失败');
+    }
+});
+
+// 开始作答
+router.post('/:id/start', async (req, res) => {
+    try {
+        const session = await assignmentService.start(req.user.userId, req.params.id);
+        res.json({
+            success: true,
+            message: session.resumed ? '继续上次作答' : '开始作答',
+            data: session
+        });
+    } catch (error) {
+        sendError(res, error, '开始作答失败');
+    }
+});
+
+// 成绩册（教师、管理员）
+router.get('/:id/gradebook', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const gradebook = await assignmentService.gradebook(req.user.userId, req.params.id);
+        res.json({
+            success: true,
+            data: gradebook
+        });
+    } catch (error) {
+        sendError(res, error, '获取成绩册失败');
+    }
+});
+
+module.exports = router;
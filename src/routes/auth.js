@@ -1,10 +1,10 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const Database = require('../database/database');
+const { requireAuth } = require('../middleware/auth');
+const tokenService = require('../services/tokenService');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
 // 用户注册
 router.post('/register', async (req, res) => {
@@ -36,28 +36,33 @@ router.post('/register', async (req, res) => {
         const saltRounds = 10;
         const passwordHash = await bcrypt.hash(password, saltRounds);
 
+        // 公开注册的用户都是学生，教师和管理员由管理员设置（第一个管理员见迁移中的 ADMIN_EMAIL）
+        const role = 'student';
+
         // 创建用户
         const result = await Database.insert(
-            'INSERT INTO users (username, email, password_hash) VALUES (?, ?, ?)',
-            [username, email, passwordHash]
+            'INSERT INTO users (username, email, password_hash, role) VALUES (?, ?, ?, ?)',
+            [username, email, passwordHash, role]
         );
 
-        // 生成JWT令牌
-        const token = jwt.sign(
-            { userId: result.id, username },
-            JWT_SECRET,
-            { expiresIn: '7d' }
+        // 签发访问令牌和刷新令牌
+        const tokens = await tokenService.issueTokens(
+            { id: result.id, username, role },
+            { userAgent: req.headers['user-agent'] }
         );
 
         res.status(201).json({
             success: true,
             message: '注册成功',
             data: {
-                token,
+                token: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                refreshExpiresAt: tokens.refreshExpiresAt,
                 user: {
                     id: result.id,
                     username,
                     email,
+                    role,
                     level: 1,
                     experience: 0
                 }
@@ -109,12 +114,15 @@ router.post('/login', async (req, res) => {
             });
         }
 
-        // 生成JWT令牌
-        const token = jwt.sign(
-            { userId: user.id, username: user.username },
-            JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        if (user.disabled) {
+            return res.status(403).json({
+                success: false,
+                message: '账号已被停用，请联系管理员'
+            });
+        }
+
+        // 签发访问令牌和刷新令牌
+        const tokens = await tokenService.issueTokens(user, { userAgent: req.headers['user-agent'] });
 
         // 更新最后登录时间
         await Database.update(
@@ -126,11 +134,14 @@ router.post('/login', async (req, res) => {
             success: true,
             message: '登录成功',
             data: {
-                token,
+                token: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                refreshExpiresAt: tokens.refreshExpiresAt,
                 user: {
                     id: user.id,
                     username: user.username,
                     email: user.email,
+                    role: user.role,
                     level: user.level,
                     experience: user.experience,
                     avatar: user.avatar,
@@ -149,11 +160,78 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// 刷新令牌：用刷新令牌换取新的访问令牌，刷新令牌同时轮换
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: '刷新令牌是必填项'
+            });
+        }
+
+        const tokens = await tokenService.rotate(refreshToken, req.headers['user-agent']);
+
+        res.json({
+            success: true,
+            message: '令牌刷新成功',
+            data: {
+                token: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                refreshExpiresAt: tokens.refreshExpiresAt
+            }
+        });
+
+    } catch (error) {
+        console.error('刷新令牌错误:', error.message);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : '刷新令牌失败'
+        });
+    }
+});
+
+// 退出登录：吊销刷新令牌，allDevices为true时退出所有设备
+router.post('/logout', async (req, res) => {
+    try {
+        const { refreshToken, allDevices = false } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: '刷新令牌是必填项'
+            });
+        }
+
+        const record = await tokenService.findRecord(refreshToken);
+        if (record && allDevices) {
+            await tokenService.revokeAllForUser(record.user_id);
+        } else if (record) {
+            await tokenService.revoke(refreshToken);
+        }
+
+        // 令牌不存在时同样视为已退出，避免泄露令牌是否有效
+        res.json({
+            success: true,
+            message: '已退出登录'
+        });
+
+    } catch (error) {
+        console.error('退出登录错误:', error);
+        res.status(500).json({
+            success: false,
+            message: '退出登录失败'
+        });
+    }
+});
+
 // 获取用户信息
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', requireAuth, async (req, res) => {
     try {
         const user = await Database.get(
-            'SELECT id, username, email, level, experience, avatar, study_goal, daily_target, created_at FROM users WHERE id = ?',
+            'SELECT id, username, email, role, level, experience, avatar, study_goal, daily_target, created_at FROM users WHERE id = ?',
             [req.user.userId]
         );
 
@@ -170,6 +248,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
                 id: user.id,
                 username: user.username,
                 email: user.email,
+                role: user.role,
                 level: user.level,
                 experience: user.experience,
                 avatar: user.avatar,
@@ -189,7 +268,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 });
 
 // 更新用户信息
-router.put('/profile', authenticateToken, async (req, res) => {
+router.put('/profile', requireAuth, async (req, res) => {
     try {
         const { username, email, studyGoal, dailyTarget } = req.body;
         const userId = req.user.userId;
@@ -258,7 +337,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
 });
 
 // 修改密码
-router.put('/password', authenticateToken, async (req, res) => {
+router.put('/password', requireAuth, async (req, res) => {
     try {
         const { currentPassword, newPassword } = req.body;
         const userId = req.user.userId;
@@ -303,9 +382,13 @@ router.put('/password', authenticateToken, async (req, res) => {
             [newPasswordHash, userId]
         );
 
+        // 修改密码后吊销所有登录会话，包括当前设备
+        const revoked = await tokenService.revokeAllForUser(userId);
+        console.log(`🔐 用户 ${userId} 修改密码，已吊销 ${revoked} 个登录会话`);
+
         res.json({
             success: true,
-            message: '密码修改成功'
+            message: '密码修改成功，请重新登录'
         });
 
     } catch (error) {
@@ -317,28 +400,4 @@ router.put('/password', authenticateToken, async (req, res) => {
     }
 });
 
-// JWT认证中间件
-function authenticateToken(req, res, next) {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-        return res.status(401).json({
-            success: false,
-            message: '访问令牌缺失'
-        });
-    }
-
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({
-                success: false,
-                message: '访问令牌无效'
-            });
-        }
-        req.user = user;
-        next();
-    });
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,142 @@
+// 班级路由，挂载于 /api/classes
+const express = require('express');
+const classService = require('../services/classService');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// 统一返回服务层错误
+function sendError(res, error, fallbackMessage) {
+    console.error(`${fallbackMessage}:`, error.message);
+    res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : fallbackMessage
+    });
+}
+
+// 班级列表：教师看自己创建的班级，学生看已加入的班级
+router.get('/', async (req, res) => {
+    try {
+        const classes = await classService.list(req.user);
+        res.json({
+            success: true,
+            data: classes
+        });
+    } catch (error) {
+        sendError(res, error, '获取班级列表失败');
+    }
+});
+
+// 创建班级（教师、管理员）
+router.post('/', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const { name, description } = req.body;
+        const classInfo = await classService.create(req.user.userId, { name, description });
+        res.status(201).json({
+            success: true,
+            message: '班级创建成功',
+            data: classInfo
+        });
+    } catch (error) {
+        sendError(res, error, '创建班级失败');
+    }
+});
+
+// 通过邀请码加入班级
+router.post('/join', async (req, res) => {
+    try {
+        const classInfo = await classService.join(req.user.userId, req.body.inviteCode);
+        res.json({
+            success: true,
+            message: `已加入班级「${classInfo.name}」`,
+            data: classInfo
+        });
+    } catch (error) {
+        sendError(res, error, '加入班级失败');
+    }
+});
+
+// 班级详情
+router.get('/:id', async (req, res) => {
+    try {
+        const classInfo = await classService.get(req.user, req.params.id);
+        res.json({
+            success: true,
+            data: classInfo
+        });
+    } catch (error) {
+        sendError(res, error, '获取班级失败');
+    }
+});
+
+// 修改班级（教师、管理员）
+router.put('/:id', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const { name, description, archived } = req.body;
+        const classInfo = await classService.update(req.user.userId, req.params.id, { name, description, archived });
+        res.json({
+            success: true,
+            message: '班级已更新',
+            data: classInfo
+        });
+    } catch (error) {
+        sendError(res, error, '更新班级失败');
+    }
+});
+
+// 重置邀请码（教师、管理员）
+router.post('/:id/invite-code', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const inviteCode = await classService.resetInviteCode(req.user.userId, req.params.id);
+        res.json({
+            success: true,
+            message: '邀请码已重置',
+            data: { inviteCode }
+        });
+    } catch (error) {
+        sendError(res, error, '重置邀请码失败');
+    }
+});
+
+// 删除班级（教师、管理员）
+router.delete('/:id', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        await classService.remove(req.user.userId, req.params.id);
+        res.json({
+            success: true,
+            message: '班级已删除'
+        });
+    } catch (error) {
+        sendError(res, error, '删除班级失败');
+    }
+});
+
+// 退出班级
+router.post('/:id/leave', async (req, res) => {
+    try {
+        await classService.leave(req.user.userId, req.params.id);
+        res.json({
+            success: true,
+            message: '已退出班级'
+        });
+    } catch (error) {
+        sendError(res, error, '退出班级失败');
+    }
+});
+
+// 移出学生（教师、管理员）
+router.delete('/:id/members/:userId', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        await classService.removeMember(req.user.userId, req.params.id, req.params.userId);
+        res.json({
+            success: true,
+            message: '已将学生移出班级'
+        });
+    } catch (error) {
+        sendError(res, error, '移出学生失败');
+    }
+});
+
+module.exports = router;
@@ -2,33 +2,30 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const pdfParse = require('pdf-parse');
-const mammoth = require('mammoth');
 const Database = require('../database/database');
 const ErrorHandler = require('../utils/errorHandler');
 const SecurityUtils = require('../utils/security');
-const DocumentProcessor = require('../services/documentProcessor');
-const AIService = require('../services/aiService');
+const jobQueue = require('../services/jobQueue');
+const materialJobs = require('../services/materialJobs');
+const extractors = require('../services/extractors');
+const materialLibrary = require('../services/materialLibrary');
+const { requireAuth, requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
-// 初始化服务
-const documentProcessor = new DocumentProcessor();
-const aiService = new AIService();
-
-// 处理任务存储
-const processingTasks = new Map();
+// 所有接口都需要识别当前用户
+router.use(requireAuth);
 
 /**
  * 增强文件上传端点
  */
-router.post('/upload-enhanced', ErrorHandler.asyncWrapper(async (req, res) => {
+router.post('/upload-enhanced', requireRole('teacher', 'admin'), ErrorHandler.asyncWrapper(async (req, res) => {
     if (!req.file) {
         return ErrorHandler.sendError(res, 400, '没有上传文件');
     }
 
     const file = req.file;
-    const userId = 1; // 本地测试使用固定用户ID
+    const userId = req.user.userId;
     const analysis = req.body.analysis ? JSON.parse(req.body.analysis) : {};
     const metadata = req.body.metadata ? JSON.parse(req.body.metadata) : {};
     const requiresChunking = req.body.requiresChunking === 'true';
@@ -47,90 +44,69 @@ router.post('/upload-enhanced', ErrorHandler.asyncWrapper(async (req, res) => {
     }
 
     try {
-        // 生成任务ID
-        const taskId = generateTaskId();
-        
-        // 保存文件信息到数据库
-        const result = await Database.insert(
-            `INSERT INTO materials (user_id, filename, original_name, file_type, file_size, file_path, 
-                                   requires_chunking, chunk_size, processing_status, task_id, analysis_data) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                userId,
-                file.filename,
-                SecurityUtils.sanitizeInput(file.originalname),
-                path.extname(file.originalname).substring(1).toLowerCase(),
-                file.size,
-                file.path,
-                requiresChunking ? 1 : 0,
-                chunkSize,
-                'pending',
-                taskId,
-                JSON.stringify({ analysis, metadata })
-            ]
-        );
-
-        // 创建处理任务
-        const task = {
-            id: taskId,
-            materialId: result.id,
-            status: 'pending',
-            progress: 0,
-            stage: 'queued',
-            startTime: new Date(),
-            file: file,
-            analysis: analysis,
-            metadata: metadata,
-            requiresChunking: requiresChunking,
-            chunkSize: chunkSize
-        };
-
-        processingTasks.set(taskId, task);
-
-        // 异步开始处理
-        processEnhancedFile(task).catch(error => {
-            console.error(`任务 ${taskId} 处理失败:`, error);
-            task.status = 'failed';
-            task.error = error.message;
+        // 保存文件信息到数据库：相同内容直接使用已有材料，同名文件保存为新版本，超出存储配额时拒绝
+        // 并加入后台任务队列处理
+        const { material, taskId, duplicate, restored, previousVersion } = await materialLibrary.saveUpload(userId, file, {
+            fields: {
+                requires_chunking: requiresChunking ? 1 : 0,
+                chunk_size: chunkSize,
+                processing_status: 'pending',
+                analysis_data: JSON.stringify({ analysis, metadata })
+            },
+            chunkSize
         });
 
         return ErrorHandler.sendSuccess(res, {
             taskId: taskId,
-            materialId: result.id,
+            materialId: material.id,
             filename: file.originalname,
             size: file.size,
-            type: path.extname(file.originalname).substring(1).toLowerCase(),
+            type: material.file_type,
             requiresChunking: requiresChunking,
-            estimatedTime: analysis.estimatedProcessingTime || 30
-        }, '文件上传成功，开始智能处理');
+            estimatedTime: duplicate ? 0 : analysis.estimatedProcessingTime || 30,
+            version: material.version,
+            previousVersionId: previousVersion ? previousVersion.id : null,
+            duplicate: duplicate
+        }, restored
+            ? `文件内容与第 ${material.version} 版相同，已恢复为最新版本`
+            : duplicate ? '文件内容与已有材料相同，使用已有的处理结果和题目' : '文件上传成功，开始智能处理');
 
     } catch (error) {
-        // 删除已上传的文件
-        if (fs.existsSync(file.path)) {
+        // 删除已上传的文件（已保存为材料的除外）
+        if (fs.existsSync(file.path) && !(await Database.get('SELECT id FROM materials WHERE file_path = ?', [file.path]))) {
             fs.unlinkSync(file.path);
         }
+        if (error.statusCode) {
+            return ErrorHandler.sendError(res, error.statusCode, error.message);
+        }
         return ErrorHandler.handleDatabaseError(error, res);
     }
 }));
 
 /**
- * 获取处理状态
+ * 获取处理状态（任务状态保存在数据库中，服务重启后仍可查询）
  */
 router.get('/processing-status/:taskId', ErrorHandler.asyncWrapper(async (req, res) => {
     const taskId = req.params.taskId;
-    const task = processingTasks.get(taskId);
+    const task = await jobQueue.getJob(taskId);
 
     if (!task) {
         return ErrorHandler.sendError(res, 404, '任务不存在');
     }
 
+    if (task.userId !== req.user.userId) {
+        return ErrorHandler.sendError(res, 403, '无权查看该任务');
+    }
+
     const response = {
         taskId: taskId,
         status: task.status,
         progress: task.progress,
         stage: task.stage,
+        attempts: task.attempts,
+        maxAttempts: task.maxAttempts,
         completed: task.status === 'completed',
-        error: task.error || null
+        error: task.status === 'failed' || task.status === 'cancelled' ? (task.error || '任务已取消') : null
     };
 
     if (task.status === 'completed') {
@@ -144,7 +120,7 @@ router.get('/processing-status/:taskId', ErrorHandler.asyncWrapper(async (req, r
  * 获取增强材料列表
  */
 router.get('/list-enhanced', ErrorHandler.asyncWrapper(async (req, res) => {
-    const userId = 1; // 本地测试使用固定用户ID
+    const userId = req.user.userId;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
@@ -153,7 +129,7 @@ router.get('/list-enhanced', ErrorHandler.asyncWrapper(async (req, res) => {
 
     // 获取材料总数
     const countResult = await Database.query(
-        'SELECT COUNT(*) as total FROM materials WHERE user_id = ?',
+        'SELECT COUNT(*) as total FROM materials WHERE user_id = ? AND is_latest = 1',
         [userId]
     );
     const total = countResult[0].total;
@@ -161,10 +137,10 @@ router.get('/list-enhanced', ErrorHandler.asyncWrapper(async (req, res) => {
     // 获取材料列表
     const materials = await Database.query(
         `SELECT id, original_name, file_type, file_size, processed, processing_status, 
-                requires_chunking, chunk_size, task_id, analysis_data, created_at,
+                requires_chunking, chunk_size, task_id, analysis_data, version, created_at,
                 (SELECT COUNT(*) FROM quiz_sessions WHERE material_id = materials.id) as quiz_count
          FROM materials 
-         WHERE user_id = ? 
+         WHERE user_id = ? AND is_latest = 1
          ORDER BY created_at DESC 
          LIMIT ? OFFSET ?`,
         [userId, limit, offset]
@@ -191,6 +167,7 @@ router.get('/list-enhanced', ErrorHandler.asyncWrapper(async (req, res) => {
             chunkSize: material.chunk_size,
             taskId: material.task_id,
             quizCount: material.quiz_count,
+            version: material.version || 1,
             isLargeFile: material.file_size > 5 * 1024 * 1024,
             analysis: {
                 complexity: analysisData.analysis?.complexity || 'unknown',
@@ -216,7 +193,7 @@ router.get('/list-enhanced', ErrorHandler.asyncWrapper(async (req, res) => {
  */
 router.get('/details/:id', ErrorHandler.asyncWrapper(async (req, res) => {
     const materialId = req.params.id;
-    const userId = 1;
+    const userId = req.user.userId;
 
     const material = await Database.query(
         `SELECT * FROM materials WHERE id = ? AND user_id = ?`,
@@ -252,6 +229,10 @@ router.get('/details/:id', ErrorHandler.asyncWrapper(async (req, res) => {
         }
     }
 
+    // 扫描件和图片的识别结果：每页的置信度和需要核对的低置信度区域
+    const structure = extractors.parseStructure(materialData.content_structure);
+    const ocr = structure && structure.metadata ? structure.metadata.ocr || null : null;
+
     const detailedMaterial = {
         id: materialData.id,
         name: materialData.original_name,
@@ -267,7 +248,10 @@ router.get('/details/:id', ErrorHandler.asyncWrapper(async (req, res) => {
         taskId: materialData.task_id,
         analysis: analysisData.analysis || {},
         metadata: analysisData.metadata || {},
-        processedContent: processedContent
+        processedContent: processedContent,
+        ocr: ocr,
+        version: materialData.version || 1,
+        versions: await materialLibrary.listVersions(materialData)
     };
 
     return ErrorHandler.sendSuccess(res, detailedMaterial, '获取材料详情成功');
@@ -276,9 +260,9 @@ router.get('/details/:id', ErrorHandler.asyncWrapper(async (req, res) => {
 /**
  * 重新处理材料
  */
-router.post('/reprocess/:id', ErrorHandler.asyncWrapper(async (req, res) => {
+router.post('/reprocess/:id', requireRole('teacher', 'admin'), ErrorHandler.asyncWrapper(async (req, res) => {
     const materialId = req.params.id;
-    const userId = 1;
+    const userId = req.user.userId;
     const options = req.body || {};
 
     // 检查材料是否存在
@@ -299,46 +283,11 @@ router.post('/reprocess/:id', ErrorHandler.asyncWrapper(async (req, res) => {
     }
 
     try {
-        // 生成新的任务ID
-        const taskId = generateTaskId();
-
-        // 更新材料状态
-        await Database.update(
-            'UPDATE materials SET processing_status = ?, task_id = ? WHERE id = ?',
-            ['pending', taskId, materialId]
-        );
-
-        // 创建重新处理任务
-        const task = {
-            id: taskId,
-            materialId: materialId,
-            status: 'pending',
-            progress: 0,
-            stage: 'queued',
-            startTime: new Date(),
-            file: {
-                path: materialData.file_path,
-                originalname: materialData.original_name,
-                size: materialData.file_size,
-                mimetype: getMimeTypeFromExtension(materialData.file_type)
-            },
-            requiresChunking: materialData.requires_chunking === 1,
-            chunkSize: options.chunkSize || materialData.chunk_size || 1000,
-            reprocessing: true,
-            options: options
-        };
-
-        processingTasks.set(taskId, task);
-
-        // 异步开始重新处理
-        processEnhancedFile(task).catch(error => {
-            console.error(`重新处理任务 ${taskId} 失败:`, error);
-            task.status = 'failed';
-            task.error = error.message;
-        });
+        // 加入后台任务队列重新处理
+        const job = await materialJobs.enqueueProcessing(materialData, { chunkSize: options.chunkSize });
 
         return ErrorHandler.sendSuccess(res, {
-            taskId: taskId,
+            taskId: job.id,
             materialId: materialId,
             message: '开始重新处理材料'
         });
@@ -351,9 +300,9 @@ router.post('/reprocess/:id', ErrorHandler.asyncWrapper(async (req, res) => {
 /**
  * 批量删除材料
  */
-router.delete('/batch', ErrorHandler.asyncWrapper(async (req, res) => {
+router.delete('/batch', requireRole('teacher', 'admin'), ErrorHandler.asyncWrapper(async (req, res) => {
     const { ids } = req.body;
-    const userId = 1;
+    const userId = req.user.userId;
 
     if (!Array.isArray(ids) || ids.length === 0) {
         return ErrorHandler.sendError(res, 400, '请提供要删除的材料ID列表');
@@ -361,196 +310,49 @@ router.delete('/batch', ErrorHandler.asyncWrapper(async (req, res) => {
 
     console.log(`🗑️ 批量删除材料: ${ids.join(', ')}`);
 
-    const deletedCount = await deleteMaterialsBatch(ids, userId);
+    const { deletedCount, busyIds } = await deleteMaterialsBatch(ids, userId);
 
     return ErrorHandler.sendSuccess(res, {
         deletedCount: deletedCount,
-        requestedCount: ids.length
-    }, `成功删除 ${deletedCount} 个材料`);
+        requestedCount: ids.length,
+        busyIds: busyIds
+    }, busyIds.length > 0
+        ? `成功删除 ${deletedCount} 个材料，${busyIds.length} 个材料正在处理，已请求取消任务，请稍后再删除`
+        : `成功删除 ${deletedCount} 个材料`);
 }));
 
 /**
- * 处理增强文件
- */
-async function processEnhancedFile(task) {
-    try {
-        console.log(`🚀 开始处理任务: ${task.id}`);
-        
-        // 更新任务状态
-        task.status = 'processing';
-        task.stage = 'extracting_content';
-        task.progress = 10;
-
-        // 第一步：提取文件内容
-        const content = await extractFileContent(task.file);
-        task.progress = 30;
-
-        // 第二步：智能文档处理
-        task.stage = 'analyzing_document';
-        const processedDoc = await documentProcessor.processDocument(content, {
-            maxChunkSize: task.chunkSize,
-            overlapSize: Math.floor(task.chunkSize * 0.2),
-            enableKnowledgeGraph: true,
-            analysisDepth: 'comprehensive'
-        });
-        task.progress = 60;
-
-        // 第三步：保存处理结果
-        task.stage = 'saving_results';
-        await saveProcessedContent(task.materialId, processedDoc, content);
-        task.progress = 80;
-
-        // 第四步：更新数据库状态
-        task.stage = 'finalizing';
-        await Database.update(
-            'UPDATE materials SET processed = 1, processing_status = ? WHERE id = ?',
-            ['completed', task.materialId]
-        );
-        task.progress = 100;
-
-        // 完成任务
-        task.status = 'completed';
-        task.stage = 'completed';
-        task.endTime = new Date();
-        task.result = {
-            chunks: processedDoc.chunks.length,
-            keyTerms: processedDoc.globalMetadata.topKeyTerms.length,
-            complexity: processedDoc.globalMetadata.averageComplexity,
-            processingTime: task.endTime - task.startTime
-        };
-
-        console.log(`✅ 任务 ${task.id} 处理完成`);
-
-    } catch (error) {
-        console.error(`❌ 任务 ${task.id} 处理失败:`, error);
-        task.status = 'failed';
-        task.error = error.message;
-        
-        // 更新数据库状态
-        try {
-            await Database.update(
-                'UPDATE materials SET processing_status = ? WHERE id = ?',
-                ['failed', task.materialId]
-            );
-        } catch (dbError) {
-            console.error('更新失败状态到数据库失败:', dbError);
-        }
-    }
-}
-
-/**
- * 提取文件内容
- */
-async function extractFileContent(file) {
-    const filePath = file.path;
-    const mimeType = file.mimetype || getMimeTypeFromExtension(path.extname(file.originalname || filePath));
-
-    console.log(`📄 提取文件内容: ${file.originalname || filePath}, 类型: ${mimeType}`);
-
-    try {
-        if (mimeType === 'application/pdf') {
-            const dataBuffer = fs.readFileSync(filePath);
-            const data = await pdfParse(dataBuffer);
-            return data.text;
-        } else if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-            const result = await mammoth.extractRawText({ path: filePath });
-            return result.value;
-        } else if (mimeType === 'application/msword') {
-            // 对于老版本的Word文档，尝试使用mammoth
-            try {
-                const result = await mammoth.extractRawText({ path: filePath });
-                return result.value;
-            } catch (error) {
-                console.warn('mammoth处理.doc文件失败，尝试读取为文本:', error);
-                return fs.readFileSync(filePath, 'utf8');
-            }
-        } else {
-            // 文本文件
-            return fs.readFileSync(filePath, 'utf8');
-        }
-    } catch (error) {
-        console.error('文件内容提取失败:', error);
-        throw new Error(`文件内容提取失败: ${error.message}`);
-    }
-}
-
-/**
- * 保存处理后的内容
- */
-async function saveProcessedContent(materialId, processedDoc, originalContent) {
-    try {
-        // 准备内容预览（前500字符）
-        const contentPreview = originalContent.substring(0, 500);
-        
-        // 准备关键词（前20个）
-        const keyTerms = processedDoc.globalMetadata.topKeyTerms
-            .slice(0, 20)
-            .map(term => term.term)
-            .join(', ');
-
-        // 删除旧的处理内容
-        await Database.query('DELETE FROM material_content WHERE material_id = ?', [materialId]);
-
-        // 插入新的处理内容
-        await Database.insert(
-            `INSERT INTO material_content (material_id, content_preview, chunk_count, key_terms, 
-                                         processed_data, created_at) 
-             VALUES (?, ?, ?, ?, ?, datetime('now'))`,
-            [
-                materialId,
-                contentPreview,
-                processedDoc.chunks.length,
-                keyTerms,
-                JSON.stringify({
-                    chunks: processedDoc.chunks.map(chunk => ({
-                        index: chunk.index,
-                        content: chunk.content.substring(0, 200), // 只保存前200字符
-                        metadata: chunk.metadata
-                    })),
-                    globalMetadata: processedDoc.globalMetadata,
-                    knowledgeGraph: {
-                        nodeCount: processedDoc.knowledgeGraph.nodes.length,
-                        edgeCount: processedDoc.knowledgeGraph.edges.length,
-                        topNodes: processedDoc.knowledgeGraph.nodes.slice(0, 10)
-                    },
-                    importantSections: processedDoc.importantSections.slice(0, 5)
-                })
-            ]
-        );
-
-        console.log(`💾 材料 ${materialId} 的处理内容已保存`);
-    } catch (error) {
-        console.error('保存处理内容失败:', error);
-        throw error;
-    }
-}
-
-/**
- * 批量删除材料
+ * 批量删除材料；处理任务仍在执行的材料跳过，返回在 busyIds 中
  */
 async function deleteMaterialsBatch(ids, userId) {
     let deletedCount = 0;
+    const busyIds = [];
 
     for (const id of ids) {
         try {
             // 获取材料信息
             const material = await Database.query(
-                'SELECT file_path FROM materials WHERE id = ? AND user_id = ?',
+                'SELECT * FROM materials WHERE id = ? AND user_id = ?',
                 [id, userId]
             );
 
             if (material.length > 0) {
-                // 删除文件
-                const filePath = material[0].file_path;
-                if (fs.existsSync(filePath)) {
-                    fs.unlinkSync(filePath);
+                // 先取消材料的处理任务，执行中的任务停止前不能删除
+                if (await jobQueue.cancelForMaterial(material[0].id) > 0) {
+                    busyIds.push(material[0].id);
+                    continue;
                 }
 
                 // 删除数据库记录
                 await Database.query('DELETE FROM material_content WHERE material_id = ?', [id]);
+                await Database.query('DELETE FROM questions WHERE material_id = ?', [id]);
+                await Database.query('DELETE FROM processing_tasks WHERE material_id = ?', [id]);
                 await Database.query('DELETE FROM quiz_sessions WHERE material_id = ?', [id]);
                 await Database.query('DELETE FROM materials WHERE id = ? AND user_id = ?', [id, userId]);
 
+                // 文件没有其他材料使用时才删除，删除最新版本后上一版本成为最新版本
+                await materialLibrary.release(material[0]);
+
                 deletedCount++;
             }
         } catch (error) {
@@ -558,7 +360,7 @@ async function deleteMaterialsBatch(ids, userId) {
         }
     }
 
-    return deletedCount;
+    return { deletedCount, busyIds };
 }
 
 /**
@@ -576,7 +378,7 @@ function validateEnhancedFile(file, analysis) {
     }
 
     // 文件类型验证
-    const allowedTypes = ['.txt', '.pdf', '.doc', '.docx', '.md', '.html'];
+    const allowedTypes = ['.txt', '.pdf', '.doc', '.docx', '.pptx', '.md', '.markdown', '.html', '.htm', '.epub', '.png', '.jpg', '.jpeg'];
     const fileExt = path.extname(file.originalname).toLowerCase();
     if (!allowedTypes.includes(fileExt)) {
         return { valid: false, reason: `不支持的文件类型: ${fileExt}` };
@@ -585,28 +387,6 @@ function validateEnhancedFile(file, analysis) {
     return { valid: true };
 }
 
-/**
- * 生成任务ID
- */
-function generateTaskId() {
-    return 'task_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-}
-
-/**
- * 根据扩展名获取MIME类型
- */
-function getMimeTypeFromExtension(ext) {
-    const mimeTypes = {
-        '.txt': 'text/plain',
-        '.pdf': 'application/pdf',
-        '.doc': 'application/msword',
-        '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        '.md': 'text/markdown',
-        '.html': 'text/html'
-    };
-    return mimeTypes[ext.toLowerCase()] || 'text/plain';
-}
-
 /**
  * 格式化文件大小
  */
@@ -0,0 +1,180 @@
+// 后台任务路由，挂载于 /api/jobs
+// 材料处理和批量出题的任务状态都保存在数据库中，服务重启后仍可查询
+const express = require('express');
+const jobQueue = require('../services/jobQueue');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// 只能查看和取消自己发起的任务，管理员可以查看全部
+async function getOwnedJob(req, res) {
+    const job = await jobQueue.getJob(req.params.taskId);
+    if (!job) {
+        res.status(404).json({
+            success: false,
+            message: '任务不存在'
+        });
+        return null;
+    }
+    if (job.userId !== req.user.userId && req.user.role !== 'admin') {
+        res.status(403).json({
+            success: false,
+            message: '无权访问该任务'
+        });
+        return null;
+    }
+    return job;
+}
+
+// 当前用户的任务列表
+router.get('/', async (req, res) => {
+    try {
+        const jobs = await jobQueue.listJobs(req.user.userId, {
+            status: req.query.status,
+            materialId: req.query.materialId,
+            limit: req.query.limit
+        });
+        res.json({
+            success: true,
+            data: jobs
+        });
+    } catch (error) {
+        console.error('获取任务列表失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取任务列表失败'
+        });
+    }
+});
+
+// 任务详情，完成后包含处理结果
+router.get('/:taskId', async (req, res) => {
+    try {
+        const job = await getOwnedJob(req, res);
+        if (!job) return;
+
+        res.json({
+            success: true,
+            data: job
+        });
+    } catch (error) {
+        console.error('获取任务失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取任务失败'
+        });
+    }
+});
+
+// 任务事件流（Server-Sent Events）
+// 先推送 snapshot（数据库中的任务状态，含已完成批次的题目），之后推送 started、progress、chunked、
+// knowledge_graph、question、batch、retrying 等事件，任务结束时推送 completed/failed/cancelled 并关闭连接
+router.get('/:taskId/events', async (req, res) => {
+    let unsubscribe = null;
+    let heartbeat = null;
+
+    const cleanup = () => {
+        if (unsubscribe) unsubscribe();
+        if (heartbeat) clearInterval(heartbeat);
+        unsubscribe = null;
+        heartbeat = null;
+    };
+
+    try {
+        const job = await getOwnedJob(req, res);
+        if (!job) return;
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        const send = (type, data) => {
+            res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+        const isFinished = type => ['completed', 'failed', 'cancelled'].includes(type);
+
+        // 读取快照期间到达的事件先缓存，快照发送后再补发
+        let pending = [];
+        unsubscribe = jobQueue.subscribe(job.id, event => {
+            if (pending) {
+                pending.push(event);
+                return;
+            }
+            send(event.type, event.data);
+            if (isFinished(event.type)) {
+                cleanup();
+                res.end();
+            }
+        });
+        req.on('close', cleanup);
+
+        const snapshot = await jobQueue.getJob(job.id);
+        send('snapshot', snapshot);
+        if (isFinished(snapshot.status)) {
+            send(snapshot.status, snapshot);
+            cleanup();
+            return res.end();
+        }
+
+        const buffered = pending;
+        pending = null;
+        for (const event of buffered) {
+            send(event.type, event.data);
+            if (isFinished(event.type)) {
+                cleanup();
+                return res.end();
+            }
+        }
+
+        // 保持连接，防止代理超时断开；读取快照期间客户端已断开时不再保持
+        if (unsubscribe) {
+            heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+        }
+    } catch (error) {
+        cleanup();
+        console.error('订阅任务事件失败:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: '订阅任务事件失败'
+            });
+        } else {
+            res.end();
+        }
+    }
+});
+
+// 取消任务：排队中的任务立即取消，执行中的任务在当前阶段结束后停止
+router.post('/:taskId/cancel', async (req, res) => {
+    try {
+        const job = await getOwnedJob(req, res);
+        if (!job) return;
+
+        if (!['pending', 'processing'].includes(job.status)) {
+            return res.status(409).json({
+                success: false,
+                message: '任务已结束，无法取消'
+            });
+        }
+
+        const updated = await jobQueue.cancel(job.id);
+        res.json({
+            success: true,
+            message: updated.status === 'cancelled' ? '任务已取消' : '已请求取消，任务将在当前阶段结束后停止',
+            data: updated
+        });
+    } catch (error) {
+        console.error('取消任务失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '取消任务失败'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,22 +1,26 @@
 const express = require('express');
-const path = require('path');
 const fs = require('fs');
-const pdfParse = require('pdf-parse');
-const mammoth = require('mammoth');
 const Database = require('../database/database');
 const ErrorHandler = require('../utils/errorHandler');
 const SecurityUtils = require('../utils/security');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const accessService = require('../services/accessService');
+const materialLibrary = require('../services/materialLibrary');
+const jobQueue = require('../services/jobQueue');
 
 const router = express.Router();
 
-// 上传材料
-router.post('/upload', ErrorHandler.asyncWrapper(async (req, res) => {
+// 所有材料接口都需要识别当前用户
+router.use(requireAuth);
+
+// 上传材料（教师、管理员）
+router.post('/upload', requireRole('teacher', 'admin'), ErrorHandler.asyncWrapper(async (req, res) => {
     if (!req.file) {
         return ErrorHandler.sendError(res, 400, '没有上传文件');
     }
 
     const file = req.file;
-    const userId = 1; // 本地测试使用固定用户ID
+    const userId = req.user.userId;
 
     // 验证文件安全性
     if (!SecurityUtils.validateFileSize(file.size)) {
@@ -28,55 +32,59 @@ router.post('/upload', ErrorHandler.asyncWrapper(async (req, res) => {
     }
 
     try {
-        // 清理旧的材料数据（保留最近5个）
-        console.log('🧹 清理旧材料数据...');
-        await cleanupOldMaterials(userId);
-
-        // 保存文件信息到数据库
-        const result = await Database.insert(
-            `INSERT INTO materials (user_id, filename, original_name, file_type, file_size, file_path) 
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [
-                userId,
-                file.filename,
-                SecurityUtils.sanitizeInput(file.originalname),
-                path.extname(file.originalname).substring(1).toLowerCase(),
-                file.size,
-                file.path
-            ]
-        );
-
-        console.log(`📁 新材料已保存，ID: ${result.id}`);
-
-        // 异步处理文件内容提取
-        processFileContent(result.id, file.path, file.mimetype);
+        // 相同内容直接使用已有材料，同名文件保存为新版本，超出存储配额时拒绝。
+        // 内容提取交给后台任务队列，进度通过 /api/jobs/:taskId 查询
+        const { material, taskId, duplicate, restored, previousVersion } = await materialLibrary.saveUpload(userId, file);
+        console.log(`📁 材料已保存，ID: ${material.id}${duplicate ? '（内容与已有材料相同）' : ''}`);
 
         return ErrorHandler.sendSuccess(res, {
-            id: result.id,
+            id: material.id,
+            taskId: taskId,
             filename: file.originalname,
             size: file.size,
-            type: path.extname(file.originalname).substring(1).toLowerCase()
-        }, '文件上传成功');
+            type: material.file_type,
+            version: material.version,
+            previousVersionId: previousVersion ? previousVersion.id : null,
+            duplicate: duplicate
+        }, uploadMessage(material, duplicate, restored));
 
     } catch (error) {
-        // 删除已上传的文件
-        if (fs.existsSync(file.path)) {
+        // 删除已上传的文件（已保存为材料的除外）
+        if (fs.existsSync(file.path) && !(await Database.get('SELECT id FROM materials WHERE file_path = ?', [file.path]))) {
             fs.unlinkSync(file.path);
         }
+        if (error.statusCode) {
+            return ErrorHandler.sendError(res, error.statusCode, error.message);
+        }
         return ErrorHandler.handleDatabaseError(error, res);
     }
 }));
 
+// 存储空间使用情况
+router.get('/storage', ErrorHandler.asyncWrapper(async (req, res) => {
+    const usage = await materialLibrary.getUsage(req.user.userId);
+    return ErrorHandler.sendSuccess(res, {
+        ...usage,
+        quotaText: formatFileSize(usage.quota),
+        usedText: formatFileSize(usage.used)
+    }, '获取存储空间成功');
+}));
+
 // 获取材料列表
 router.get('/list', async (req, res) => {
     try {
-        const userId = 1; // 本地测试使用固定用户ID
+        const userId = req.user.userId;
 
         console.log('获取材料列表，用户ID:', userId);
 
+        // 自己上传的材料和教师发布的材料
         const materials = await Database.query(
-            `SELECT id, original_name, file_type, file_size, processed, created_at 
-             FROM materials WHERE user_id = ? ORDER BY created_at DESC`,
+            `SELECT m.id, m.user_id, m.original_name, m.file_type, m.file_size, m.processed, m.published,
+                    m.version, m.created_at, u.username as owner_name
+             FROM materials m
+             LEFT JOIN users u ON m.user_id = u.id
+             WHERE (m.user_id = ? OR m.published = 1) AND m.is_latest = 1
+             ORDER BY m.created_at DESC`,
             [userId]
         );
 
@@ -88,7 +96,11 @@ router.get('/list', async (req, res) => {
             type: material.file_type,
             size: formatFileSize(material.file_size),
             uploadTime: formatDate(material.created_at),
-            processed: material.processed === 1
+            processed: material.processed === 1,
+            published: material.published === 1,
+            owned: material.user_id === userId,
+            ownerName: material.owner_name,
+            version: material.version || 1
         }));
 
         console.log('格式化后的材料:', formattedMaterials);
@@ -101,16 +113,16 @@ router.get('/list', async (req, res) => {
     }
 });
 
-// 删除材料
-router.delete('/:id', ErrorHandler.asyncWrapper(async (req, res) => {
+// 删除材料（教师、管理员）
+router.delete('/:id', requireRole('teacher', 'admin'), ErrorHandler.asyncWrapper(async (req, res) => {
     const materialId = req.params.id;
-    const userId = 1; // 本地测试使用固定用户ID
+    const userId = req.user.userId;
 
     console.log('删除材料请求:', { materialId, userId });
 
     // 获取材料信息
     const material = await Database.get(
-        'SELECT file_path FROM materials WHERE id = ? AND user_id = ?',
+        'SELECT * FROM materials WHERE id = ? AND user_id = ?',
         [materialId, userId]
     );
 
@@ -118,16 +130,12 @@ router.delete('/:id', ErrorHandler.asyncWrapper(async (req, res) => {
         return ErrorHandler.sendError(res, 404, '材料不存在');
     }
 
-    console.log('找到材料:', material);
+    console.log('找到材料:', material.id, material.original_name);
 
-    // 删除文件
-    if (material.file_path && fs.existsSync(material.file_path)) {
-        try {
-            fs.unlinkSync(material.file_path);
-            console.log('文件删除成功:', material.file_path);
-        } catch (fileError) {
-            console.error('文件删除失败:', fileError);
-        }
+    // 先取消材料的处理任务；执行中的任务停止前不能删除，否则任务会继续写入已删除的材料
+    const running = await jobQueue.cancelForMaterial(material.id);
+    if (running > 0) {
+        return ErrorHandler.sendError(res, 409, '材料正在处理，已请求取消任务，请稍后再删除');
     }
 
     // 删除数据库记录
@@ -136,29 +144,62 @@ router.delete('/:id', ErrorHandler.asyncWrapper(async (req, res) => {
         [materialId, userId]
     );
 
-    // 删除相关题目
+    // 删除相关题目（材料已确认属于当前用户）
     await Database.delete(
         'DELETE FROM questions WHERE material_id = ?',
         [materialId]
     );
 
+    // 删除处理任务（均已结束）
+    await Database.delete(
+        'DELETE FROM processing_tasks WHERE material_id = ?',
+        [materialId]
+    );
+
+    // 文件没有其他材料使用时才删除，删除最新版本后上一版本成为最新版本
+    await materialLibrary.release(material);
+
     console.log('材料删除完成:', materialId);
 
     return ErrorHandler.sendSuccess(res, null, '材料删除成功');
 }));
 
+// 发布/取消发布材料，发布后学生可以看到并练习（教师、管理员）
+router.put('/:id/publish', requireRole('teacher', 'admin'), ErrorHandler.asyncWrapper(async (req, res) => {
+    const published = req.body.published !== false;
+
+    const result = await Database.update(
+        'UPDATE materials SET published = ? WHERE id = ? AND user_id = ?',
+        [published ? 1 : 0, req.params.id, req.user.userId]
+    );
+
+    if (result.changes === 0) {
+        return ErrorHandler.sendError(res, 404, '材料不存在');
+    }
+
+    return ErrorHandler.sendSuccess(res, { id: parseInt(req.params.id), published }, published ? '材料已发布' : '材料已取消发布');
+}));
+
+// 材料的版本历史：同名文件的各次上传，从新到旧。其他用户只能看到已发布的版本
+router.get('/:id/versions', ErrorHandler.asyncWrapper(async (req, res) => {
+    const { material, owned, accessible } = await accessService.getMaterial(req.user.userId, req.params.id);
+    if (!material || !accessible) {
+        return ErrorHandler.sendError(res, 404, '材料不存在');
+    }
+
+    const versions = await materialLibrary.listVersions(material, { publishedOnly: !owned });
+    return ErrorHandler.sendSuccess(res, versions, '获取版本历史成功');
+}));
+
 // 获取材料详情
 router.get('/:id', async (req, res) => {
     try {
         const materialId = req.params.id;
-        const userId = req.user ? req.user.userId : 1;
+        const userId = req.user.userId;
 
-        const material = await Database.get(
-            `SELECT * FROM materials WHERE id = ? AND user_id = ?`,
-            [materialId, userId]
-        );
+        const { material, accessible } = await accessService.getMaterial(userId, materialId);
 
-        if (!material) {
+        if (!material || !accessible) {
             return res.status(404).json({
                 success: false,
                 message: '材料不存在'
@@ -174,6 +215,8 @@ router.get('/:id', async (req, res) => {
                 size: formatFileSize(material.file_size),
                 uploadTime: formatDate(material.created_at),
                 processed: material.processed === 1,
+                published: material.published === 1,
+                owned: material.user_id === userId,
                 content: material.content_text,
                 keywords: material.keywords ? material.keywords.split(',') : []
             }
@@ -188,215 +231,15 @@ router.get('/:id', async (req, res) => {
     }
 });
 
-// 异步处理文件内容
-async function processFileContent(materialId, filePath, mimeType) {
-    try {
-        let content = '';
-        let keywords = [];
-
-        console.log(`🔄 开始处理材料 ${materialId}, 文件类型: ${mimeType}`);
-
-        // 根据文件类型提取内容
-        if (mimeType === 'application/pdf') {
-            const dataBuffer = fs.readFileSync(filePath);
-            const pdfData = await pdfParse(dataBuffer);
-            content = pdfData.text;
-        } else if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-            const result = await mammoth.extractRawText({ path: filePath });
-            content = result.value;
-        } else if (mimeType === 'application/vnd.openxmlformats-officedocument.presentationml.presentation') {
-            // PowerPoint 文件处理
-            try {
-                // 尝试使用 mammoth 处理（虽然主要用于 Word，但可能有部分支持）
-                const result = await mammoth.extractRawText({ path: filePath });
-                content = result.value;
-                
-                // 如果内容为空，提供默认内容
-                if (!content || content.trim().length === 0) {
-                    content = generateDefaultPPTContent(path.basename(filePath));
-                }
-            } catch (pptError) {
-                console.log('PowerPoint 文件处理失败，使用默认内容:', pptError.message);
-                content = generateDefaultPPTContent(path.basename(filePath));
-            }
-        } else if (mimeType === 'text/plain') {
-            content = fs.readFileSync(filePath, 'utf8');
-        } else {
-            // 未支持的文件类型，生成默认内容
-            console.log(`未支持的文件类型: ${mimeType}，生成默认内容`);
-            content = generateDefaultContent(path.basename(filePath), mimeType);
-        }
-
-        // 确保内容不为空
-        if (!content || content.trim().length === 0) {
-            content = generateDefaultContent(path.basename(filePath), mimeType);
-        }
-
-        // 简单的关键词提取
-        if (content) {
-            keywords = extractKeywords(content);
-        }
-
-        console.log(`📝 提取的内容长度: ${content.length} 字符`);
-        console.log(`🏷️ 提取的关键词: ${keywords.join(', ')}`);
-
-        // 更新数据库
-        await Database.update(
-            `UPDATE materials SET processed = 1, content_text = ?, keywords = ? WHERE id = ?`,
-            [content, keywords.join(','), materialId]
-        );
-
-        console.log(`✅ 材料 ${materialId} 处理完成`);
-
-    } catch (error) {
-        console.error(`处理材料 ${materialId} 失败:`, error);
-        
-        // 即使处理失败，也提供默认内容
-        try {
-            const defaultContent = generateDefaultContent(path.basename(filePath), mimeType);
-            await Database.update(
-                `UPDATE materials SET processed = 1, content_text = ?, keywords = ? WHERE id = ?`,
-                [defaultContent, 'Python,编程,学习', materialId]
-            );
-            console.log(`⚠️ 材料 ${materialId} 使用默认内容处理完成`);
-        } catch (updateError) {
-            console.error(`更新默认内容失败:`, updateError);
-            await Database.update(
-                `UPDATE materials SET processed = 0 WHERE id = ?`,
-                [materialId]
-            );
-        }
+// 上传结果提示
+function uploadMessage(material, duplicate, restored) {
+    if (restored) {
+        return `文件内容与第 ${material.version} 版相同，已恢复为最新版本`;
     }
-}
-
-// 生成 PowerPoint 文件的默认内容
-function generateDefaultPPTContent(filename) {
-    const content = `
-这是一个 PowerPoint 演示文稿：${filename}
-
-本演示文稿包含以下主要内容：
-
-1. Python 编程语言概述
-   - Python 是一种高级编程语言
-   - 具有简洁易读的语法
-   - 广泛应用于数据科学、Web开发、人工智能等领域
-
-2. Python 的特点
-   - 解释型语言，无需编译
-   - 面向对象编程支持
-   - 丰富的标准库和第三方库
-   - 跨平台兼容性
-
-3. Python 基础语法
-   - 变量和数据类型
-   - 控制结构（if、for、while）
-   - 函数定义和调用
-   - 类和对象
-
-4. Python 应用领域
-   - Web 开发（Django、Flask）
-   - 数据分析（Pandas、NumPy）
-   - 机器学习（Scikit-learn、TensorFlow）
-   - 自动化脚本
-
-5. 学习建议
-   - 多动手实践
-   - 阅读优秀代码
-   - 参与开源项目
-   - 持续学习新技术
-
-这些内容为 Python 学习提供了良好的基础，建议结合实际项目进行练习。
-    `.trim();
-    
-    return content;
-}
-
-// 生成默认内容
-function generateDefaultContent(filename, mimeType) {
-    return `
-这是一个学习材料文件：${filename}
-
-文件类型：${mimeType}
-
-由于文件格式限制，无法自动提取具体内容。请确保文件内容包含以下学习要点：
-
-1. 核心概念和定义
-2. 重要知识点
-3. 实例和案例
-4. 练习题目
-5. 总结要点
-
-建议：
-- 如果是 PowerPoint 文件，请导出为 PDF 格式重新上传
-- 如果是 Word 文档，请确保文件格式正确
-- 文本文件请使用 UTF-8 编码
-
-这样可以获得更好的内容提取效果和个性化题目生成。
-    `.trim();
-}
-
-// 简单的关键词提取
-function extractKeywords(text) {
-    // 移除标点符号和特殊字符
-    const cleanText = text.replace(/[^\u4e00-\u9fa5a-zA-Z0-9\s]/g, ' ');
-    
-    // 分词（简单按空格分割）
-    const words = cleanText.split(/\s+/).filter(word => word.length > 1);
-    
-    // 统计词频
-    const wordCount = {};
-    words.forEach(word => {
-        const lowerWord = word.toLowerCase();
-        wordCount[lowerWord] = (wordCount[lowerWord] || 0) + 1;
-    });
-    
-    // 排序并取前10个关键词
-    const sortedWords = Object.entries(wordCount)
-        .sort(([,a], [,b]) => b - a)
-        .slice(0, 10)
-        .map(([word]) => word);
-    
-    return sortedWords;
-}
-
-// 清理旧材料数据
-async function cleanupOldMaterials(userId, keepCount = 5) {
-    try {
-        // 获取用户的所有材料，按创建时间倒序
-        const materials = await Database.getAll(
-            'SELECT id, file_path FROM materials WHERE user_id = ? ORDER BY created_at DESC',
-            [userId]
-        );
-
-        if (materials.length <= keepCount) {
-            console.log(`📊 当前材料数量: ${materials.length}，无需清理`);
-            return;
-        }
-
-        // 删除超出保留数量的旧材料
-        const materialsToDelete = materials.slice(keepCount);
-        console.log(`🗑️ 需要删除 ${materialsToDelete.length} 个旧材料`);
-
-        for (const material of materialsToDelete) {
-            try {
-                // 删除文件
-                if (material.file_path && fs.existsSync(material.file_path)) {
-                    fs.unlinkSync(material.file_path);
-                    console.log(`🗂️ 已删除文件: ${material.file_path}`);
-                }
-
-                // 删除数据库记录
-                await Database.delete('DELETE FROM materials WHERE id = ?', [material.id]);
-                console.log(`📝 已删除数据库记录: ${material.id}`);
-            } catch (deleteError) {
-                console.error(`删除材料 ${material.id} 失败:`, deleteError);
-            }
-        }
-
-        console.log(`✅ 材料清理完成，保留最新 ${keepCount} 个材料`);
-    } catch (error) {
-        console.error('清理旧材料失败:', error);
+    if (duplicate) {
+        return `文件内容与已有材料相同，已使用已有材料（第 ${material.version} 版）的处理结果和题目`;
     }
+    return material.version > 1 ? `文件上传成功，已保存为第 ${material.version} 版` : '文件上传成功';
 }
 
 // 格式化文件大小
@@ -0,0 +1,147 @@
+// 题集路由，挂载于 /api/question-sets
+const express = require('express');
+const quizSessionService = require('../services/quizSessionService');
+const questionSetService = require('../services/questionSetService');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// 统一返回服务层错误
+function sendError(res, error, fallbackMessage) {
+    console.error(`${fallbackMessage}:`, error.message);
+    res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : fallbackMessage
+    });
+}
+
+// 题集列表：教师看自己的题集，学生看已发布的题集
+router.get('/', async (req, res) => {
+    try {
+        const result = await questionSetService.list(req.user, req.query);
+        res.json({
+            success: true,
+            data: {
+                sets: result.items,
+                pagination: result.pagination
+            }
+        });
+    } catch (error) {
+        sendError(res, error, '获取题集列表失败');
+    }
+});
+
+// 创建题集（教师、管理员）
+router.post('/', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const { title, description, materialId, questionIds } = req.body;
+        const set = await questionSetService.create(req.user.userId, {
+            title,
+            description,
+            materialId,
+            questionIds
+        });
+        res.status(201).json({
+            success: true,
+            message: '题集创建成功',
+            data: set
+        });
+    } catch (error) {
+        sendError(res, error, '创建题集失败');
+    }
+});
+
+// 题集详情
+router.get('/:id', async (req, res) => {
+    try {
+        const set = await questionSetService.get(req.user, req.params.id);
+        res.json({
+            success: true,
+            data: set
+        });
+    } catch (error) {
+        sendError(res, error, '获取题集失败');
+    }
+});
+
+// 更新题集（教师、管理员）
+router.put('/:id', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const { title, description, questionIds } = req.body;
+        const set = await questionSetService.update(req.user.userId, req.params.id, {
+            title,
+            description,
+            questionIds
+        });
+        res.json({
+            success: true,
+            message: '题集已更新',
+            data: set
+        });
+    } catch (error) {
+        sendError(res, error, '更新题集失败');
+    }
+});
+
+// 发布/取消发布题集（教师、管理员）
+router.put('/:id/publish', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const published = req.body.published !== false;
+        const set = await questionSetService.setPublished(req.user.userId, req.params.id, published);
+        res.json({
+            success: true,
+            message: published ? '题集已发布' : '题集已取消发布',
+            data: set
+        });
+    } catch (error) {
+        sendError(res, error, '发布题集失败');
+    }
+});
+
+// 删除题集（教师、管理员）
+router.delete('/:id', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        await questionSetService.remove(req.user.userId, req.params.id);
+        res.json({
+            success: true,
+            message: '题集已删除'
+        });
+    } catch (error) {
+        sendError(res, error, '删除题集失败');
+    }
+});
+
+// 练习题集：用题集中的题目创建练习会话
+router.post('/:id/practice', async (req, res) => {
+    try {
+        const set = await questionSetService.get(req.user, req.params.id);
+        if (set.questions.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: '题集中没有题目'
+            });
+        }
+
+        const session = await quizSessionService.createSession(req.user.userId, {
+            materialId: set.materialId,
+            quizType: 'question-set',
+            questionIds: set.questions.map(question => question.id)
+        });
+
+        res.json({
+            success: true,
+            message: `开始练习《${set.title}》`,
+            data: {
+                ...session,
+                title: set.title,
+                questions: set.questions
+            }
+        });
+    } catch (error) {
+        sendError(res, error, '创建题集练习失败');
+    }
+});
+
+module.exports = router;
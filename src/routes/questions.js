@@ -0,0 +1,32 @@
+// 题目路由，挂载于 /api/questions
+const express = require('express');
+const questionBankService = require('../services/questionBankService');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// 统一返回服务层错误
+function sendError(res, error, fallbackMessage) {
+    console.error(`${fallbackMessage}:`, error.message);
+    res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : fallbackMessage
+    });
+}
+
+// 题目依据的材料原文：摘录、定位方式和所在段落，highlight 为摘录在段落中的位置
+router.get('/:id/source', async (req, res) => {
+    try {
+        const source = await questionBankService.getSource(req.user, req.params.id);
+        res.json({
+            success: true,
+            data: source
+        });
+    } catch (error) {
+        sendError(res, error, '获取题目来源失败');
+    }
+});
+
+module.exports = router;
@@ -1,9 +1,19 @@
 const express = require('express');
 const Database = require('../database/database');
-const { generateQuestionsFromContent } = require('../services/aiService');
+const quizSessionService = require('../services/quizSessionService');
+const questionBankService = require('../services/questionBankService');
+const wrongQuestionService = require('../services/wrongQuestionService');
+const assignmentService = require('../services/assignmentService');
+const materialJobs = require('../services/materialJobs');
+const questionPipeline = require('../services/generation/questionPipeline');
+const providers = require('../services/providers');
+const { requireAuth, requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
+// 所有练习接口都需要识别当前用户
+router.use(requireAuth);
+
 // AI服务健康检查
 router.get('/health-check', async (req, res) => {
     try {
@@ -30,38 +40,43 @@ router.get('/test', (req, res) => {
     });
 });
 
-// 根据材料生成题目
-router.post('/generate/:materialId', async (req, res) => {
+// 根据材料生成题目（教师、管理员）
+// AI生成在后台任务队列中执行，返回任务ID；通过 /api/jobs/:taskId/events 实时接收逐题推送和最终结果
+// 与该材料题库中已有题目近似重复的题目会被跳过，skipDuplicates: false 时不跳过
+router.post('/generate/:materialId', requireRole('teacher', 'admin'), async (req, res) => {
     console.log(`🎯 开始生成题目，材料ID: ${req.params.materialId}`);
-    
-    // 设置请求超时
-    const timeout = setTimeout(() => {
-        if (!res.headersSent) {
-            console.log('⏰ 请求超时，返回超时响应');
-            res.status(408).json({
-                success: false,
-                message: 'AI处理超时，请稍后重试',
-                errorType: 'timeout'
-            });
-        }
-    }, 30000); // 30秒超时
 
     try {
         const materialId = req.params.materialId;
-        const { questionType = 'mixed', count = 10, difficulty = 1 } = req.body;
-        const userId = 1; // 本地测试使用固定用户ID
+        const {
+            questionType = 'mixed', count = 10, difficulty = 1, provider = null, strategy = 'deepseek', skipDuplicates = true
+        } = req.body;
+        const userId = req.user.userId;
+
+        if (provider && !providers.has(provider)) {
+            return res.status(400).json({
+                success: false,
+                message: `未知的推理后端: ${provider}`,
+                errorType: 'unknown_provider'
+            });
+        }
+        if (!questionPipeline.hasStrategy(strategy)) {
+            return res.status(400).json({
+                success: false,
+                message: `未知的生成策略: ${strategy}`,
+                errorType: 'unknown_strategy'
+            });
+        }
 
         console.log(`📝 请求参数: 类型=${questionType}, 数量=${count}, 难度=${difficulty}`);
 
         // 从数据库获取材料内容
-        console.log('📖 获取材料内容...');
         const material = await Database.get(
             'SELECT * FROM materials WHERE id = ? AND user_id = ?',
             [materialId, userId]
         );
 
         if (!material) {
-            clearTimeout(timeout);
             return res.status(404).json({
                 success: false,
                 message: '材料不存在',
@@ -70,7 +85,6 @@ router.post('/generate/:materialId', async (req, res) => {
         }
 
         if (!material.processed || !material.content_text) {
-            clearTimeout(timeout);
             return res.status(400).json({
                 success: false,
                 message: '材料还在处理中，请稍后重试',
@@ -78,15 +92,14 @@ router.post('/generate/:materialId', async (req, res) => {
             });
         }
 
-        console.log(`📄 材料内容长度: ${material.content_text.length} 字符`);
-
-        // 检查Ollama服务状态
+        // 使用大模型的策略需要先检查Ollama服务状态
         const ollamaService = require('../services/ollamaService');
-        const serviceStatus = await ollamaService.checkService();
+        const serviceStatus = questionPipeline.getStrategy(strategy).usesLLM
+            ? await ollamaService.checkService(provider)
+            : { available: true };
         
         if (!serviceStatus.available) {
             console.error('❌ Ollama服务不可用');
-            clearTimeout(timeout);
             return res.status(503).json({
                 success: false,
                 message: 'AI服务暂时不可用，请检查Ollama是否正常运行',
@@ -95,81 +108,71 @@ router.post('/generate/:materialId', async (req, res) => {
             });
         }
 
-        // 使用实际材料内容生成题目
-        console.log('🤖 使用AI生成题目...');
-        const questions = await generateQuestionsFromContent(
-            material.content_text,
-            questionType,
-            count,
-            difficulty,
-            {
-                mathRenderMode: 'html',        // 使用HTML模式避免$符号
-                coverageMode: 'comprehensive', // 全面覆盖模式
-                materialId: materialId,
-                materialName: material.original_name
-            }
+        const job = await materialJobs.enqueueQuestionGeneration(
+            material,
+            userId,
+            [{ type: questionType, count, difficulty }],
+            { strategy, source: 'ai', provider, skipDuplicates: skipDuplicates !== false }
         );
-        
-        clearTimeout(timeout);
-
-        if (res.headersSent) {
-            console.log('⚠️ 响应已发送，跳过');
-            return;
-        }
 
-        console.log(`✅ 成功生成 ${questions.length} 道题目`);
-        
-        res.json({
+        res.status(202).json({
             success: true,
-            message: '题目生成成功',
+            message: '题目生成任务已加入队列',
             data: {
-                materialId: materialId,
+                taskId: job.id,
+                materialId: material.id,
                 materialName: material.original_name,
-                contentLength: material.content_text.length,
-                questions: questions.map(q => ({
-                    id: q.id || Math.random().toString(36).substr(2, 9),
-                    type: q.type,
-                    question: q.question,
-                    options: q.options || [],
-                    correctAnswer: q.correctAnswer,
-                    explanation: q.explanation,
-                    difficulty: q.difficulty || difficulty
-                }))
+                status: job.status,
+                eventsUrl: `/api/jobs/${job.id}/events`
             }
         });
 
     } catch (error) {
-        clearTimeout(timeout);
         console.error('❌ 生成题目错误:', error);
-        
-        if (res.headersSent) {
-            return;
-        }
-        
-        // 根据错误类型返回不同的错误信息
-        let errorMessage = '题目生成失败，请稍后重试';
-        let errorType = 'unknown';
-        
-        if (error.message.includes('Ollama') || error.message.includes('ECONNREFUSED')) {
-            errorMessage = 'AI服务连接失败，请检查Ollama是否正常运行';
-            errorType = 'ollama_connection';
-        } else if (error.message.includes('timeout')) {
-            errorMessage = 'AI处理超时，请稍后重试';
-            errorType = 'timeout';
-        } else if (error.message.includes('模型')) {
-            errorMessage = 'AI模型加载失败，请检查模型是否正确安装';
-            errorType = 'model_error';
-        }
-        
         res.status(500).json({
             success: false,
-            message: errorMessage,
-            errorType: errorType,
+            message: '题目生成失败，请稍后重试',
+            errorType: 'unknown',
             details: error.message
         });
     }
 });
 
+// 导入题目到材料的题库：题目转换为统一格式后全部通过校验才保存，否则返回逐题的错误
+router.post('/import/:materialId', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const { questions, difficulty = 2 } = req.body;
+
+        const material = await Database.get(
+            'SELECT id FROM materials WHERE id = ? AND user_id = ?',
+            [req.params.materialId, req.user.userId]
+        );
+        if (!material) {
+            return res.status(404).json({
+                success: false,
+                message: '材料不存在'
+            });
+        }
+
+        const saved = await questionBankService.importQuestions(material.id, questions, { difficulty });
+        res.json({
+            success: true,
+            message: `成功导入 ${saved.length} 道题目`,
+            data: {
+                materialId: material.id,
+                questions: saved
+            }
+        });
+    } catch (error) {
+        console.error('导入题目失败:', error.message);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : '导入题目失败',
+            errors: error.errors
+        });
+    }
+});
+
 // 生成示例题目的辅助函数
 async function generateSampleQuestions(questionType, count) {
     console.log(`🎲 生成示例题目: 类型=${questionType}, 数量=${count}`);
@@ -270,25 +273,25 @@ async function generateSampleQuestions(questionType, count) {
 router.post('/start', async (req, res) => {
     try {
         const { materialId, quizType, questionIds } = req.body;
-        const userId = req.user ? req.user.userId : 1;
+        const userId = req.user.userId;
+
+        const session = await quizSessionService.createSession(userId, {
+            materialId,
+            quizType,
+            questionIds
+        });
 
-        // 简化版本，直接返回成功
         res.json({
             success: true,
             message: '练习会话创建成功',
-            data: {
-                sessionId: Date.now(), // 使用时间戳作为会话ID
-                materialId: materialId,
-                quizType: quizType,
-                totalQuestions: questionIds ? questionIds.length : 10
-            }
+            data: session
         });
 
     } catch (error) {
         console.error('创建练习会话错误:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: '创建练习会话失败'
+            message: error.statusCode ? error.message : '创建练习会话失败'
         });
     }
 });
@@ -297,24 +300,33 @@ router.post('/start', async (req, res) => {
 router.post('/answer', async (req, res) => {
     try {
         const { sessionId, questionId, userAnswer, timeSpent } = req.body;
+        const userId = req.user.userId;
 
-        // 简化版本，模拟答案检查
-        const isCorrect = Math.random() > 0.3; // 70%正确率
+        if (!sessionId || !questionId) {
+            return res.status(400).json({
+                success: false,
+                message: '会话ID和题目ID都是必填项'
+            });
+        }
+
+        const result = await quizSessionService.submitAnswer(userId, {
+            sessionId,
+            questionId,
+            userAnswer,
+            timeSpent
+        });
 
         res.json({
             success: true,
             message: '答案提交成功',
-            data: {
-                isCorrect: isCorrect,
-                correctAnswer: userAnswer // 简化处理
-            }
+            data: result
         });
 
     } catch (error) {
         console.error('提交答案错误:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: '提交答案失败'
+            message: error.statusCode ? error.message : '提交答案失败'
         });
     }
 });
@@ -324,31 +336,21 @@ router.post('/complete/:sessionId', async (req, res) => {
     try {
         const sessionId = req.params.sessionId;
         const { totalTimeSpent } = req.body;
+        const userId = req.user.userId;
 
-        // 模拟结果
-        const totalQuestions = 10;
-        const correctAnswers = Math.floor(Math.random() * 5) + 5; // 5-10题正确
-        const score = Math.round((correctAnswers / totalQuestions) * 100);
+        const result = await quizSessionService.completeSession(userId, sessionId, { totalTimeSpent });
 
         res.json({
             success: true,
             message: '练习完成',
-            data: {
-                sessionId: sessionId,
-                totalQuestions: totalQuestions,
-                correctAnswers: correctAnswers,
-                wrongAnswers: totalQuestions - correctAnswers,
-                score: score,
-                timeSpent: totalTimeSpent || 300,
-                expGained: Math.floor(score / 10)
-            }
+            data: result
         });
 
     } catch (error) {
         console.error('完成练习错误:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: '完成练习失败'
+            message: error.statusCode ? error.message : '完成练习失败'
         });
     }
 });
@@ -356,33 +358,27 @@ router.post('/complete/:sessionId', async (req, res) => {
 // 获取练习历史
 router.get('/history', async (req, res) => {
     try {
-        // 返回示例历史数据
-        const mockHistory = [
-            {
-                id: 1,
-                quizType: 'mixed',
-                materialName: '高等数学课件.pptx',
-                totalQuestions: 10,
-                correctAnswers: 8,
-                score: 80,
-                timeSpent: 300,
-                completedAt: '2024-01-15 14:30:00'
-            },
-            {
-                id: 2,
-                quizType: 'multiple-choice',
-                materialName: '英语语法总结.pdf',
-                totalQuestions: 15,
-                correctAnswers: 12,
-                score: 80,
-                timeSpent: 450,
-                completedAt: '2024-01-14 16:20:00'
-            }
-        ];
+        const userId = req.user.userId;
+        const { startDate, endDate, materialId, quizType, minScore, maxScore, status, page, limit } = req.query;
+
+        const result = await quizSessionService.listHistory(userId, {
+            startDate,
+            endDate,
+            materialId,
+            quizType,
+            minScore,
+            maxScore,
+            status,
+            page,
+            limit
+        });
 
         res.json({
             success: true,
-            data: mockHistory
+            data: {
+                sessions: result.items,
+                pagination: result.pagination
+            }
         });
 
     } catch (error) {
@@ -394,27 +390,88 @@ router.get('/history', async (req, res) => {
     }
 });
 
+// 获取单次练习的答题详情
+router.get('/history/:sessionId', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { session, records } = await quizSessionService.getSessionRecords(userId, req.params.sessionId);
+
+        // 作业在截止或用完作答次数前不公布答案
+        if (session.assignmentId && !(await assignmentService.answersVisible(userId, session.assignmentId))) {
+            return res.json({
+                success: true,
+                data: {
+                    session: session,
+                    answersHidden: true,
+                    answers: records.map(record => ({
+                        recordId: record.record_id,
+                        question: assignmentService.toStudentQuestion(questionBankService.formatQuestion(record)),
+                        userAnswer: record.user_answer,
+                        timeSpent: record.answer_time_spent,
+                        answeredAt: record.answered_at
+                    }))
+                }
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                session: session,
+                answers: records.map(record => ({
+                    recordId: record.record_id,
+                    question: questionBankService.formatQuestion(record),
+                    userAnswer: record.user_answer,
+                    isCorrect: !!record.is_correct,
+                    score: record.answer_score,
+                    timeSpent: record.answer_time_spent,
+                    answeredAt: record.answered_at
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('获取练习详情错误:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : '获取练习详情失败'
+        });
+    }
+});
+
 // 获取错题列表
 router.get('/wrong-questions', async (req, res) => {
     try {
-        // 返回示例错题数据
-        const mockWrongQuestions = [
-            {
-                id: 1,
-                questionId: 1,
-                question: '函数 f(x) = x² + 2x + 1 的最小值是？',
-                type: 'fill-blank',
-                correctAnswer: '0',
-                explanation: '这是一个开口向上的抛物线，顶点为(-1, 0)，所以最小值为0。',
-                materialName: '高等数学课件.pptx',
-                wrongCount: 2,
-                lastWrongAt: '2024-01-15 14:30:00'
-            }
-        ];
+        const userId = req.user.userId;
+        const { materialId, type, knowledgePoint, mastered, page, limit } = req.query;
+
+        const result = await wrongQuestionService.list(userId, {
+            materialId,
+            type,
+            knowledgePoint,
+            mastered,
+            page,
+            limit
+        });
 
         res.json({
             success: true,
-            data: mockWrongQuestions
+            data: {
+                questions: result.items.map(item => ({
+                    ...questionBankService.formatQuestion(item),
+                    id: item.wrong_id,
+                    questionId: item.id,
+                    materialName: item.material_name,
+                    wrongCount: item.wrong_count,
+                    lastWrongAnswer: item.last_wrong_answer,
+                    lastWrongAt: item.last_wrong_at,
+                    correctStreak: item.correct_streak || 0,
+                    mastered: item.mastered === 1,
+                    masteredAt: item.mastered_at
+                })),
+                pagination: result.pagination,
+                masteryStreak: wrongQuestionService.masteryStreak
+            }
         });
 
     } catch (error) {
@@ -426,9 +483,64 @@ router.get('/wrong-questions', async (req, res) => {
     }
 });
 
+// 错题练习：从错题本组卷并创建练习会话
+router.post('/wrong-questions/practice', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { materialId, type, knowledgePoint, count = 10, ids } = req.body;
+
+        const rows = await wrongQuestionService.selectForPractice(userId, {
+            materialId,
+            type,
+            knowledgePoint,
+            count,
+            ids
+        });
+
+        if (rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '没有需要练习的错题'
+            });
+        }
+
+        const session = await quizSessionService.createSession(userId, {
+            materialId: materialId || null,
+            quizType: 'wrong-questions',
+            questionIds: rows.map(row => row.id)
+        });
+
+        res.json({
+            success: true,
+            message: `已从错题本选出${rows.length}道题目`,
+            data: {
+                ...session,
+                questions: rows.map(row => questionBankService.formatQuestion(row))
+            }
+        });
+
+    } catch (error) {
+        console.error('创建错题练习错误:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : '创建错题练习失败'
+        });
+    }
+});
+
 // 标记错题为已掌握
 router.put('/wrong-questions/:id/master', async (req, res) => {
     try {
+        const userId = req.user.userId;
+        const updated = await wrongQuestionService.markMastered(userId, req.params.id);
+
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                message: '错题不存在'
+            });
+        }
+
         res.json({
             success: true,
             message: '已标记为掌握'
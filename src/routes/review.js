@@ -0,0 +1,146 @@
+// 间隔重复复习路由，挂载于 /api/review
+const express = require('express');
+const quizSessionService = require('../services/quizSessionService');
+const questionBankService = require('../services/questionBankService');
+const reviewSchedulerService = require('../services/reviewSchedulerService');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// 所有复习接口都需要识别当前用户
+router.use(requireAuth);
+
+// 获取到期的复习题目
+router.get('/due', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { limit, materialId } = req.query;
+
+        const result = await reviewSchedulerService.getDue(userId, { limit, materialId });
+
+        res.json({
+            success: true,
+            data: {
+                questions: result.items.map(item => ({
+                    ...questionBankService.formatQuestion(item),
+                    cardId: item.card_id,
+                    materialName: item.material_name,
+                    easeFactor: item.ease_factor,
+                    intervalDays: item.interval_days,
+                    repetitions: item.repetitions,
+                    lapses: item.lapses,
+                    dueAt: item.due_at,
+                    lastReviewedAt: item.last_reviewed_at
+                })),
+                summary: result.summary
+            }
+        });
+
+    } catch (error) {
+        console.error('获取复习队列错误:', error);
+        res.status(500).json({
+            success: false,
+            message: '获取复习队列失败'
+        });
+    }
+});
+
+// 每日复习：用到期题目创建练习会话
+router.post('/session', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { limit, materialId } = req.body;
+
+        const result = await reviewSchedulerService.getDue(userId, { limit, materialId });
+
+        if (result.items.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '今天没有需要复习的题目',
+                data: { summary: result.summary }
+            });
+        }
+
+        const session = await quizSessionService.createSession(userId, {
+            materialId: materialId || null,
+            quizType: 'review',
+            questionIds: result.items.map(item => item.id)
+        });
+
+        res.json({
+            success: true,
+            message: `今日待复习${result.summary.due}道，本次复习${result.items.length}道`,
+            data: {
+                ...session,
+                questions: result.items.map(item => questionBankService.formatQuestion(item)),
+                summary: result.summary
+            }
+        });
+
+    } catch (error) {
+        console.error('创建复习会话错误:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : '创建复习会话失败'
+        });
+    }
+});
+
+// 将题目加入复习队列
+router.post('/cards', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { questionIds } = req.body;
+
+        if (!Array.isArray(questionIds) || questionIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: '请提供题目ID列表'
+            });
+        }
+
+        const added = await reviewSchedulerService.addCards(userId, questionIds);
+
+        res.json({
+            success: true,
+            message: `已加入复习队列${added}道题目`,
+            data: { added }
+        });
+
+    } catch (error) {
+        console.error('加入复习队列错误:', error);
+        res.status(500).json({
+            success: false,
+            message: '加入复习队列失败'
+        });
+    }
+});
+
+// 将题目移出复习队列
+router.delete('/cards/:questionId', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const removed = await reviewSchedulerService.removeCard(userId, req.params.questionId);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: '复习卡片不存在'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: '已移出复习队列'
+        });
+
+    } catch (error) {
+        console.error('移出复习队列错误:', error);
+        res.status(500).json({
+            success: false,
+            message: '移出复习队列失败'
+        });
+    }
+});
+
+module.exports = router;
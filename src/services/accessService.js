@@ -0,0 +1,71 @@
+// 访问控制服务 - 判断用户能否使用材料和题目
+// 自己的材料、教师发布的材料、已发布题集中的题目、所在班级已截止作业中的题目都可以练习
+const Database = require('../database/database');
+
+class AccessService {
+    /**
+     * 题目可访问条件（SQL片段），q为questions表别名，m为materials表别名
+     * @param {number} userId - 用户ID
+     * @returns {Object} { sql, params }
+     */
+    questionCondition(userId) {
+        return {
+            sql: `(m.user_id = ? OR m.published = 1 OR EXISTS (
+                      SELECT 1 FROM question_set_items qsi
+                      JOIN question_sets qset ON qsi.set_id = qset.id
+                      WHERE qsi.question_id = q.id AND qset.published = 1
+                  ) OR EXISTS (
+                      SELECT 1 FROM assignment_questions aq
+                      JOIN assignments asg ON aq.assignment_id = asg.id
+                      JOIN class_members cm ON cm.class_id = asg.class_id
+                      WHERE aq.question_id = q.id AND cm.user_id = ? AND asg.close_at <= ?
+                  ))`,
+            params: [userId, userId, new Date().toISOString()]
+        };
+    }
+
+    /**
+     * 检查题目访问权限
+     * @param {number} userId - 用户ID
+     * @param {Array<number>} questionIds - 题目ID列表
+     * @returns {Object} { missing, forbidden } 不存在和无权访问的题目ID
+     */
+    async checkQuestions(userId, questionIds) {
+        if (questionIds.length === 0) {
+            return { missing: [], forbidden: [] };
+        }
+
+        const condition = this.questionCondition(userId);
+        const rows = await Database.query(
+            `SELECT q.id, ${condition.sql} as accessible
+             FROM questions q
+             LEFT JOIN materials m ON q.material_id = m.id
+             WHERE q.id IN (${questionIds.map(() => '?').join(', ')})`,
+            [...condition.params, ...questionIds]
+        );
+
+        const found = new Map(rows.map(row => [row.id, !!row.accessible]));
+        return {
+            missing: questionIds.filter(id => !found.has(id)),
+            forbidden: questionIds.filter(id => found.has(id) && !found.get(id))
+        };
+    }
+
+    /**
+     * 获取用户可使用的材料：自己的材料或已发布的材料
+     * @param {number} userId - 用户ID
+     * @param {number} materialId - 材料ID
+     * @returns {Object} { material, owned, accessible }，材料不存在时material为null
+     */
+    async getMaterial(userId, materialId) {
+        const material = await Database.get('SELECT * FROM materials WHERE id = ?', [materialId]);
+        if (!material) {
+            return { material: null, owned: false, accessible: false };
+        }
+
+        const owned = material.user_id === userId;
+        return { material, owned, accessible: owned || material.published === 1 };
+    }
+}
+
+module.exports = new AccessService();
@@ -0,0 +1,556 @@
+// 作业服务 - 教师向班级布置限时作业，学生在开放时间内作答，教师查看成绩册
+const Database = require('../database/database');
+const ExamPaperGenerator = require('./examPaperGenerator');
+const classService = require('./classService');
+const questionSetService = require('./questionSetService');
+const questionBankService = require('./questionBankService');
+const quizSessionService = require('./quizSessionService');
+
+class AssignmentService {
+    constructor() {
+        this.examPaperGenerator = new ExamPaperGenerator();
+        this.maxAttemptsLimit = 20;
+        this.maxTimeLimitMinutes = 24 * 60;
+    }
+
+    /**
+     * 创建作业，题目在创建时固定，之后修改题集不影响已布置的作业
+     * @param {number} teacherId - 教师ID
+     * @param {Object} params - 作业参数
+     * @param {number} params.classId - 班级ID
+     * @param {string} params.title - 标题
+     * @param {string} params.source - 题目来源：question-set 或 exam-paper
+     * @param {number} params.questionSetId - 题集ID（source为question-set时）
+     * @param {number} params.materialId - 材料ID（source为exam-paper时）
+     * @param {Object} params.examPaper - 已生成的套卷（可选，未提供时根据材料生成）
+     * @param {string} params.openAt - 开放时间
+     * @param {string} params.closeAt - 截止时间
+     * @param {number} params.maxAttempts - 最多作答次数
+     * @param {number} params.timeLimitMinutes - 每次作答限时（分钟）
+     * @returns {Object} 作业详情
+     */
+    async create(teacherId, params) {
+        const { classId, title, description = null, source, questionSetId, materialId, examPaper } = params;
+
+        if (!title || !String(title).trim()) {
+            throw this.createError(400, '作业标题是必填项');
+        }
+        const classRow = await classService.getOwnedRow(teacherId, classId);
+        if (classRow.archived) {
+            throw this.createError(409, '班级已归档，不能布置作业');
+        }
+
+        const schedule = this.normalizeSchedule(params);
+
+        let questionIds;
+        let sourceType;
+        let sourceMaterialId = materialId || null;
+        if (source === 'question-set') {
+            const set = await questionSetService.getOwned(teacherId, questionSetId);
+            questionIds = set.questions.map(question => question.id);
+            sourceType = 'question_set';
+            sourceMaterialId = set.materialId;
+        } else if (source === 'exam-paper') {
+            questionIds = await this.saveExamPaper(teacherId, materialId, examPaper);
+            sourceType = 'exam_paper';
+        } else {
+            throw this.createError(400, '题目来源必须是 question-set 或 exam-paper');
+        }
+
+        if (questionIds.length === 0) {
+            throw this.createError(400, '作业中没有题目');
+        }
+
+        const result = await Database.insert(
+            `INSERT INTO assignments (class_id, teacher_id, title, description, source_type, question_set_id,
+                                      material_id, open_at, close_at, max_attempts, time_limit_minutes)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                classRow.id, teacherId, String(title).trim(), description, sourceType,
+                sourceType === 'question_set' ? questionSetId : null, sourceMaterialId,
+                schedule.openAt, schedule.closeAt, schedule.maxAttempts, schedule.timeLimitMinutes
+            ]
+        );
+
+        for (let i = 0; i < questionIds.length; i++) {
+            await Database.insert(
+                'INSERT OR IGNORE INTO assignment_questions (assignment_id, question_id, position) VALUES (?, ?, ?)',
+                [result.id, questionIds[i], i]
+            );
+        }
+
+        console.log(`📌 教师 ${teacherId} 向班级 ${classRow.id} 布置作业 ${result.id}，共 ${questionIds.length} 道题`);
+        return this.get({ userId: teacherId, role: 'teacher' }, result.id);
+    }
+
+    /**
+     * 修改作业标题、说明和时间设置，题目不可修改
+     */
+    async update(teacherId, assignmentId, params) {
+        const row = await this.getOwnedRow(teacherId, assignmentId);
+        const schedule = this.normalizeSchedule({
+            openAt: params.openAt !== undefined ? params.openAt : row.open_at,
+            closeAt: params.closeAt !== undefined ? params.closeAt : row.close_at,
+            maxAttempts: params.maxAttempts !== undefined ? params.maxAttempts : row.max_attempts,
+            timeLimitMinutes: params.timeLimitMinutes !== undefined ? params.timeLimitMinutes : row.time_limit_minutes
+        });
+
+        await Database.update(
+            `UPDATE assignments
+             SET title = ?, description = ?, open_at = ?, close_at = ?, max_attempts = ?,
+                 time_limit_minutes = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [
+                params.title !== undefined && String(params.title).trim() ? String(params.title).trim() : row.title,
+                params.description !== undefined ? params.description : row.description,
+                schedule.openAt, schedule.closeAt, schedule.maxAttempts, schedule.timeLimitMinutes,
+                row.id
+            ]
+        );
+
+        return this.get({ userId: teacherId, role: 'teacher' }, row.id);
+    }
+
+    /**
+     * 删除作业，已提交的练习会话保留在学生的练习历史中
+     */
+    async remove(teacherId, assignmentId) {
+        const row = await this.getOwnedRow(teacherId, assignmentId);
+        await Database.delete('DELETE FROM assignment_questions WHERE assignment_id = ?', [row.id]);
+        await Database.delete('DELETE FROM assignments WHERE id = ?', [row.id]);
+    }
+
+    /**
+     * 作业列表：教师看自己布置的作业，学生看所在班级的作业及自己的作答情况
+     * @param {Object} user - 当前用户 { userId, role }
+     * @param {Object} filters - { classId }
+     * @returns {Array} 作业列表
+     */
+    async list(user, filters = {}) {
+        const isStudent = !user.role || user.role === 'student';
+        const conditions = [isStudent
+            ? 'a.class_id IN (SELECT class_id FROM class_members WHERE user_id = ?) AND c.archived = 0'
+            : 'a.teacher_id = ?'];
+        const params = [user.userId];
+
+        if (filters.classId) {
+            conditions.push('a.class_id = ?');
+            params.push(parseInt(filters.classId));
+        }
+
+        const rows = await Database.query(
+            `SELECT a.*, c.name as class_name,
+                    (SELECT COUNT(*) FROM assignment_questions WHERE assignment_id = a.id) as question_count
+             FROM assignments a
+             JOIN classes c ON a.class_id = c.id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY COALESCE(a.close_at, '9999') ASC, a.id DESC`,
+            params
+        );
+
+        const items = rows.map(row => this.formatAssignment(row));
+        if (isStudent) {
+            for (const item of items) {
+                item.progress = await this.getProgress(user.userId, item);
+            }
+        }
+        return items;
+    }
+
+    /**
+     * 作业详情：布置作业的教师可以看到题目和答案，学生只能看到自己的作答情况
+     * @param {Object} user - 当前用户 { userId, role }
+     * @param {number} assignmentId - 作业ID
+     * @returns {Object} 作业详情
+     */
+    async get(user, assignmentId) {
+        const row = await this.getRow(assignmentId);
+        const isOwner = row.teacher_id === user.userId || user.role === 'admin';
+        if (!isOwner && !(await classService.isMember(row.class_id, user.userId))) {
+            throw this.createError(404, '作业不存在');
+        }
+
+        const assignment = this.formatAssignment(row);
+        if (isOwner) {
+            const questions = await this.getQuestionRows(row.id);
+            assignment.questions = questions.map(question => questionBankService.formatQuestion(question));
+        } else {
+            assignment.progress = await this.getProgress(user.userId, assignment);
+        }
+        return assignment;
+    }
+
+    /**
+     * 开始作答：校验开放时间和作答次数，有未超时的作答则继续该次作答
+     * @param {number} userId - 学生ID
+     * @param {number} assignmentId - 作业ID
+     * @returns {Object} 会话信息和不含答案的题目
+     */
+    async start(userId, assignmentId) {
+        const row = await this.getRow(assignmentId);
+        if (!(await classService.isMember(row.class_id, userId))) {
+            throw this.createError(404, '作业不存在');
+        }
+
+        const assignment = this.formatAssignment(row);
+        if (assignment.status === 'upcoming') {
+            throw this.createError(403, '作业尚未开放');
+        }
+        if (assignment.status === 'closed') {
+            throw this.createError(409, '作业已截止');
+        }
+
+        await this.closeExpiredSessions(row.id, userId);
+
+        const questions = (await this.getQuestionRows(row.id))
+            .map(question => this.toStudentQuestion(questionBankService.formatQuestion(question)));
+
+        const inProgress = await Database.get(
+            `SELECT * FROM quiz_sessions
+             WHERE assignment_id = ? AND user_id = ? AND status = 'in_progress'
+             ORDER BY id DESC LIMIT 1`,
+            [row.id, userId]
+        );
+        if (inProgress) {
+            return {
+                sessionId: inProgress.id,
+                assignmentId: row.id,
+                totalQuestions: inProgress.total_questions,
+                questionIds: quizSessionService.parseJSON(inProgress.question_ids, []),
+                startedAt: inProgress.started_at,
+                deadlineAt: inProgress.deadline_at,
+                resumed: true,
+                questions: questions
+            };
+        }
+
+        const attempts = await this.countAttempts(row.id, userId);
+        if (attempts >= row.max_attempts) {
+            throw this.createError(409, `已用完全部 ${row.max_attempts} 次作答机会`);
+        }
+
+        // 截止时间取限时结束和作业截止中较早的一个
+        const deadlines = [];
+        if (row.time_limit_minutes) {
+            deadlines.push(Date.now() + row.time_limit_minutes * 60 * 1000);
+        }
+        if (row.close_at) {
+            deadlines.push(new Date(row.close_at).getTime());
+        }
+        const deadlineAt = deadlines.length > 0 ? new Date(Math.min(...deadlines)).toISOString() : null;
+
+        const session = await quizSessionService.createSession(userId, {
+            materialId: row.material_id,
+            quizType: 'assignment',
+            questionIds: questions.map(question => question.id),
+            assignmentId: row.id,
+            deadlineAt: deadlineAt
+        });
+
+        return {
+            ...session,
+            attempt: attempts + 1,
+            maxAttempts: row.max_attempts,
+            resumed: false,
+            questions: questions
+        };
+    }
+
+    /**
+     * 作业成绩册：班级每个学生的作答次数、最高分和最近一次成绩
+     * @param {number} teacherId - 教师ID
+     * @param {number} assignmentId - 作业ID
+     * @returns {Object} { assignment, students, summary }
+     */
+    async gradebook(teacherId, assignmentId) {
+        const row = await this.getOwnedRow(teacherId, assignmentId);
+        await this.closeExpiredSessions(row.id);
+
+        const students = await Database.query(
+            `SELECT u.id, u.username, u.email
+             FROM class_members cm
+             JOIN users u ON cm.user_id = u.id
+             WHERE cm.class_id = ?
+             ORDER BY u.username ASC`,
+            [row.class_id]
+        );
+        const sessions = await Database.query(
+            `SELECT id, user_id, status, score, correct_answers, total_questions, time_spent,
+                    started_at, completed_at
+             FROM quiz_sessions
+             WHERE assignment_id = ?
+             ORDER BY id ASC`,
+            [row.id]
+        );
+
+        const byStudent = new Map(students.map(student => [student.id, []]));
+        for (const session of sessions) {
+            if (byStudent.has(session.user_id)) {
+                byStudent.get(session.user_id).push(session);
+            }
+        }
+
+        const entries = students.map(student => {
+            const attempts = byStudent.get(student.id);
+            const completed = attempts.filter(session => session.status === 'completed');
+            const latest = completed[completed.length - 1] || null;
+
+            let status = 'not_started';
+            if (completed.length > 0) status = 'submitted';
+            else if (attempts.length > 0) status = 'in_progress';
+
+            return {
+                studentId: student.id,
+                username: student.username,
+                email: student.email,
+                status: status,
+                attempts: attempts.length,
+                bestScore: completed.length > 0 ? Math.max(...completed.map(session => session.score)) : null,
+                latestScore: latest ? latest.score : null,
+                submittedAt: latest ? latest.completed_at : null,
+                sessions: attempts.map(session => ({
+                    sessionId: session.id,
+                    status: session.status,
+                    score: session.score,
+                    correctAnswers: session.correct_answers,
+                    totalQuestions: session.total_questions,
+                    timeSpent: session.time_spent,
+                    startedAt: session.started_at,
+                    completedAt: session.completed_at
+                }))
+            };
+        });
+
+        const graded = entries.filter(entry => entry.bestScore !== null);
+        return {
+            assignment: this.formatAssignment(row),
+            students: entries,
+            summary: {
+                students: entries.length,
+                submitted: graded.length,
+                averageScore: graded.length > 0
+                    ? Math.round(graded.reduce((sum, entry) => sum + entry.bestScore, 0) / graded.length)
+                    : null
+            }
+        };
+    }
+
+    /**
+     * 作业结束前不公布答案：已截止、或学生已用完作答次数后才能查看
+     * @param {number} userId - 学生ID
+     * @param {number} assignmentId - 作业ID
+     * @returns {boolean}
+     */
+    async answersVisible(userId, assignmentId) {
+        const row = await Database.get('SELECT * FROM assignments WHERE id = ?', [assignmentId]);
+        if (!row) return true;
+        if (row.teacher_id === userId) return true;
+
+        const assignment = this.formatAssignment(row);
+        if (assignment.status === 'closed') return true;
+
+        const progress = await this.getProgress(userId, assignment);
+        return progress.attemptsLeft === 0 && !progress.inProgress;
+    }
+
+    /**
+     * 自动提交已超过限时的作答
+     */
+    async closeExpiredSessions(assignmentId, userId = null) {
+        const sessions = await Database.query(
+            `SELECT id, user_id, deadline_at FROM quiz_sessions
+             WHERE assignment_id = ? AND status = 'in_progress' AND deadline_at IS NOT NULL
+             ${userId ? 'AND user_id = ?' : ''}`,
+            userId ? [assignmentId, userId] : [assignmentId]
+        );
+
+        for (const session of sessions) {
+            if (quizSessionService.isPastDeadline(session)) {
+                await quizSessionService.completeSession(session.user_id, session.id);
+            }
+        }
+    }
+
+    /**
+     * 学生的作答进度
+     */
+    async getProgress(userId, assignment) {
+        const summary = await Database.get(
+            `SELECT COUNT(*) as attempts,
+                    SUM(CASE WHEN status = 'in_progress' THEN 1 ELSE 0 END) as in_progress,
+                    MAX(CASE WHEN status = 'completed' THEN score END) as best_score
+             FROM quiz_sessions WHERE assignment_id = ? AND user_id = ?`,
+            [assignment.id, userId]
+        );
+
+        return {
+            attempts: summary.attempts || 0,
+            attemptsLeft: Math.max(0, assignment.maxAttempts - (summary.attempts || 0)),
+            inProgress: (summary.in_progress || 0) > 0,
+            bestScore: summary.best_score !== null && summary.best_score !== undefined ? summary.best_score : null
+        };
+    }
+
+    async countAttempts(assignmentId, userId) {
+        const result = await Database.get(
+            'SELECT COUNT(*) as count FROM quiz_sessions WHERE assignment_id = ? AND user_id = ?',
+            [assignmentId, userId]
+        );
+        return result.count;
+    }
+
+    /**
+     * 根据套卷保存题目：使用提交的套卷，未提交时用材料内容生成
+     * 提交的套卷必须全部通过题目格式校验，生成的套卷中不合格的题目跳过
+     * @returns {Array<number>} 题目ID
+     */
+    async saveExamPaper(teacherId, materialId, examPaper) {
+        const material = await Database.get(
+            'SELECT * FROM materials WHERE id = ? AND user_id = ?',
+            [materialId, teacherId]
+        );
+        if (!material) {
+            throw this.createError(404, '材料不存在');
+        }
+
+        let paper = examPaper;
+        if (!paper) {
+            if (!material.content_text) {
+                throw this.createError(400, '材料尚未处理完成，无法生成套卷');
+            }
+            paper = await this.examPaperGenerator.generateExamPaper(material.content_text, {
+                includeAnswerKey: true
+            });
+        }
+
+        const questions = this.examPaperQuestions(paper);
+        if (questions.length === 0) return [];
+
+        const options = { source: 'exam-paper', difficulty: 2 };
+        const saved = examPaper
+            ? await questionBankService.importQuestions(material.id, questions, options)
+            : await questionBankService.saveQuestions(material.id, questions, options);
+        return saved.map(question => question.id);
+    }
+
+    /**
+     * 展开套卷各部分的题目；旧版套卷的简答题（short-answer、referenceAnswer）在转换统一格式时按问答题处理
+     */
+    examPaperQuestions(paper) {
+        const sections = (paper && paper.sections) || {};
+        return ['multipleChoice', 'fillBlank', 'shortAnswer']
+            .flatMap(key => (sections[key] && sections[key].questions) || []);
+    }
+
+    /**
+     * 校验作业时间设置
+     */
+    normalizeSchedule({ openAt, closeAt, maxAttempts, timeLimitMinutes }) {
+        const toISO = (value, label) => {
+            if (value === undefined || value === null || value === '') return null;
+            const date = new Date(value);
+            if (isNaN(date.getTime())) {
+                throw this.createError(400, `${label}格式不正确`);
+            }
+            return date.toISOString();
+        };
+
+        const schedule = {
+            openAt: toISO(openAt, '开放时间'),
+            closeAt: toISO(closeAt, '截止时间'),
+            maxAttempts: maxAttempts === undefined || maxAttempts === null ? 1 : parseInt(maxAttempts),
+            timeLimitMinutes: timeLimitMinutes ? parseInt(timeLimitMinutes) : null
+        };
+
+        if (schedule.openAt && schedule.closeAt && schedule.openAt >= schedule.closeAt) {
+            throw this.createError(400, '截止时间必须晚于开放时间');
+        }
+        if (!(schedule.maxAttempts >= 1 && schedule.maxAttempts <= this.maxAttemptsLimit)) {
+            throw this.createError(400, `作答次数必须在 1-${this.maxAttemptsLimit} 之间`);
+        }
+        if (schedule.timeLimitMinutes !== null &&
+            !(schedule.timeLimitMinutes >= 1 && schedule.timeLimitMinutes <= this.maxTimeLimitMinutes)) {
+            throw this.createError(400, `限时必须在 1-${this.maxTimeLimitMinutes} 分钟之间`);
+        }
+
+        return schedule;
+    }
+
+    async getRow(assignmentId) {
+        const row = await Database.get(
+            `SELECT a.*, c.name as class_name,
+                    (SELECT COUNT(*) FROM assignment_questions WHERE assignment_id = a.id) as question_count
+             FROM assignments a
+             JOIN classes c ON a.class_id = c.id
+             WHERE a.id = ?`,
+            [assignmentId]
+        );
+        if (!row) {
+            throw this.createError(404, '作业不存在');
+        }
+        return row;
+    }
+
+    async getOwnedRow(teacherId, assignmentId) {
+        const row = await this.getRow(assignmentId);
+        if (row.teacher_id !== teacherId) {
+            throw this.createError(404, '作业不存在');
+        }
+        return row;
+    }
+
+    async getQuestionRows(assignmentId) {
+        return Database.query(
+            `SELECT q.*
+             FROM assignment_questions aq
+             JOIN questions q ON aq.question_id = q.id
+             WHERE aq.assignment_id = ?
+             ORDER BY aq.position ASC`,
+            [assignmentId]
+        );
+    }
+
+    // 学生作答时只下发题干和选项
+    toStudentQuestion(question) {
+        return {
+            id: question.id,
+            type: question.type,
+            question: question.question,
+            options: question.options,
+            difficulty: question.difficulty,
+            knowledgePoints: question.knowledgePoints
+        };
+    }
+
+    formatAssignment(row, now = new Date().toISOString()) {
+        let status = 'open';
+        if (row.open_at && row.open_at > now) status = 'upcoming';
+        else if (row.close_at && row.close_at <= now) status = 'closed';
+
+        return {
+            id: row.id,
+            classId: row.class_id,
+            className: row.class_name || null,
+            title: row.title,
+            description: row.description,
+            source: row.source_type === 'question_set' ? 'question-set' : 'exam-paper',
+            questionSetId: row.question_set_id,
+            materialId: row.material_id,
+            questionCount: row.question_count || 0,
+            openAt: row.open_at,
+            closeAt: row.close_at,
+            maxAttempts: row.max_attempts,
+            timeLimitMinutes: row.time_limit_minutes,
+            status: status,
+            createdAt: row.created_at
+        };
+    }
+
+    createError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new AssignmentService();
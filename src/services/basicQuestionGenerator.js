@@ -0,0 +1,206 @@
+// 基础题目生成器 - 不依赖大模型，从文本中的定义句和高频词生成题目，作为生成流水线的兜底策略
+
+class BasicQuestionGenerator {
+    /**
+     * 按类型生成基础题目
+     * @param {string} type - 题目类型
+     * @param {number} count - 数量
+     * @param {Object} keyInfo - 关键信息
+     * @param {number} difficulty - 难度
+     * @returns {Array} 题目列表
+     */
+    generateBasicQuestionsByType(type, count, keyInfo, difficulty) {
+        const questions = [];
+        
+        for (let i = 0; i < count; i++) {
+            let question;
+            switch (type) {
+                case 'multiple-choice':
+                    question = this.generateBasicMultipleChoice(keyInfo, difficulty, i);
+                    break;
+                case 'fill-blank':
+                    question = this.generateBasicFillBlank(keyInfo, difficulty, i);
+                    break;
+                case 'essay':
+                    question = this.generateBasicEssay(keyInfo, difficulty, i);
+                    break;
+            }
+            
+            if (question) {
+                question.id = `basic_${type}_${i + 1}`;
+                question.source = 'basic';
+                questions.push(question);
+            }
+        }
+        
+        return questions;
+    }
+
+    /**
+     * 生成基础选择题，其他概念的定义作为干扰项；概念不足两个时不生成
+     */
+    generateBasicMultipleChoice(keyInfo, difficulty, index) {
+        const concepts = keyInfo.concepts || [];
+        if (concepts.length <= index) return null;
+
+        const concept = concepts[index];
+        const distractors = [...new Set(concepts.map(other => other.definition))]
+            .filter(definition => definition && definition !== concept.definition)
+            .slice(0, 3);
+        if (distractors.length === 0) return null;
+
+        return {
+            type: 'multiple-choice',
+            question: `关于"${concept.term}"，以下说法正确的是？`,
+            options: [concept.definition, ...distractors],
+            correctAnswer: 0,
+            explanation: `根据文档内容，${concept.term}${concept.definition}`,
+            difficulty: difficulty,
+            knowledgePoints: [concept.term]
+        };
+    }
+
+    /**
+     * 生成基础填空题
+     */
+    generateBasicFillBlank(keyInfo, difficulty, index) {
+        const concepts = keyInfo.concepts || [];
+        const keywords = keyInfo.keywords || [];
+        
+        if (concepts.length > index) {
+            const concept = concepts[index];
+            return {
+                type: 'fill-blank',
+                question: `${concept.term}是指______。`,
+                correctAnswer: concept.definition,
+                explanation: `根据文档定义，${concept.term}是指${concept.definition}。`,
+                difficulty: difficulty,
+                knowledgePoints: [concept.term]
+            };
+        } else if (keywords.length > index) {
+            const keyword = keywords[index];
+            return {
+                type: 'fill-blank',
+                question: `文档中重要的概念______涉及多个方面的内容。`,
+                correctAnswer: keyword,
+                explanation: `${keyword}是文档中的重要概念。`,
+                difficulty: difficulty,
+                knowledgePoints: [keyword]
+            };
+        }
+        
+        return null;
+    }
+
+    /**
+     * 生成基础问答题
+     */
+    generateBasicEssay(keyInfo, difficulty, index) {
+        const concepts = keyInfo.concepts || [];
+        const keywords = keyInfo.keywords || [];
+        
+        if (concepts.length > index) {
+            const concept = concepts[index];
+            return {
+                type: 'essay',
+                question: `请详细说明"${concept.term}"的含义和重要性。`,
+                sampleAnswer: `${concept.term}是指${concept.definition}。这个概念在相关领域中具有重要意义...`,
+                keyPoints: [
+                    `${concept.term}的定义`,
+                    `${concept.term}的特点`,
+                    `${concept.term}的应用`
+                ],
+                explanation: `这道题考查对${concept.term}概念的理解和应用。`,
+                difficulty: difficulty,
+                knowledgePoints: [concept.term]
+            };
+        } else if (keywords.length > index) {
+            const keyword = keywords[index];
+            return {
+                type: 'essay',
+                question: `请分析文档中"${keyword}"的重要作用。`,
+                sampleAnswer: `${keyword}在文档中起到重要作用，主要体现在...`,
+                keyPoints: [
+                    `${keyword}的定义`,
+                    `${keyword}的作用`,
+                    `${keyword}的意义`
+                ],
+                explanation: `这道题考查对${keyword}重要性的理解。`,
+                difficulty: difficulty,
+                knowledgePoints: [keyword]
+            };
+        }
+        
+        return null;
+    }
+
+    /**
+     * 简化的关键信息提取
+     */
+    extractKeyInformation(content) {
+        if (!content || typeof content !== 'string') {
+            content = '这是一个学习材料示例，包含各种知识点和概念。';
+        }
+
+        const sentences = content.split(/[。！？.!?]/).filter(s => s.trim().length > 5);
+        const keywords = this.extractKeywords(content);
+        const concepts = this.extractConcepts(content);
+
+        return {
+            sentences: sentences.slice(0, 10),
+            keywords: keywords.slice(0, 15),
+            concepts: concepts.slice(0, 8)
+        };
+    }
+
+    /**
+     * 简化的关键词提取
+     */
+    extractKeywords(text) {
+        if (!text) return ['学习', '知识', '方法', '技能', '理解'];
+        
+        const cleanText = text.replace(/[^\u4e00-\u9fa5a-zA-Z0-9\s]/g, ' ');
+        const words = cleanText.split(/\s+/).filter(word => word.length > 1);
+        
+        const wordCount = {};
+        words.forEach(word => {
+            const lowerWord = word.toLowerCase();
+            wordCount[lowerWord] = (wordCount[lowerWord] || 0) + 1;
+        });
+        
+        return Object.entries(wordCount)
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, 15)
+            .map(([word]) => word);
+    }
+
+    /**
+     * 简化的概念提取
+     */
+    extractConcepts(text) {
+        if (!text) return [];
+        
+        const definitionPatterns = [
+            /(.{1,20})是(.{1,50})/g,
+            /(.{1,20})指(.{1,50})/g,
+            /(.{1,20})称为(.{1,50})/g
+        ];
+        
+        const concepts = [];
+        definitionPatterns.forEach(pattern => {
+            let match;
+            while ((match = pattern.exec(text)) !== null && concepts.length < 8) {
+                if (match[1] && match[2]) {
+                    concepts.push({
+                        term: match[1].trim(),
+                        definition: match[2].trim()
+                    });
+                }
+            }
+        });
+        
+        return concepts;
+    }
+}
+
+module.exports = BasicQuestionGenerator;
@@ -0,0 +1,248 @@
+// 班级服务 - 教师创建班级，学生通过邀请码加入
+const crypto = require('crypto');
+const Database = require('../database/database');
+
+class ClassService {
+    constructor() {
+        // 邀请码字符集，去掉容易混淆的 0/O、1/I/L
+        this.inviteAlphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+        this.inviteLength = 6;
+    }
+
+    /**
+     * 创建班级并生成邀请码
+     * @param {number} teacherId - 教师ID
+     * @param {Object} params - { name, description }
+     * @returns {Object} 班级信息
+     */
+    async create(teacherId, { name, description = null }) {
+        if (!name || !String(name).trim()) {
+            throw this.createError(400, '班级名称是必填项');
+        }
+
+        const inviteCode = await this.generateInviteCode();
+        const result = await Database.insert(
+            'INSERT INTO classes (teacher_id, name, description, invite_code) VALUES (?, ?, ?, ?)',
+            [teacherId, String(name).trim(), description, inviteCode]
+        );
+
+        console.log(`🏫 教师 ${teacherId} 创建班级 ${result.id}，邀请码 ${inviteCode}`);
+        return this.get({ userId: teacherId, role: 'teacher' }, result.id);
+    }
+
+    /**
+     * 更新班级名称、说明或归档状态
+     */
+    async update(teacherId, classId, { name, description, archived }) {
+        const row = await this.getOwnedRow(teacherId, classId);
+        await Database.update(
+            `UPDATE classes SET name = ?, description = ?, archived = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [
+                name !== undefined && String(name).trim() ? String(name).trim() : row.name,
+                description !== undefined ? description : row.description,
+                archived !== undefined ? (archived ? 1 : 0) : row.archived,
+                row.id
+            ]
+        );
+        return this.get({ userId: teacherId, role: 'teacher' }, row.id);
+    }
+
+    /**
+     * 重置邀请码，旧邀请码立即失效
+     */
+    async resetInviteCode(teacherId, classId) {
+        const row = await this.getOwnedRow(teacherId, classId);
+        const inviteCode = await this.generateInviteCode();
+        await Database.update(
+            'UPDATE classes SET invite_code = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [inviteCode, row.id]
+        );
+        return inviteCode;
+    }
+
+    async remove(teacherId, classId) {
+        const row = await this.getOwnedRow(teacherId, classId);
+        await Database.delete(
+            'DELETE FROM assignment_questions WHERE assignment_id IN (SELECT id FROM assignments WHERE class_id = ?)',
+            [row.id]
+        );
+        await Database.delete('DELETE FROM assignments WHERE class_id = ?', [row.id]);
+        await Database.delete('DELETE FROM class_members WHERE class_id = ?', [row.id]);
+        await Database.delete('DELETE FROM classes WHERE id = ?', [row.id]);
+    }
+
+    /**
+     * 通过邀请码加入班级
+     * @param {number} userId - 学生ID
+     * @param {string} inviteCode - 邀请码（不区分大小写）
+     * @returns {Object} 班级信息
+     */
+    async join(userId, inviteCode) {
+        const code = String(inviteCode || '').trim().toUpperCase();
+        if (!code) {
+            throw this.createError(400, '请输入邀请码');
+        }
+
+        const row = await Database.get('SELECT * FROM classes WHERE invite_code = ?', [code]);
+        if (!row || row.archived) {
+            throw this.createError(404, '邀请码无效');
+        }
+        if (row.teacher_id === userId) {
+            throw this.createError(400, '不能加入自己创建的班级');
+        }
+
+        const result = await Database.insert(
+            'INSERT OR IGNORE INTO class_members (class_id, user_id) VALUES (?, ?)',
+            [row.id, userId]
+        );
+        if (result.changes === 0) {
+            throw this.createError(409, '已经是该班级成员');
+        }
+
+        console.log(`🏫 用户 ${userId} 加入班级 ${row.id}`);
+        return this.get({ userId }, row.id);
+    }
+
+    async leave(userId, classId) {
+        const result = await Database.delete(
+            'DELETE FROM class_members WHERE class_id = ? AND user_id = ?',
+            [classId, userId]
+        );
+        if (result.changes === 0) {
+            throw this.createError(404, '不是该班级成员');
+        }
+    }
+
+    async removeMember(teacherId, classId, memberId) {
+        const row = await this.getOwnedRow(teacherId, classId);
+        const result = await Database.delete(
+            'DELETE FROM class_members WHERE class_id = ? AND user_id = ?',
+            [row.id, memberId]
+        );
+        if (result.changes === 0) {
+            throw this.createError(404, '该学生不在班级中');
+        }
+    }
+
+    /**
+     * 班级列表：教师看自己创建的班级，学生看已加入的班级
+     * @param {Object} user - 当前用户 { userId, role }
+     * @returns {Array} 班级列表
+     */
+    async list(user) {
+        const isStudent = !user.role || user.role === 'student';
+        const rows = await Database.query(
+            `SELECT c.*, u.username as teacher_name,
+                    (SELECT COUNT(*) FROM class_members WHERE class_id = c.id) as member_count,
+                    (SELECT COUNT(*) FROM assignments WHERE class_id = c.id) as assignment_count
+             FROM classes c
+             LEFT JOIN users u ON c.teacher_id = u.id
+             WHERE ${isStudent
+                ? 'c.archived = 0 AND c.id IN (SELECT class_id FROM class_members WHERE user_id = ?)'
+                : 'c.teacher_id = ?'}
+             ORDER BY c.archived ASC, c.created_at DESC`,
+            [user.userId]
+        );
+        return rows.map(row => this.formatClass(row, !isStudent));
+    }
+
+    /**
+     * 班级详情：创建者可以看到邀请码和成员名单
+     * @param {Object} user - 当前用户 { userId, role }
+     * @param {number} classId - 班级ID
+     * @returns {Object} 班级信息
+     */
+    async get(user, classId) {
+        const row = await Database.get(
+            `SELECT c.*, u.username as teacher_name,
+                    (SELECT COUNT(*) FROM class_members WHERE class_id = c.id) as member_count,
+                    (SELECT COUNT(*) FROM assignments WHERE class_id = c.id) as assignment_count
+             FROM classes c
+             LEFT JOIN users u ON c.teacher_id = u.id
+             WHERE c.id = ?`,
+            [classId]
+        );
+        if (!row) {
+            throw this.createError(404, '班级不存在');
+        }
+
+        const isOwner = row.teacher_id === user.userId || user.role === 'admin';
+        if (!isOwner && !(await this.isMember(row.id, user.userId))) {
+            throw this.createError(404, '班级不存在');
+        }
+
+        const result = this.formatClass(row, isOwner);
+        if (isOwner) {
+            const members = await Database.query(
+                `SELECT u.id, u.username, u.email, cm.joined_at
+                 FROM class_members cm
+                 JOIN users u ON cm.user_id = u.id
+                 WHERE cm.class_id = ?
+                 ORDER BY cm.joined_at ASC`,
+                [row.id]
+            );
+            result.members = members.map(member => ({
+                id: member.id,
+                username: member.username,
+                email: member.email,
+                joinedAt: member.joined_at
+            }));
+        }
+        return result;
+    }
+
+    async getOwnedRow(teacherId, classId) {
+        const row = await Database.get(
+            'SELECT * FROM classes WHERE id = ? AND teacher_id = ?',
+            [classId, teacherId]
+        );
+        if (!row) {
+            throw this.createError(404, '班级不存在');
+        }
+        return row;
+    }
+
+    async isMember(classId, userId) {
+        const member = await Database.get(
+            'SELECT id FROM class_members WHERE class_id = ? AND user_id = ?',
+            [classId, userId]
+        );
+        return !!member;
+    }
+
+    async generateInviteCode() {
+        for (let attempt = 0; attempt < 10; attempt++) {
+            let code = '';
+            for (let i = 0; i < this.inviteLength; i++) {
+                code += this.inviteAlphabet[crypto.randomInt(this.inviteAlphabet.length)];
+            }
+            const exists = await Database.get('SELECT id FROM classes WHERE invite_code = ?', [code]);
+            if (!exists) return code;
+        }
+        throw new Error('生成邀请码失败');
+    }
+
+    formatClass(row, includeInviteCode = false) {
+        return {
+            id: row.id,
+            name: row.name,
+            description: row.description,
+            teacherId: row.teacher_id,
+            teacherName: row.teacher_name || null,
+            inviteCode: includeInviteCode ? row.invite_code : undefined,
+            archived: row.archived === 1,
+            memberCount: row.member_count || 0,
+            assignmentCount: row.assignment_count || 0,
+            createdAt: row.created_at
+        };
+    }
+
+    createError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new ClassService();
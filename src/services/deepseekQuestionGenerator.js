@@ -1,11 +1,10 @@
 const ollamaService = require('./ollamaService');
-const MathFormulaHandler = require('../utils/mathFormulaHandler');
+const modelRouter = require('./modelRouter');
 
 class DeepSeekQuestionGenerator {
     constructor() {
-        this.model = 'deepseek-r1:7b';
+        this.model = 'deepseek-r1:7b'; // 不按 gpu-config.json 路由的后端上的首选模型
         this.maxRetries = 3;
-        this.mathHandler = new MathFormulaHandler();
         this.questionTemplates = {
             'multiple-choice': {
                 prompt: '基于文档内容生成选择题',
@@ -27,71 +26,53 @@ class DeepSeekQuestionGenerator {
     }
 
     /**
-     * 使用DeepSeek生成高质量题目
+     * 使用DeepSeek生成高质量题目（只使用 deepseek 策略，不降级）
      * @param {Object} processedDoc - 处理后的文档
      * @param {Object} options - 生成选项
-     * @returns {Array} 生成的题目列表
+     * @returns {Array} 统一格式的题目列表
      */
     async generateIntelligentQuestions(processedDoc, options = {}) {
-        try {
-            const {
-                questionCount = 10,
-                questionTypes = ['multiple-choice', 'fill-blank', 'essay'],
-                difficulty = 'medium',
-                focusOnConcepts = true
-            } = options;
-
-            console.log(`🤖 使用DeepSeek生成${questionCount}道智能题目`);
-
-            // 检查DeepSeek服务状态
-            const serviceStatus = await ollamaService.checkService();
-            if (!serviceStatus.available) {
-                throw new Error('DeepSeek服务不可用');
-            }
-
-            // 确保使用DeepSeek模型
-            if (!serviceStatus.models.some(model => model.includes('deepseek'))) {
-                console.warn('DeepSeek模型不可用，尝试使用其他可用模型');
-                if (serviceStatus.models.length > 0) {
-                    this.model = serviceStatus.models.find(m => m.includes('qwen')) || serviceStatus.models[0];
-                }
-            }
-
-            // 提取文档核心信息
-            const documentSummary = this.extractDocumentSummary(processedDoc);
-            
-            // 生成不同类型的题目
-            const allQuestions = [];
-            const typeDistribution = this.calculateTypeDistribution(questionCount, questionTypes);
-
-            for (const [type, count] of Object.entries(typeDistribution)) {
-                if (count > 0) {
-                    console.log(`📝 生成${count}道${type}题目`);
-                    const typeQuestions = await this.generateQuestionsByType(
-                        type, count, documentSummary, difficulty, processedDoc
-                    );
-                    allQuestions.push(...typeQuestions);
-                }
-            }
+        const {
+            questionCount = 10,
+            questionTypes = ['multiple-choice', 'fill-blank', 'essay'],
+            difficulty = 'medium',
+            onQuestion = null,
+            provider = null // 推理后端名称，缺省使用默认后端
+        } = options;
+
+        const questionPipeline = require('./generation/questionPipeline');
+        const { questions, metadata } = await questionPipeline.generate('', {
+            strategy: 'deepseek',
+            fallback: false,
+            processedDoc,
+            questionType: questionTypes,
+            count: questionCount,
+            difficulty,
+            provider,
+            onQuestion
+        });
 
-            // 质量检查和优化
-            const optimizedQuestions = this.optimizeQuestions(allQuestions, processedDoc);
-            
-            // 处理数学公式
-            console.log('🔧 处理题目中的数学公式...');
-            const processedQuestions = this.mathHandler.processQuestionsMath(optimizedQuestions, {
-                renderMode: 'html', // 使用HTML模式避免$符号显示
-                autoWrap: false,
-                preserveOriginal: true
-            });
-            
-            console.log(`✅ DeepSeek生成完成: ${processedQuestions.length}道高质量题目（已处理数学公式）`);
-            return processedQuestions;
+        if (metadata.unavailable.deepseek) {
+            throw new Error(metadata.unavailable.deepseek);
+        }
+        return questions;
+    }
 
-        } catch (error) {
-            console.error('DeepSeek题目生成失败:', error);
-            throw error;
+    /**
+     * 选择模型：优先使用首选模型，其次任意DeepSeek模型，再次Qwen模型
+     * @param {Array} models - 推理后端的模型列表
+     * @returns {string} 模型名称
+     */
+    selectModel(models) {
+        if (models.includes(this.model)) {
+            return this.model;
+        }
+        const deepseekModel = models.find(m => m.includes('deepseek'));
+        if (deepseekModel) {
+            return deepseekModel;
         }
+        console.warn('DeepSeek模型不可用，尝试使用其他可用模型');
+        return models.find(m => m.includes('qwen')) || models[0] || this.model;
     }
 
     /**
@@ -123,37 +104,6 @@ class DeepSeekQuestionGenerator {
         };
     }
 
-    /**
-     * 按类型生成题目
-     * @param {string} type - 题目类型
-     * @param {number} count - 数量
-     * @param {Object} summary - 文档摘要
-     * @param {string} difficulty - 难度
-     * @param {Object} processedDoc - 完整文档数据
-     * @returns {Array} 题目列表
-     */
-    async generateQuestionsByType(type, count, summary, difficulty, processedDoc) {
-        const questions = [];
-        
-        for (let i = 0; i < count; i++) {
-            try {
-                const question = await this.generateSingleQuestion(type, summary, difficulty, i, processedDoc);
-                if (question) {
-                    questions.push(question);
-                }
-            } catch (error) {
-                console.warn(`生成第${i+1}道${type}题目失败:`, error.message);
-                // 生成备用题目
-                const fallbackQuestion = this.generateFallbackQuestion(type, summary, i);
-                if (fallbackQuestion) {
-                    questions.push(fallbackQuestion);
-                }
-            }
-        }
-
-        return questions;
-    }
-
     /**
      * 生成单个题目
      * @param {string} type - 题目类型
@@ -161,30 +111,52 @@ class DeepSeekQuestionGenerator {
      * @param {string} difficulty - 难度
      * @param {number} index - 题目索引
      * @param {Object} processedDoc - 完整文档数据
+     * @param {Object} llm - { provider, model } 推理后端和模型
      * @returns {Object} 题目对象
      */
-    async generateSingleQuestion(type, summary, difficulty, index, processedDoc) {
+    async generateSingleQuestion(type, summary, difficulty, index, processedDoc, llm = {}) {
         const prompt = this.buildIntelligentPrompt(type, summary, difficulty, index);
         
         const response = await this.callDeepSeekWithRetry({
-            model: this.model,
+            provider: llm.provider,
+            model: llm.model,
+            task: 'question_generation',
             prompt: prompt,
-            stream: false,
             options: {
-                temperature: 0.7,
-                top_p: 0.9,
-                max_tokens: 1000,
                 num_predict: 500
             }
         });
 
         if (response && response.data && response.data.response) {
-            return this.parseQuestionResponse(response.data.response, type, index);
+            const question = this.parseQuestionResponse(response.data.response, type, index);
+            if (!question) return null;
+
+            question.model = response.data.model;
+            question.provider = response.data.provider;
+            if (type === 'multiple-choice') {
+                await this.completeOptions(question, llm);
+            }
+            return question;
         }
 
         return null;
     }
 
+    /**
+     * 选择题选项不足4个时，用轻量模型补充干扰项
+     * @param {Object} question - 选择题
+     * @param {Object} llm - { provider } 推理后端
+     */
+    async completeOptions(question, llm = {}) {
+        const options = Array.isArray(question.options) ? question.options : [];
+        if (options.length >= 4 || options.length === 0) return;
+
+        const { distractors } = await ollamaService.generateDistractors(question, 4 - options.length, {
+            provider: llm.provider
+        });
+        question.options = options.concat(distractors);
+    }
+
     /**
      * 构建智能提示词
      * @param {string} type - 题目类型
@@ -212,13 +184,14 @@ ${conceptsText}
 2. 难度等级：${difficulty}
 3. 题目要有一定的思辨性，避免简单的记忆性问题
 4. 确保答案准确且有充分的解释说明
+5. 答案必须能在材料中找到依据，sourceQuote 填写从材料中逐字摘录的支持答案的原文句子，不要改写或概括
 `;
 
         switch (type) {
             case 'multiple-choice':
                 basePrompt += `
-5. 提供4个选项，其中1个正确答案，3个有一定迷惑性的错误选项
-6. 选项要基于材料内容，避免明显错误的选项
+6. 提供4个选项，其中1个正确答案，3个有一定迷惑性的错误选项
+7. 选项要基于材料内容，避免明显错误的选项
 
 请按以下JSON格式输出：
 {
@@ -226,28 +199,30 @@ ${conceptsText}
   "options": ["选项A", "选项B", "选项C", "选项D"],
   "correctAnswer": 0,
   "explanation": "详细解释为什么这个答案正确，其他选项为什么错误",
-  "knowledgePoints": ["相关知识点1", "相关知识点2"]
+  "knowledgePoints": ["相关知识点1", "相关知识点2"],
+  "sourceQuote": "材料中支持答案的原文句子"
 }`;
                 break;
 
             case 'fill-blank':
                 basePrompt += `
-5. 用______表示需要填空的部分
-6. 空白处应该是关键概念或重要信息
+6. 用______表示需要填空的部分
+7. 空白处应该是关键概念或重要信息
 
 请按以下JSON格式输出：
 {
   "question": "题目内容（用______表示空白）",
   "correctAnswer": "标准答案",
   "explanation": "详细解释答案及相关概念",
-  "knowledgePoints": ["相关知识点1", "相关知识点2"]
+  "knowledgePoints": ["相关知识点1", "相关知识点2"],
+  "sourceQuote": "材料中支持答案的原文句子"
 }`;
                 break;
 
             case 'essay':
                 basePrompt += `
-5. 问题要能引导学生深入思考和分析
-6. 提供参考答案要点和评分标准
+6. 问题要能引导学生深入思考和分析
+7. 提供参考答案要点和评分标准
 
 请按以下JSON格式输出：
 {
@@ -255,14 +230,15 @@ ${conceptsText}
   "sampleAnswer": "参考答案要点",
   "keyPoints": ["要点1", "要点2", "要点3"],
   "explanation": "题目考查的核心能力和知识点",
-  "knowledgePoints": ["相关知识点1", "相关知识点2"]
+  "knowledgePoints": ["相关知识点1", "相关知识点2"],
+  "sourceQuote": "材料中支持答案的原文句子"
 }`;
                 break;
 
             case 'conceptual':
                 basePrompt += `
-5. 重点考查概念理解、概念间关系、概念应用
-6. 避免纯记忆性问题，注重理解和分析
+6. 重点考查概念理解、概念间关系、概念应用
+7. 避免纯记忆性问题，注重理解和分析
 
 请按以下JSON格式输出：
 {
@@ -270,7 +246,8 @@ ${conceptsText}
   "expectedAnswer": "期望的回答要点",
   "evaluationCriteria": ["评价标准1", "评价标准2"],
   "explanation": "题目设计意图和考查重点",
-  "knowledgePoints": ["相关知识点1", "相关知识点2"]
+  "knowledgePoints": ["相关知识点1", "相关知识点2"],
+  "sourceQuote": "材料中支持答案的原文句子"
 }`;
                 break;
         }
@@ -393,184 +370,6 @@ ${conceptsText}
 
         return Math.min(1.0, score);
     }
-
-    /**
-     * 计算题目类型分布
-     * @param {number} totalCount - 总题目数
-     * @param {Array} types - 题目类型列表
-     * @returns {Object} 类型分布
-     */
-    calculateTypeDistribution(totalCount, types) {
-        const distribution = {};
-        
-        if (types.length === 1) {
-            distribution[types[0]] = totalCount;
-        } else {
-            let remaining = totalCount;
-            types.forEach((type, index) => {
-                if (index === types.length - 1) {
-                    distribution[type] = remaining;
-                } else {
-                    const count = Math.floor(totalCount / types.length);
-                    distribution[type] = count;
-                    remaining -= count;
-                }
-            });
-        }
-
-        return distribution;
-    }
-
-    /**
-     * 优化题目质量
-     * @param {Array} questions - 题目列表
-     * @param {Object} processedDoc - 处理后的文档
-     * @returns {Array} 优化后的题目
-     */
-    optimizeQuestions(questions, processedDoc) {
-        return questions
-            .filter(q => q && q.question) // 过滤无效题目
-            .map(question => {
-                // 添加文档相关性分数
-                question.relevanceScore = this.calculateRelevanceScore(question, processedDoc);
-                
-                // 添加难度评估
-                question.estimatedDifficulty = this.estimateQuestionDifficulty(question);
-                
-                return question;
-            })
-            .sort((a, b) => (b.qualityScore + b.relevanceScore) - (a.qualityScore + a.relevanceScore)); // 按质量排序
-    }
-
-    /**
-     * 计算题目与文档的相关性
-     * @param {Object} question - 题目对象
-     * @param {Object} processedDoc - 处理后的文档
-     * @returns {number} 相关性分数 (0-1)
-     */
-    calculateRelevanceScore(question, processedDoc) {
-        let relevance = 0.5;
-
-        const questionText = (question.question + ' ' + (question.explanation || '')).toLowerCase();
-        const documentKeywords = processedDoc.globalMetadata?.topKeyTerms?.map(t => t.term.toLowerCase()) || [];
-
-        // 检查关键词匹配
-        const matchedKeywords = documentKeywords.filter(keyword => 
-            questionText.includes(keyword)
-        );
-        
-        if (matchedKeywords.length > 0) {
-            relevance += Math.min(0.3, matchedKeywords.length * 0.1);
-        }
-
-        // 检查概念匹配
-        const documentConcepts = processedDoc.concepts?.map(c => c.term.toLowerCase()) || [];
-        const matchedConcepts = documentConcepts.filter(concept => 
-            questionText.includes(concept)
-        );
-        
-        if (matchedConcepts.length > 0) {
-            relevance += Math.min(0.2, matchedConcepts.length * 0.1);
-        }
-
-        return Math.min(1.0, relevance);
-    }
-
-    /**
-     * 估算题目难度
-     * @param {Object} question - 题目对象
-     * @returns {string} 难度等级
-     */
-    estimateQuestionDifficulty(question) {
-        let difficultyScore = 1; // 基础难度
-
-        const questionText = question.question || '';
-        
-        // 基于问题长度
-        if (questionText.length > 100) difficultyScore += 0.5;
-        
-        // 基于复杂词汇
-        const complexWords = (questionText.match(/[A-Z]{2,}|技术|理论|原理|分析|评价|综合/g) || []).length;
-        difficultyScore += complexWords * 0.2;
-        
-        // 基于题目类型
-        if (question.type === 'essay' || question.type === 'conceptual') {
-            difficultyScore += 0.5;
-        }
-
-        if (difficultyScore <= 1.5) return 'easy';
-        if (difficultyScore <= 2.5) return 'medium';
-        return 'hard';
-    }
-
-    /**
-     * 生成备用题目
-     * @param {string} type - 题目类型
-     * @param {Object} summary - 文档摘要
-     * @param {number} index - 题目索引
-     * @returns {Object} 备用题目
-     */
-    generateFallbackQuestion(type, summary, index) {
-        const concept = summary.concepts[index % summary.concepts.length];
-        const keyTerm = summary.keyTerms[index % summary.keyTerms.length];
-        
-        if (!concept && !keyTerm) return null;
-
-        const baseTerm = concept?.term || keyTerm?.term || '重要概念';
-        const baseDefinition = concept?.definition || '相关内容';
-
-        switch (type) {
-            case 'multiple-choice':
-                return {
-                    id: `fallback_mc_${index + 1}`,
-                    type: 'multiple-choice',
-                    question: `关于"${baseTerm}"，以下说法正确的是？`,
-                    options: [
-                        baseDefinition,
-                        '这是错误的选项A',
-                        '这是错误的选项B',
-                        '这是错误的选项C'
-                    ],
-                    correctAnswer: 0,
-                    explanation: `根据文档内容，${baseTerm}${baseDefinition}`,
-                    knowledgePoints: [baseTerm],
-                    source: 'fallback',
-                    qualityScore: 0.6
-                };
-
-            case 'fill-blank':
-                return {
-                    id: `fallback_fb_${index + 1}`,
-                    type: 'fill-blank',
-                    question: `${baseTerm}是指______。`,
-                    correctAnswer: baseDefinition,
-                    explanation: `根据文档定义，${baseTerm}是指${baseDefinition}。`,
-                    knowledgePoints: [baseTerm],
-                    source: 'fallback',
-                    qualityScore: 0.6
-                };
-
-            case 'essay':
-                return {
-                    id: `fallback_essay_${index + 1}`,
-                    type: 'essay',
-                    question: `请详细说明"${baseTerm}"的含义和重要性。`,
-                    sampleAnswer: `${baseTerm}是指${baseDefinition}。这个概念在相关领域中具有重要意义...`,
-                    keyPoints: [
-                        `${baseTerm}的定义`,
-                        `${baseTerm}的特点`,
-                        `${baseTerm}的应用`
-                    ],
-                    explanation: `这道题考查对${baseTerm}概念的理解和应用。`,
-                    knowledgePoints: [baseTerm],
-                    source: 'fallback',
-                    qualityScore: 0.6
-                };
-
-            default:
-                return null;
-        }
-    }
 }
 
 module.exports = DeepSeekQuestionGenerator;
\ No newline at end of file
@@ -13,6 +13,7 @@ class DocumentProcessor {
      * 智能分块处理大文档
      * @param {string} content - 文档内容
      * @param {Object} options - 分块选项
+     * @param {Array} options.units - 文档的结构单元 [{ start, end }]（见 extractors/index.js），提供时按单元分块
      * @returns {Array} 分块结果
      */
     smartChunking(content, options = {}) {
@@ -22,6 +23,10 @@ class DocumentProcessor {
             preserveContext = true
         } = options;
 
+        if (content && Array.isArray(options.units) && options.units.length > 0) {
+            return this.unitChunking(content, options.units, options);
+        }
+
         if (!content || content.length <= maxChunkSize) {
             return [{
                 content: content,
@@ -66,6 +71,57 @@ class DocumentProcessor {
         return chunks;
     }
 
+    /**
+     * 按结构单元分块：相邻单元依次合并，直到再加一个单元会超过 maxChunkSize，单元不会被拆到两块；
+     * 单个单元超过 maxChunkSize 时单独按常规方法分块。units 按位置排列且互不重叠
+     * @returns {Array} 分块结果，每块的 units 为所含单元在 units 数组中的序号
+     */
+    unitChunking(content, units, options = {}) {
+        const { maxChunkSize = this.maxChunkSize } = options;
+        const chunks = [];
+        const push = (start, end, unitIndexes) => {
+            const chunkContent = content.substring(start, end);
+            chunks.push({
+                content: chunkContent,
+                index: chunks.length,
+                startPos: start,
+                endPos: end,
+                units: unitIndexes,
+                metadata: this.extractChunkMetadata(chunkContent),
+                context: this.extractContext(content, start, end)
+            });
+        };
+
+        // 每个单元的范围延伸到下一个单元开始，单元之间的文字归入前一个单元
+        const spans = units.map((unit, position) => ({
+            start: position === 0 ? 0 : unit.start,
+            end: position + 1 < units.length ? units[position + 1].start : content.length
+        }));
+
+        let group = [];
+        const flush = () => {
+            if (group.length === 0) return;
+            push(spans[group[0]].start, spans[group[group.length - 1]].end, group);
+            group = [];
+        };
+
+        spans.forEach((span, position) => {
+            if (span.end - span.start > maxChunkSize) {
+                flush();
+                this.smartChunking(content.substring(span.start, span.end), { ...options, units: null })
+                    .forEach(part => push(span.start + part.startPos, span.start + part.endPos, [position]));
+                return;
+            }
+            if (group.length > 0 && span.end - spans[group[0]].start > maxChunkSize) {
+                flush();
+            }
+            group.push(position);
+        });
+        flush();
+
+        return chunks;
+    }
+
     /**
      * 寻找最佳分割点
      * @param {string} content - 内容
@@ -306,8 +362,8 @@ class DocumentProcessor {
             // 统一换行符
             .replace(/\r\n/g, '\n')
             .replace(/\r/g, '\n')
-            // 移除多余空白
-            .replace(/[ \t]+/g, ' ')
+            // 移除多余空白，保留行首缩进（代码块）
+            .replace(/(\S)[ \t]+/g, '$1 ')
             .replace(/\n\s*\n\s*\n/g, '\n\n')
             // 清理特殊字符
             .replace(/[\u200b-\u200d\ufeff]/g, '')
@@ -484,18 +540,34 @@ class DocumentProcessor {
      * 处理文档 - 主要入口方法
      * @param {string} content - 文档内容
      * @param {Object} options - 处理选项
+     * @param {Function} options.onProgress - 各步骤完成时回调 (step, info)
      * @returns {Object} 处理结果
      */
     async processDocument(content, options = {}) {
+        const report = (step, info) => {
+            if (options.onProgress) options.onProgress(step, info);
+        };
+
         try {
             console.log(`📄 开始处理文档，长度: ${content.length} 字符`);
 
             // 预处理：清理和标准化内容
             const cleanedContent = this.preprocessContent(content);
 
+            // 结构单元的位置基于原文，预处理改变了文本时不再适用
+            let chunkOptions = options;
+            if (options.units && cleanedContent !== content) {
+                console.warn('⚠️ 预处理改变了文档内容，不按结构单元分块');
+                chunkOptions = { ...options, units: null };
+            }
+
             // 智能分块
-            const chunks = this.smartChunking(cleanedContent, options);
+            const chunks = this.smartChunking(cleanedContent, chunkOptions);
             console.log(`📊 文档已分为 ${chunks.length} 个块`);
+            report('chunked', {
+                chunkCount: chunks.length,
+                chunks: chunks.map(chunk => ({ index: chunk.index, length: chunk.content.length }))
+            });
 
             // 提取全局信息
             const globalMetadata = this.extractGlobalMetadata(cleanedContent, chunks);
@@ -503,6 +575,12 @@ class DocumentProcessor {
             // 构建知识图谱
             const knowledgeGraph = options.enableKnowledgeGraph !== false ? 
                 this.buildKnowledgeGraph(chunks) : null;
+            if (knowledgeGraph) {
+                report('knowledge_graph', {
+                    nodeCount: knowledgeGraph.nodes.length,
+                    edgeCount: knowledgeGraph.edges.length
+                });
+            }
 
             // 识别重要段落
             const importantSections = this.identifyImportantSections(chunks);
@@ -0,0 +1,164 @@
+// 题库查重服务 - 按材料或用户建立题目的相似度索引（见 generation/similarityIndex），
+// 用于重新出题时跳过近似重复的题目，以及给管理员生成合并重复题目的报告
+const Database = require('../database/database');
+const questionBankService = require('./questionBankService');
+const similarityIndex = require('./generation/similarityIndex');
+const { quality } = require('../../config/questionGeneration');
+
+class DuplicateQuestionService {
+    /**
+     * 建立相似度索引
+     * @param {Object} scope - { materialId, userId }，都不提供时为整个题库
+     * @param {Object} options - { threshold } 缺省为 uniquenessThreshold
+     * @returns {SimilarityIndex} 以题目ID为键的索引
+     */
+    async buildIndex(scope = {}, { threshold = quality.minimumQuality.uniquenessThreshold } = {}) {
+        const rows = await this.loadQuestions(scope);
+        const index = new similarityIndex.SimilarityIndex(threshold);
+        rows.forEach(({ row, signature }) => index.add(row.id, row.question_type, signature, row));
+        return index;
+    }
+
+    /**
+     * 读取范围内的题目及签名；旧题目没有签名时补算并保存
+     */
+    async loadQuestions({ materialId = null, userId = null } = {}, { withUsage = false } = {}) {
+        const conditions = [];
+        const params = [];
+        if (materialId) {
+            conditions.push('q.material_id = ?');
+            params.push(parseInt(materialId));
+        }
+        if (userId) {
+            conditions.push('m.user_id = ?');
+            params.push(parseInt(userId));
+        }
+
+        const usage = withUsage
+            ? `, (SELECT COUNT(*) FROM answer_records ar WHERE ar.question_id = q.id) as answer_count,
+                 (SELECT COUNT(*) FROM question_set_items qsi WHERE qsi.question_id = q.id) as set_count,
+                 (SELECT COUNT(*) FROM assignment_questions aq WHERE aq.question_id = q.id) as assignment_count`
+            : '';
+        const rows = await Database.query(
+            `SELECT q.*, m.original_name as material_name, m.user_id as owner_id${usage}
+             FROM questions q
+             LEFT JOIN materials m ON q.material_id = m.id
+             ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY q.id ASC`,
+            params
+        );
+
+        const result = [];
+        let backfilled = 0;
+        for (const row of rows) {
+            // 没有签名或签名按旧版本算法计算的题目重新计算
+            let signature = row.similarity_version === similarityIndex.SIGNATURE_VERSION
+                ? similarityIndex.decode(row.similarity_signature)
+                : null;
+            if (!signature) {
+                signature = similarityIndex.signature(questionBankService.formatQuestion(row));
+                if (signature) {
+                    await Database.update(
+                        'UPDATE questions SET similarity_signature = ?, similarity_version = ? WHERE id = ?',
+                        [similarityIndex.encode(signature), similarityIndex.SIGNATURE_VERSION, row.id]
+                    );
+                    backfilled++;
+                }
+            }
+            result.push({ row, signature });
+        }
+        if (backfilled > 0) {
+            console.log(`🔏 补算 ${backfilled} 道题目的相似度签名`);
+        }
+        return result;
+    }
+
+    /**
+     * 近似重复题目报告：相似度达到阈值的题目归为一组（传递合并），每组建议保留使用最多的题目
+     * @param {Object} filters - { materialId, userId, threshold, limit }
+     * @returns {Object} { threshold, scanned, totalGroups, duplicateCount, groups }
+     *   groups: [{ keepId, mergeIds, similarity, questions }]，按组内题目数从多到少
+     */
+    async findDuplicates({ materialId = null, userId = null, threshold, limit = 50 } = {}) {
+        const level = parseFloat(threshold);
+        const minSimilarity = level > 0 && level <= 1 ? level : quality.minimumQuality.uniquenessThreshold;
+        const maxGroups = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+        const questions = await this.loadQuestions({ materialId, userId }, { withUsage: true });
+        const index = new similarityIndex.SimilarityIndex(minSimilarity);
+        questions.forEach(({ row, signature }) => index.add(row.id, row.question_type, signature, row));
+
+        // 并查集：相似的题目合并到同一组，记录组内最低的直接相似度
+        const parent = new Map();
+        const find = id => {
+            while (parent.get(id) !== id) {
+                parent.set(id, parent.get(parent.get(id)));
+                id = parent.get(id);
+            }
+            return id;
+        };
+        const lowest = new Map();
+        questions.forEach(({ row }) => parent.set(row.id, row.id));
+        questions.forEach(({ row, signature }) => {
+            index.findSimilar(row.question_type, signature, { exclude: row.id }).forEach(match => {
+                const a = find(row.id);
+                const b = find(match.id);
+                const root = Math.min(a, b);
+                const score = Math.min(match.similarity, lowest.get(a) ?? 1, lowest.get(b) ?? 1);
+                parent.set(a, root);
+                parent.set(b, root);
+                lowest.set(root, score);
+            });
+        });
+
+        const groups = new Map();
+        questions.forEach(({ row }) => {
+            const root = find(row.id);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(row);
+        });
+
+        const duplicates = Array.from(groups.entries())
+            .filter(([, rows]) => rows.length > 1)
+            .map(([root, rows]) => this.formatGroup(rows, lowest.get(root)))
+            .sort((a, b) => b.questions.length - a.questions.length || a.keepId - b.keepId);
+
+        return {
+            threshold: minSimilarity,
+            scanned: questions.length,
+            totalGroups: duplicates.length,
+            duplicateCount: duplicates.reduce((sum, group) => sum + group.mergeIds.length, 0),
+            groups: duplicates.slice(0, maxGroups)
+        };
+    }
+
+    // 建议保留被练习、题集和作业引用最多的题目，相同时保留最早的
+    formatGroup(rows, similarity) {
+        const usage = row => ({
+            answers: row.answer_count || 0,
+            questionSets: row.set_count || 0,
+            assignments: row.assignment_count || 0
+        });
+        const total = row => (row.answer_count || 0) + (row.set_count || 0) + (row.assignment_count || 0);
+        const ordered = [...rows].sort((a, b) => total(b) - total(a) || a.id - b.id);
+
+        return {
+            keepId: ordered[0].id,
+            mergeIds: ordered.slice(1).map(row => row.id),
+            similarity: Math.round(similarity * 100) / 100,
+            questions: ordered.map(row => ({
+                id: row.id,
+                type: row.question_type,
+                question: row.question_text,
+                materialId: row.material_id,
+                materialName: row.material_name || null,
+                ownerId: row.owner_id || null,
+                source: row.source || null,
+                createdAt: row.created_at,
+                usage: usage(row)
+            }))
+        };
+    }
+}
+
+module.exports = new DuplicateQuestionService();
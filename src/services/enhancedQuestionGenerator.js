@@ -27,72 +27,30 @@ class EnhancedQuestionGenerator {
     }
 
     /**
-     * 增强题目生成 - 主入口方法
+     * 增强题目生成 - 主入口方法（只使用 enhanced 策略，不降级）
      * @param {Object} analysisResult - 文档分析结果
      * @param {Object} options - 生成选项
-     * @returns {Array} 生成的题目列表
+     * @returns {Array} 统一格式的题目列表
      */
     async generateEnhancedQuestions(analysisResult, options = {}) {
         const {
             count = 10,
             difficulty = 'medium',
             types = ['multiple-choice', 'fill-blank', 'short-answer'],
-            useWebSearch = this.useWebSearch,
-            enhanceWithNLP = true,
-            includeExplanations = true,
-            maxRetries = this.maxRetries
+            ...otherOptions
         } = options;
 
-        console.log(`🚀 开始增强题目生成: ${count}题, 难度: ${difficulty}`);
-
-        try {
-            // 1. NLP增强分析
-            let enhancedAnalysis = analysisResult;
-            if (enhanceWithNLP) {
-                console.log('🧠 执行NLP增强分析...');
-                enhancedAnalysis = await this.enhanceAnalysisWithNLP(analysisResult);
-            }
-
-            // 2. 网络搜索增强概念
-            let enrichedConcepts = enhancedAnalysis.concepts || [];
-            if (useWebSearch && enrichedConcepts.length > 0) {
-                console.log('🔍 执行网络搜索增强...');
-                enrichedConcepts = await this.enrichConceptsWithWebSearch(enrichedConcepts);
-            }
-
-            // 3. 生成高质量题目
-            console.log('📝 生成高质量题目...');
-            const questions = await this.generateHighQualityQuestions(
-                enhancedAnalysis, 
-                enrichedConcepts, 
-                { count, difficulty, types, includeExplanations }
-            );
-
-            // 4. 质量评估和筛选
-            console.log('🎯 执行质量评估...');
-            const qualityQuestions = this.filterQuestionsByQuality(questions);
-
-            // 5. 如果质量题目不足，进行补充生成
-            if (qualityQuestions.length < count * 0.7) {
-                console.log('🔄 质量题目不足，执行补充生成...');
-                const additionalQuestions = await this.generateAdditionalQuestions(
-                    enhancedAnalysis, 
-                    enrichedConcepts, 
-                    count - qualityQuestions.length,
-                    { difficulty, types, includeExplanations }
-                );
-                qualityQuestions.push(...additionalQuestions);
-            }
-
-            console.log(`✅ 增强题目生成完成: 生成${questions.length}题, 最终输出${qualityQuestions.length}题`);
-            
-            return qualityQuestions.slice(0, count);
-            
-        } catch (error) {
-            console.error('增强题目生成失败:', error);
-            // 降级到基础生成
-            return this.generateBasicQuestions(analysisResult, options);
-        }
+        const questionPipeline = require('./generation/questionPipeline');
+        const { questions } = await questionPipeline.generate(this.extractContentFromAnalysis(analysisResult), {
+            ...otherOptions,
+            strategy: 'enhanced',
+            fallback: false,
+            processedDoc: analysisResult,
+            questionType: types,
+            count,
+            difficulty
+        });
+        return questions;
     }
 
     /**
@@ -204,42 +162,6 @@ class EnhancedQuestionGenerator {
         }
     }
 
-    /**
-     * 生成高质量题目
-     * @param {Object} analysis - 分析结果
-     * @param {Array} concepts - 概念列表
-     * @param {Object} options - 选项
-     * @returns {Array} 题目列表
-     */
-    async generateHighQualityQuestions(analysis, concepts, options) {
-        const { count, difficulty, types, includeExplanations } = options;
-        const questions = [];
-        
-        if (!concepts || concepts.length === 0) {
-            console.warn('没有概念可用于生成题目');
-            return [];
-        }
-        
-        // 按类型分配题目数量
-        const typeDistribution = this.distributeQuestionTypes(count, types);
-        
-        for (const [type, typeCount] of Object.entries(typeDistribution)) {
-            if (typeCount > 0) {
-                const typeQuestions = await this.generateQuestionsByType(
-                    type, 
-                    typeCount, 
-                    analysis, 
-                    concepts, 
-                    difficulty,
-                    includeExplanations
-                );
-                questions.push(...typeQuestions);
-            }
-        }
-        
-        return questions;
-    }
-
     /**
      * 按类型生成题目
      * @param {string} type - 题目类型
@@ -600,77 +522,6 @@ class EnhancedQuestionGenerator {
             .sort((a, b) => b.qualityScore - a.qualityScore);
     }
 
-    /**
-     * 生成补充题目
-     * @param {Object} analysis - 分析结果
-     * @param {Array} concepts - 概念列表
-     * @param {number} count - 需要的数量
-     * @param {Object} options - 选项
-     * @returns {Array} 补充题目列表
-     */
-    async generateAdditionalQuestions(analysis, concepts, count, options) {
-        console.log(`🔄 生成${count}个补充题目...`);
-        
-        // 降低质量阈值
-        const originalThreshold = this.qualityThreshold;
-        this.qualityThreshold = Math.max(0.4, originalThreshold - 0.2);
-        
-        try {
-            const additionalQuestions = await this.generateHighQualityQuestions(
-                analysis, 
-                concepts, 
-                { ...options, count: count * 2 } // 生成更多然后筛选
-            );
-            
-            return additionalQuestions.slice(0, count);
-        } finally {
-            // 恢复原始阈值
-            this.qualityThreshold = originalThreshold;
-        }
-    }
-
-    /**
-     * 基础题目生成（降级方案）
-     * @param {Object} analysisResult - 分析结果
-     * @param {Object} options - 选项
-     * @returns {Array} 基础题目列表
-     */
-    async generateBasicQuestions(analysisResult, options) {
-        console.log('🔄 使用基础题目生成...');
-        
-        const { count = 5, difficulty = 'medium' } = options;
-        const questions = [];
-        
-        // 提取基本概念
-        const concepts = this.extractBasicConcepts(analysisResult);
-        
-        for (let i = 0; i < Math.min(count, concepts.length); i++) {
-            const concept = concepts[i];
-            const question = {
-                id: this.generateQuestionId(),
-                type: 'multiple-choice',
-                difficulty: 'basic',
-                question: `关于${concept}，以下说法正确的是？`,
-                options: [
-                    { text: `${concept}是一个重要概念`, correct: true },
-                    { text: `${concept}不重要`, correct: false },
-                    { text: `${concept}已过时`, correct: false },
-                    { text: `${concept}无法理解`, correct: false }
-                ],
-                answer: `${concept}是一个重要概念`,
-                explanation: `${concept}在相关领域中具有重要意义，需要深入理解。`,
-                concept: concept,
-                qualityScore: 0.5,
-                source: 'basic_generator',
-                timestamp: new Date().toISOString()
-            };
-            
-            questions.push(question);
-        }
-        
-        return questions;
-    }
-
     // 辅助方法
     initializeQuestionTemplates() {
         return {
@@ -748,24 +599,6 @@ class EnhancedQuestionGenerator {
         return '';
     }
 
-    extractBasicConcepts(analysisResult) {
-        const concepts = [];
-        
-        if (analysisResult.concepts) {
-            concepts.push(...analysisResult.concepts.map(c => c.text || c.name || c));
-        }
-        
-        if (analysisResult.keyPhrases) {
-            concepts.push(...analysisResult.keyPhrases);
-        }
-        
-        if (concepts.length === 0) {
-            concepts.push('重要概念', '核心内容', '关键知识点');
-        }
-        
-        return [...new Set(concepts)].slice(0, 10);
-    }
-
     mergeEntities(original, nlpEntities) {
         const merged = [...original];
         const existingTexts = new Set(original.map(e => e.text || e.value));
@@ -865,19 +698,6 @@ class EnhancedQuestionGenerator {
         return '相关领域';
     }
 
-    distributeQuestionTypes(totalCount, types) {
-        const distribution = {};
-        const typeCount = types.length;
-        const baseCount = Math.floor(totalCount / typeCount);
-        const remainder = totalCount % typeCount;
-        
-        types.forEach((type, index) => {
-            distribution[type] = baseCount + (index < remainder ? 1 : 0);
-        });
-        
-        return distribution;
-    }
-
     generateQuestionId() {
         return 'eq_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
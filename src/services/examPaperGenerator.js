@@ -1,10 +1,13 @@
 const ollamaService = require('./ollamaService');
+const modelRouter = require('./modelRouter');
 const DocumentProcessor = require('./documentProcessor');
+const questionFormat = require('./generation/questionFormat');
+const questionSchema = require('./generation/questionSchema');
 
 class ExamPaperGenerator {
     constructor() {
         this.documentProcessor = new DocumentProcessor();
-        this.model = 'deepseek-r1:7b';
+        this.model = 'deepseek-r1:7b'; // 不按 gpu-config.json 路由的后端上的首选模型
         this.timeout = 90000; // 90秒超时，获得更高质量
         
         // 套卷配置
@@ -18,7 +21,7 @@ class ExamPaperGenerator {
     /**
      * 生成完整套卷
      * @param {string} content - 学习材料内容
-     * @param {Object} options - 生成选项
+     * @param {Object} options - 生成选项，provider 指定推理后端
      * @returns {Object} 完整套卷
      */
     async generateExamPaper(content, options = {}) {
@@ -27,7 +30,7 @@ class ExamPaperGenerator {
             console.log(`📊 配置: ${this.paperConfig.multipleChoice}选择 + ${this.paperConfig.fillBlank}填空 + ${this.paperConfig.shortAnswer}简答`);
             
             // 检查GPU和服务状态
-            await this.checkGPUStatus();
+            const llm = await this.checkGPUStatus(options.provider);
             
             // 处理文档
             console.log('📄 处理学习材料...');
@@ -40,10 +43,10 @@ class ExamPaperGenerator {
             console.log(`✅ 文档处理完成: ${processedDoc.chunks.length}个块, ${processedDoc.concepts?.length || 0}个概念`);
             
             // 生成套卷
-            const examPaper = await this.generatePaperSections(processedDoc, options);
+            const examPaper = await this.generatePaperSections(processedDoc, options, llm);
             
             // 格式化输出
-            const formattedPaper = this.formatExamPaper(examPaper, content);
+            const formattedPaper = this.formatExamPaper(examPaper, content, llm);
             
             console.log('🎉 套卷生成完成！');
             return formattedPaper;
@@ -56,22 +59,30 @@ class ExamPaperGenerator {
 
     /**
      * 检查GPU状态和优化配置
+     * @param {string} provider - 推理后端名称，缺省使用默认后端
+     * @returns {Object} { provider, model } 本次生成使用的后端和模型，Ollama 的模型由模型路由按任务选择
      */
-    async checkGPUStatus() {
+    async checkGPUStatus(provider = null) {
         try {
             console.log('🔍 检查Ollama GPU配置...');
             
             // 检查服务状态
-            const serviceStatus = await ollamaService.checkService();
+            const serviceStatus = await ollamaService.checkService(provider);
             if (!serviceStatus.available) {
                 throw new Error('Ollama服务不可用');
             }
             
-            console.log('✅ Ollama服务正常');
-            console.log('🎯 当前模型:', serviceStatus.currentModel);
+            const routed = modelRouter.handles(serviceStatus.provider);
+            const model = routed
+                ? null
+                : serviceStatus.models.includes(this.model) ? this.model : serviceStatus.currentModel;
+            console.log(`✅ ${serviceStatus.provider} 服务正常`);
+            console.log('🎯 当前模型:', model || await ollamaService.resolveModel(serviceStatus.provider, 'exam_paper'));
             console.log('⏱️ 超时设置: 90秒（高质量模式）');
             console.log('🚀 建议: 确保Ollama使用GPU加速 (CUDA_VISIBLE_DEVICES=0 ollama serve)');
             
+            return { provider: serviceStatus.provider, model };
+            
         } catch (error) {
             console.error('GPU状态检查失败:', error);
             throw error;
@@ -82,22 +93,23 @@ class ExamPaperGenerator {
      * 生成套卷各部分
      * @param {Object} processedDoc - 处理后的文档
      * @param {Object} options - 选项
+     * @param {Object} llm - { provider, model } 推理后端和模型
      * @returns {Object} 套卷内容
      */
-    async generatePaperSections(processedDoc, options) {
+    async generatePaperSections(processedDoc, options, llm = {}) {
         const sections = {};
         
         // 1. 生成选择题部分
         console.log('📝 生成选择题部分 (10题)...');
-        sections.multipleChoice = await this.generateMultipleChoiceSection(processedDoc);
+        sections.multipleChoice = await this.generateMultipleChoiceSection(processedDoc, llm);
         
         // 2. 生成填空题部分
         console.log('📝 生成填空题部分 (10题)...');
-        sections.fillBlank = await this.generateFillBlankSection(processedDoc);
+        sections.fillBlank = await this.generateFillBlankSection(processedDoc, llm);
         
         // 3. 生成简答题部分
         console.log('📝 生成简答题部分 (5题)...');
-        sections.shortAnswer = await this.generateShortAnswerSection(processedDoc);
+        sections.shortAnswer = await this.generateShortAnswerSection(processedDoc, llm);
         
         return sections;
     }
@@ -105,15 +117,17 @@ class ExamPaperGenerator {
     /**
      * 生成选择题部分
      * @param {Object} processedDoc - 处理后的文档
+     * @param {Object} llm - { provider, model } 推理后端和模型
      * @returns {Array} 选择题列表
      */
-    async generateMultipleChoiceSection(processedDoc) {
+    async generateMultipleChoiceSection(processedDoc, llm = {}) {
         const prompt = this.buildMultipleChoicePrompt(processedDoc);
         
         console.log('🤖 调用DeepSeek生成选择题...');
-        const response = await this.callDeepSeekWithHighQuality(prompt);
+        const result = await this.callDeepSeekWithHighQuality(prompt, llm);
         
-        const questions = this.parseMultipleChoiceResponse(response);
+        const questions = this.parseMultipleChoiceResponse(result.response)
+            .map(question => ollamaService.tagQuestion(question, result));
         console.log(`✅ 选择题生成完成: ${questions.length}题`);
         
         return questions;
@@ -122,15 +136,17 @@ class ExamPaperGenerator {
     /**
      * 生成填空题部分
      * @param {Object} processedDoc - 处理后的文档
+     * @param {Object} llm - { provider, model } 推理后端和模型
      * @returns {Array} 填空题列表
      */
-    async generateFillBlankSection(processedDoc) {
+    async generateFillBlankSection(processedDoc, llm = {}) {
         const prompt = this.buildFillBlankPrompt(processedDoc);
         
         console.log('🤖 调用DeepSeek生成填空题...');
-        const response = await this.callDeepSeekWithHighQuality(prompt);
+        const result = await this.callDeepSeekWithHighQuality(prompt, llm);
         
-        const questions = this.parseFillBlankResponse(response);
+        const questions = this.parseFillBlankResponse(result.response)
+            .map(question => ollamaService.tagQuestion(question, result));
         console.log(`✅ 填空题生成完成: ${questions.length}题`);
         
         return questions;
@@ -139,15 +155,17 @@ class ExamPaperGenerator {
     /**
      * 生成简答题部分
      * @param {Object} processedDoc - 处理后的文档
+     * @param {Object} llm - { provider, model } 推理后端和模型
      * @returns {Array} 简答题列表
      */
-    async generateShortAnswerSection(processedDoc) {
+    async generateShortAnswerSection(processedDoc, llm = {}) {
         const prompt = this.buildShortAnswerPrompt(processedDoc);
         
         console.log('🤖 调用DeepSeek生成简答题...');
-        const response = await this.callDeepSeekWithHighQuality(prompt);
+        const result = await this.callDeepSeekWithHighQuality(prompt, llm);
         
-        const questions = this.parseShortAnswerResponse(response);
+        const questions = this.parseShortAnswerResponse(result.response)
+            .map(question => ollamaService.tagQuestion(question, result));
         console.log(`✅ 简答题生成完成: ${questions.length}题`);
         
         return questions;
@@ -291,20 +309,17 @@ ${concepts.map(c => `${c.term}: ${c.definition}`).join('\n')}
     /**
      * 高质量DeepSeek调用
      * @param {string} prompt - 提示词
-     * @returns {string} 响应内容
+     * @param {Object} llm - { provider, model } 推理后端和模型
+     * @returns {Object} { response, model, provider } 响应内容和实际使用的模型
      */
-    async callDeepSeekWithHighQuality(prompt) {
+    async callDeepSeekWithHighQuality(prompt, llm = {}) {
         const requestData = {
-            model: this.model,
+            provider: llm.provider,
+            model: llm.model,
+            task: 'exam_paper',
             prompt: prompt,
-            stream: false,
             options: {
-                temperature: 0.3,      // 降低随机性，提高质量
-                top_p: 0.8,           // 更聚焦的生成
-                max_tokens: 4000,     // 足够的生成长度
-                num_predict: 3000,    // 预测长度
-                repeat_penalty: 1.1,  // 避免重复
-                num_ctx: 8192        // 更大的上下文窗口
+                num_predict: 3000     // 预测长度；低温度、更大的上下文窗口见 gpu-config.json 的 exam_paper 预设
             }
         };
 
@@ -312,7 +327,7 @@ ${concepts.map(c => `${c.term}: ${c.definition}`).join('\n')}
         
         try {
             const response = await ollamaService.callOllamaWithRetry(requestData, 2);
-            return response.data.response;
+            return response.data;
         } catch (error) {
             console.error('DeepSeek高质量调用失败:', error);
             throw error;
@@ -411,28 +426,43 @@ ${concepts.map(c => `${c.term}: ${c.definition}`).join('\n')}
     }
 
     /**
-     * 格式化套卷输出
+     * 格式化套卷输出，各部分的题目转换为统一题目格式
      * @param {Object} examPaper - 套卷内容
      * @param {string} originalContent - 原始内容
+     * @param {Object} llm - { provider, model } 推理后端和模型
      * @returns {Object} 格式化的套卷
      */
-    formatExamPaper(examPaper, originalContent) {
+    formatExamPaper(examPaper, originalContent, llm = {}) {
+        const sections = {
+            multipleChoice: this.canonicalSection(examPaper.multipleChoice, 'multipleChoice'),
+            fillBlank: this.canonicalSection(examPaper.fillBlank, 'fillBlank'),
+            shortAnswer: this.canonicalSection(examPaper.shortAnswer, 'shortAnswer')
+        };
         const totalQuestions = 
-            examPaper.multipleChoice.length + 
-            examPaper.fillBlank.length + 
-            examPaper.shortAnswer.length;
+            sections.multipleChoice.length + 
+            sections.fillBlank.length + 
+            sections.shortAnswer.length;
+        // 各部分实际使用的模型（主模型失败时可能切换到备用模型）
+        const models = [...new Set(
+            [...sections.multipleChoice, ...sections.fillBlank, ...sections.shortAnswer]
+                .map(question => question.model)
+                .filter(Boolean)
+        )];
 
         return {
             title: '智能生成套卷',
             subtitle: '基于DeepSeek-R1高质量生成',
             metadata: {
                 generatedAt: new Date().toISOString(),
-                model: this.model,
+                schemaVersion: questionSchema.SCHEMA_VERSION,
+                provider: llm.provider || null,
+                model: models[0] || llm.model || null,
+                models: models,
                 totalQuestions: totalQuestions,
                 sections: {
-                    multipleChoice: examPaper.multipleChoice.length,
-                    fillBlank: examPaper.fillBlank.length,
-                    shortAnswer: examPaper.shortAnswer.length
+                    multipleChoice: sections.multipleChoice.length,
+                    fillBlank: sections.fillBlank.length,
+                    shortAnswer: sections.shortAnswer.length
                 },
                 estimatedTime: '90分钟',
                 totalScore: 100,
@@ -447,43 +477,63 @@ ${concepts.map(c => `${c.term}: ${c.definition}`).join('\n')}
             sections: {
                 multipleChoice: {
                     title: '一、单项选择题（每题4分，共40分）',
-                    questions: examPaper.multipleChoice
+                    questions: sections.multipleChoice
                 },
                 fillBlank: {
                     title: '二、填空题（每题3分，共30分）',
-                    questions: examPaper.fillBlank
+                    questions: sections.fillBlank
                 },
                 shortAnswer: {
                     title: '三、简答题（每题6分，共30分）',
-                    questions: examPaper.shortAnswer
+                    questions: sections.shortAnswer
                 }
             },
-            answerKey: this.generateAnswerKey(examPaper)
+            answerKey: this.generateAnswerKey(sections)
         };
     }
 
+    /**
+     * 套卷一个部分的题目转换为统一格式，简答题按问答题处理；未通过格式校验的题目丢弃
+     * @param {Array} questions - 解析出的题目
+     * @param {string} section - 所属部分
+     * @returns {Array} 统一格式的题目，保留 section 和 timeLimit
+     */
+    canonicalSection(questions, section) {
+        return (questions || []).reduce((accepted, raw) => {
+            const question = questionFormat.toCanonical(raw, { source: 'exam-paper' });
+            const errors = questionSchema.validate(question);
+            if (errors.length > 0) {
+                console.warn(`⚠️ 套卷题目 ${raw.id} 格式不正确，已丢弃:`, questionSchema.formatErrors(errors));
+                return accepted;
+            }
+            accepted.push({ ...question, section: section, ...(raw.timeLimit && { timeLimit: raw.timeLimit }) });
+            return accepted;
+        }, []);
+    }
+
     /**
      * 生成答案解析
-     * @param {Object} examPaper - 套卷内容
+     * @param {Object} sections - 统一格式的各部分题目
      * @returns {Object} 答案解析
      */
-    generateAnswerKey(examPaper) {
+    generateAnswerKey(sections) {
         return {
-            multipleChoice: examPaper.multipleChoice.map(q => ({
+            multipleChoice: sections.multipleChoice.map(q => ({
                 id: q.id,
                 correctAnswer: q.correctAnswer,
                 answerText: q.options[q.correctAnswer],
                 explanation: q.explanation
             })),
-            fillBlank: examPaper.fillBlank.map(q => ({
+            fillBlank: sections.fillBlank.map(q => ({
                 id: q.id,
-                answer: q.answer,
+                answer: q.correctAnswer,
+                blanks: q.blanks,
                 acceptableAnswers: q.acceptableAnswers,
                 explanation: q.explanation
             })),
-            shortAnswer: examPaper.shortAnswer.map(q => ({
+            shortAnswer: sections.shortAnswer.map(q => ({
                 id: q.id,
-                referenceAnswer: q.referenceAnswer,
+                referenceAnswer: q.correctAnswer,
                 keyPoints: q.keyPoints,
                 scoringCriteria: q.scoringCriteria
             }))
@@ -0,0 +1,118 @@
+// EPUB 提取器
+// 按 OPF 清单中 spine 的阅读顺序读取各章节的 XHTML，每个有文字的文档为一个章节单元，
+// 章节标题取目录（EPUB3 的 nav 或 EPUB2 的 NCX）中的名称，目录中没有时取章节中的第一个标题
+const path = require('path');
+const { ZipArchive } = require('../../utils/zipReader');
+const { decodeEntities, elements, attribute, resolvePath } = require('./markup');
+const html = require('./html');
+const { normalize } = require('./sections');
+
+function stripTags(text) {
+    return decodeEntities(text.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+// 目录条目：章节文档路径（不含锚点）-> 标题，同一文档取第一个条目
+function readTableOfContents(zip, manifest, tocId) {
+    const titles = new Map();
+    const add = (base, href, title) => {
+        const target = resolvePath(base, decodeURIComponent(href.split('#')[0]));
+        if (title && !titles.has(target)) titles.set(target, title);
+    };
+
+    const nav = Array.from(manifest.values()).find(item => (item.properties || '').split(/\s+/).includes('nav'));
+    if (nav && zip.has(nav.href)) {
+        const base = path.posix.dirname(nav.href);
+        const source = zip.readText(nav.href);
+        const toc = elements(source, 'nav').find(element => /epub:type\s*=\s*["']toc["']/.test(element)) || source;
+        elements(toc, 'a').forEach(link => {
+            const href = attribute(link, 'href');
+            if (href) add(base, href, stripTags(link));
+        });
+    }
+
+    const ncx = manifest.get(tocId);
+    if (titles.size === 0 && ncx && zip.has(ncx.href)) {
+        const base = path.posix.dirname(ncx.href);
+        const source = zip.readText(ncx.href);
+        // navPoint 可以嵌套，逐个取名称和链接
+        const pattern = /<navLabel>\s*<text>([\s\S]*?)<\/text>\s*<\/navLabel>\s*<content\s[^>]*src\s*=\s*["']([^"']+)["']/g;
+        for (const match of source.matchAll(pattern)) {
+            add(base, match[2], stripTags(match[1]));
+        }
+    }
+    return titles;
+}
+
+module.exports = {
+    name: 'epub',
+    extensions: ['.epub'],
+
+    /**
+     * @param {string} filePath - 文件路径
+     * @returns {Object} { text, units, metadata }，units 为 [{ type: 'chapter', index, title, start, end }]
+     */
+    async extract(filePath) {
+        const zip = ZipArchive.fromFile(filePath);
+        if (!zip.has('META-INF/container.xml')) {
+            throw new Error('不是有效的 EPUB 文件（缺少 META-INF/container.xml）');
+        }
+        const rootfile = elements(zip.readText('META-INF/container.xml'), 'rootfile')[0];
+        const opfPath = rootfile && attribute(rootfile, 'full-path');
+        if (!opfPath || !zip.has(opfPath)) {
+            throw new Error('EPUB 文件缺少内容清单（OPF）');
+        }
+
+        const opf = zip.readText(opfPath);
+        const base = path.posix.dirname(opfPath);
+        const manifest = new Map();
+        elements(opf, 'item').forEach(item => {
+            manifest.set(attribute(item, 'id'), {
+                href: resolvePath(base, decodeURIComponent(attribute(item, 'href') || '')),
+                mediaType: attribute(item, 'media-type'),
+                properties: attribute(item, 'properties')
+            });
+        });
+
+        const spine = elements(opf, 'spine')[0] || '';
+        const titles = readTableOfContents(zip, manifest, attribute(spine, 'toc'));
+        const documents = elements(spine, 'itemref')
+            .filter(itemref => attribute(itemref, 'linear') !== 'no')
+            .map(itemref => manifest.get(attribute(itemref, 'idref')))
+            .filter(item => item && zip.has(item.href) && /html|xml/.test(item.mediaType || ''));
+
+        let text = '';
+        const units = [];
+        documents.forEach(item => {
+            const root = html.parse(zip.readText(item.href));
+            const body = html.find(root, node => node.tag === 'body') || root;
+            const blocks = html.toBlocks(body);
+            const content = normalize(blocks.map(block => block.text).join('\n\n'));
+            if (!content) return;
+
+            const firstHeading = blocks.find(block => block.kind === 'heading');
+            if (text) text += '\n\n';
+            const start = text.length;
+            text += content;
+            units.push({
+                type: 'chapter',
+                index: units.length + 1,
+                title: titles.get(item.href) || (firstHeading ? firstHeading.text : ''),
+                start,
+                end: text.length
+            });
+        });
+
+        const title = elements(opf, 'dc:title')[0];
+        const creator = elements(opf, 'dc:creator')[0];
+        console.log(`📚 EPUB 提取完成: ${units.length} 个章节（spine 共 ${documents.length} 个文档）`);
+        return {
+            text: text,
+            units: units,
+            metadata: {
+                title: title ? stripTags(title) : '',
+                author: creator ? stripTags(creator) : '',
+                chapterCount: units.length
+            }
+        };
+    }
+};
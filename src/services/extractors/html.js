@@ -0,0 +1,268 @@
+// HTML 解析和正文提取，供 HTML 和 EPUB 提取器使用
+// parse 容错地建立元素树（自动闭合段落、列表项和表格单元格，跳过脚本和样式）；
+// mainContent 按可读性算法找出正文所在的元素：优先 <main>/<article>，否则按段落文字给父元素打分；
+// toBlocks 把元素转换为标题、段落、列表、表格和代码块
+const { decodeEntities } = require('./markup');
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'textarea', 'iframe', 'object', 'canvas']);
+const BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'section', 'article', 'main', 'blockquote', 'dd', 'dt', 'dl', 'figure', 'figcaption', 'address',
+    'header', 'footer', 'center', 'details', 'summary', 'caption', 'body', 'html'
+]);
+// 正文中不需要的部分
+const BOILERPLATE_ELEMENTS = new Set(['nav', 'aside', 'form', 'button', 'select', 'footer']);
+const NEGATIVE = /comment|share|social|related|sidebar|breadcrumb|advert|\bads?\b|promo|footer|\bnav|menu|banner|popup|cookie|subscribe/i;
+const POSITIVE = /article|content|main|post|entry|text|body|chapter/i;
+const CJK_SPACE = /([\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef]) (?=[\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef])/g;
+
+// 开始这些元素时自动闭合尚未闭合的同类元素
+const IMPLIED_END = {
+    p: ['p', 'div', 'ul', 'ol', 'table', 'pre', 'blockquote', 'section', 'article', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'dl', 'hr'],
+    li: ['li'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd'],
+    tr: ['tr'],
+    td: ['td', 'th', 'tr'],
+    th: ['td', 'th', 'tr'],
+    option: ['option']
+};
+
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+function parseAttributes(source) {
+    const attrs = {};
+    const pattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    for (const match of source.matchAll(pattern)) {
+        attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attrs;
+}
+
+/**
+ * 建立元素树
+ * @returns {Object} 根节点 { tag: '#root', children }，元素 { tag, attrs, children, parent }，文本 { text }
+ */
+function parse(html) {
+    const root = { tag: '#root', attrs: {}, children: [], parent: null };
+    let current = root;
+    let position = 0;
+
+    const addText = text => {
+        if (text) current.children.push({ text: decodeEntities(text), parent: current });
+    };
+
+    TOKEN.lastIndex = 0;
+    let match;
+    while ((match = TOKEN.exec(html)) !== null) {
+        addText(html.slice(position, match.index));
+        position = TOKEN.lastIndex;
+
+        if (match[1] !== undefined) {
+            current.children.push({ text: match[1], parent: current });
+        } else if (match[2]) {
+            // 结束标签：向上找到对应的元素，找不到时忽略
+            const tag = match[2].toLowerCase();
+            let node = current;
+            while (node && node.tag !== tag) node = node.parent;
+            if (node && node.parent) current = node.parent;
+        } else if (match[3]) {
+            const tag = match[3].toLowerCase();
+            const attrSource = match[4] || '';
+            if (SKIPPED_ELEMENTS.has(tag)) {
+                if (!/\/\s*$/.test(attrSource)) {
+                    const end = html.toLowerCase().indexOf(`</${tag}`, position);
+                    position = end === -1 ? html.length : html.indexOf('>', end) + 1 || html.length;
+                    TOKEN.lastIndex = position;
+                }
+                continue;
+            }
+            while (IMPLIED_END[current.tag] && IMPLIED_END[current.tag].includes(tag)) {
+                current = current.parent;
+            }
+            const node = { tag, attrs: parseAttributes(attrSource), children: [], parent: current };
+            current.children.push(node);
+            if (!VOID_ELEMENTS.has(tag) && !/\/\s*$/.test(attrSource)) {
+                current = node;
+            }
+        }
+    }
+    addText(html.slice(position));
+    return root;
+}
+
+function find(node, test) {
+    if (node.tag && test(node)) return node;
+    for (const child of node.children || []) {
+        const found = find(child, test);
+        if (found) return found;
+    }
+    return null;
+}
+
+function walk(node, visit) {
+    if (!node.tag) return;
+    visit(node);
+    node.children.forEach(child => walk(child, visit));
+}
+
+// 元素内的全部文字
+function textOf(node) {
+    if (!node.tag) return node.text;
+    if (node.tag === 'br') return '\n';
+    return node.children.map(textOf).join('');
+}
+
+function collapse(text) {
+    return text.replace(/\s+/g, ' ').replace(CJK_SPACE, '$1').trim();
+}
+
+function classWeight(node) {
+    const name = `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+    let weight = 0;
+    if (NEGATIVE.test(name)) weight -= 25;
+    if (POSITIVE.test(name)) weight += 25;
+    return weight;
+}
+
+function linkDensity(node) {
+    const length = collapse(textOf(node)).length;
+    if (length === 0) return 0;
+    let links = 0;
+    walk(node, child => {
+        if (child.tag === 'a') links += collapse(textOf(child)).length;
+    });
+    return links / length;
+}
+
+/**
+ * 正文所在的元素
+ */
+function mainContent(root) {
+    const explicit = find(root, node => node.tag === 'main' || node.attrs.role === 'main') ||
+        find(root, node => node.tag === 'article');
+    if (explicit && collapse(textOf(explicit)).length >= 200) return explicit;
+
+    // 段落按文字长度和逗号数打分，分数记到父元素和祖父元素
+    const scores = new Map();
+    const add = (node, score) => {
+        if (!node || !node.tag || node.tag === '#root') return;
+        if (!scores.has(node)) scores.set(node, classWeight(node));
+        scores.set(node, scores.get(node) + score);
+    };
+    walk(root, node => {
+        if (!['p', 'pre', 'td', 'blockquote', 'li'].includes(node.tag)) return;
+        const text = collapse(textOf(node));
+        if (text.length < 25) return;
+        const score = 1 + (text.match(/[,，。、；;]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+        add(node.parent, score);
+        add(node.parent && node.parent.parent, score / 2);
+    });
+
+    let best = null;
+    scores.forEach((score, node) => {
+        const adjusted = score * (1 - linkDensity(node));
+        if (!best || adjusted > best.score) best = { node, score: adjusted };
+    });
+    if (!best) return find(root, node => node.tag === 'body') || root;
+
+    // 正文分成几个并列的部分（如多个 <section>）时取它们的父元素
+    const parent = best.node.parent;
+    const siblings = parent ? parent.children.filter(child => scores.get(child) >= best.score * 0.2) : [];
+    return siblings.length > 1 && parent.tag !== '#root' ? parent : best.node;
+}
+
+/**
+ * 元素转换为块
+ * @param {Object} node - 元素
+ * @param {Object} options - { stripBoilerplate } 为 true 时跳过导航、侧栏、页脚等
+ * @returns {Array} [{ kind: 'heading', level, text } | { kind: 'paragraph'|'list'|'table'|'code', text }]
+ */
+function toBlocks(node, { stripBoilerplate = false } = {}) {
+    const blocks = [];
+    let buffer = '';
+    const flush = () => {
+        const text = buffer.split('\n').map(collapse).filter(Boolean).join('\n');
+        if (text) blocks.push({ kind: 'paragraph', text });
+        buffer = '';
+    };
+
+    const skip = element => stripBoilerplate && element !== node &&
+        (BOILERPLATE_ELEMENTS.has(element.tag) || NEGATIVE.test(`${element.attrs.class || ''} ${element.attrs.id || ''}`));
+
+    const listItems = (list, depth) => {
+        let number = parseInt(list.attrs.start) || 1;
+        const items = [];
+        list.children.filter(child => child.tag === 'li').forEach(item => {
+            const own = item.children.filter(child => !['ul', 'ol'].includes(child.tag));
+            const text = collapse(own.map(textOf).join(''));
+            const marker = list.tag === 'ol' ? `${number++}.` : '•';
+            if (text) items.push(`${'  '.repeat(depth)}${marker} ${text}`);
+            item.children.filter(child => ['ul', 'ol'].includes(child.tag))
+                .forEach(nested => items.push(...listItems(nested, depth + 1)));
+        });
+        return items;
+    };
+
+    const visit = element => {
+        if (!element.tag) {
+            buffer += element.text;
+            return;
+        }
+        if (element.tag === 'head' || skip(element)) return;
+
+        const tag = element.tag;
+        const heading = /^h([1-6])$/.exec(tag);
+        if (heading) {
+            flush();
+            const text = collapse(textOf(element));
+            if (text) blocks.push({ kind: 'heading', level: parseInt(heading[1]), text });
+        } else if (tag === 'ul' || tag === 'ol') {
+            flush();
+            const items = listItems(element, 0);
+            if (items.length > 0) blocks.push({ kind: 'list', text: items.join('\n') });
+        } else if (tag === 'table') {
+            flush();
+            const rows = [];
+            walk(element, child => {
+                if (child.tag !== 'tr') return;
+                const cells = child.children.filter(cell => cell.tag === 'td' || cell.tag === 'th').map(cell => collapse(textOf(cell)));
+                if (cells.some(Boolean)) rows.push(cells.join(' | '));
+            });
+            if (rows.length > 0) blocks.push({ kind: 'table', text: rows.join('\n') });
+        } else if (tag === 'pre') {
+            flush();
+            const text = textOf(element).replace(/^\n/, '').replace(/\s+$/, '');
+            if (text.trim()) blocks.push({ kind: 'code', text });
+        } else if (tag === 'br') {
+            buffer += '\n';
+        } else if (tag === 'hr' || tag === 'img') {
+            if (tag === 'hr') flush();
+        } else if (BLOCK_ELEMENTS.has(tag)) {
+            flush();
+            element.children.forEach(visit);
+            flush();
+        } else {
+            element.children.forEach(visit);
+        }
+    };
+
+    (node.tag === '#root' ? node.children : [node]).forEach(visit);
+    flush();
+    return blocks;
+}
+
+// 文档标题：<title> 或第一个 <h1>
+function documentTitle(root) {
+    const title = find(root, node => node.tag === 'title') || find(root, node => node.tag === 'h1');
+    return title ? collapse(textOf(title)) : '';
+}
+
+module.exports = {
+    parse,
+    find,
+    textOf,
+    mainContent,
+    toBlocks,
+    documentTitle
+};
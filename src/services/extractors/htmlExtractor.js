@@ -0,0 +1,36 @@
+// HTML 提取器
+// 只取正文（见 html.mainContent），去掉导航、侧栏、页脚和脚本，按标题分节
+const fs = require('fs');
+const { decodeText } = require('../../utils/textEncoding');
+const html = require('./html');
+const { buildSections } = require('./sections');
+
+// 文件开头声明的编码，如 <meta charset="gbk">
+function declaredCharset(buffer) {
+    const head = buffer.subarray(0, 2048).toString('latin1');
+    const match = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w-]+)/i);
+    return match ? match[1] : null;
+}
+
+module.exports = {
+    name: 'html',
+    extensions: ['.html', '.htm', '.xhtml'],
+
+    /**
+     * @param {string} filePath - 文件路径
+     * @returns {Object} { text, units, metadata }，units 为 [{ type: 'section', index, title, level, start, end }]
+     */
+    async extract(filePath) {
+        const buffer = fs.readFileSync(filePath);
+        const { text: source, encoding } = decodeText(buffer, { declared: declaredCharset(buffer) });
+        const root = html.parse(source);
+        const blocks = html.toBlocks(html.mainContent(root), { stripBoilerplate: true });
+        const { text, units, outline } = buildSections(blocks);
+
+        return {
+            text: text,
+            units: units,
+            metadata: { title: html.documentTitle(root), encoding: encoding, outline: outline }
+        };
+    }
+};
@@ -0,0 +1,39 @@
+// 图片提取器
+// 拍摄或扫描的讲义、板书照片用 OCR 识别文字（见 ocrService），版面按与 PDF 相同的规则还原
+const pdfLayout = require('./pdfLayout');
+const ocrService = require('../ocrService');
+
+module.exports = {
+    name: 'image',
+    extensions: ['.png', '.jpg', '.jpeg'],
+
+    /**
+     * @param {string} filePath - 文件路径
+     * @returns {Object} { text, units, metadata }，metadata.ocr 记录识别置信度和低置信度区域
+     */
+    async extract(filePath) {
+        const engine = await ocrService.checkEngine();
+        if (!engine.available) {
+            throw Object.assign(new Error(`无法识别图片中的文字：${engine.reason}`), { code: 'OCR_UNAVAILABLE' });
+        }
+
+        const { items, view, summary } = await ocrService.recognizeImage(filePath);
+        const layout = pdfLayout.layoutDocument([{ number: 1, view, items }]);
+        console.log(`🖼️ 图片识别完成: ${summary.words} 个词，平均置信度 ${summary.confidence ?? '-'}，` +
+            `${summary.lowConfidenceCount} 行置信度较低`);
+
+        return {
+            text: layout.text,
+            units: [],
+            metadata: {
+                outline: layout.metadata.outline,
+                ocr: {
+                    engine: 'tesseract',
+                    languages: engine.languages,
+                    confidence: summary.confidence,
+                    pages: summary.words > 0 ? [summary] : []
+                }
+            }
+        };
+    }
+};
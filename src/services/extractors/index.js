@@ -0,0 +1,76 @@
+// 文件内容提取器注册表
+// 按扩展名选择提取器，没有对应提取器的文件按文本读取。提取器返回 { text, units, metadata }：
+// units 为文档的结构单元（如幻灯片、页、章节），start/end 是在 text 中的字符位置，分块时不拆开单元，题目来源可以引用到具体单元
+const path = require('path');
+const pdfExtractor = require('./pdfExtractor');
+const wordExtractor = require('./wordExtractor');
+const pptxExtractor = require('./pptxExtractor');
+const markdownExtractor = require('./markdownExtractor');
+const htmlExtractor = require('./htmlExtractor');
+const epubExtractor = require('./epubExtractor');
+const imageExtractor = require('./imageExtractor');
+const textExtractor = require('./textExtractor');
+
+// 能识别但无法提取的格式及处理建议
+const UNSUPPORTED = {
+    '.ppt': '不支持旧版 PowerPoint (.ppt) 文件，请另存为 .pptx 后上传'
+};
+
+class ExtractorRegistry {
+    constructor() {
+        this.extractors = new Map();   // 扩展名 -> 提取器
+        this.fallback = textExtractor;
+
+        [pdfExtractor, wordExtractor, pptxExtractor, markdownExtractor, htmlExtractor, epubExtractor, imageExtractor, textExtractor]
+            .forEach(extractor => this.register(extractor));
+    }
+
+    register(extractor) {
+        extractor.extensions.forEach(ext => this.extractors.set(ext, extractor));
+    }
+
+    extensions() {
+        return Array.from(this.extractors.keys());
+    }
+
+    forFile(fileName) {
+        const ext = path.extname(fileName || '').toLowerCase();
+        if (UNSUPPORTED[ext]) {
+            throw Object.assign(new Error(UNSUPPORTED[ext]), { code: 'UNSUPPORTED_FORMAT' });
+        }
+        return this.extractors.get(ext) || this.fallback;
+    }
+
+    /**
+     * 提取文件内容
+     * @param {string} filePath - 文件路径
+     * @param {string} originalName - 原文件名，用于判断格式
+     * @returns {Object} { text, units, metadata, extractor }
+     */
+    async extract(filePath, originalName) {
+        const extractor = this.forFile(originalName || filePath);
+        const result = await extractor.extract(filePath, originalName);
+        return {
+            text: result.text || '',
+            units: result.units || [],
+            metadata: result.metadata || {},
+            extractor: extractor.name
+        };
+    }
+
+    /**
+     * 解析保存的文档结构（materials.content_structure）
+     * @returns {Object|null} { extractor, metadata, units }，旧材料没有结构时为 null
+     */
+    parseStructure(text) {
+        if (!text) return null;
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            console.warn('材料结构解析失败:', error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = new ExtractorRegistry();
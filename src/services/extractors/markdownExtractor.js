@@ -0,0 +1,199 @@
+// Markdown 提取器
+// 按标题分节，去掉 Markdown 标记（强调、链接、图片、HTML 标签、表格分隔行、YAML 头信息），
+// 代码块保留原有的换行和缩进，行内代码和 LaTeX 公式（$...$、$$...$$）原样保留
+const fs = require('fs');
+const { decodeText } = require('../../utils/textEncoding');
+const { decodeEntities } = require('./markup');
+const { buildSections } = require('./sections');
+
+const FENCE = /^\s{0,3}(`{3,}|~{3,})/;
+const ATX_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const SETEXT_UNDERLINE = /^\s{0,3}(=+|-+)\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const REFERENCE_DEFINITION = /^\s{0,3}\[[^\]]+\]:\s*\S+/;
+const CJK = /[\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef]/;
+
+/**
+ * 行内标记转换为纯文本；行内代码和公式先替换为占位符，避免其中的 * _ 被当作强调
+ */
+function cleanInline(text) {
+    const kept = [];
+    const keep = value => `\u0000${kept.push(value) - 1}\u0000`;
+
+    let result = text
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(code.trim()))
+        .replace(/\$\$[\s\S]+?\$\$|(?<![\\$])\$(?!\s)[^$\n]+?(?<![\s\\])\$(?!\d)/g, match => keep(match))
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+        .replace(/<(https?:\/\/[^>\s]+)>/g, '$1')
+        .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+        .replace(/(\*\*|__)(?=\S)([\s\S]+?)(?<=\S)\1/g, '$2')
+        .replace(/(^|[^\w*])\*(?=\S)([^*\n]+?)(?<=\S)\*(?![\w*])/g, '$1$2')
+        .replace(/(^|[^\w])_(?=\S)([^_\n]+?)(?<=\S)_(?!\w)/g, '$1$2')
+        .replace(/~~(?=\S)([\s\S]+?)(?<=\S)~~/g, '$1')
+        .replace(/\\([\\`*_{}[\]()#+\-.!|<>~])/g, '$1');
+
+    result = decodeEntities(result);
+    return result.replace(/\u0000(\d+)\u0000/g, (match, index) => kept[parseInt(index)]);
+}
+
+// 段落内的折行：中文之间直接相连，其余以空格相连
+function joinLines(lines) {
+    return lines.reduce((text, line) => {
+        if (!text) return line;
+        return CJK.test(text[text.length - 1]) && CJK.test(line[0]) ? text + line : `${text} ${line}`;
+    }, '');
+}
+
+function tableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cleanInline(cell.trim()))
+        .join(' | ');
+}
+
+/**
+ * 解析为块：标题、段落、列表、表格、代码块和公式块
+ */
+function parseMarkdown(source) {
+    let lines = source.replace(/\r\n?/g, '\n').split('\n');
+
+    // YAML 头信息
+    if (lines[0] === '---') {
+        const end = lines.indexOf('---', 1);
+        if (end > 0) lines = lines.slice(end + 1);
+    }
+
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+
+    const flush = () => {
+        if (paragraph.length > 0) {
+            blocks.push({ kind: 'paragraph', text: cleanInline(joinLines(paragraph)) });
+            paragraph = [];
+        }
+        if (list) {
+            blocks.push({ kind: 'list', text: list.map(item => `${item.indent}${item.marker} ${cleanInline(joinLines(item.lines))}`).join('\n') });
+            list = null;
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        // 引用块按普通内容处理
+        const line = lines[i].replace(/^\s{0,3}(>\s?)+/, '');
+
+        const fence = FENCE.exec(line);
+        if (fence) {
+            flush();
+            const code = [];
+            const closing = new RegExp(`^\\s{0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+            for (i++; i < lines.length && !closing.test(lines[i]); i++) code.push(lines[i]);
+            if (code.some(codeLine => codeLine.trim())) blocks.push({ kind: 'code', text: code.join('\n') });
+            continue;
+        }
+
+        if (/^\s*\$\$/.test(line)) {
+            flush();
+            const math = [line.trim()];
+            if (!/^\$\$[\s\S]*\$\$$/.test(line.trim()) || line.trim() === '$$') {
+                for (i++; i < lines.length; i++) {
+                    math.push(lines[i].trim());
+                    if (/\$\$\s*$/.test(lines[i])) break;
+                }
+            }
+            blocks.push({ kind: 'math', text: math.join('\n') });
+            continue;
+        }
+
+        const heading = ATX_HEADING.exec(line);
+        if (heading) {
+            flush();
+            blocks.push({ kind: 'heading', level: heading[1].length, text: cleanInline(heading[2]) });
+            continue;
+        }
+
+        // 下划线式标题：段落只有一行且下一行是 === 或 ---
+        if (paragraph.length === 1 && !list && SETEXT_UNDERLINE.test(line)) {
+            blocks.push({ kind: 'heading', level: line.trim()[0] === '=' ? 1 : 2, text: cleanInline(paragraph[0]) });
+            paragraph = [];
+            continue;
+        }
+
+        if (!line.trim()) {
+            // 列表项之间的空行不结束列表
+            if (list && i + 1 < lines.length && (LIST_ITEM.test(lines[i + 1]) || /^\s{2,}\S/.test(lines[i + 1]))) continue;
+            flush();
+            continue;
+        }
+
+        if (RULE.test(line) || REFERENCE_DEFINITION.test(line)) {
+            flush();
+            continue;
+        }
+
+        if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+            flush();
+            const rows = [tableRow(line)];
+            for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) rows.push(tableRow(lines[i]));
+            i--;
+            blocks.push({ kind: 'table', text: rows.join('\n') });
+            continue;
+        }
+
+        const item = LIST_ITEM.exec(line);
+        if (item && paragraph.length === 0) {
+            if (!list) list = [];
+            const marker = /\d/.test(item[2]) ? item[2].replace(')', '.') : '•';
+            list.push({ indent: '  '.repeat(Math.floor(item[1].replace(/\t/g, '    ').length / 2)), marker, lines: [item[3].trim()] });
+            continue;
+        }
+        if (list) {
+            list[list.length - 1].lines.push(line.trim());
+            continue;
+        }
+
+        // 缩进代码块
+        if (/^( {4}|\t)/.test(line) && paragraph.length === 0) {
+            const code = [];
+            for (; i < lines.length && (/^( {4}|\t)/.test(lines[i]) || !lines[i].trim()); i++) {
+                code.push(lines[i].replace(/^( {4}|\t)/, ''));
+            }
+            i--;
+            blocks.push({ kind: 'code', text: code.join('\n').replace(/\s+$/, '') });
+            continue;
+        }
+
+        paragraph.push(line.trim());
+    }
+    flush();
+    return blocks;
+}
+
+module.exports = {
+    name: 'markdown',
+    extensions: ['.md', '.markdown'],
+
+    /**
+     * @param {string} filePath - 文件路径
+     * @returns {Object} { text, units, metadata }，units 为 [{ type: 'section', index, title, level, start, end }]
+     */
+    async extract(filePath) {
+        const { text: source, encoding } = decodeText(fs.readFileSync(filePath));
+        const blocks = parseMarkdown(source);
+        const { text, units, outline } = buildSections(blocks);
+
+        return {
+            text: text,
+            units: units,
+            metadata: {
+                encoding: encoding,
+                outline: outline,
+                codeBlocks: blocks.filter(block => block.kind === 'code').length
+            }
+        };
+    }
+};
@@ -0,0 +1,62 @@
+// XML/HTML 文本处理的公共函数，供各格式的提取器使用
+// 只处理提取文字需要的部分：取元素、取属性、解码实体，不做完整的 XML 解析
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ensp: ' ', emsp: ' ', thinsp: ' ',
+    copy: '©', reg: '®', trade: '™', mdash: '—', ndash: '–', hellip: '…', middot: '·', bull: '•',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+    times: '×', divide: '÷', plusmn: '±', deg: '°', le: '≤', ge: '≥', ne: '≠', minus: '−',
+    sup2: '²', sup3: '³', frac12: '½', yen: '¥', euro: '€', pound: '£', sect: '§', para: '¶'
+};
+
+function decodeEntities(text) {
+    return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        const named = NAMED_ENTITIES[entity.toLowerCase()];
+        return named !== undefined ? named : match;
+    });
+}
+
+/**
+ * 取出所有指定名称的元素（含自身标签），同名元素不能嵌套
+ * @param {string} xml - 文本
+ * @param {string} tag - 带命名空间前缀的元素名，如 p:sp
+ * @returns {Array<string>}
+ */
+function elements(xml, tag) {
+    const pattern = new RegExp(`<${escapeName(tag)}(?:\\s[^>]*)?(?:/>|>[\\s\\S]*?</${escapeName(tag)}>)`, 'g');
+    return xml.match(pattern) || [];
+}
+
+/**
+ * 元素开始标签上的属性值
+ */
+function attribute(element, name) {
+    const match = element.match(new RegExp(`^<[^>]*?\\s${escapeName(name)}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+    return match ? decodeEntities(match[1] !== undefined ? match[1] : match[2]) : null;
+}
+
+function escapeName(name) {
+    return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 压缩包内的相对路径转换为从包根目录开始的路径，如 ppt/slides + ../notesSlides/a.xml
+function resolvePath(base, target) {
+    if (target.startsWith('/')) return target.slice(1);
+    const parts = (base || '').split('/').filter(part => part && part !== '.');
+    target.split('/').forEach(part => {
+        if (part === '..') parts.pop();
+        else if (part && part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+}
+
+module.exports = {
+    decodeEntities,
+    elements,
+    attribute,
+    resolvePath
+};
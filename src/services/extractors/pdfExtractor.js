@@ -0,0 +1,90 @@
+// PDF 提取器
+// 逐页取出带坐标和字号的文本片段，由 pdfLayout 还原段落、标题、列表和表格并去掉页眉页脚，
+// 每页记录为一个结构单元，分块和题目来源可以引用到具体页码。
+// 没有文字层的扫描页用 OCR 识别（见 ocrService），每页的识别置信度记录在 metadata.ocr 中
+const fs = require('fs');
+const pdfParse = require('pdf-parse');
+const pdfLayout = require('./pdfLayout');
+const ocrService = require('../ocrService');
+const ocrConfig = require('../../../config/ocr');
+
+// 文字层的非空白字符太少时视为扫描页
+function isScanned(page) {
+    const length = page.items.reduce((sum, item) => sum + (typeof item.str === 'string' ? item.str.replace(/\s/g, '').length : 0), 0);
+    return length < ocrConfig.minPageText;
+}
+
+/**
+ * 识别扫描页，识别出的文本片段替换该页原有的片段
+ * @returns {Object|null} 没有扫描页时为 null，否则为
+ *   { engine, languages, confidence, pages: [{ page, confidence, words, lowConfidenceCount, lowConfidence }], failedPages, skippedPages }，
+ *   OCR 不可用时为 { unavailable: 原因, pages: [], skippedPages }
+ */
+async function recognizeScannedPages(filePath, pages) {
+    const scanned = pages.filter(isScanned);
+    if (scanned.length === 0) return null;
+
+    const engine = await ocrService.checkEngine();
+    if (!engine.available) {
+        console.warn(`⚠️ ${scanned.length} 页没有文字层，未能识别: ${engine.reason}`);
+        return { unavailable: engine.reason, pages: [], skippedPages: scanned.map(page => page.number) };
+    }
+
+    const targets = scanned.slice(0, ocrConfig.maxPages);
+    const ocr = {
+        engine: 'tesseract',
+        languages: engine.languages,
+        confidence: null,
+        pages: [],
+        failedPages: [],
+        skippedPages: scanned.slice(ocrConfig.maxPages).map(page => page.number)
+    };
+    console.log(`🔎 ${scanned.length} 页没有文字层，开始 OCR 识别${ocr.skippedPages.length > 0 ? `（只识别前 ${targets.length} 页）` : ''}`);
+
+    for (const page of targets) {
+        try {
+            const { items, summary } = await ocrService.recognizePdfPage(filePath, page.number, page.view);
+            if (summary.words === 0) continue;
+            page.items = items;
+            ocr.pages.push(summary);
+        } catch (error) {
+            console.warn(`⚠️ 第 ${page.number} 页识别失败: ${error.message}`);
+            ocr.failedPages.push(page.number);
+        }
+    }
+    ocr.confidence = ocrService.overallConfidence(ocr.pages);
+    return ocr;
+}
+
+module.exports = {
+    name: 'pdf',
+    extensions: ['.pdf'],
+
+    /**
+     * @param {string} filePath - 文件路径
+     * @returns {Object} { text, units, metadata }，units 为 [{ type: 'page', index, title, start, end }]
+     */
+    async extract(filePath) {
+        const pages = [];
+        const data = await pdfParse(fs.readFileSync(filePath), {
+            // 不使用 pdf-parse 拼接的纯文本，只收集每页的文本片段
+            pagerender: async page => {
+                const content = await page.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+                pages.push({ number: page.pageNumber, view: page.view, items: content.items });
+                return '';
+            }
+        });
+
+        const ocr = await recognizeScannedPages(filePath, pages);
+        const result = pdfLayout.layoutDocument(pages);
+        result.metadata.pageCount = data.numpages || pages.length;
+        if (ocr) result.metadata.ocr = ocr;
+
+        const { outline, tables, twoColumnPages, removedLines, emptyPages } = result.metadata;
+        console.log(`📕 PDF 提取完成: ${result.units.length}/${result.metadata.pageCount} 页有文字，` +
+            `${outline.length} 个标题，${tables} 个表格，${twoColumnPages} 页双栏，去掉页眉页脚 ${removedLines} 行` +
+            `${emptyPages.length > 0 ? `，${emptyPages.length} 页无文字` : ''}` +
+            `${ocr && ocr.pages.length > 0 ? `，OCR 识别 ${ocr.pages.length} 页（平均置信度 ${ocr.confidence}）` : ''}`);
+        return result;
+    }
+};
@@ -0,0 +1,340 @@
+// PDF 版面还原
+// pdf.js 的 getTextContent 只给出带坐标和字号的文本片段，这里按位置还原阅读顺序：
+// 同一基线的片段合成行，行内大间距把行切成片段组（表格单元格或左右栏）；页面中部有贯穿的空白时按双栏依次输出；
+// 连续多行都有多个片段组的按表格输出；字号明显大于正文的短行作为标题；多页重复出现在页面顶部或底部的行作为页眉页脚去掉
+const CJK = /[\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef]/;
+const SEGMENT_GAP = 1.5;      // 行内间距超过字号的倍数时切分为不同片段组
+const SPACE_GAP = 0.25;       // 间距超过字号的倍数时补空格
+const WIDE_GAP = 0.8;         // 间距超过字号的倍数时中文之间也补空格
+const LINE_GAP = 1.8;         // 行距超过字号的倍数时分段
+const SHORT_LINE = 6;         // 行尾距栏右边界超过字号的倍数时视为段落结束
+const HEADING_RATIO = 1.15;   // 字号达到正文字号的倍数视为标题
+const HEADING_MAX_LENGTH = 60;
+const MARGIN_RATIO = 0.08;    // 页眉页脚区域：页面顶部和底部各 8%
+const REPEAT_RATIO = 0.5;     // 在一半以上的页面重复出现的页眉页脚行被去掉
+const BULLET = /^([•●○◆◇▪■□▶►‣⁃∙·]|[-–*](?=\s))\s*/;
+const LIST_ITEM = /^(\d+[.、)）]|[（(]\d+[)）]|[一二三四五六七八九十]+、)/;
+const PAGE_NUMBER = /^(第\s*\d+\s*页(\s*[,，/]?\s*共\s*\d+\s*页)?|[-—–]?\s*\d+\s*[-—–]?|\d+\s*\/\s*\d+|page\s+\d+(\s+of\s+\d+)?)$/i;
+
+const round = size => Math.round(size * 2) / 2;
+
+// 两段文字相接：中文之间不加空格，其余按间距补空格
+function joinText(left, right, spaced) {
+    if (!spaced || !left || /\s$/.test(left) || /^\s/.test(right)) return left + right;
+    if (CJK.test(left[left.length - 1]) && CJK.test(right[0])) return left + right;
+    return `${left} ${right}`;
+}
+
+function toItems(items) {
+    return items
+        .filter(item => typeof item.str === 'string' && item.str.trim() && Array.isArray(item.transform))
+        .map(item => {
+            const [a, b, c, d, x, y] = item.transform;
+            const size = Math.hypot(c, d) || Math.hypot(a, b) || item.height || 10;
+            return { text: item.str, x, y, size, width: item.width || item.str.length * size * 0.6 };
+        });
+}
+
+/**
+ * 片段合成行，行内按间距切分为片段组
+ * @returns {Array} [{ y, size, segments: [{ x0, x1, text }] }]，从上到下
+ */
+function buildLines(items) {
+    const lines = [];
+    [...items].sort((p, q) => q.y - p.y || p.x - q.x).forEach(item => {
+        const line = lines.find(candidate => Math.abs(candidate.y - item.y) <= Math.min(candidate.size, item.size) * 0.5);
+        if (line) {
+            line.items.push(item);
+            line.size = Math.max(line.size, item.size);
+        } else {
+            lines.push({ y: item.y, size: item.size, items: [item] });
+        }
+    });
+
+    return lines
+        .map(({ y, size, items: lineItems }) => {
+            const segments = [];
+            let current = null;
+            lineItems.sort((p, q) => p.x - q.x).forEach(item => {
+                const gap = current ? item.x - current.x1 : 0;
+                if (!current || gap > size * SEGMENT_GAP) {
+                    current = { x0: item.x, x1: item.x + item.width, text: item.text };
+                    segments.push(current);
+                    return;
+                }
+                current.text = gap > size * WIDE_GAP
+                    ? `${current.text} ${item.text}`
+                    : joinText(current.text, item.text, gap > size * SPACE_GAP);
+                current.x1 = Math.max(current.x1, item.x + item.width);
+            });
+            segments.forEach(segment => {
+                segment.text = segment.text.replace(/\s+/g, ' ').trim();
+            });
+            return { y, size, segments: segments.filter(segment => segment.text) };
+        })
+        .filter(line => line.segments.length > 0)
+        .sort((p, q) => q.y - p.y);
+}
+
+function lineText(line) {
+    return line.segments.map(segment => segment.text).join(' ');
+}
+
+/**
+ * 双栏检测：在页面中部找一条几乎不被片段组跨过、两侧都有足够多整行文字的竖线
+ * @returns {Array} 按阅读顺序排列的区域（行的数组）：栏上方的通栏行、左栏、右栏、其余通栏行
+ */
+function splitColumns(lines, box) {
+    const width = box.x1 - box.x0;
+    const segments = lines.flatMap(line => line.segments);
+    let best = null;
+    // 整行文字：宽度达到页面的 20%，排除表格的短单元格
+    for (let percent = 35; percent <= 65; percent++) {
+        const gutter = box.x0 + width * percent / 100;
+        let crossing = 0;
+        let left = 0;
+        let right = 0;
+        segments.forEach(segment => {
+            if (segment.x0 < gutter && segment.x1 > gutter) {
+                crossing++;
+            } else if (segment.x1 - segment.x0 >= width * 0.2) {
+                if (segment.x1 <= gutter) left++;
+                else right++;
+            }
+        });
+        if (left >= 5 && right >= 5 && crossing <= segments.length * 0.1 && (!best || crossing < best.crossing)) {
+            best = { gutter, crossing };
+        }
+    }
+    if (!best) return { columns: false, regions: [lines] };
+
+    const gutter = best.gutter;
+    const pick = test => lines
+        .map(line => ({ ...line, segments: line.segments.filter(test) }))
+        .filter(line => line.segments.length > 0);
+    const spanning = pick(segment => segment.x0 < gutter && segment.x1 > gutter);
+    const left = pick(segment => segment.x1 <= gutter);
+    const right = pick(segment => segment.x0 >= gutter);
+    const top = Math.max(...left.concat(right).map(line => line.y));
+
+    return {
+        columns: true,
+        regions: [spanning.filter(line => line.y > top), left, right, spanning.filter(line => line.y <= top)]
+    };
+}
+
+// 表格：以片段组最多的一行为列基准，其余行的片段组归入起点最近的列
+function tableBlock(rows) {
+    const anchors = rows.reduce((widest, row) => (row.segments.length > widest.segments.length ? row : widest))
+        .segments.map(segment => segment.x0);
+    const cells = rows.map(row => {
+        const cellTexts = anchors.map(() => '');
+        row.segments.forEach(segment => {
+            let column = 0;
+            anchors.forEach((anchor, index) => {
+                if (Math.abs(segment.x0 - anchor) < Math.abs(segment.x0 - anchors[column])) column = index;
+            });
+            cellTexts[column] = joinText(cellTexts[column], segment.text, true);
+        });
+        return cellTexts.join(' | ').trim();
+    });
+    return { kind: 'table', text: cells.join('\n') };
+}
+
+/**
+ * 一个区域内的行转换为块：标题、段落、列表和表格
+ */
+function toBlocks(lines, bodySize) {
+    const blocks = [];
+    const right = Math.max(...lines.map(line => line.segments[line.segments.length - 1].x1));
+    let previous = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        // 连续两行以上都有多个片段组的为表格
+        let end = i;
+        while (end < lines.length && lines[end].segments.length >= 2) end++;
+        if (end - i >= 2) {
+            blocks.push(tableBlock(lines.slice(i, end)));
+            previous = null;
+            i = end - 1;
+            continue;
+        }
+
+        const line = lines[i];
+        const text = lineText(line);
+        const last = blocks[blocks.length - 1];
+
+        if (line.size >= bodySize * HEADING_RATIO && text.length <= HEADING_MAX_LENGTH) {
+            // 折行的标题合并为一个
+            if (last && last.kind === 'heading' && previous && round(previous.size) === round(line.size) &&
+                previous.y - line.y <= line.size * LINE_GAP) {
+                last.text = joinText(last.text, text, true);
+            } else {
+                blocks.push({ kind: 'heading', size: line.size, text: text });
+            }
+            previous = line;
+            continue;
+        }
+
+        const item = BULLET.test(text) || LIST_ITEM.test(text);
+        const continues = last && previous && (last.kind === 'paragraph' || last.kind === 'list') &&
+            previous.y - line.y <= Math.max(previous.size, line.size) * LINE_GAP &&
+            previous.x1 >= right - previous.size * SHORT_LINE;
+
+        if (item) {
+            const entry = text.replace(BULLET, '• ');
+            if (last && last.kind === 'list' && previous && previous.y - line.y <= Math.max(previous.size, line.size) * LINE_GAP) {
+                last.items.push(entry);
+            } else {
+                blocks.push({ kind: 'list', items: [entry] });
+            }
+        } else if (continues) {
+            if (last.kind === 'list') {
+                last.items[last.items.length - 1] = reflow(last.items[last.items.length - 1], text);
+            } else {
+                last.text = reflow(last.text, text);
+            }
+        } else {
+            blocks.push({ kind: 'paragraph', text: text });
+        }
+        previous = { y: line.y, size: line.size, x1: Math.max(...line.segments.map(segment => segment.x1)) };
+    }
+    return blocks;
+}
+
+// 段落内折行重新连接，英文行尾的连字符去掉
+function reflow(text, next) {
+    if (/[a-z]-$/i.test(text) && /^[a-z]/.test(next)) return text.slice(0, -1) + next;
+    return joinText(text, next, true);
+}
+
+function blockText(block) {
+    const text = block.kind === 'list' ? block.items.join('\n') : block.text;
+    return text.replace(/[ \t]+/g, ' ').replace(/[\u200b-\u200d\ufeff]/g, '').trim();
+}
+
+// 页眉页脚行的比较键：数字（页码、章节号）视为相同
+function marginKey(line) {
+    return lineText(line).replace(/\d+/g, '#').replace(/\s+/g, '');
+}
+
+function inMargin(line, box) {
+    const margin = (box.y1 - box.y0) * MARGIN_RATIO;
+    return line.y >= box.y1 - margin || line.y <= box.y0 + margin;
+}
+
+/**
+ * 去掉页眉页脚：页面顶部或底部的页码行，以及在一半以上页面重复出现的行
+ * @returns {number} 去掉的行数
+ */
+function removeMargins(pages) {
+    const counts = new Map();
+    pages.forEach(page => {
+        new Set(page.lines.filter(line => inMargin(line, page.box)).map(marginKey)).forEach(key => {
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+    });
+    const minRepeats = Math.max(2, Math.ceil(pages.length * REPEAT_RATIO));
+    const repeated = key => pages.length >= 3 && counts.get(key) >= minRepeats;
+
+    let removed = 0;
+    pages.forEach(page => {
+        page.lines = page.lines.filter(line => {
+            if (!inMargin(line, page.box)) return true;
+            const drop = PAGE_NUMBER.test(lineText(line)) || repeated(marginKey(line));
+            if (drop) removed++;
+            return !drop;
+        });
+    });
+    return removed;
+}
+
+// 正文字号：按字数加权出现最多的字号
+function bodyFontSize(pages) {
+    const weights = new Map();
+    pages.forEach(page => page.lines.forEach(line => {
+        const size = round(line.size);
+        weights.set(size, (weights.get(size) || 0) + lineText(line).length);
+    }));
+    let best = null;
+    weights.forEach((weight, size) => {
+        if (!best || weight > best.weight) best = { size, weight };
+    });
+    return best ? best.size : 10;
+}
+
+/**
+ * 还原整个文档
+ * @param {Array} pages - [{ number, view: [x0, y0, x1, y1], items }]，items 为 getTextContent 的结果
+ * @returns {Object} { text, units, metadata }
+ *   units 为有文字的页面 [{ type: 'page', index: 页码, title: 页内第一个标题, start, end }]，
+ *   metadata 为 { pageCount, emptyPages, outline: [{ level, title, page, start }], tables, twoColumnPages, removedLines }
+ */
+function layoutDocument(pages) {
+    const prepared = [...pages]
+        .sort((p, q) => p.number - q.number)
+        .map(page => {
+            const [x0, y0, x1, y1] = page.view || [0, 0, 595, 842];
+            return { number: page.number, box: { x0, y0, x1, y1 }, lines: buildLines(toItems(page.items || [])) };
+        });
+
+    const removedLines = removeMargins(prepared);
+    const bodySize = bodyFontSize(prepared);
+
+    const rendered = prepared.map(page => {
+        const layout = page.lines.length > 0 ? splitColumns(page.lines, page.box) : { columns: false, regions: [] };
+        const blocks = layout.regions.filter(region => region.length > 0).flatMap(region => toBlocks(region, bodySize));
+        return { number: page.number, columns: layout.columns, blocks: blocks.filter(block => blockText(block)) };
+    });
+
+    // 标题级别：字号从大到小依次为 1、2、3 级
+    const headingSizes = [...new Set(rendered.flatMap(page => page.blocks
+        .filter(block => block.kind === 'heading')
+        .map(block => round(block.size))))].sort((p, q) => q - p);
+
+    let text = '';
+    const units = [];
+    const outline = [];
+    const emptyPages = [];
+    rendered.forEach(page => {
+        if (page.blocks.length === 0) {
+            emptyPages.push(page.number);
+            return;
+        }
+        if (text) text += '\n\n';
+        const start = text.length;
+        let title = '';
+        page.blocks.forEach((block, index) => {
+            if (index > 0) text += '\n\n';
+            if (block.kind === 'heading') {
+                const heading = blockText(block);
+                outline.push({
+                    level: Math.min(3, headingSizes.indexOf(round(block.size)) + 1),
+                    title: heading,
+                    page: page.number,
+                    start: text.length
+                });
+                if (!title) title = heading;
+            }
+            text += blockText(block);
+        });
+        units.push({ type: 'page', index: page.number, title, start, end: text.length });
+    });
+
+    return {
+        text: text,
+        units: units,
+        metadata: {
+            pageCount: pages.length,
+            emptyPages: emptyPages,
+            outline: outline,
+            tables: rendered.reduce((sum, page) => sum + page.blocks.filter(block => block.kind === 'table').length, 0),
+            twoColumnPages: rendered.filter(page => page.columns).length,
+            removedLines: removedLines
+        }
+    };
+}
+
+module.exports = {
+    layoutDocument
+};
@@ -0,0 +1,166 @@
+// PowerPoint (.pptx) 提取器
+// 按 presentation.xml 中的放映顺序读取每张幻灯片的标题、正文（文本框和表格）和演讲者备注，
+// 每张幻灯片输出为一段以"幻灯片 N"开头的文本，并记录为一个结构单元，分块和题目来源可以引用到具体幻灯片。
+// 隐藏的幻灯片不输出，但编号仍按其在演示文稿中的位置，与 PowerPoint 中显示的编号一致
+const path = require('path');
+const { ZipArchive } = require('../../utils/zipReader');
+const { decodeEntities, elements, attribute, resolvePath } = require('./markup');
+
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+// 页码、日期、页脚占位符不是幻灯片内容
+const IGNORED_PLACEHOLDERS = ['sldNum', 'dt', 'ftr', 'sldImg', 'hdr'];
+
+/**
+ * 读取关系文件：关系ID -> { type, target }，target 已转换为包内路径
+ */
+function readRelationships(zip, partName) {
+    const relsName = resolvePath(path.posix.dirname(partName), `_rels/${path.posix.basename(partName)}.rels`);
+    const relationships = new Map();
+    if (!zip.has(relsName)) return relationships;
+
+    elements(zip.readText(relsName), 'Relationship').forEach(element => {
+        const target = attribute(element, 'Target');
+        if (!target || attribute(element, 'TargetMode') === 'External') return;
+        relationships.set(attribute(element, 'Id'), {
+            type: (attribute(element, 'Type') || '').split('/').pop(),
+            target: resolvePath(path.posix.dirname(partName), target)
+        });
+    });
+    return relationships;
+}
+
+// 段落文本：连接各文本段，<a:br/> 换行
+function paragraphText(paragraph) {
+    const pieces = paragraph.match(/<a:t(?:\s[^>]*)?>[\s\S]*?<\/a:t>|<a:t\/>|<a:br(?:\s[^>]*)?\/>/g) || [];
+    return pieces
+        .map(piece => (piece.startsWith('<a:br') ? '\n' : decodeEntities(piece.replace(/^<a:t[^>]*>|<\/a:t>$/g, ''))))
+        .join('')
+        .replace(/[ \t ]+/g, ' ')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+function shapeText(shape) {
+    return elements(shape, 'a:p').map(paragraphText).filter(Boolean).join('\n');
+}
+
+// 表格按行输出，单元格以" | "分隔
+function tableText(frame) {
+    return elements(frame, 'a:tr')
+        .map(row => elements(row, 'a:tc').map(cell => shapeText(cell).replace(/\n/g, ' ')).join(' | ').trim())
+        .filter(row => row.replace(/[\s|]/g, ''))
+        .join('\n');
+}
+
+function placeholderType(shape) {
+    const placeholder = elements(shape, 'p:ph')[0];
+    if (!placeholder) return null;
+    return attribute(placeholder, 'type') || 'body';
+}
+
+/**
+ * 幻灯片的标题和正文，按形状在文件中的顺序
+ */
+function readSlide(xml) {
+    let title = '';
+    const body = [];
+    const shapes = xml.match(/<p:sp(?:\s[^>]*)?>[\s\S]*?<\/p:sp>|<p:graphicFrame(?:\s[^>]*)?>[\s\S]*?<\/p:graphicFrame>/g) || [];
+
+    shapes.forEach(shape => {
+        if (shape.startsWith('<p:graphicFrame')) {
+            const table = tableText(shape);
+            if (table) body.push(table);
+            return;
+        }
+        const type = placeholderType(shape);
+        if (IGNORED_PLACEHOLDERS.includes(type)) return;
+
+        const text = shapeText(shape);
+        if (!text) return;
+        if (TITLE_PLACEHOLDERS.includes(type) && !title) {
+            title = text.replace(/\n/g, ' ');
+        } else {
+            body.push(text);
+        }
+    });
+    return { title, body: body.join('\n') };
+}
+
+// 备注页中只有正文占位符是演讲者备注，其余是幻灯片缩略图和页码
+function readNotes(xml) {
+    const shapes = xml.match(/<p:sp(?:\s[^>]*)?>[\s\S]*?<\/p:sp>/g) || [];
+    return shapes
+        .filter(shape => placeholderType(shape) === 'body')
+        .map(shapeText)
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * 按放映顺序列出幻灯片的包内路径
+ */
+function slideParts(zip) {
+    if (!zip.has('ppt/presentation.xml')) {
+        throw new Error('不是有效的 PowerPoint 文件（缺少 ppt/presentation.xml）');
+    }
+    const relationships = readRelationships(zip, 'ppt/presentation.xml');
+    const list = elements(zip.readText('ppt/presentation.xml'), 'p:sldIdLst')[0] || '';
+
+    return elements(list, 'p:sldId')
+        .map(element => relationships.get(attribute(element, 'r:id')))
+        .filter(relationship => relationship && zip.has(relationship.target))
+        .map(relationship => relationship.target);
+}
+
+module.exports = {
+    name: 'pptx',
+    extensions: ['.pptx'],
+
+    /**
+     * @param {string} filePath - 文件路径
+     * @returns {Object} { text, units, metadata }，units 为 [{ type: 'slide', index, title, start, end }]
+     */
+    async extract(filePath) {
+        const zip = ZipArchive.fromFile(filePath);
+        const parts = slideParts(zip);
+
+        let text = '';
+        const units = [];
+        let hidden = 0;
+        let notesCount = 0;
+
+        parts.forEach((part, position) => {
+            const xml = zip.readText(part);
+            const root = (xml.match(/<p:sld[\s>][^>]*>?/) || [''])[0];
+            if (/\sshow="(0|false)"/.test(root)) {
+                hidden++;
+                return;
+            }
+
+            const slide = readSlide(xml);
+            const notesPart = Array.from(readRelationships(zip, part).values()).find(rel => rel.type === 'notesSlide');
+            const notes = notesPart && zip.has(notesPart.target) ? readNotes(zip.readText(notesPart.target)) : '';
+            if (notes) notesCount++;
+
+            const index = position + 1;
+            const lines = [`幻灯片 ${index}${slide.title ? `：${slide.title}` : ''}`];
+            if (slide.body) lines.push(slide.body);
+            if (notes) lines.push(`备注：${notes}`);
+
+            if (text) text += '\n\n';
+            const start = text.length;
+            // 与文档分析的预处理一致，保证单元位置在预处理后仍然有效
+            text += lines.join('\n').replace(/[ \t]+/g, ' ').replace(/[\u200b-\u200d\ufeff]/g, '');
+            units.push({ type: 'slide', index, title: slide.title, start, end: text.length });
+        });
+
+        console.log(`📑 PowerPoint 提取完成: ${units.length} 张幻灯片${hidden ? `（跳过隐藏 ${hidden} 张）` : ''}，${notesCount} 张有备注`);
+        return {
+            text: text,
+            units: units,
+            metadata: { slideCount: parts.length, hiddenSlides: hidden, notesCount: notesCount }
+        };
+    }
+};
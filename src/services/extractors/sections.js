@@ -0,0 +1,53 @@
+// 结构化分节格式
+// Markdown、HTML、EPUB 和文本提取器把文档解析为块（标题和正文），这里拼成文本并按标题划分结构单元：
+// 每个标题开始一个单元 { type, index, title, level, start, end }，第一个标题之前的内容为一个无标题单元。
+// 各块按文档分析的预处理规则规范化，保证单元位置在预处理后仍然有效
+const DocumentProcessor = require('../documentProcessor');
+
+const documentProcessor = new DocumentProcessor();
+
+function normalize(text) {
+    return documentProcessor.preprocessContent(text);
+}
+
+/**
+ * @param {Array} blocks - [{ kind: 'heading', level, text } | { kind, text }]
+ * @param {Object} options - { unitType } 单元类型，缺省为 section
+ * @returns {Object} { text, units, outline }，没有标题时 units 为空；outline 为 [{ level, title, start }]
+ */
+function buildSections(blocks, { unitType = 'section' } = {}) {
+    let text = '';
+    const units = [];
+    const outline = [];
+    let current = null;
+
+    blocks.forEach(block => {
+        const content = normalize(block.text);
+        if (!content) return;
+        if (text) text += '\n\n';
+
+        if (block.kind === 'heading') {
+            const title = content.replace(/\s+/g, ' ');
+            if (current) current.end = text.length - 2;
+            current = { type: unitType, index: units.length + 1, title, level: block.level || 1, start: text.length, end: 0 };
+            units.push(current);
+            outline.push({ level: current.level, title, start: text.length });
+            text += title;
+            return;
+        }
+        if (!current) {
+            current = { type: unitType, index: 1, title: '', level: 0, start: 0, end: 0 };
+            units.push(current);
+        }
+        text += content;
+    });
+    if (current) current.end = text.length;
+
+    // 没有标题时不需要结构单元
+    return { text, units: outline.length > 0 ? units : [], outline };
+}
+
+module.exports = {
+    normalize,
+    buildSections
+};
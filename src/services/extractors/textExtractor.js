@@ -0,0 +1,57 @@
+// 文本提取器，没有对应提取器的文件也按文本读取
+// 自动识别 UTF-8 和 GB18030（GBK）编码；"第X章"、"第X节"、"Chapter N" 这样的独立短行作为标题分节
+const fs = require('fs');
+const { decodeText } = require('../../utils/textEncoding');
+const { buildSections } = require('./sections');
+
+const CHAPTER_HEADING = /^(第[一二三四五六七八九十百千零〇两\d]+[章篇部卷]|chapter\s+\d+)/i;
+const SECTION_HEADING = /^(第[一二三四五六七八九十百千零〇两\d]+[节讲课]|第[一二三四五六七八九十百千零〇两\d]+单元)/;
+const HEADING_MAX_LENGTH = 40;
+
+function headingLevel(line) {
+    if (line.length > HEADING_MAX_LENGTH || /[。！？；;]$/.test(line)) return 0;
+    if (CHAPTER_HEADING.test(line)) return 1;
+    if (SECTION_HEADING.test(line)) return 2;
+    return 0;
+}
+
+module.exports = {
+    name: 'text',
+    extensions: ['.txt'],
+
+    /**
+     * @param {string} filePath - 文件路径
+     * @returns {Object} { text, units, metadata }，有章节标题时 units 为 [{ type: 'section', index, title, level, start, end }]
+     */
+    async extract(filePath) {
+        const { text: source, encoding } = decodeText(fs.readFileSync(filePath));
+
+        // 标题行单独成块，其余内容保持原样
+        const blocks = [];
+        let body = [];
+        const flush = () => {
+            if (body.length > 0) blocks.push({ kind: 'paragraph', text: body.join('\n') });
+            body = [];
+        };
+        source.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            const level = headingLevel(line.trim());
+            if (level) {
+                flush();
+                blocks.push({ kind: 'heading', level, text: line.trim() });
+            } else {
+                body.push(line);
+            }
+        });
+        flush();
+
+        const { text, units, outline } = buildSections(blocks);
+        if (encoding !== 'utf-8') {
+            console.log(`🔤 文本文件按 ${encoding} 编码读取`);
+        }
+        return {
+            text: text,
+            units: units,
+            metadata: { encoding: encoding, outline: outline }
+        };
+    }
+};
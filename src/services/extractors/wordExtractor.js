@@ -0,0 +1,22 @@
+// Word 提取器
+// .docx 使用 mammoth 提取纯文本；老版本的 .doc 也先尝试 mammoth，失败时按文本读取
+const fs = require('fs');
+const path = require('path');
+const mammoth = require('mammoth');
+
+module.exports = {
+    name: 'word',
+    extensions: ['.docx', '.doc'],
+
+    async extract(filePath, originalName) {
+        const ext = path.extname(originalName || filePath).toLowerCase();
+        try {
+            const result = await mammoth.extractRawText({ path: filePath });
+            return { text: result.value, units: [], metadata: {} };
+        } catch (error) {
+            if (ext !== '.doc') throw error;
+            console.warn('mammoth处理.doc文件失败，尝试读取为文本:', error.message);
+            return { text: fs.readFileSync(filePath, 'utf8'), units: [], metadata: {} };
+        }
+    }
+};
@@ -0,0 +1,197 @@
+// 题目质量关卡 - 流水线的质量校验步骤
+// 静态检查（模板占位选项、题干泄露答案、与材料的相关度）对所有题目执行；
+// 盲解校验让模型在不知道答案的情况下重新作答，答案不一致、干扰项也正确或题干泄露答案的题目被拒绝，
+// 通过的题目以模型的把握作为质量分数。相关阈值见 config/questionGeneration.js 的 quality 部分
+const ollamaService = require('../ollamaService');
+const quizSessionService = require('../quizSessionService');
+const { quality } = require('../../../config/questionGeneration');
+
+const CHOICE_TYPES = ['multiple-choice', 'multi-select'];
+
+// 模板和提示词示例中的占位选项（规范化后比较）：选项A、这是错误的选项B、无关内容C、干扰性选项……
+const PLACEHOLDER_OPTIONS = [
+    /^(选项|option|答案|内容)[a-h1-8]$/,
+    /^(这是)?(正确|错误|不正确|无关|干扰性?)的?(选项|答案|内容)[a-h1-8]?$/,
+    /^(这是)?基于材料内容的正确选项$/
+];
+
+function label(index) {
+    return index >= 0 ? String.fromCharCode(65 + index) : '无效答案';
+}
+
+function correctIndexes(question) {
+    return [].concat(question.correctAnswer).filter(index => Number.isInteger(index));
+}
+
+/**
+ * 选项中有模板占位文本时拒绝
+ * @returns {string|null} 拒绝原因
+ */
+function checkPlaceholders(question) {
+    const placeholders = question.options
+        .map((option, index) => ({ index, text: quizSessionService.normalizeText(option) }))
+        .filter(({ text }) => PLACEHOLDER_OPTIONS.some(pattern => pattern.test(text)));
+    if (placeholders.length === 0) return null;
+    return `选项 ${placeholders.map(({ index }) => label(index)).join('、')} 是模板占位文本`;
+}
+
+/**
+ * 题干直接包含正确答案时拒绝；选择题中干扰项也出现在题干里时（如比较两个概念）不算泄露
+ * @returns {string|null} 拒绝原因
+ */
+function checkAnswerLeak(question) {
+    const stem = quizSessionService.normalizeText(question.question);
+    const inStem = text => {
+        const normalized = quizSessionService.normalizeText(text);
+        return normalized.length >= 2 && stem.includes(normalized);
+    };
+
+    if (CHOICE_TYPES.includes(question.type)) {
+        const correct = correctIndexes(question);
+        const leaked = correct.filter(index => inStem(question.options[index] || ''));
+        const distractorInStem = question.options.some((option, index) => !correct.includes(index) && inStem(option));
+        if (leaked.length > 0 && !distractorInStem) {
+            return `题干包含正确选项「${question.options[leaked[0]]}」`;
+        }
+    }
+    if (question.type === 'fill-blank') {
+        const index = question.blanks.findIndex(blank => inStem(blank.answer));
+        if (index !== -1) {
+            return `题干包含第${index + 1}空的答案「${question.blanks[index].answer}」`;
+        }
+    }
+    return null;
+}
+
+/**
+ * 题干和答案中出现在材料里的双字片段比例低于阈值时拒绝；材料过短时不检查
+ * 材料的双字片段在本次生成中只计算一次，缓存在 context 中
+ * @returns {string|null} 拒绝原因
+ */
+function checkRelevance(question, context) {
+    if (!quality.qualityChecks.contentRelevance) return null;
+
+    if (!context.contentBigrams) {
+        const source = quizSessionService.normalizeText(context.content || '');
+        context.contentBigrams = source.length >= 50 ? quizSessionService.bigrams(source) : new Set();
+    }
+    if (context.contentBigrams.size === 0) return null;
+
+    const grams = quizSessionService.bigrams(quizSessionService.normalizeText(question.question + answerText(question)));
+    if (grams.size === 0) return null;
+
+    let hits = 0;
+    grams.forEach(gram => {
+        if (context.contentBigrams.has(gram)) hits++;
+    });
+    const ratio = hits / grams.size;
+    const threshold = quality.minimumQuality.contentRelevance;
+    return ratio < threshold ? `与材料内容的相关度 ${ratio.toFixed(2)} 低于 ${threshold}` : null;
+}
+
+// 标准答案的文本：选择题为正确选项，判断题为空
+function answerText(question) {
+    if (CHOICE_TYPES.includes(question.type)) {
+        return correctIndexes(question).map(index => question.options[index] || '').join('');
+    }
+    return typeof question.correctAnswer === 'string' ? question.correctAnswer : '';
+}
+
+/**
+ * 盲解校验
+ * @param {Object} question - 已通过静态检查的统一格式题目
+ * @param {Object} context - 流水线上下文，使用 provider 和 verify（true 全部校验，false 不校验，缺省按配置）
+ * @param {boolean} usesLLM - 题目是否由大模型策略生成
+ * @returns {Object|null} 不需要校验时为 null；{ rejected } 拒绝原因；{ verified, score, reason } 校验结论
+ */
+async function verify(question, context, usesLLM) {
+    const settings = quality.verification;
+    if (context.verify === false || !settings.types.includes(question.type)) return null;
+    if (context.verify !== true && (!settings.enabled || (settings.llmStrategiesOnly && !usesLLM))) return null;
+
+    let solution;
+    try {
+        solution = await ollamaService.solveQuestion(question, { provider: context.provider });
+    } catch (error) {
+        // 校验模型不可用时保留题目，记录未校验的原因
+        console.warn('⚠️ 盲解校验失败:', error.message);
+        return { verified: false, score: question.qualityScore, reason: `未能校验: ${error.message}` };
+    }
+
+    const problem = compareSolution(question, solution);
+    if (problem) {
+        return { rejected: solution.reason ? `${problem}（${solution.reason}）` : problem };
+    }
+    if (solution.confidence !== null && solution.confidence < settings.minConfidence) {
+        return { rejected: `盲解答案一致但把握只有 ${solution.confidence}` };
+    }
+
+    const score = solution.confidence !== null ? solution.confidence : question.qualityScore;
+    return {
+        verified: true,
+        score: score,
+        reason: `盲解一致（${solution.model || '校验模型'}${solution.confidence !== null ? `，把握 ${solution.confidence}` : ''}）`
+    };
+}
+
+// 比较模型的解答和标准答案，返回问题描述
+function compareSolution(question, solution) {
+    if (solution.answerInStem) return '题干泄露答案';
+
+    switch (question.type) {
+        case 'multiple-choice': {
+            const solved = quizSessionService.resolveOptionIndex(solution.answer, question.options);
+            if (solved !== question.correctAnswer) {
+                return `盲解答案为 ${label(solved)}，标准答案为 ${label(question.correctAnswer)}`;
+            }
+            return checkOtherCorrect(question, solution, [question.correctAnswer]);
+        }
+        case 'multi-select': {
+            const solved = [...new Set(quizSessionService.resolveOptionIndexes(solution.answer, question.options))].sort((a, b) => a - b);
+            if (solved.join(',') !== question.correctAnswer.join(',')) {
+                return `盲解答案为 ${solved.map(label).join('')}，标准答案为 ${question.correctAnswer.map(label).join('')}`;
+            }
+            return checkOtherCorrect(question, solution, question.correctAnswer);
+        }
+        case 'true-false': {
+            const solved = quizSessionService.normalizeBoolean(solution.answer);
+            return solved !== question.correctAnswer ? `盲解判断为 ${solved}，标准答案为 ${question.correctAnswer}` : null;
+        }
+        case 'fill-blank': {
+            const answers = [].concat(solution.answer);
+            const index = question.blanks.findIndex((blank, i) => !blankMatches(answers[i], blank));
+            if (index !== -1) {
+                return `第${index + 1}空盲解答案为「${answers[index] ?? ''}」，标准答案为「${question.blanks[index].answer}」`;
+            }
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+// 干扰项也被认为正确
+function checkOtherCorrect(question, solution, correct) {
+    const others = quizSessionService.resolveOptionIndexes(solution.otherCorrect, question.options)
+        .filter(index => index >= 0 && index < question.options.length && !correct.includes(index));
+    return others.length > 0 ? `干扰项 ${[...new Set(others)].map(label).join('、')} 也是正确答案` : null;
+}
+
+// 填空题答案的表述可能不同，规范化后相等或互相包含即视为一致
+function blankMatches(answer, blank) {
+    if (answer === undefined || answer === null) return false;
+    const solved = quizSessionService.normalizeText(String(answer));
+    if (!solved) return false;
+    return [blank.answer, ...blank.acceptableAnswers].some(candidate => {
+        const expected = quizSessionService.normalizeText(candidate);
+        return expected && (solved === expected || solved.includes(expected) || expected.includes(solved));
+    });
+}
+
+module.exports = {
+    checkPlaceholders,
+    checkAnswerLeak,
+    checkRelevance,
+    answerText,
+    verify
+};
@@ -0,0 +1,250 @@
+// 统一题目格式 - 各生成策略的输出、题库返回和导入的题目都转换为这一格式，字段定义和校验见 questionSchema.js
+// correctAnswer 是唯一的标准答案字段：单选题为选项索引，多选题和排序题为选项索引数组，判断题为布尔值，
+// 填空题为各空答案，问答题为参考答案；answer（填空题）和 sampleAnswer（问答题）与 correctAnswer 同值，保留给旧版前端
+const quizSessionService = require('../quizSessionService');
+const { SCHEMA_VERSION, QUESTION_TYPES } = require('./questionSchema');
+
+// 生成策略支持的题型；多选题和排序题只能导入
+const GENERATED_TYPES = ['multiple-choice', 'true-false', 'fill-blank', 'essay'];
+const DEFAULT_TYPES = ['multiple-choice', 'fill-blank', 'essay'];
+const CHOICE_TYPES = ['multiple-choice', 'multi-select', 'ordering'];
+
+// 各生成器使用过的题型名称
+const TYPE_ALIASES = {
+    'multiple_choice': 'multiple-choice',
+    'choice': 'multiple-choice',
+    'single-choice': 'multiple-choice',
+    'multiple-select': 'multi-select',
+    'multi_select': 'multi-select',
+    'checkbox': 'multi-select',
+    'true_false': 'true-false',
+    'judge': 'true-false',
+    'fill_blank': 'fill-blank',
+    'fill-in-blank': 'fill-blank',
+    'fill_in_blank': 'fill-blank',
+    'short-answer': 'essay',
+    'short_answer': 'essay',
+    'conceptual': 'essay',
+    'order': 'ordering',
+    'sequence': 'ordering',
+    'sorting': 'ordering'
+};
+
+// 难度名称和智能生成器的知识层次对应的难度等级
+const DIFFICULTY_LEVELS = { easy: 1, medium: 2, hard: 3, basic: 1, application: 2, analysis: 3 };
+const DIFFICULTY_NAMES = { 1: 'easy', 2: 'medium', 3: 'hard' };
+
+const OPTION_LABEL = /^[A-Ha-h][.、．:：)）]\s*/;
+
+function normalizeType(type) {
+    const key = String(type || '').trim().toLowerCase();
+    return TYPE_ALIASES[key] || key;
+}
+
+/**
+ * 题型参数转换为题型列表
+ * @param {string|Array} questionType - mixed、单个题型或题型数组
+ */
+function expandTypes(questionType) {
+    const requested = Array.isArray(questionType)
+        ? questionType
+        : (!questionType || questionType === 'mixed' ? DEFAULT_TYPES : [questionType]);
+    const types = [...new Set(requested.map(normalizeType))].filter(type => GENERATED_TYPES.includes(type));
+    return types.length > 0 ? types : DEFAULT_TYPES;
+}
+
+/**
+ * 难度转换为 1-3 的等级，支持数字、easy/medium/hard 和 basic/application/analysis
+ */
+function normalizeDifficulty(value, fallback = 2) {
+    let level = null;
+    if (typeof value === 'number') {
+        level = Math.round(value);
+    } else if (typeof value === 'string') {
+        level = DIFFICULTY_LEVELS[value.trim().toLowerCase()] || parseInt(value) || null;
+    }
+    if (!level) {
+        return fallback === undefined || fallback === null ? 2 : normalizeDifficulty(fallback, 2);
+    }
+    return Math.min(3, Math.max(1, level));
+}
+
+function difficultyName(level) {
+    return DIFFICULTY_NAMES[normalizeDifficulty(level)];
+}
+
+/**
+ * 转换为统一格式
+ * @param {Object} question - 任意生成器输出的题目
+ * @param {Object} defaults - { type, difficulty, source } 题目中缺少这些字段时使用
+ * @returns {Object} 统一格式的题目
+ */
+function toCanonical(question, defaults = {}) {
+    const type = normalizeType(question.type || defaults.type);
+    const rawOptions = Array.isArray(question.options) ? question.options : [];
+    const options = CHOICE_TYPES.includes(type) ? normalizeOptions(rawOptions) : [];
+    const blanks = type === 'fill-blank' ? normalizeBlanks(question) : null;
+
+    const canonical = {
+        schemaVersion: SCHEMA_VERSION,
+        type: type,
+        question: String(question.question || '').trim(),
+        options: options,
+        correctAnswer: blanks ? blanks.map(blank => blank.answer).join(' ') : normalizeAnswer(type, question, rawOptions, options),
+        acceptableAnswers: blanks ? (blanks.length === 1 ? blanks[0].acceptableAnswers : []) : toList(question.acceptableAnswers),
+        keyPoints: toList(question.keyPoints),
+        explanation: typeof question.explanation === 'string' ? question.explanation : '',
+        difficulty: normalizeDifficulty(question.difficulty, defaults.difficulty),
+        knowledgePoints: toList(question.knowledgePoints || question.concept),
+        qualityScore: normalizeScore(question.qualityScore),
+        source: [question.source, question.generated, defaults.source].find(value => typeof value === 'string') || null,
+        model: typeof question.model === 'string' ? question.model : null,
+        provider: typeof question.provider === 'string' ? question.provider : null,
+        enhanced: Boolean(question.enhanced)
+    };
+
+    if (question.id !== undefined && question.id !== null) {
+        canonical.id = question.id;
+    }
+    if (blanks) {
+        canonical.blanks = blanks;
+        canonical.answer = canonical.correctAnswer;
+    }
+    if (type === 'essay') {
+        canonical.sampleAnswer = canonical.correctAnswer;
+        if (question.scoringCriteria) canonical.scoringCriteria = question.scoringCriteria;
+    }
+    if (typeof question.qualityReason === 'string' && question.qualityReason) {
+        canonical.qualityReason = question.qualityReason;
+    }
+    if (Array.isArray(question.relatedConcepts) && question.relatedConcepts.length > 0) {
+        canonical.relatedConcepts = question.relatedConcepts;
+    }
+    // 生成器的原文摘录由流水线的来源定位步骤核对，已定位的来源原样保留
+    if (typeof question.sourceQuote === 'string' && question.sourceQuote.trim()) {
+        canonical.sourceQuote = question.sourceQuote.trim();
+    }
+    if (question.sourceRef && typeof question.sourceRef === 'object') {
+        canonical.sourceRef = question.sourceRef;
+    }
+    return canonical;
+}
+
+// 选项统一为文本；{ text, correct } 形式取 text，全部带 "A." 标号时去掉标号
+function normalizeOptions(options) {
+    const texts = options
+        .map(option => (option && typeof option === 'object' ? option.text || option.content || option.label : option))
+        .filter(option => option !== undefined && option !== null)
+        .map(option => String(option).trim());
+
+    if (texts.length > 0 && texts.every(text => OPTION_LABEL.test(text))) {
+        return texts.map(text => text.replace(OPTION_LABEL, '').trim());
+    }
+    return texts;
+}
+
+// 各空的答案：优先使用 blanks，否则数组形式的答案每项一空；只有一空时 acceptableAnswers 属于这一空
+function normalizeBlanks(question) {
+    const blanks = parseList(question.blanks);
+    if (Array.isArray(blanks) && blanks.length > 0) {
+        return blanks.map(blank => {
+            const isObject = blank && typeof blank === 'object';
+            return {
+                answer: String((isObject ? blank.answer ?? blank.correctAnswer : blank) ?? '').trim(),
+                acceptableAnswers: toList(isObject ? blank.acceptableAnswers : null)
+            };
+        });
+    }
+
+    const raw = parseList(rawAnswer(question));
+    if (Array.isArray(raw) && raw.length > 1) {
+        return raw.map(answer => ({ answer: String(answer ?? '').trim(), acceptableAnswers: [] }));
+    }
+    return [{
+        answer: String((Array.isArray(raw) ? raw[0] : raw) ?? '').trim(),
+        acceptableAnswers: toList(question.acceptableAnswers)
+    }];
+}
+
+function rawAnswer(question) {
+    return [question.correctAnswer, question.answer, question.correct_answer]
+        .find(value => value !== undefined && value !== null);
+}
+
+function normalizeAnswer(type, question, rawOptions, options) {
+    const raw = rawAnswer(question);
+
+    switch (type) {
+        case 'multiple-choice': {
+            if (raw === undefined) {
+                return rawOptions.findIndex(option => option && typeof option === 'object' && option.correct);
+            }
+            // 答案可能是索引、字母或选项原文（含标号）
+            const index = quizSessionService.resolveOptionIndex(raw, options);
+            return index !== -1 ? index : quizSessionService.resolveOptionIndex(raw, rawOptions.map(String));
+        }
+        case 'multi-select': {
+            if (raw === undefined) {
+                return rawOptions
+                    .map((option, index) => (option && typeof option === 'object' && option.correct ? index : -1))
+                    .filter(index => index !== -1);
+            }
+            // 未能解析的答案保留为 -1，由格式校验报告
+            const indexes = quizSessionService.splitChoices(raw, options.length).map(value => resolveIndex(value, rawOptions, options));
+            return [...new Set(indexes)].sort((a, b) => a - b);
+        }
+        case 'ordering': {
+            const order = question.correctOrder !== undefined ? question.correctOrder : raw;
+            // 未给出顺序时选项本身即按正确顺序排列
+            if (order === undefined) return options.map((option, index) => index);
+            return quizSessionService.splitChoices(order, options.length).map(value => resolveIndex(value, rawOptions, options));
+        }
+        case 'true-false':
+            return quizSessionService.normalizeBoolean(raw);
+        case 'essay':
+            return String(question.sampleAnswer || question.referenceAnswer || question.expectedAnswer || raw || '').trim();
+        default:
+            return Array.isArray(raw) ? raw.join(' ') : String(raw ?? '').trim();
+    }
+}
+
+function resolveIndex(value, rawOptions, options) {
+    const index = quizSessionService.resolveOptionIndex(value, options);
+    return index !== -1 ? index : quizSessionService.resolveOptionIndex(value, rawOptions.map(String));
+}
+
+// 题库记录中的数组字段以 JSON 字符串保存
+function parseList(value) {
+    if (typeof value !== 'string' || !value.trim().startsWith('[')) return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+// 质量分数统一为 0-1，智能生成器使用百分制
+function normalizeScore(score) {
+    if (typeof score !== 'number' || !Number.isFinite(score)) return null;
+    const normalized = score > 1 ? score / 100 : score;
+    return Math.round(Math.min(1, Math.max(0, normalized)) * 100) / 100;
+}
+
+function toList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : [value];
+    return list
+        .map(item => (typeof item === 'object' && item !== null ? item.term || item.name || item.text : item))
+        .filter(item => typeof item === 'string' && item.trim())
+        .map(item => item.trim());
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    GENERATED_TYPES,
+    normalizeType,
+    expandTypes,
+    normalizeDifficulty,
+    difficultyName,
+    toCanonical
+};
@@ -0,0 +1,361 @@
+// 题目生成流水线：文档分析 → 题型规划 → 按题型生成 → 校验 → 盲解校验 → 后处理（来源定位、数学公式）
+// 各题目生成器作为生成策略按名称选择（见 strategies.js），策略只负责按题型产出题目；
+// 题型分配、去重、数学公式处理和输出格式由流水线统一完成，所有接口返回 questionFormat 定义的统一格式
+const DocumentProcessor = require('../documentProcessor');
+const MathFormulaHandler = require('../../utils/mathFormulaHandler');
+const questionFormat = require('./questionFormat');
+const questionSchema = require('./questionSchema');
+const qualityGate = require('./qualityGate');
+const sourceGrounding = require('./sourceGrounding');
+const similarityIndex = require('./similarityIndex');
+const { quality } = require('../../../config/questionGeneration');
+const { createDefaultStrategies } = require('./strategies');
+
+const STAGES = ['validate', 'verify', 'postProcess'];
+
+// 混合题型时各题型的比例，未列出的题型平均分配
+const TYPE_WEIGHTS = {
+    easy: { 'multiple-choice': 0.5, 'fill-blank': 0.3, 'essay': 0.2 },
+    medium: { 'multiple-choice': 0.4, 'fill-blank': 0.3, 'essay': 0.3 },
+    hard: { 'multiple-choice': 0.3, 'fill-blank': 0.3, 'essay': 0.4 }
+};
+
+class QuestionPipeline {
+    constructor() {
+        this.documentProcessor = new DocumentProcessor();
+        this.mathHandler = new MathFormulaHandler();
+        this.strategies = new Map();
+        this.stages = { validate: [], verify: [], postProcess: [] };
+        this.defaultStrategy = 'deepseek';
+
+        createDefaultStrategies().forEach(strategy => this.registerStrategy(strategy));
+
+        this.use('validate', 'schema', question => this.checkSchema(question));
+        this.use('validate', 'structure', question => this.checkStructure(question));
+        this.use('validate', 'duplicate', (question, context) => this.checkDuplicate(question, context));
+        this.use('validate', 'placeholder', question => qualityGate.checkPlaceholders(question));
+        this.use('validate', 'leak', question => qualityGate.checkAnswerLeak(question));
+        this.use('validate', 'relevance', (question, context) => qualityGate.checkRelevance(question, context));
+        this.use('verify', 'blind-solve', (question, context) =>
+            qualityGate.verify(question, context, this.getStrategy(question.source).usesLLM)
+        );
+        this.use('postProcess', 'grounding', (question, context) => sourceGrounding.ground(question, context));
+        this.use('postProcess', 'math', (question, context) => this.processMath(question, context));
+    }
+
+    /**
+     * 注册生成策略
+     * @param {Object} strategy - { name, description, usesLLM, needsDocument, fallback, prepare(context), generate(type, count, context, state) }
+     *   generate 为异步生成器，逐题产出任意格式的题目
+     */
+    registerStrategy(strategy) {
+        this.strategies.set(strategy.name, strategy);
+    }
+
+    getStrategy(name) {
+        const strategy = this.strategies.get(name);
+        if (!strategy) {
+            throw Object.assign(new Error(`未知的生成策略: ${name}`), { code: 'UNKNOWN_STRATEGY' });
+        }
+        return strategy;
+    }
+
+    hasStrategy(name) {
+        return this.strategies.has(name);
+    }
+
+    describeStrategies() {
+        return Array.from(this.strategies.values()).map(strategy => ({
+            name: strategy.name,
+            description: strategy.description,
+            usesLLM: Boolean(strategy.usesLLM),
+            fallback: strategy.fallback || [],
+            default: strategy.name === this.defaultStrategy
+        }));
+    }
+
+    /**
+     * 添加校验或后处理步骤，按添加顺序执行
+     * @param {string} stage - validate：返回拒绝原因（字符串）或 null；
+     *   verify：返回 null（跳过）、{ rejected } 或 { verified, score, reason }，score/reason 写入题目的质量分数和结论；
+     *   postProcess：返回处理后的题目
+     * @param {string} name - 步骤名称
+     * @param {Function} handler - (question, context) => ...，可以是异步函数
+     */
+    use(stage, name, handler) {
+        if (!STAGES.includes(stage)) {
+            throw new Error(`未知的流水线阶段: ${stage}`);
+        }
+        this.stages[stage].push({ name, handler });
+    }
+
+    /**
+     * 生成题目
+     * @param {string} content - 学习材料文本
+     * @param {Object} options - 生成选项
+     * @param {string} options.strategy - 生成策略名称，缺省为 deepseek
+     * @param {Array|false} options.fallback - 策略题目不足时依次使用的策略，缺省使用策略自身的降级顺序，false 不降级
+     * @param {string|Array} options.questionType - mixed、单个题型或题型数组
+     * @param {number} options.count - 题目数量
+     * @param {number|string} options.difficulty - 1-3 或 easy/medium/hard
+     * @param {string} options.provider - 推理后端名称
+     * @param {Object} options.processedDoc - 已有的文档分析结果，提供时跳过文档分析
+     * @param {boolean} options.verify - true 校验所有题目，false 不做盲解校验，缺省按 config/questionGeneration.js
+     * @param {Object} options.structure - 材料的文档结构 { units }（materials.content_structure），分块和来源定位按结构单元
+     * @param {SimilarityIndex} options.existing - 题库中已有题目的相似度索引，与其中题目近似重复的新题目被拒绝
+     * @param {Function} options.onQuestion - 每道题通过校验和后处理后回调
+     * @returns {Object} { questions, metadata }
+     */
+    async generate(content, options = {}) {
+        const {
+            strategy: strategyName = this.defaultStrategy,
+            fallback,
+            questionType = 'mixed',
+            count = 10,
+            difficulty = 2,
+            provider = null,
+            processedDoc = null,
+            verify,
+            existing = null,
+            structure = null,
+            onQuestion = null,
+            ...strategyOptions
+        } = options;
+
+        const primary = this.getStrategy(strategyName);
+        const chain = [primary.name, ...(fallback === false ? [] : (fallback || primary.fallback || []))]
+            .filter((name, index, names) => names.indexOf(name) === index)
+            .map(name => this.getStrategy(name));
+
+        const difficultyLevel = questionFormat.normalizeDifficulty(difficulty);
+        const context = {
+            content: content || '',
+            processedDoc: processedDoc,
+            units: structure && Array.isArray(structure.units) ? structure.units : [],
+            difficulty: questionFormat.difficultyName(difficultyLevel),
+            difficultyLevel: difficultyLevel,
+            provider: provider,
+            verify: verify,
+            options: strategyOptions,
+            accepted: [],
+            similar: new similarityIndex.SimilarityIndex(quality.minimumQuality.uniquenessThreshold),
+            existing: existing,
+            skippedDuplicates: 0,  // 与题库中已有题目近似重复而被拒绝的题目数
+            verified: 0,
+            rejected: [],
+            states: new Map(),     // 策略名称 -> prepare 结果
+            unavailable: new Map() // 策略名称 -> 不可用原因
+        };
+
+        const total = Math.max(0, parseInt(count) || 0);
+        const plan = this.plan(total, questionFormat.expandTypes(questionType), context.difficulty);
+        const strategiesUsed = {};
+        console.log(`🧭 题目生成: 策略=${chain.map(s => s.name).join(' → ')}, 题型分配=${JSON.stringify(plan)}`);
+
+        for (const [type, typeCount] of Object.entries(plan)) {
+            let accepted = 0;
+            for (const strategy of chain) {
+                if (accepted >= typeCount) break;
+
+                const state = await this.prepare(strategy, context);
+                if (context.unavailable.has(strategy.name)) continue;
+
+                try {
+                    for await (const raw of strategy.generate(type, typeCount - accepted, context, state)) {
+                        const question = await this.accept(raw, { type, source: strategy.name }, context);
+                        if (!question) continue;
+
+                        accepted++;
+                        strategiesUsed[strategy.name] = (strategiesUsed[strategy.name] || 0) + 1;
+                        if (onQuestion) onQuestion(question);
+                        if (accepted >= typeCount) break;
+                    }
+                } catch (error) {
+                    console.warn(`⚠️ 策略 ${strategy.name} 生成${type}题目失败:`, error.message);
+                }
+
+                if (accepted < typeCount && strategy !== chain[chain.length - 1]) {
+                    console.log(`🔄 ${type} 还差 ${typeCount - accepted} 道，使用下一个策略`);
+                }
+            }
+        }
+
+        console.log(`✅ 题目生成完成: ${context.accepted.length}/${total} 道，拒绝 ${context.rejected.length} 道`);
+        return {
+            questions: context.accepted,
+            metadata: {
+                strategy: primary.name,
+                strategiesUsed: strategiesUsed,
+                unavailable: Object.fromEntries(context.unavailable),
+                requested: total,
+                generated: context.accepted.length,
+                verified: context.verified,
+                skippedDuplicates: context.skippedDuplicates,
+                grounded: this.countGrounding(context.accepted),
+                distribution: plan,
+                difficulty: context.difficulty,
+                rejected: context.rejected.map(({ question, reason, strategy }) => ({
+                    strategy,
+                    reason,
+                    type: question.type,
+                    question: question.question
+                }))
+            }
+        };
+    }
+
+    /**
+     * 题型分配：单一题型全部分给该题型，混合题型按难度对应的比例分配，余数给比例最大的题型
+     */
+    plan(total, types, difficulty) {
+        const weights = TYPE_WEIGHTS[difficulty] || TYPE_WEIGHTS.medium;
+        const sum = types.reduce((acc, type) => acc + (weights[type] || 1 / types.length), 0);
+        const plan = {};
+        let assigned = 0;
+
+        types.forEach(type => {
+            plan[type] = Math.floor(total * (weights[type] || 1 / types.length) / sum);
+            assigned += plan[type];
+        });
+
+        const byWeight = [...types].sort((a, b) => (weights[b] || 0) - (weights[a] || 0));
+        for (let i = 0; assigned < total; i++, assigned++) {
+            plan[byWeight[i % byWeight.length]]++;
+        }
+        return plan;
+    }
+
+    /**
+     * 策略首次使用时分析文档并准备策略状态；准备失败的策略在本次生成中跳过
+     */
+    async prepare(strategy, context) {
+        if (context.states.has(strategy.name) || context.unavailable.has(strategy.name)) {
+            return context.states.get(strategy.name);
+        }
+
+        try {
+            if (strategy.needsDocument && !context.processedDoc) {
+                context.processedDoc = await this.analyze(context);
+            }
+            const state = strategy.prepare ? await strategy.prepare(context) : {};
+            context.states.set(strategy.name, state);
+            return state;
+        } catch (error) {
+            console.warn(`⚠️ 策略 ${strategy.name} 不可用:`, error.message);
+            context.unavailable.set(strategy.name, error.message);
+            return null;
+        }
+    }
+
+    // 文档分析：分块、关键词、知识图谱和概念
+    async analyze(context) {
+        const { options } = context;
+        return this.documentProcessor.processDocument(context.content, {
+            maxChunkSize: options.maxChunkSize || 1000,
+            overlapSize: options.overlapSize || 200,
+            enableKnowledgeGraph: options.enableKnowledgeGraph !== false,
+            analysisDepth: options.analysisDepth || 'comprehensive',
+            units: context.units
+        });
+    }
+
+    /**
+     * 转换为统一格式并依次校验、后处理
+     * @returns {Object|null} 通过校验的题目，被拒绝时返回 null
+     */
+    async accept(raw, defaults, context) {
+        if (!raw) return null;
+
+        // 来源统一记为策略名称
+        let question = questionFormat.toCanonical(
+            { ...raw, source: defaults.source },
+            { ...defaults, difficulty: context.difficultyLevel }
+        );
+        const reject = reason => {
+            context.rejected.push({ question, reason, strategy: defaults.source });
+            return null;
+        };
+        for (const { name, handler } of this.stages.validate) {
+            const reason = await handler(question, context);
+            if (reason) return reject(`${name}: ${reason}`);
+        }
+
+        for (const { name, handler } of this.stages.verify) {
+            const result = await handler(question, context);
+            if (!result) continue;
+            if (result.rejected) return reject(`${name}: ${result.rejected}`);
+
+            if (result.verified) context.verified++;
+            question = { ...question, qualityScore: result.score, qualityReason: result.reason };
+        }
+        // 本次生成的题目也加入相似度索引，后面的题目不与它近似重复
+        context.similar.add(context.accepted.length, question.type, similarityIndex.signature(question));
+
+        for (const { handler } of this.stages.postProcess) {
+            question = await handler(question, context);
+        }
+        context.accepted.push(question);
+        return question;
+    }
+
+    // 各来源定位方式的题目数，none 为没有找到依据的题目
+    countGrounding(questions) {
+        const counts = { quote: 0, match: 0, mismatch: 0, none: 0 };
+        questions.forEach(question => {
+            counts[question.sourceRef ? question.sourceRef.method : 'none']++;
+        });
+        return counts;
+    }
+
+    // 题目格式校验，见 questionSchema.js
+    checkSchema(question) {
+        const errors = questionSchema.validate(question);
+        return errors.length > 0 ? questionSchema.formatErrors(errors).replace(/\n/g, '; ') : null;
+    }
+
+    // 生成结果的额外检查：模板生成的题目可能题干过短或残留模板变量
+    checkStructure(question) {
+        if (question.question.length < 5) return '题干过短';
+        if (/\{[a-zA-Z]\w*\}/.test(question.question)) return '题干含未填充的模板变量';
+        return null;
+    }
+
+    // 与本次已生成的题目或题库中已有的题目近似重复（相似度达到 uniquenessThreshold）时拒绝
+    checkDuplicate(question, context) {
+        const sig = similarityIndex.signature(question);
+        const generated = context.similar.mostSimilar(question.type, sig);
+        if (generated) {
+            return `与已生成的题目重复（相似度 ${generated.similarity.toFixed(2)}）`;
+        }
+        const stored = context.existing ? context.existing.mostSimilar(question.type, sig) : null;
+        if (stored) {
+            context.skippedDuplicates++;
+            return `与题库中的题目 #${stored.id} 重复（相似度 ${stored.similarity.toFixed(2)}）`;
+        }
+        return null;
+    }
+
+    // 数学公式处理：只渲染题干、选项和解析；答案（correctAnswer/answer/blanks/acceptableAnswers/sampleAnswer）
+    // 用于批改和保存，保持原文
+    processMath(question, context) {
+        const mathOptions = {
+            renderMode: context.options.mathRenderMode || 'html', // 使用HTML模式避免$符号显示
+            autoWrap: false,
+            preserveOriginal: true
+        };
+        const render = text => (text ? this.mathHandler.processMathFormulas(text, mathOptions) : text);
+        try {
+            return {
+                ...question,
+                question: render(question.question),
+                options: question.options.map(render),
+                explanation: render(question.explanation)
+            };
+        } catch (error) {
+            console.error('❌ 处理题目数学公式失败:', error);
+            return question;
+        }
+    }
+}
+
+module.exports = new QuestionPipeline();
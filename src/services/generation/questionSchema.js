@@ -0,0 +1,361 @@
+// 题目格式定义（带版本）和校验
+// 生成策略的输出、题库读写和题目导入都使用这一格式，由 questionFormat.toCanonical 转换后经 validate 校验。
+// 格式有不兼容的变化时提升 SCHEMA_VERSION；题库记录保存写入时的版本（questions.schema_version）
+//
+// 1.0 - 题型：单选、多选、判断、填空（可多空）、问答、排序
+//   correctAnswer：单选为选项索引，多选为选项索引数组（升序），排序为按正确顺序排列的选项索引数组，
+//   判断为布尔值，填空为各空答案以空格连接，问答为参考答案；填空题的各空答案见 blanks
+//   sourceRef（可选）：题目依据的材料原文，start/end 为在材料文本中的字符位置，见 sourceGrounding.js
+const quizSessionService = require('../quizSessionService');
+
+const SCHEMA_VERSION = '1.0';
+
+const QUESTION_TYPES = ['multiple-choice', 'multi-select', 'true-false', 'fill-blank', 'essay', 'ordering'];
+const CHOICE_TYPES = ['multiple-choice', 'multi-select', 'ordering'];
+// 来源的定位方式：quote 生成器的原文摘录在材料中找到；match 按题干和答案匹配的原文句子；
+// mismatch 生成器的摘录在材料中找不到（答案可能是编造的），改为匹配的原文句子
+const SOURCE_METHODS = ['quote', 'match', 'mismatch'];
+
+// 题干中的填空位置：连续两个以上下划线或中间有空格的括号（不把 print() 之类当作空）
+const BLANK_MARKER = /_{2,}|（\s+）|\(\s+\)/g;
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+const optionIndex = { type: 'integer', minimum: 0 };
+
+// JSON Schema (draft-07)，供外部工具校验；validate 实现同样的规则并给出逐字段的错误说明
+const QUESTION_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `study-helper/question/${SCHEMA_VERSION}`,
+    title: '题目',
+    type: 'object',
+    required: [
+        'schemaVersion', 'type', 'question', 'options', 'correctAnswer', 'acceptableAnswers', 'keyPoints',
+        'explanation', 'difficulty', 'knowledgePoints', 'qualityScore', 'source', 'model', 'provider', 'enhanced'
+    ],
+    properties: {
+        schemaVersion: { const: SCHEMA_VERSION },
+        id: { type: ['integer', 'string'] },
+        materialId: { type: 'integer' },
+        type: { enum: QUESTION_TYPES },
+        question: { type: 'string', minLength: 1 },
+        options: { type: 'array', items: { type: 'string', minLength: 1 }, uniqueItems: true },
+        correctAnswer: {},
+        blanks: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['answer', 'acceptableAnswers'],
+                properties: { answer: { type: 'string', minLength: 1 }, acceptableAnswers: stringArray }
+            }
+        },
+        acceptableAnswers: stringArray,
+        keyPoints: stringArray,
+        explanation: { type: 'string' },
+        difficulty: { type: 'integer', minimum: 1, maximum: 3 },
+        knowledgePoints: stringArray,
+        qualityScore: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+        qualityReason: { type: 'string', description: '质量校验的结论，如盲解校验结果' },
+        source: { type: ['string', 'null'] },
+        model: { type: ['string', 'null'] },
+        provider: { type: ['string', 'null'] },
+        enhanced: { type: 'boolean' },
+        answer: { type: 'string', description: '填空题 correctAnswer 的别名，兼容旧版前端' },
+        sampleAnswer: { type: 'string', description: '问答题 correctAnswer 的别名，兼容旧版前端' },
+        scoringCriteria: {},
+        relatedConcepts: { type: 'array' },
+        sourceQuote: { type: 'string', description: '生成器给出的原文摘录，由流水线核对后转换为 sourceRef' },
+        sourceRef: {
+            type: 'object',
+            required: ['chunkIndex', 'start', 'end', 'quote', 'method'],
+            properties: {
+                chunkIndex: { type: 'integer', minimum: 0 },
+                start: { type: 'integer', minimum: 0 },
+                end: { type: 'integer', minimum: 0 },
+                quote: { type: 'string', minLength: 1 },
+                method: { enum: SOURCE_METHODS },
+                location: {
+                    type: 'object',
+                    description: '依据所在的结构单元，如 { type: "slide", index: 12, title }',
+                    required: ['type', 'index'],
+                    properties: {
+                        type: { type: 'string' },
+                        index: { type: 'integer', minimum: 0 },
+                        title: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    allOf: [
+        {
+            if: { properties: { type: { const: 'multiple-choice' } } },
+            then: { properties: { options: { minItems: 2 }, correctAnswer: optionIndex } }
+        },
+        {
+            if: { properties: { type: { const: 'multi-select' } } },
+            then: {
+                properties: {
+                    options: { minItems: 2 },
+                    correctAnswer: { type: 'array', items: optionIndex, minItems: 1, uniqueItems: true }
+                }
+            }
+        },
+        {
+            if: { properties: { type: { const: 'ordering' } } },
+            then: {
+                properties: {
+                    options: { minItems: 2 },
+                    correctAnswer: { type: 'array', items: optionIndex, uniqueItems: true }
+                }
+            }
+        },
+        {
+            if: { properties: { type: { const: 'true-false' } } },
+            then: { properties: { options: { maxItems: 0 }, correctAnswer: { type: 'boolean' } } }
+        },
+        {
+            if: { properties: { type: { const: 'fill-blank' } } },
+            then: {
+                required: ['blanks'],
+                properties: { options: { maxItems: 0 }, correctAnswer: { type: 'string', minLength: 1 } }
+            }
+        },
+        {
+            if: { properties: { type: { const: 'essay' } } },
+            then: { properties: { options: { maxItems: 0 }, correctAnswer: { type: 'string' } } }
+        }
+    ]
+};
+
+/**
+ * 校验单道题目
+ * @param {Object} question - 统一格式的题目
+ * @returns {Array} 错误列表 [{ path, message }]，通过时为空数组
+ */
+function validate(question) {
+    const errors = [];
+    const fail = (path, message) => errors.push({ path, message });
+
+    if (!question || typeof question !== 'object' || Array.isArray(question)) {
+        fail('', '题目必须是对象');
+        return errors;
+    }
+
+    if (question.schemaVersion !== SCHEMA_VERSION) {
+        fail('schemaVersion', `格式版本应为 ${SCHEMA_VERSION}，实际为 ${describe(question.schemaVersion)}`);
+    }
+    if (!QUESTION_TYPES.includes(question.type)) {
+        fail('type', `不支持的题型 ${describe(question.type)}，可选: ${QUESTION_TYPES.join(', ')}`);
+        return errors;
+    }
+    if (typeof question.question !== 'string' || !question.question.trim()) {
+        fail('question', '题干不能为空');
+    }
+
+    validateOptions(question, fail);
+    validateAnswer(question, fail);
+
+    if (typeof question.explanation !== 'string') fail('explanation', '解析必须是字符串');
+    if (!Number.isInteger(question.difficulty) || question.difficulty < 1 || question.difficulty > 3) {
+        fail('difficulty', `难度应为 1-3 的整数，实际为 ${describe(question.difficulty)}`);
+    }
+    ['acceptableAnswers', 'keyPoints', 'knowledgePoints'].forEach(field => checkStringArray(question[field], field, fail));
+    if (question.qualityScore !== null &&
+        !(typeof question.qualityScore === 'number' && question.qualityScore >= 0 && question.qualityScore <= 1)) {
+        fail('qualityScore', `质量分数应为 0-1 或 null，实际为 ${describe(question.qualityScore)}`);
+    }
+    if (question.qualityReason !== undefined && typeof question.qualityReason !== 'string') {
+        fail('qualityReason', '质量校验结论应为字符串');
+    }
+    ['source', 'model', 'provider'].forEach(field => {
+        if (question[field] !== null && typeof question[field] !== 'string') {
+            fail(field, `${field} 应为字符串或 null`);
+        }
+    });
+    if (typeof question.enhanced !== 'boolean') fail('enhanced', 'enhanced 应为布尔值');
+    if (question.sourceQuote !== undefined && typeof question.sourceQuote !== 'string') {
+        fail('sourceQuote', '原文摘录应为字符串');
+    }
+    if (question.sourceRef !== undefined) validateSourceRef(question.sourceRef, fail);
+
+    return errors;
+}
+
+function validateSourceRef(ref, fail) {
+    if (!ref || typeof ref !== 'object' || Array.isArray(ref)) {
+        fail('sourceRef', '来源应为对象');
+        return;
+    }
+    ['chunkIndex', 'start', 'end'].forEach(field => {
+        if (!Number.isInteger(ref[field]) || ref[field] < 0) {
+            fail(`sourceRef.${field}`, `应为非负整数，实际为 ${describe(ref[field])}`);
+        }
+    });
+    if (Number.isInteger(ref.start) && Number.isInteger(ref.end) && ref.end <= ref.start) {
+        fail('sourceRef.end', '结束位置应大于起始位置');
+    }
+    if (typeof ref.quote !== 'string' || !ref.quote) fail('sourceRef.quote', '原文摘录不能为空');
+    if (!SOURCE_METHODS.includes(ref.method)) {
+        fail('sourceRef.method', `定位方式应为 ${SOURCE_METHODS.join('/')}，实际为 ${describe(ref.method)}`);
+    }
+    if (ref.location !== undefined) {
+        const location = ref.location;
+        if (!location || typeof location.type !== 'string' || !Number.isInteger(location.index) || location.index < 0) {
+            fail('sourceRef.location', '结构单元应为 { type, index }');
+        }
+    }
+}
+
+function validateOptions(question, fail) {
+    const { options, type } = question;
+    if (!Array.isArray(options)) {
+        fail('options', '选项必须是数组');
+        return;
+    }
+    if (!CHOICE_TYPES.includes(type)) {
+        if (options.length > 0) fail('options', `${type} 题目不应有选项`);
+        return;
+    }
+
+    if (options.length < 2) fail('options', `至少需要2个选项，实际为 ${options.length} 个`);
+    const seen = new Map();
+    options.forEach((option, index) => {
+        if (typeof option !== 'string' || !option.trim()) {
+            fail(`options[${index}]`, '选项不能为空');
+            return;
+        }
+        const key = quizSessionService.normalizeText(option);
+        if (seen.has(key)) {
+            fail(`options[${index}]`, `与 options[${seen.get(key)}] 重复`);
+        } else {
+            seen.set(key, index);
+        }
+    });
+}
+
+function validateAnswer(question, fail) {
+    const { correctAnswer: answer, type } = question;
+    const optionCount = Array.isArray(question.options) ? question.options.length : 0;
+    const isIndex = value => Number.isInteger(value) && value >= 0 && value < optionCount;
+
+    switch (type) {
+        case 'multiple-choice':
+            if (!isIndex(answer)) {
+                fail('correctAnswer', `应为 0-${optionCount - 1} 的选项索引，实际为 ${describe(answer)}`);
+            }
+            break;
+        case 'multi-select':
+        case 'ordering': {
+            if (!Array.isArray(answer) || answer.length === 0) {
+                fail('correctAnswer', `应为选项索引数组，实际为 ${describe(answer)}`);
+                break;
+            }
+            answer.forEach((value, index) => {
+                if (value === -1) {
+                    fail(`correctAnswer[${index}]`, '答案无法对应到任何选项');
+                } else if (!isIndex(value)) {
+                    fail(`correctAnswer[${index}]`, `${describe(value)} 不是有效的选项索引`);
+                }
+            });
+            if (new Set(answer).size !== answer.length) fail('correctAnswer', '选项索引重复');
+            if (type === 'ordering' && answer.length !== optionCount) {
+                fail('correctAnswer', `排序题需要排列全部 ${optionCount} 个选项，实际为 ${answer.length} 个`);
+            }
+            break;
+        }
+        case 'true-false':
+            if (typeof answer !== 'boolean') fail('correctAnswer', `应为 true 或 false，实际为 ${describe(answer)}`);
+            break;
+        case 'fill-blank':
+            validateBlanks(question, fail);
+            if (typeof answer !== 'string' || !answer.trim()) fail('correctAnswer', '填空题答案不能为空');
+            break;
+        case 'essay':
+            if (typeof answer !== 'string') {
+                fail('correctAnswer', '问答题参考答案应为字符串');
+            } else if (!answer.trim() && !(Array.isArray(question.keyPoints) && question.keyPoints.length > 0)) {
+                fail('correctAnswer', '问答题需要参考答案或评分要点');
+            }
+            break;
+    }
+}
+
+function validateBlanks(question, fail) {
+    const { blanks } = question;
+    if (!Array.isArray(blanks) || blanks.length === 0) {
+        fail('blanks', '填空题至少需要一个空');
+        return;
+    }
+    blanks.forEach((blank, index) => {
+        if (!blank || typeof blank.answer !== 'string' || !blank.answer.trim()) {
+            fail(`blanks[${index}].answer`, '答案不能为空');
+        }
+        checkStringArray(blank && blank.acceptableAnswers, `blanks[${index}].acceptableAnswers`, fail);
+    });
+
+    const markers = countBlanks(question.question);
+    if (markers > 0 && markers !== blanks.length) {
+        fail('blanks', `题干有 ${markers} 个空，答案有 ${blanks.length} 个`);
+    }
+}
+
+function checkStringArray(value, path, fail) {
+    if (!Array.isArray(value)) {
+        fail(path, '应为字符串数组');
+    } else if (value.some(item => typeof item !== 'string')) {
+        fail(path, '数组元素应为字符串');
+    }
+}
+
+function countBlanks(text) {
+    return (String(text || '').match(BLANK_MARKER) || []).length;
+}
+
+function describe(value) {
+    if (value === undefined) return '缺失';
+    return JSON.stringify(value);
+}
+
+/**
+ * 校验题目列表
+ * @param {Array} questions - 统一格式的题目
+ * @returns {Object} { valid, errors: [{ index, path, message }] }
+ */
+function validateAll(questions) {
+    const errors = [];
+    (questions || []).forEach((question, index) => {
+        validate(question).forEach(error => errors.push({ index, ...error }));
+    });
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 校验错误转换为可读文本，每个错误一行
+ */
+function formatErrors(errors) {
+    return errors
+        .map(error => `${error.index !== undefined ? `第${error.index + 1}题 ` : ''}${error.path || '题目'}: ${error.message}`)
+        .join('\n');
+}
+
+// 题目未通过校验时抛出的错误，errors 为逐字段的错误列表
+function createValidationError(errors) {
+    return Object.assign(new Error(`题目格式不正确（${errors.length} 处错误）\n${formatErrors(errors)}`), {
+        code: 'INVALID_QUESTION',
+        statusCode: 400,
+        errors: errors
+    });
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    QUESTION_TYPES,
+    SOURCE_METHODS,
+    QUESTION_SCHEMA,
+    countBlanks,
+    validate,
+    validateAll,
+    formatErrors,
+    createValidationError
+};
@@ -0,0 +1,177 @@
+// 题目相似度索引 - 用 MinHash 估计题目文本的相似度，LSH 分桶快速找出候选
+// 题目文本为规范化后的题干加标准答案，按字符三元组切片；两道题的相似度是切片集合 Jaccard 系数的估计值。
+// 签名在题目保存时计算（questions.similarity_signature），题库查重和生成时跳过近似重复题目都使用这一索引
+const quizSessionService = require('../quizSessionService');
+const qualityGate = require('./qualityGate');
+
+const SIGNATURE_SIZE = 64;
+const BANDS = 16;                          // 16 段 × 4 行，相似度 0.8 的题目几乎必定落入同一个桶
+const ROWS = SIGNATURE_SIZE / BANDS;
+const SHINGLE_SIZE = 3;
+// 签名算法版本：题目文本的取法变化后递增，保存的旧版本签名在查重时重新计算（questions.similarity_version）
+const SIGNATURE_VERSION = 2;
+
+// 数学公式渲染产生的标签（见 mathFormulaHandler）和 LaTeX 定界符，渲染前后的题目取到相同的文本
+const MATH_MARKUP = /<\/?(span|sup|sub)\b[^<>]*>|\\[()[\]]/g;
+
+// 每个哈希函数的种子，固定取值保证签名可以保存后再比较
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (value, index) => Math.imul(index + 1, 0x9e3779b1) >>> 0);
+
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// murmur3 的 32 位混合函数，由同一个切片哈希派生出各个哈希函数
+function mix(hash) {
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+/**
+ * 参与比较的题目文本：题干加标准答案，避免题干相同（如"下列说法正确的是"）而考点不同的题目被当作重复。
+ * 题库中保存的题干是公式渲染后的 HTML，生成时查重用的是渲染前的题干，两者去掉公式标记后再比较
+ */
+function questionText(question) {
+    const text = `${question.question || ''}${qualityGate.answerText(question)}`.replace(MATH_MARKUP, '');
+    return quizSessionService.normalizeText(text);
+}
+
+function shingles(text) {
+    if (text.length <= SHINGLE_SIZE) return text ? [text] : [];
+    const result = new Set();
+    for (let i = 0; i <= text.length - SHINGLE_SIZE; i++) {
+        result.add(text.substr(i, SHINGLE_SIZE));
+    }
+    return Array.from(result);
+}
+
+/**
+ * 计算题目的 MinHash 签名
+ * @param {Object} question - 统一格式的题目
+ * @returns {Array<number>|null} SIGNATURE_SIZE 个 32 位整数，题目没有文本时为 null
+ */
+function signature(question) {
+    const hashes = shingles(questionText(question)).map(fnv1a);
+    if (hashes.length === 0) return null;
+
+    return SEEDS.map(seed => {
+        let min = 0xffffffff;
+        for (const hash of hashes) {
+            const value = mix(hash ^ seed);
+            if (value < min) min = value;
+        }
+        return min;
+    });
+}
+
+// 签名和存储格式（十六进制字符串）互相转换
+function encode(sig) {
+    return sig ? sig.map(value => value.toString(16).padStart(8, '0')).join('') : null;
+}
+
+function decode(text) {
+    if (typeof text !== 'string' || text.length !== SIGNATURE_SIZE * 8) return null;
+    const sig = [];
+    for (let i = 0; i < text.length; i += 8) {
+        sig.push(parseInt(text.substr(i, 8), 16));
+    }
+    return sig;
+}
+
+// 两个签名相同位置取值相同的比例，即 Jaccard 系数的估计值
+function similarity(a, b) {
+    let same = 0;
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+        if (a[i] === b[i]) same++;
+    }
+    return same / SIGNATURE_SIZE;
+}
+
+class SimilarityIndex {
+    /**
+     * @param {number} threshold - 相似度达到此值视为近似重复
+     */
+    constructor(threshold) {
+        this.threshold = threshold;
+        this.entries = new Map();   // id -> { id, type, signature, data }
+        this.buckets = new Map();   // 段序号:段内取值 -> Set<id>
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * 加入题目
+     * @param {*} id - 题目标识
+     * @param {string} type - 题型，只和同题型的题目比较
+     * @param {Array<number>} sig - 签名，为空时不加入
+     * @param {Object} data - 随查询结果返回的附加信息
+     */
+    add(id, type, sig, data = null) {
+        if (!sig) return;
+        this.entries.set(id, { id, type, signature: sig, data });
+        this.bandKeys(sig).forEach(key => {
+            if (!this.buckets.has(key)) this.buckets.set(key, new Set());
+            this.buckets.get(key).add(id);
+        });
+    }
+
+    /**
+     * 查找近似重复的题目
+     * @returns {Array} [{ id, similarity, data }]，按相似度从高到低
+     */
+    findSimilar(type, sig, { exclude = null } = {}) {
+        if (!sig) return [];
+
+        const candidates = new Set();
+        this.bandKeys(sig).forEach(key => {
+            (this.buckets.get(key) || []).forEach(id => candidates.add(id));
+        });
+
+        const matches = [];
+        candidates.forEach(id => {
+            const entry = this.entries.get(id);
+            if (id === exclude || entry.type !== type) return;
+            const score = similarity(sig, entry.signature);
+            if (score >= this.threshold) {
+                matches.push({ id, similarity: score, data: entry.data });
+            }
+        });
+        return matches.sort((a, b) => b.similarity - a.similarity);
+    }
+
+    /**
+     * 最相似的一道题，没有达到阈值的题目时为 null
+     */
+    mostSimilar(type, sig) {
+        return this.findSimilar(type, sig)[0] || null;
+    }
+
+    bandKeys(sig) {
+        const keys = [];
+        for (let band = 0; band < BANDS; band++) {
+            keys.push(`${band}:${sig.slice(band * ROWS, (band + 1) * ROWS).join(',')}`);
+        }
+        return keys;
+    }
+}
+
+module.exports = {
+    SIGNATURE_SIZE,
+    SIGNATURE_VERSION,
+    signature,
+    similarity,
+    encode,
+    decode,
+    SimilarityIndex
+};
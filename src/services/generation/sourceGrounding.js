@@ -0,0 +1,197 @@
+// 来源定位 - 流水线的后处理步骤，把题目和材料中支持答案的原文关联起来
+// 生成器给出原文摘录（sourceQuote）时在材料中逐字核对（忽略空白差异）；没有摘录或摘录不在材料中时，
+// 按题干和答案与材料句子的双字片段重合度找最相近的句子。位置是在材料原文（materials.content_text）中的字符偏移，
+// 分块序号按 config/questionGeneration.js 的 documentProcessing.chunking 对原文分块得到；
+// 材料有结构单元（如幻灯片，见 extractors/index.js）时按单元分块，并记录依据所在的单元
+const DocumentProcessor = require('../documentProcessor');
+const quizSessionService = require('../quizSessionService');
+const qualityGate = require('./qualityGate');
+const { quality, documentProcessing } = require('../../../config/questionGeneration');
+
+// 摘录两端的引号
+const QUOTE_MARKS = /^["'“”‘’「」『』《》\s]+|["'“”‘’「」『』《》\s]+$/g;
+// 句子以句末标点或空行结束；提取的文本常有硬换行，单个换行不断句
+const SENTENCE = /(?:[^。！？!?；;\n]|\n(?!\s*\n))+[。！？!?；;]*/g;
+const PASSAGE_MARGIN = 300;
+
+const documentProcessor = new DocumentProcessor();
+
+/**
+ * 材料原文的检索索引：去掉空白的文本及其到原文位置的映射、句子和分块
+ * 同一次生成只建立一次，缓存在 context.sourceIndex
+ */
+function buildIndex(content, units) {
+    const sentences = [];
+    for (const match of content.matchAll(SENTENCE)) {
+        const text = match[0].trim();
+        const normalized = quizSessionService.normalizeText(text);
+        if (normalized.length < 4) continue;
+        const start = match.index + match[0].indexOf(text);
+        sentences.push({ start, end: start + text.length, grams: quizSessionService.bigrams(normalized) });
+    }
+
+    return { ...compactText(content), content, units, sentences, chunks: chunk(content, units) };
+}
+
+// 去掉空白的文本，positions[i] 为 compact[i] 在原文中的位置
+function compactText(content) {
+    const positions = [];
+    let compact = '';
+    for (let i = 0; i < content.length; i++) {
+        if (!/\s/.test(content[i])) {
+            compact += content[i];
+            positions.push(i);
+        }
+    }
+    return { compact, positions };
+}
+
+function chunk(content, units) {
+    return documentProcessor.smartChunking(content, {
+        maxChunkSize: documentProcessing.chunking.maxChunkSize,
+        overlapSize: documentProcessing.chunking.overlapSize,
+        units: units
+    });
+}
+
+/**
+ * 原文位置所在的结构单元
+ * @returns {Object|null} { type, index, title }，如 { type: 'slide', index: 12, title }
+ */
+function locate(units, start) {
+    const unit = (units || []).find(item => item.start <= start && start < item.end);
+    return unit ? { type: unit.type, index: unit.index, title: unit.title || '' } : null;
+}
+
+/**
+ * 在原文中查找摘录，忽略空白差异
+ * @returns {Object|null} { start, end } 原文中的位置
+ */
+function locateQuote({ compact, positions }, quote) {
+    const target = String(quote || '').replace(QUOTE_MARKS, '').replace(/\s+/g, '');
+    if (target.length < 4) return null;
+
+    const at = compact.indexOf(target);
+    if (at === -1) return null;
+    return { start: positions[at], end: positions[at + target.length - 1] + 1 };
+}
+
+/**
+ * 找与题目最相近的句子：答案的双字片段覆盖率占 2/3 权重，题干占 1/3
+ * @returns {Object|null} { start, end, score }，得分低于 minMatchScore 时为 null
+ */
+function matchSentence(index, question) {
+    const answer = quizSessionService.bigrams(quizSessionService.normalizeText(qualityGate.answerText(question)));
+    const stem = quizSessionService.bigrams(quizSessionService.normalizeText(question.question));
+    if (answer.size === 0 && stem.size === 0) return null;
+
+    const coverage = (grams, sentence) => {
+        let hits = 0;
+        grams.forEach(gram => {
+            if (sentence.has(gram)) hits++;
+        });
+        return grams.size > 0 ? hits / grams.size : 0;
+    };
+
+    let best = null;
+    for (const sentence of index.sentences) {
+        const score = answer.size > 0
+            ? (coverage(answer, sentence.grams) * 2 + coverage(stem, sentence.grams)) / 3
+            : coverage(stem, sentence.grams);
+        if (!best || score > best.score) {
+            best = { start: sentence.start, end: sentence.end, score };
+        }
+    }
+    return best && best.score >= quality.grounding.minMatchScore ? best : null;
+}
+
+/**
+ * 原文位置所在的分块：优先完整包含该位置的分块，否则取起点所在的分块
+ */
+function chunkOf(chunks, start, end) {
+    const containing = chunks.find(item => item.startPos <= start && end <= item.endPos);
+    if (containing) return containing;
+    const before = chunks.filter(item => item.startPos <= start);
+    return before.length > 0 ? before[before.length - 1] : chunks[0];
+}
+
+/**
+ * 流水线后处理步骤：为题目加上 sourceRef { chunkIndex, start, end, quote, method, location }，去掉生成器的 sourceQuote
+ * 找不到依据的题目不带 sourceRef；location 为依据所在的结构单元，材料没有结构单元时不带
+ */
+function ground(question, context) {
+    const { sourceQuote, ...rest } = question;
+    if (!quality.grounding.enabled || !context.content) return rest;
+
+    if (!context.sourceIndex) {
+        context.sourceIndex = buildIndex(context.content, context.units);
+    }
+    const index = context.sourceIndex;
+
+    let span = sourceQuote ? locateQuote(index, sourceQuote) : null;
+    let method = 'quote';
+    if (!span) {
+        method = sourceQuote ? 'mismatch' : 'match';
+        span = matchSentence(index, question);
+        if (sourceQuote) {
+            console.warn(`⚠️ 题目「${question.question.substring(0, 30)}」的原文摘录在材料中找不到: ${sourceQuote.substring(0, 50)}`);
+        }
+    }
+    if (!span) return rest;
+
+    const sourceRef = {
+        chunkIndex: chunkOf(index.chunks, span.start, span.end).index,
+        start: span.start,
+        end: span.end,
+        quote: index.content.substring(span.start, span.end),
+        method: method
+    };
+    const location = locate(index.units, span.start);
+    if (location) sourceRef.location = location;
+    return { ...rest, sourceRef };
+}
+
+/**
+ * 取出题目依据的原文段落（所在分块），用于展示和核对
+ * 材料文本改动过（如重新提取）导致原位置的文字和摘录不一致时，按摘录重新查找
+ * @param {string} content - 材料原文
+ * @param {Object} sourceRef - 题目的 sourceRef
+ * @param {Array} units - 材料的结构单元
+ * @returns {Object} { found, relocated, chunkIndex, location, passage, passageStart, highlight: { start, end } }，
+ *   highlight 相对于 passage，location 为所在的结构单元
+ */
+function extractPassage(content, sourceRef, units = []) {
+    const text = content || '';
+    let span = { start: sourceRef.start, end: sourceRef.end };
+    const relocated = text.substring(span.start, span.end) !== sourceRef.quote;
+    if (relocated) {
+        span = locateQuote(compactText(text), sourceRef.quote);
+        if (!span) {
+            return {
+                found: false, relocated, chunkIndex: sourceRef.chunkIndex, location: null,
+                passage: null, passageStart: null, highlight: null
+            };
+        }
+    }
+
+    const located = chunkOf(chunk(text, units), span.start, span.end);
+    // 分块不包含该位置时取前后各 PASSAGE_MARGIN 个字符
+    const contains = located.startPos <= span.start && span.end <= located.endPos;
+    const passageStart = contains ? located.startPos : Math.max(0, span.start - PASSAGE_MARGIN);
+    const passageEnd = contains ? located.endPos : Math.min(text.length, span.end + PASSAGE_MARGIN);
+
+    return {
+        found: true,
+        relocated: relocated,
+        chunkIndex: located.index,
+        location: locate(units, span.start),
+        passage: text.substring(passageStart, passageEnd),
+        passageStart: passageStart,
+        highlight: { start: span.start - passageStart, end: span.end - passageStart }
+    };
+}
+
+module.exports = {
+    ground,
+    extractPassage
+};
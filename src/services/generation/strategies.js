@@ -0,0 +1,184 @@
+// 生成策略 - 将各题目生成器适配为流水线的统一接口
+// prepare(context) 在本次生成中首次使用该策略时执行一次，返回值作为 state 传给 generate；
+// generate(type, count, context, state) 为异步生成器，逐题产出该题型的题目，格式转换和校验由流水线完成。
+// 同一生成器实例会被并发的任务共用，单次生成的状态只能放在 state/context 中
+const ollamaService = require('../ollamaService');
+const modelRouter = require('../modelRouter');
+const DeepSeekQuestionGenerator = require('../deepseekQuestionGenerator');
+const IntelligentQuestionGenerator = require('../intelligentQuestionGenerator');
+const EnhancedQuestionGenerator = require('../enhancedQuestionGenerator');
+const OptimizedQuestionGenerator = require('../optimizedQuestionGenerator');
+const BasicQuestionGenerator = require('../basicQuestionGenerator');
+
+// 增强生成器的问答题模板使用 short-answer 题型
+const ENHANCED_TYPES = { 'essay': 'short-answer' };
+
+function createDeepSeekStrategy(generator) {
+    return {
+        name: 'deepseek',
+        description: '大模型逐题生成，选择题选项不足时由轻量模型补充干扰项',
+        usesLLM: true,
+        needsDocument: true,
+        fallback: ['intelligent', 'basic'],
+        generator: generator,
+
+        async prepare(context) {
+            const serviceStatus = await ollamaService.checkService(context.provider);
+            if (!serviceStatus.available) {
+                throw new Error('DeepSeek服务不可用');
+            }
+            return {
+                summary: generator.extractDocumentSummary(context.processedDoc),
+                // Ollama 由模型路由按任务选择模型，其他后端使用 DeepSeek 首选模型
+                llm: {
+                    provider: context.provider,
+                    model: modelRouter.handles(serviceStatus.provider) ? null : generator.selectModel(serviceStatus.models)
+                },
+                // 各题型已使用的提示词序号，降级回来再生成时不重复
+                nextIndex: {}
+            };
+        },
+
+        async *generate(type, count, context, state) {
+            const start = state.nextIndex[type] || 0;
+            state.nextIndex[type] = start + count;
+
+            for (let index = start; index < start + count; index++) {
+                try {
+                    yield await generator.generateSingleQuestion(
+                        type, state.summary, context.difficulty, index, context.processedDoc, state.llm
+                    );
+                } catch (error) {
+                    console.warn(`生成第${index + 1}道${type}题目失败:`, error.message);
+                }
+            }
+        }
+    };
+}
+
+function createIntelligentStrategy(generator) {
+    return {
+        name: 'intelligent',
+        description: '基于文档分析和知识层次的模板生成',
+        usesLLM: false,
+        needsDocument: true,
+        fallback: ['basic'],
+        generator: generator,
+
+        prepare(context) {
+            return { analysis: generator.analyzeDocumentContent(context.processedDoc) };
+        },
+
+        async *generate(type, count, context, state) {
+            const questions = await generator.generateQuestionsByType(
+                type, count, state.analysis, context.difficulty, context.options.focusAreas || []
+            );
+            for (const question of questions) {
+                yield { ...question, qualityScore: generator.calculateQuestionQuality(question, state.analysis) };
+            }
+        }
+    };
+}
+
+function createEnhancedStrategy(generator) {
+    return {
+        name: 'enhanced',
+        description: 'NLP分析和网络搜索增强概念后生成，只保留达到质量阈值的题目',
+        usesLLM: false,
+        needsDocument: true,
+        fallback: ['intelligent', 'basic'],
+        generator: generator,
+
+        async prepare(context) {
+            const { options, processedDoc } = context;
+
+            let analysis = { ...processedDoc, concepts: collectConcepts(processedDoc) };
+            if (options.enhanceWithNLP !== false) {
+                analysis = await generator.enhanceAnalysisWithNLP(analysis);
+            }
+
+            let concepts = analysis.concepts || [];
+            const useWebSearch = options.useWebSearch !== undefined ? options.useWebSearch : generator.useWebSearch;
+            if (useWebSearch && concepts.length > 0) {
+                concepts = await generator.enrichConceptsWithWebSearch(concepts);
+            }
+            return { analysis, concepts };
+        },
+
+        async *generate(type, count, context, state) {
+            const questions = await generator.generateQuestionsByType(
+                ENHANCED_TYPES[type] || type,
+                count,
+                state.analysis,
+                state.concepts,
+                context.difficulty,
+                context.options.includeExplanations !== false
+            );
+            yield* generator.filterQuestionsByQuality(questions);
+        }
+    };
+}
+
+function createOptimizedStrategy(generator) {
+    return {
+        name: 'optimized',
+        description: '快速模板生成，不做完整文档分析',
+        usesLLM: false,
+        needsDocument: false,
+        fallback: ['basic'],
+        generator: generator,
+
+        prepare(context) {
+            return { concepts: generator.extractConceptsQuick(context.content) };
+        },
+
+        async *generate(type, count, context, state) {
+            yield* await generator.generateTypeQuestionsFast(type, count, state.concepts, context.difficultyLevel);
+        }
+    };
+}
+
+function createBasicStrategy(generator) {
+    return {
+        name: 'basic',
+        description: '从定义句和高频词生成基础题目，不依赖大模型，用作最后的降级策略',
+        usesLLM: false,
+        needsDocument: false,
+        fallback: [],
+        generator: generator,
+
+        prepare(context) {
+            return { keyInfo: generator.extractKeyInformation(context.content) };
+        },
+
+        async *generate(type, count, context, state) {
+            yield* generator.generateBasicQuestionsByType(type, count, state.keyInfo, context.difficultyLevel);
+        }
+    };
+}
+
+// 增强生成器按 text/name 使用概念；文档分析的概念和高频关键词使用 term
+function collectConcepts(processedDoc) {
+    const concepts = new Map();
+    (processedDoc.concepts || []).forEach(concept => {
+        concepts.set(concept.term, { ...concept, text: concept.term, name: concept.term, importance: concept.confidence || 0 });
+    });
+    (processedDoc.globalMetadata?.topKeyTerms || []).forEach(({ term, frequency }) => {
+        if (!concepts.has(term)) {
+            concepts.set(term, { text: term, name: term, frequency: frequency });
+        }
+    });
+    return Array.from(concepts.values()).filter(concept => concept.name);
+}
+
+function createDefaultStrategies() {
+    return [
+        createDeepSeekStrategy(new DeepSeekQuestionGenerator()),
+        createIntelligentStrategy(new IntelligentQuestionGenerator()),
+        createEnhancedStrategy(new EnhancedQuestionGenerator()),
+        createOptimizedStrategy(new OptimizedQuestionGenerator()),
+        createBasicStrategy(new BasicQuestionGenerator())
+    ];
+}
+
+module.exports = { createDefaultStrategies };
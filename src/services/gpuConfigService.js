@@ -0,0 +1,352 @@
+// GPU与推理参数配置 - 读取 config/gpu-config.json 的 ollama 部分
+// 校验文件内容，合并环境变量覆盖和按任务的参数预设，生成每次调用发送给 Ollama 的 options
+// 文件修改后自动重新加载；新内容校验失败时继续使用上一次的有效配置
+const path = require('path');
+const fs = require('fs');
+const EventEmitter = require('events');
+
+const CONFIG_PATH = process.env.GPU_CONFIG_PATH || path.join(__dirname, '../../config/gpu-config.json');
+const WATCH_INTERVAL = 2000; // 检查文件修改的间隔
+
+// 可以配置的 Ollama options 及取值范围
+const OPTION_RULES = {
+    num_ctx: { integer: true, min: 256 },
+    num_batch: { integer: true, min: 1 },
+    num_gpu: { integer: true, min: -1 },     // 加载到GPU的层数，-1 由 Ollama 自动决定
+    num_thread: { integer: true, min: 1 },
+    num_predict: { integer: true, min: -2 }, // -1 不限制，-2 填满上下文
+    temperature: { min: 0, max: 2 },
+    top_k: { integer: true, min: 1 },
+    top_p: { min: 0, max: 1 },
+    repeat_penalty: { min: 0, max: 2 }
+};
+
+// 环境变量覆盖 performance 中的同名参数，优先级高于任务预设
+const ENV_OVERRIDES = {
+    OLLAMA_NUM_CTX: 'num_ctx',
+    OLLAMA_NUM_BATCH: 'num_batch',
+    OLLAMA_NUM_GPU: 'num_gpu',
+    OLLAMA_NUM_THREAD: 'num_thread',
+    OLLAMA_TEMPERATURE: 'temperature',
+    OLLAMA_TOP_K: 'top_k',
+    OLLAMA_TOP_P: 'top_p',
+    OLLAMA_REPEAT_PENALTY: 'repeat_penalty'
+};
+
+const MODEL_TIERS = ['primary', 'light', 'fallback'];
+
+// 配置文件首次加载失败时使用的默认值
+const DEFAULT_CONFIG = {
+    performance: {
+        num_ctx: 4096,
+        temperature: 0.7,
+        top_k: 40,
+        top_p: 0.9,
+        repeat_penalty: 1.1
+    },
+    presets: {},
+    timeout: {
+        generation: 90000,
+        connection: 30000,
+        response: 120000
+    },
+    models: {
+        primary: 'deepseek-r1:7b',
+        supported: [],
+        routing: {},
+        failure_cooldown: 60000
+    }
+};
+
+class GpuConfigService extends EventEmitter {
+    constructor() {
+        super();
+        this.path = CONFIG_PATH;
+        this.config = null;
+        this.loadedAt = null;
+        this.lastError = null;
+        this.warnings = [];
+        this.watcher = null;
+
+        this.load();
+        if (process.env.GPU_CONFIG_WATCH !== 'false') {
+            this.watch();
+        }
+    }
+
+    /**
+     * 读取并校验配置文件
+     * @returns {boolean} 是否加载了新配置；失败时保留上一次的有效配置
+     */
+    load() {
+        let raw;
+        try {
+            raw = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        } catch (error) {
+            return this.reject(`读取 ${path.basename(this.path)} 失败: ${error.message}`);
+        }
+
+        const { errors, warnings } = this.validate(raw);
+        if (errors.length > 0) {
+            return this.reject(`${path.basename(this.path)} 校验失败: ${errors.join('；')}`);
+        }
+
+        this.config = this.normalize(raw.ollama);
+        this.loadedAt = new Date().toISOString();
+        this.lastError = null;
+        this.warnings = warnings.concat(this.config.envWarnings);
+        this.warnings.forEach(warning => console.warn(`⚠️ GPU配置: ${warning}`));
+        return true;
+    }
+
+    reject(message) {
+        this.lastError = { message: message, at: new Date().toISOString() };
+        if (this.config) {
+            console.error(`❌ ${message}，继续使用 ${this.loadedAt} 加载的配置`);
+        } else {
+            console.error(`❌ ${message}，使用默认配置`);
+            this.config = this.normalize(DEFAULT_CONFIG);
+            this.loadedAt = new Date().toISOString();
+            this.warnings = this.config.envWarnings;
+        }
+        return false;
+    }
+
+    /**
+     * 重新加载配置，成功时触发 change 事件
+     */
+    reload() {
+        const loaded = this.load();
+        if (loaded) {
+            console.log('🔄 已重新加载GPU配置');
+            this.emit('change', this.config);
+        }
+        return loaded;
+    }
+
+    // 轮询文件修改时间；编辑器保存时替换文件也能检测到
+    watch() {
+        if (this.watcher) return;
+        this.watcher = fs.watchFile(this.path, { interval: WATCH_INTERVAL }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                this.reload();
+            }
+        });
+        this.watcher.unref(); // 不阻止进程退出
+    }
+
+    unwatch() {
+        if (!this.watcher) return;
+        fs.unwatchFile(this.path);
+        this.watcher = null;
+    }
+
+    /**
+     * 校验配置文件；errors 导致整个文件被拒绝，warnings 只记录
+     * @returns {Object} { errors, warnings }
+     */
+    validate(raw) {
+        const errors = [];
+        const warnings = [];
+        const ollama = raw && raw.ollama;
+
+        if (!isObject(ollama)) {
+            errors.push('缺少 ollama 配置');
+            return { errors, warnings };
+        }
+
+        if (ollama.performance !== undefined) {
+            this.checkOptions(ollama.performance, 'performance', errors, warnings);
+        }
+
+        if (ollama.presets !== undefined) {
+            if (!isObject(ollama.presets)) {
+                errors.push('presets 必须是对象');
+            } else {
+                Object.entries(ollama.presets).forEach(([task, preset]) => {
+                    this.checkOptions(preset, `presets.${task}`, errors, warnings);
+                });
+            }
+        }
+
+        if (ollama.timeout !== undefined) {
+            if (!isObject(ollama.timeout)) {
+                errors.push('timeout 必须是对象');
+            } else {
+                Object.entries(ollama.timeout).forEach(([key, value]) => {
+                    if (!Number.isInteger(value) || value <= 0) {
+                        errors.push(`timeout.${key} 必须是正整数（毫秒）`);
+                    }
+                });
+            }
+        }
+
+        const models = ollama.models;
+        if (!isObject(models)) {
+            errors.push('缺少 models 配置');
+        } else {
+            if (typeof models.primary !== 'string' || !models.primary.trim()) {
+                errors.push('models.primary 必须是模型名称');
+            }
+            ['fallback', 'light'].forEach(tier => {
+                if (models[tier] !== undefined && models[tier] !== null && typeof models[tier] !== 'string') {
+                    errors.push(`models.${tier} 必须是模型名称`);
+                }
+            });
+            if (models.supported !== undefined
+                && (!Array.isArray(models.supported) || models.supported.some(model => typeof model !== 'string'))) {
+                errors.push('models.supported 必须是模型名称数组');
+            }
+            if (models.routing !== undefined) {
+                if (!isObject(models.routing)) {
+                    errors.push('models.routing 必须是对象');
+                } else {
+                    Object.entries(models.routing).forEach(([task, tier]) => {
+                        if (!MODEL_TIERS.includes(tier)) {
+                            errors.push(`models.routing.${task} 必须是 ${MODEL_TIERS.join('/')} 之一`);
+                        }
+                    });
+                }
+            }
+            if (models.failure_cooldown !== undefined && (!Number.isInteger(models.failure_cooldown) || models.failure_cooldown < 0)) {
+                errors.push('models.failure_cooldown 必须是非负整数（毫秒）');
+            }
+        }
+
+        return { errors, warnings };
+    }
+
+    checkOptions(options, where, errors, warnings) {
+        if (!isObject(options)) {
+            errors.push(`${where} 必须是对象`);
+            return;
+        }
+        Object.entries(options).forEach(([key, value]) => {
+            const rule = OPTION_RULES[key];
+            if (!rule) {
+                warnings.push(`${where}.${key} 不是支持的 Ollama 参数，已忽略`);
+                return;
+            }
+            const message = checkValue(value, rule);
+            if (message) {
+                errors.push(`${where}.${key} ${message}`);
+            }
+        });
+    }
+
+    // 去掉不支持的参数，合并环境变量覆盖
+    normalize(ollama) {
+        const models = ollama.models || {};
+        const timeout = { ...DEFAULT_CONFIG.timeout, ...(ollama.timeout || {}) };
+        const envWarnings = [];
+        const envOverrides = {};
+
+        Object.entries(ENV_OVERRIDES).forEach(([name, key]) => {
+            if (process.env[name] === undefined || process.env[name] === '') return;
+            const value = Number(process.env[name]);
+            const message = checkValue(value, OPTION_RULES[key]);
+            if (message) {
+                envWarnings.push(`环境变量 ${name}=${process.env[name]} 无效（${message}），已忽略`);
+            } else {
+                envOverrides[key] = value;
+            }
+        });
+
+        const envTimeout = parseInt(process.env.OLLAMA_TIMEOUT);
+        if (envTimeout > 0) {
+            timeout.generation = envTimeout;
+        }
+
+        const presets = {};
+        Object.entries(ollama.presets || {}).forEach(([task, preset]) => {
+            presets[task] = pickOptions(preset);
+        });
+
+        return {
+            performance: pickOptions(ollama.performance || {}),
+            presets: presets,
+            envOverrides: envOverrides,
+            envWarnings: envWarnings,
+            timeout: timeout,
+            models: {
+                primary: process.env.OLLAMA_MODEL || models.primary,
+                fallback: models.fallback || null,
+                light: models.light || null,
+                supported: models.supported || [],
+                routing: models.routing || {},
+                failureCooldown: models.failure_cooldown !== undefined ? models.failure_cooldown : 60000
+            }
+        };
+    }
+
+    get() {
+        return this.config;
+    }
+
+    /**
+     * 一次调用发送给 Ollama 的 options
+     * 优先级：performance < 任务预设 < 环境变量 < 调用方指定的参数；max_tokens 换算为 Ollama 的 num_predict
+     * @param {string} task - 任务名称，对应 presets 中的预设
+     * @param {Object} overrides - 调用方指定的参数
+     */
+    optionsFor(task, overrides = {}) {
+        const preset = (task && this.config.presets[task]) || {};
+        const options = { ...this.config.performance, ...preset, ...this.config.envOverrides };
+
+        Object.entries(overrides).forEach(([key, value]) => {
+            if (key !== 'max_tokens' && value !== undefined) {
+                options[key] = value;
+            }
+        });
+        if (overrides.max_tokens !== undefined && overrides.num_predict === undefined) {
+            options.num_predict = overrides.max_tokens;
+        }
+        return options;
+    }
+
+    /**
+     * 当前生效的配置，用于状态接口
+     */
+    describe() {
+        const tasks = {};
+        Object.keys(this.config.presets).forEach(task => {
+            tasks[task] = this.optionsFor(task);
+        });
+
+        return {
+            path: this.path,
+            loadedAt: this.loadedAt,
+            watching: Boolean(this.watcher),
+            lastError: this.lastError,
+            warnings: this.warnings,
+            options: this.optionsFor(null),
+            presets: tasks,
+            envOverrides: this.config.envOverrides,
+            timeout: this.config.timeout,
+            models: this.config.models
+        };
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 返回错误说明，合法时返回 null
+function checkValue(value, rule) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return '必须是数字';
+    if (rule.integer && !Number.isInteger(value)) return '必须是整数';
+    if (rule.min !== undefined && value < rule.min) return `不能小于 ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `不能大于 ${rule.max}`;
+    return null;
+}
+
+function pickOptions(options) {
+    const picked = {};
+    Object.entries(options).forEach(([key, value]) => {
+        if (OPTION_RULES[key]) picked[key] = value;
+    });
+    return picked;
+}
+
+module.exports = new GpuConfigService();
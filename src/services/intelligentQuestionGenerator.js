@@ -2,14 +2,12 @@
 const DocumentProcessor = require('./documentProcessor');
 const WebSearchService = require('./webSearchService');
 const NLPService = require('./nlpService');
-const MathFormulaHandler = require('../utils/mathFormulaHandler');
 
 class IntelligentQuestionGenerator {
     constructor() {
         this.documentProcessor = new DocumentProcessor();
         this.webSearchService = new WebSearchService();
         this.nlpService = new NLPService();
-        this.mathHandler = new MathFormulaHandler();
         this.questionTemplates = this.initializeQuestionTemplates();
         this.difficultyWeights = {
             easy: { basic: 0.7, application: 0.2, analysis: 0.1 },
@@ -105,65 +103,30 @@ class IntelligentQuestionGenerator {
     }
 
     /**
-     * 基于处理后的文档生成智能题目
+     * 基于处理后的文档生成智能题目（只使用 intelligent 策略，不降级）
      * @param {Object} processedDoc - 处理后的文档数据
      * @param {Object} options - 生成选项
-     * @returns {Array} 生成的题目列表
+     * @returns {Array} 统一格式的题目列表
      */
     async generateIntelligentQuestions(processedDoc, options = {}) {
         const {
             questionCount = 20,
             questionTypes = ['multiple-choice', 'fill-blank', 'essay'],
             difficulty = 'medium',
-            focusAreas = []
+            ...otherOptions
         } = options;
 
-        console.log(`🧠 开始智能生成 ${questionCount} 道题目`);
-
-        try {
-            // 分析文档内容，提取关键信息
-            const contentAnalysis = this.analyzeDocumentContent(processedDoc);
-            
-            // 确定题目分布
-            const questionDistribution = this.calculateQuestionDistribution(
-                questionCount, questionTypes, difficulty
-            );
-
-            // 生成题目
-            const questions = [];
-            
-            for (const [type, typeCount] of Object.entries(questionDistribution)) {
-                if (typeCount > 0) {
-                    const typeQuestions = await this.generateQuestionsByType(
-                        type, typeCount, contentAnalysis, difficulty, focusAreas
-                    );
-                    questions.push(...typeQuestions);
-                }
-            }
-
-            // 质量检查和优化
-            const optimizedQuestions = this.optimizeQuestions(questions, contentAnalysis);
-            
-            // 确保题目覆盖重要知识点
-            const finalQuestions = this.ensureKnowledgeCoverage(
-                optimizedQuestions, contentAnalysis, questionCount
-            );
-
-            // 处理数学公式
-            console.log('🔧 处理题目中的数学公式...');
-            const processedQuestions = this.mathHandler.processQuestionsMath(finalQuestions, {
-                renderMode: options.mathRenderMode || 'html', // 使用HTML模式避免$符号显示
-                autoWrap: false,
-                preserveOriginal: true
-            });
-
-            console.log(`✅ 智能生成完成，共 ${processedQuestions.length} 道高质量题目（已处理数学公式）`);
-            return processedQuestions;
-
-        } catch (error) {
-            console.error('智能题目生成失败:', error);
-            throw new Error(`智能题目生成失败: ${error.message}`);
-        }
+        const questionPipeline = require('./generation/questionPipeline');
+        const { questions } = await questionPipeline.generate('', {
+            ...otherOptions,
+            strategy: 'intelligent',
+            fallback: false,
+            processedDoc,
+            questionType: questionTypes,
+            count: questionCount,
+            difficulty
+        });
+        return questions;
     }
 
     /**
@@ -413,42 +376,6 @@ class IntelligentQuestionGenerator {
             .slice(0, 20);
     }
 
-    /**
-     * 计算题目分布
-     * @param {number} totalCount - 总题目数
-     * @param {Array} questionTypes - 题目类型
-     * @param {string} difficulty - 难度等级
-     * @returns {Object} 题目分布
-     */
-    calculateQuestionDistribution(totalCount, questionTypes, difficulty) {
-        const distribution = {};
-        const typeCount = questionTypes.length;
-        
-        if (typeCount === 1) {
-            distribution[questionTypes[0]] = totalCount;
-        } else {
-            // 根据难度调整分布
-            const weights = {
-                'multiple-choice': difficulty === 'easy' ? 0.5 : difficulty === 'medium' ? 0.4 : 0.3,
-                'fill-blank': difficulty === 'easy' ? 0.3 : difficulty === 'medium' ? 0.3 : 0.3,
-                'essay': difficulty === 'easy' ? 0.2 : difficulty === 'medium' ? 0.3 : 0.4
-            };
-
-            let remaining = totalCount;
-            questionTypes.forEach((type, index) => {
-                if (index === questionTypes.length - 1) {
-                    distribution[type] = remaining;
-                } else {
-                    const count = Math.round(totalCount * (weights[type] || 1/typeCount));
-                    distribution[type] = count;
-                    remaining -= count;
-                }
-            });
-        }
-
-        return distribution;
-    }
-
     /**
      * 按类型生成题目
      * @param {string} type - 题目类型
@@ -899,43 +826,6 @@ class IntelligentQuestionGenerator {
         return mapping[level] || 2;
     }
 
-    /**
-     * 优化题目质量
-     * @param {Array} questions - 题目列表
-     * @param {Object} contentAnalysis - 内容分析
-     * @returns {Array} 优化后的题目
-     */
-    optimizeQuestions(questions, contentAnalysis) {
-        // 去重
-        const uniqueQuestions = this.removeDuplicateQuestions(questions);
-        
-        // 质量评分
-        const scoredQuestions = uniqueQuestions.map(q => ({
-            ...q,
-            qualityScore: this.calculateQuestionQuality(q, contentAnalysis)
-        }));
-        
-        // 按质量排序
-        return scoredQuestions.sort((a, b) => b.qualityScore - a.qualityScore);
-    }
-
-    /**
-     * 移除重复题目
-     * @param {Array} questions - 题目列表
-     * @returns {Array} 去重后的题目
-     */
-    removeDuplicateQuestions(questions) {
-        const seen = new Set();
-        return questions.filter(q => {
-            const key = q.question.toLowerCase().replace(/\s+/g, '');
-            if (seen.has(key)) {
-                return false;
-            }
-            seen.add(key);
-            return true;
-        });
-    }
-
     /**
      * 计算题目质量分数
      * @param {Object} question - 题目
@@ -972,41 +862,6 @@ class IntelligentQuestionGenerator {
         
         return score;
     }
-
-    /**
-     * 确保知识点覆盖
-     * @param {Array} questions - 题目列表
-     * @param {Object} contentAnalysis - 内容分析
-     * @param {number} targetCount - 目标题目数
-     * @returns {Array} 最终题目列表
-     */
-    ensureKnowledgeCoverage(questions, contentAnalysis, targetCount) {
-        const { coreConcepts } = contentAnalysis;
-        const coveredConcepts = new Set();
-        const finalQuestions = [];
-        
-        // 首先选择覆盖不同知识点的题目
-        questions.forEach(question => {
-            if (finalQuestions.length < targetCount) {
-                const questionConcepts = question.knowledgePoints || [];
-                const hasNewConcept = questionConcepts.some(concept => !coveredConcepts.has(concept));
-                
-                if (hasNewConcept || finalQuestions.length < targetCount * 0.7) {
-                    finalQuestions.push(question);
-                    questionConcepts.forEach(concept => coveredConcepts.add(concept));
-                }
-            }
-        });
-        
-        // 如果还需要更多题目，按质量分数选择
-        if (finalQuestions.length < targetCount) {
-            const remainingQuestions = questions.filter(q => !finalQuestions.includes(q));
-            const needed = targetCount - finalQuestions.length;
-            finalQuestions.push(...remainingQuestions.slice(0, needed));
-        }
-        
-        return finalQuestions.slice(0, targetCount);
-    }
 }
 
 module.exports = IntelligentQuestionGenerator;
\ No newline at end of file
@@ -0,0 +1,449 @@
+// 后台任务队列 - 任务持久化在processing_tasks表，服务重启后继续执行
+// 支持并发上限、失败重试（指数退避）和取消
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const Database = require('../database/database');
+
+class JobQueue {
+    constructor() {
+        // 同时执行的任务数
+        this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+        // 空闲时轮询数据库的间隔（毫秒）
+        this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL) || 2000;
+        // 重试退避基数和上限（毫秒）
+        this.backoffBaseMs = parseInt(process.env.JOB_BACKOFF_MS) || 5000;
+        this.backoffMaxMs = 10 * 60 * 1000;
+
+        this.handlers = new Map();
+        this.running = new Map();
+        // 任务事件只在当前进程内广播，订阅方连接时先从数据库读取任务快照
+        this.events = new EventEmitter();
+        this.events.setMaxListeners(0);
+        this.timer = null;
+        this.started = false;
+        this.recovered = false;
+        this.ticking = false;
+    }
+
+    /**
+     * 注册任务处理器
+     * @param {string} type - 任务类型
+     * @param {Object} handler - { run(job, context), onFailed(job, error), onCancelled(job) }
+     *   run 返回的结果保存为任务结果；context.progress() 更新进度并检查取消请求，
+     *   context.checkpoint() 保存阶段性结果，重试或重启后从 job.checkpoint 继续，
+     *   context.emit() 向订阅方推送自定义事件（如逐题推送生成结果）
+     */
+    register(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * 加入任务
+     * @param {string} type - 任务类型
+     * @param {Object} params - 任务参数
+     * @param {number} params.materialId - 关联材料
+     * @param {number} params.userId - 发起用户
+     * @param {Object} params.payload - 处理器参数
+     * @param {number} params.maxAttempts - 最多执行次数
+     * @returns {Object} 任务信息
+     */
+    async enqueue(type, { materialId, userId = null, payload = {}, maxAttempts = 3 }) {
+        if (!this.handlers.has(type)) {
+            throw new Error(`未注册的任务类型: ${type}`);
+        }
+
+        const taskId = `task_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+        const now = new Date().toISOString();
+        await Database.insert(
+            `INSERT INTO processing_tasks (task_id, material_id, user_id, job_type, payload, status, progress,
+                                           stage, attempts, max_attempts, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, 'pending', 0, 'queued', 0, ?, ?, ?)`,
+            [taskId, materialId, userId, type, JSON.stringify(payload), maxAttempts, now, now]
+        );
+
+        console.log(`📥 任务入队: ${taskId} (${type}), 材料 ${materialId}`);
+        this.schedule(0);
+        return this.getJob(taskId);
+    }
+
+    /**
+     * 启动队列，数据库连接可能尚未就绪，首次轮询时再恢复中断的任务
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+        this.schedule(0);
+    }
+
+    /**
+     * 把上次退出时仍在执行的任务放回队列；已用完执行次数的任务（可能每次执行都导致进程退出）标记为失败
+     */
+    async recover() {
+        const now = new Date().toISOString();
+        const exhausted = await Database.query(
+            `SELECT * FROM processing_tasks WHERE status = 'processing' AND attempts >= max_attempts`
+        );
+        for (const row of exhausted) {
+            const error = new Error(`任务执行期间服务中断，已执行 ${row.attempts} 次，不再重试`);
+            const result = await Database.update(
+                `UPDATE processing_tasks
+                 SET status = 'failed', stage = 'failed', error_message = ?, completed_at = ?,
+                     locked_at = NULL, updated_at = ?
+                 WHERE id = ? AND status = 'processing'`,
+                [error.message, now, now, row.id]
+            );
+            if (result.changes === 1) {
+                console.error(`❌ 任务 ${row.task_id} 失败:`, error.message);
+                const handler = this.handlers.get(row.job_type);
+                if (handler) await this.runHook(handler.onFailed, this.formatJob(row), error);
+            }
+        }
+
+        const result = await Database.update(
+            `UPDATE processing_tasks
+             SET status = 'pending', locked_at = NULL, stage = 'queued', updated_at = ?
+             WHERE status = 'processing'`,
+            [now]
+        );
+        this.recovered = true;
+        if (result.changes > 0) {
+            console.log(`🔁 恢复 ${result.changes} 个中断的任务`);
+        }
+    }
+
+    /**
+     * 订阅任务事件
+     * @param {string} taskId - 任务ID
+     * @param {Function} listener - 接收 { type, data }
+     * @returns {Function} 取消订阅
+     */
+    subscribe(taskId, listener) {
+        this.events.on(taskId, listener);
+        return () => this.events.off(taskId, listener);
+    }
+
+    publish(taskId, type, data = {}) {
+        this.events.emit(taskId, { type, data });
+    }
+
+    stop() {
+        this.started = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    schedule(delay = this.pollInterval) {
+        if (!this.started) return;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.tick();
+        }, delay);
+        // 队列轮询不阻止进程退出
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    /**
+     * 在并发上限内领取并执行到期的任务
+     */
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            if (!this.recovered) {
+                await this.recover();
+            }
+
+            while (this.running.size < this.concurrency) {
+                const job = await this.claimNext();
+                if (!job) break;
+
+                const promise = this.execute(job).finally(() => {
+                    this.running.delete(job.task_id);
+                    this.schedule(0);
+                });
+                this.running.set(job.task_id, promise);
+            }
+        } catch (error) {
+            console.error('任务队列轮询失败:', error.message);
+        } finally {
+            this.ticking = false;
+            this.schedule();
+        }
+    }
+
+    async claimNext() {
+        const types = [...this.handlers.keys()];
+        if (types.length === 0) return null;
+
+        const now = new Date().toISOString();
+        const candidates = await Database.query(
+            `SELECT * FROM processing_tasks
+             WHERE status = 'pending' AND (run_after IS NULL OR run_after <= ?)
+               AND attempts < max_attempts
+               AND job_type IN (${types.map(() => '?').join(', ')})
+             ORDER BY id ASC
+             LIMIT ?`,
+            [now, ...types, this.concurrency]
+        );
+
+        for (const row of candidates) {
+            if (this.running.has(row.task_id)) continue;
+
+            const result = await Database.update(
+                `UPDATE processing_tasks
+                 SET status = 'processing', attempts = attempts + 1, locked_at = ?, started_at = ?,
+                     error_message = NULL, updated_at = ?
+                 WHERE id = ? AND status = 'pending'`,
+                [now, now, now, row.id]
+            );
+            if (result.changes === 1) {
+                return { ...row, status: 'processing', attempts: row.attempts + 1 };
+            }
+        }
+        return null;
+    }
+
+    async execute(row) {
+        const handler = this.handlers.get(row.job_type);
+        const job = this.formatJob(row);
+        const startedAt = Date.now();
+
+        const context = {
+            progress: (progress, stage) => this.updateProgress(row.task_id, progress, stage),
+            checkpoint: async (data) => {
+                job.checkpoint = { ...job.checkpoint, ...data };
+                await Database.update(
+                    'UPDATE processing_tasks SET checkpoint = ?, updated_at = ? WHERE task_id = ?',
+                    [JSON.stringify(job.checkpoint), new Date().toISOString(), row.task_id]
+                );
+            },
+            emit: (type, data) => this.publish(row.task_id, type, data)
+        };
+
+        console.log(`🚀 开始执行任务 ${row.task_id} (${row.job_type})，第 ${row.attempts} 次`);
+        this.publish(row.task_id, 'started', { attempts: row.attempts, maxAttempts: row.max_attempts });
+
+        try {
+            const result = await handler.run(job, context);
+            const now = new Date().toISOString();
+            await Database.update(
+                `UPDATE processing_tasks
+                 SET status = 'completed', progress = 100, stage = 'completed', result_data = ?,
+                     completed_at = ?, processing_time = ?, locked_at = NULL, updated_at = ?
+                 WHERE task_id = ?`,
+                [JSON.stringify(result || null), now, Date.now() - startedAt, now, row.task_id]
+            );
+            console.log(`✅ 任务 ${row.task_id} 完成`);
+            this.publish(row.task_id, 'completed', await this.getJob(row.task_id));
+        } catch (error) {
+            await this.handleFailure(row, job, handler, error, Date.now() - startedAt);
+        }
+    }
+
+    async handleFailure(row, job, handler, error, elapsed) {
+        const now = new Date().toISOString();
+
+        if (error.cancelled) {
+            await Database.update(
+                `UPDATE processing_tasks
+                 SET status = 'cancelled', stage = 'cancelled', completed_at = ?, processing_time = ?,
+                     locked_at = NULL, updated_at = ?
+                 WHERE task_id = ?`,
+                [now, elapsed, now, row.task_id]
+            );
+            console.log(`⏹️ 任务 ${row.task_id} 已取消`);
+            this.publish(row.task_id, 'cancelled', await this.getJob(row.task_id));
+            await this.runHook(handler.onCancelled, job);
+            return;
+        }
+
+        if (row.attempts < row.max_attempts) {
+            const delay = this.backoffDelay(row.attempts);
+            const runAfter = new Date(Date.now() + delay).toISOString();
+            await Database.update(
+                `UPDATE processing_tasks
+                 SET status = 'pending', stage = 'retrying', error_message = ?, run_after = ?,
+                     locked_at = NULL, updated_at = ?
+                 WHERE task_id = ?`,
+                [error.message, runAfter, now, row.task_id]
+            );
+            console.warn(`⚠️ 任务 ${row.task_id} 第 ${row.attempts} 次执行失败，${Math.round(delay / 1000)} 秒后重试: ${error.message}`);
+            this.publish(row.task_id, 'retrying', { attempts: row.attempts, runAfter, error: error.message });
+            return;
+        }
+
+        await Database.update(
+            `UPDATE processing_tasks
+             SET status = 'failed', stage = 'failed', error_message = ?, completed_at = ?, processing_time = ?,
+                 locked_at = NULL, updated_at = ?
+             WHERE task_id = ?`,
+            [error.message, now, elapsed, now, row.task_id]
+        );
+        console.error(`❌ 任务 ${row.task_id} 失败（已执行 ${row.attempts} 次）:`, error.message);
+        this.publish(row.task_id, 'failed', await this.getJob(row.task_id));
+        await this.runHook(handler.onFailed, job, error);
+    }
+
+    async runHook(hook, ...args) {
+        if (!hook) return;
+        try {
+            await hook(...args);
+        } catch (error) {
+            console.error('任务回调执行失败:', error.message);
+        }
+    }
+
+    /**
+     * 更新进度；任务已被请求取消时抛出取消错误，处理器应在各阶段之间调用
+     */
+    async updateProgress(taskId, progress, stage) {
+        const row = await Database.get(
+            'SELECT cancel_requested FROM processing_tasks WHERE task_id = ?',
+            [taskId]
+        );
+        if (!row || row.cancel_requested) {
+            const error = new Error('任务已取消');
+            error.cancelled = true;
+            throw error;
+        }
+
+        const value = Math.max(0, Math.min(100, Math.round(progress)));
+        await Database.update(
+            'UPDATE processing_tasks SET progress = ?, stage = COALESCE(?, stage), updated_at = ? WHERE task_id = ?',
+            [value, stage || null, new Date().toISOString(), taskId]
+        );
+        this.publish(taskId, 'progress', { progress: value, stage: stage || null });
+    }
+
+    /**
+     * 取消任务：排队中的任务直接取消，执行中的任务在下一次更新进度时停止
+     * @returns {Object|null} 任务信息，任务不存在时为null
+     */
+    async cancel(taskId) {
+        const row = await Database.get('SELECT * FROM processing_tasks WHERE task_id = ?', [taskId]);
+        if (!row) return null;
+
+        const now = new Date().toISOString();
+        if (row.status === 'pending') {
+            await Database.update(
+                `UPDATE processing_tasks
+                 SET status = 'cancelled', stage = 'cancelled', cancel_requested = 1, completed_at = ?, updated_at = ?
+                 WHERE task_id = ? AND status = 'pending'`,
+                [now, now, taskId]
+            );
+            this.publish(taskId, 'cancelled', await this.getJob(taskId));
+            await this.runHook((this.handlers.get(row.job_type) || {}).onCancelled, this.formatJob(row));
+        } else if (row.status === 'processing') {
+            await Database.update(
+                'UPDATE processing_tasks SET cancel_requested = 1, updated_at = ? WHERE task_id = ?',
+                [now, taskId]
+            );
+        }
+
+        return this.getJob(taskId);
+    }
+
+    /**
+     * 取消材料的全部未完成任务，删除材料前调用
+     * @param {number} materialId - 材料ID
+     * @returns {number} 已请求取消、但仍在执行的任务数；为 0 时才可以删除材料
+     */
+    async cancelForMaterial(materialId) {
+        const active = `SELECT task_id FROM processing_tasks WHERE material_id = ? AND status IN ('pending', 'processing')`;
+        const rows = await Database.query(active, [materialId]);
+        for (const row of rows) {
+            await this.cancel(row.task_id);
+        }
+        return rows.length > 0 ? (await Database.query(active, [materialId])).length : 0;
+    }
+
+    /**
+     * 查询任务
+     * @param {string} taskId - 任务ID
+     * @returns {Object|null} 任务信息
+     */
+    async getJob(taskId) {
+        const row = await Database.get(
+            `SELECT pt.*, COALESCE(pt.user_id, m.user_id) as owner_id
+             FROM processing_tasks pt
+             LEFT JOIN materials m ON pt.material_id = m.id
+             WHERE pt.task_id = ?`,
+            [taskId]
+        );
+        return row ? this.formatJob(row) : null;
+    }
+
+    /**
+     * 查询用户的任务
+     * @param {number} userId - 用户ID
+     * @param {Object} filters - { status, materialId, limit }
+     * @returns {Array} 任务列表
+     */
+    async listJobs(userId, filters = {}) {
+        const conditions = ['COALESCE(pt.user_id, m.user_id) = ?'];
+        const params = [userId];
+
+        if (filters.status) {
+            conditions.push('pt.status = ?');
+            params.push(filters.status);
+        }
+        if (filters.materialId) {
+            conditions.push('pt.material_id = ?');
+            params.push(parseInt(filters.materialId));
+        }
+
+        const rows = await Database.query(
+            `SELECT pt.*, COALESCE(pt.user_id, m.user_id) as owner_id
+             FROM processing_tasks pt
+             LEFT JOIN materials m ON pt.material_id = m.id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY pt.id DESC
+             LIMIT ?`,
+            [...params, Math.min(100, Math.max(1, parseInt(filters.limit) || 20))]
+        );
+        return rows.map(row => this.formatJob(row));
+    }
+
+    backoffDelay(attempts) {
+        return Math.min(this.backoffMaxMs, this.backoffBaseMs * Math.pow(2, Math.max(0, attempts - 1)));
+    }
+
+    formatJob(row) {
+        return {
+            id: row.task_id,
+            type: row.job_type,
+            materialId: row.material_id,
+            userId: row.owner_id !== undefined ? row.owner_id : row.user_id,
+            status: row.status,
+            progress: row.progress,
+            stage: row.stage,
+            attempts: row.attempts || 0,
+            maxAttempts: row.max_attempts,
+            cancelRequested: row.cancel_requested === 1,
+            error: row.error_message || null,
+            payload: this.parseJSON(row.payload, {}),
+            checkpoint: this.parseJSON(row.checkpoint, {}),
+            result: this.parseJSON(row.result_data, null),
+            runAfter: row.run_after || null,
+            createdAt: row.created_at || row.started_at,
+            startedAt: row.started_at,
+            completedAt: row.completed_at,
+            processingTime: row.processing_time
+        };
+    }
+
+    parseJSON(value, fallback) {
+        if (!value) return fallback;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return fallback;
+        }
+    }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,363 @@
+// 材料后台任务 - 内容提取、分块分析、知识图谱构建和批量出题，均通过任务队列执行
+const fs = require('fs');
+const Database = require('../database/database');
+const DocumentProcessor = require('./documentProcessor');
+const extractors = require('./extractors');
+const questionPipeline = require('./generation/questionPipeline');
+const questionBankService = require('./questionBankService');
+const duplicateQuestionService = require('./duplicateQuestionService');
+const jobQueue = require('./jobQueue');
+
+class MaterialJobs {
+    constructor() {
+        this.documentProcessor = new DocumentProcessor();
+
+        jobQueue.register('process_material', {
+            run: (job, context) => this.processMaterial(job, context),
+            onFailed: job => this.markUnfinished(job.materialId, 'failed'),
+            onCancelled: job => this.markUnfinished(job.materialId, 'cancelled')
+        });
+        jobQueue.register('generate_questions', {
+            run: (job, context) => this.generateQuestions(job, context)
+        });
+        jobQueue.start();
+    }
+
+    /**
+     * 加入材料处理任务
+     * @param {Object} material - materials表记录
+     * @param {Object} options - { chunkSize, reuseExtraction }，reuseExtraction 为 true 时使用材料中已有的提取结果
+     *   （如从内容相同的其他材料复制而来），不再提取文件内容
+     * @returns {Object} 任务信息
+     */
+    async enqueueProcessing(material, { chunkSize, reuseExtraction = false } = {}) {
+        const job = await jobQueue.enqueue('process_material', {
+            materialId: material.id,
+            userId: material.user_id,
+            payload: {
+                chunkSize: parseInt(chunkSize) || material.chunk_size || 1000,
+                reuseExtraction: reuseExtraction
+            }
+        });
+
+        await Database.update(
+            'UPDATE materials SET processing_status = ?, task_id = ? WHERE id = ?',
+            ['pending', job.id, material.id]
+        );
+        return job;
+    }
+
+    /**
+     * 加入出题任务
+     * @param {Object} material - materials表记录
+     * @param {number} userId - 发起用户
+     * @param {Array} batches - [{ type, count, difficulty, fastMode }]
+     * @param {Object} options - { strategy, source, provider, skipDuplicates }，strategy 为生成策略名称，
+     *   provider 为AI出题使用的推理后端，skipDuplicates 为 false 时不跳过与材料题库中已有题目近似重复的题目
+     * @returns {Object} 任务信息
+     */
+    async enqueueQuestionGeneration(material, userId, batches, {
+        strategy = 'optimized', source = 'optimized-batch', provider = null, skipDuplicates = true
+    } = {}) {
+        return jobQueue.enqueue('generate_questions', {
+            materialId: material.id,
+            userId: userId,
+            payload: { batches, strategy, source, provider, skipDuplicates }
+        });
+    }
+
+    /**
+     * 材料处理：提取内容 → 分块分析 → 保存结果 → 构建知识图谱
+     * 提取的文本和结构单元保存后记入检查点，重试时不再重复提取
+     */
+    async processMaterial(job, context) {
+        const material = await Database.get('SELECT * FROM materials WHERE id = ?', [job.materialId]);
+        if (!material) {
+            throw new Error('材料不存在');
+        }
+        const chunkSize = job.payload.chunkSize || material.chunk_size || 1000;
+
+        await this.setMaterialStatus(material.id, 'processing');
+
+        // 第一步：提取文件内容
+        await context.progress(10, 'extracting_content');
+        let content = material.content_text;
+        let structure = extractors.parseStructure(material.content_structure);
+        if (!(job.checkpoint.extracted || job.payload.reuseExtraction) || !content) {
+            const extracted = await this.extractFileContent(material.file_path, material.original_name);
+            content = extracted.text;
+            if (!content || !content.trim()) {
+                // 扫描件没有文字层，OCR 不可用时说明原因
+                const ocr = extracted.metadata.ocr;
+                throw new Error(ocr && ocr.unavailable ? `未能从文件中提取到文字内容：${ocr.unavailable}` : '未能从文件中提取到文字内容');
+            }
+            structure = {
+                extractor: extracted.extractor,
+                metadata: extracted.metadata,
+                units: extracted.units
+            };
+            await Database.update(
+                'UPDATE materials SET content_text = ?, content_structure = ? WHERE id = ?',
+                [content, JSON.stringify(structure), material.id]
+            );
+            await context.checkpoint({ extracted: true });
+        }
+
+        // 第二步：智能分块分析
+        await context.progress(30, 'analyzing_document');
+        const processedDoc = await this.documentProcessor.processDocument(content, {
+            maxChunkSize: chunkSize,
+            overlapSize: Math.floor(chunkSize * 0.2),
+            enableKnowledgeGraph: true,
+            analysisDepth: 'comprehensive',
+            units: structure ? structure.units : null,
+            onProgress: (step, info) => context.emit(step, info)
+        });
+
+        // 第三步：保存处理结果
+        await context.progress(60, 'saving_results');
+        await this.saveProcessedContent(material.id, processedDoc, content);
+
+        // 第四步：保存知识图谱
+        await context.progress(75, 'building_knowledge_graph');
+        await this.saveKnowledgeGraph(material.id, processedDoc.knowledgeGraph);
+
+        // 第五步：更新材料状态
+        await context.progress(90, 'finalizing');
+        const keywords = processedDoc.globalMetadata.topKeyTerms
+            .slice(0, 10)
+            .map(term => term.term)
+            .join(',');
+        await Database.update(
+            'UPDATE materials SET processed = 1, processing_status = ?, keywords = ? WHERE id = ?',
+            ['completed', keywords, material.id]
+        );
+
+        return {
+            chunks: processedDoc.chunks.length,
+            keyTerms: processedDoc.globalMetadata.topKeyTerms.length,
+            complexity: processedDoc.globalMetadata.averageComplexity,
+            knowledgeNodes: processedDoc.knowledgeGraph ? processedDoc.knowledgeGraph.nodes.length : 0,
+            contentLength: content.length
+        };
+    }
+
+    /**
+     * 出题：逐批生成并保存，已完成的批次记入检查点
+     * 每道题目生成后推送 question 事件；AI生成中途失败时保留已生成的题目
+     */
+    async generateQuestions(job, context) {
+        const material = await Database.get('SELECT * FROM materials WHERE id = ?', [job.materialId]);
+        if (!material || !material.content_text) {
+            throw new Error('材料内容尚未处理完成');
+        }
+
+        const { batches = [], source = 'optimized-batch', provider = null, skipDuplicates = true } = job.payload;
+        // 早期任务记录的是 generator: 'ai' | 'optimized'
+        const strategy = job.payload.strategy || (job.payload.generator === 'ai' ? 'deepseek' : 'optimized');
+        const completed = job.checkpoint.batches || [];
+
+        for (let index = completed.length; index < batches.length; index++) {
+            const batch = batches[index];
+            await context.progress(Math.round((index / batches.length) * 100), `generating_${batch.type}`);
+
+            // 逐题推送的题目，生成中途失败时作为本批次结果保存
+            const produced = [];
+            const onQuestion = question => {
+                produced.push(question);
+                context.emit('question', { batchIndex: index, index: produced.length - 1, saved: false, question });
+            };
+
+            let saved = [];
+            let error = null;
+            let skippedDuplicates = 0;
+            try {
+                const generated = await this.generateBatch(material, batch, { strategy, provider, skipDuplicates }, onQuestion);
+                skippedDuplicates = generated.skippedDuplicates;
+                saved = await questionBankService.saveQuestions(material.id, generated.questions, {
+                    source: source,
+                    difficulty: batch.difficulty
+                });
+                if (saved.length === 0 && skippedDuplicates > 0) {
+                    error = `生成的 ${skippedDuplicates} 道题目均与题库中已有题目近似重复`;
+                }
+            } catch (batchError) {
+                console.error(`批次${index + 1}失败:`, batchError.message);
+                error = batchError.message;
+                if (produced.length > 0) {
+                    saved = await questionBankService.saveQuestions(material.id, produced, {
+                        source: source,
+                        difficulty: batch.difficulty
+                    });
+                }
+            }
+
+            // 题库中的题目（带数据库ID）
+            saved.forEach((question, questionIndex) => {
+                context.emit('question', { batchIndex: index, index: questionIndex, saved: true, question });
+            });
+
+            completed.push({
+                batchIndex: index,
+                type: batch.type,
+                success: saved.length > 0,
+                error: error,
+                count: saved.length,
+                skippedDuplicates: skippedDuplicates,
+                questions: saved
+            });
+            await context.checkpoint({ batches: completed });
+            context.emit('batch', { batchIndex: index, type: batch.type, count: saved.length, error: error });
+        }
+
+        const successfulBatches = completed.filter(batch => batch.success);
+        if (batches.length > 0 && successfulBatches.length === 0) {
+            const errors = [...new Set(completed.map(batch => batch.error).filter(Boolean))];
+            throw new Error(`所有批次均生成失败${errors.length > 0 ? `: ${errors.join('; ')}` : ''}`);
+        }
+
+        const questions = completed.flatMap(batch => batch.questions);
+        return {
+            materialId: material.id,
+            questions: questions,
+            summary: {
+                totalQuestions: questions.length,
+                successfulBatches: successfulBatches.length,
+                failedBatches: completed.length - successfulBatches.length,
+                skippedDuplicates: completed.reduce((sum, batch) => sum + (batch.skippedDuplicates || 0), 0),
+                batchDetails: completed.map(batch => ({
+                    type: batch.type,
+                    count: batch.count,
+                    skippedDuplicates: batch.skippedDuplicates || 0,
+                    error: batch.error
+                }))
+            }
+        };
+    }
+
+    /**
+     * 生成一个批次的题目；skipDuplicates 时跳过与材料题库（含之前批次）中已有题目近似重复的题目
+     * @returns {Object} { questions, skippedDuplicates }
+     */
+    async generateBatch(material, batch, { strategy, provider, skipDuplicates }, onQuestion) {
+        const existing = skipDuplicates ? await duplicateQuestionService.buildIndex({ materialId: material.id }) : null;
+        const { questions, metadata } = await questionPipeline.generate(material.content_text, {
+            strategy: strategy,
+            questionType: batch.type,
+            count: batch.count,
+            difficulty: batch.difficulty,
+            mathRenderMode: 'html', // 使用HTML模式避免$符号
+            provider: provider,
+            structure: extractors.parseStructure(material.content_structure),
+            existing: existing,
+            onQuestion: onQuestion
+        });
+        return {
+            questions: questions,
+            skippedDuplicates: metadata.skippedDuplicates
+        };
+    }
+
+    /**
+     * 提取文件内容，按扩展名选择提取器（见 extractors/index.js）
+     * @returns {Object} { text, units, metadata, extractor }
+     */
+    async extractFileContent(filePath, originalName) {
+        if (!filePath || !fs.existsSync(filePath)) {
+            throw new Error('原文件不存在');
+        }
+
+        console.log(`📄 提取文件内容: ${originalName || filePath}`);
+
+        try {
+            return await extractors.extract(filePath, originalName);
+        } catch (error) {
+            console.error('文件内容提取失败:', error.message);
+            throw new Error(`文件内容提取失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 保存处理后的内容
+     */
+    async saveProcessedContent(materialId, processedDoc, originalContent) {
+        // 准备内容预览（前500字符）
+        const contentPreview = originalContent.substring(0, 500);
+
+        // 准备关键词（前20个）
+        const keyTerms = processedDoc.globalMetadata.topKeyTerms
+            .slice(0, 20)
+            .map(term => term.term)
+            .join(', ');
+
+        await Database.delete('DELETE FROM material_content WHERE material_id = ?', [materialId]);
+        await Database.insert(
+            `INSERT INTO material_content (material_id, content_preview, chunk_count, key_terms,
+                                         processed_data, created_at)
+             VALUES (?, ?, ?, ?, ?, datetime('now'))`,
+            [
+                materialId,
+                contentPreview,
+                processedDoc.chunks.length,
+                keyTerms,
+                JSON.stringify({
+                    chunks: processedDoc.chunks.map(chunk => ({
+                        index: chunk.index,
+                        content: chunk.content.substring(0, 200), // 只保存前200字符
+                        metadata: chunk.metadata
+                    })),
+                    globalMetadata: processedDoc.globalMetadata,
+                    knowledgeGraph: {
+                        nodeCount: processedDoc.knowledgeGraph.nodes.length,
+                        edgeCount: processedDoc.knowledgeGraph.edges.length,
+                        topNodes: processedDoc.knowledgeGraph.nodes.slice(0, 10)
+                    },
+                    importantSections: processedDoc.importantSections.slice(0, 5)
+                })
+            ]
+        );
+
+        console.log(`💾 材料 ${materialId} 的处理内容已保存`);
+    }
+
+    /**
+     * 保存知识图谱节点和共现关系，重新处理时整体替换
+     */
+    async saveKnowledgeGraph(materialId, knowledgeGraph) {
+        if (!knowledgeGraph) return;
+
+        await Database.delete('DELETE FROM knowledge_graph_edges WHERE material_id = ?', [materialId]);
+        await Database.delete('DELETE FROM knowledge_graph WHERE material_id = ?', [materialId]);
+
+        for (const node of knowledgeGraph.nodes) {
+            await Database.insert(
+                `INSERT OR REPLACE INTO knowledge_graph (material_id, node_id, node_type, node_data, importance, frequency)
+                 VALUES (?, ?, 'concept', ?, ?, ?)`,
+                [materialId, node.id, JSON.stringify({ label: node.label, chunks: node.chunks }), node.importance, node.frequency]
+            );
+        }
+        for (const edge of knowledgeGraph.edges) {
+            await Database.insert(
+                `INSERT INTO knowledge_graph_edges (material_id, source_node, target_node, weight, chunk_index)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [materialId, edge.source, edge.target, edge.weight, edge.chunkIndex]
+            );
+        }
+    }
+
+    /**
+     * 任务失败或取消时更新材料状态；重新处理前已处理完成的材料保留原有内容，仍视为可用
+     */
+    async markUnfinished(materialId, status) {
+        await Database.update(
+            'UPDATE materials SET processing_status = CASE WHEN processed = 1 THEN ? ELSE ? END WHERE id = ?',
+            ['completed', status, materialId]
+        );
+    }
+
+    async setMaterialStatus(materialId, status) {
+        await Database.update('UPDATE materials SET processing_status = ? WHERE id = ?', [status, materialId]);
+    }
+}
+
+module.exports = new MaterialJobs();
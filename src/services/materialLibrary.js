@@ -0,0 +1,247 @@
+// 材料库 - 上传文件的去重、版本和存储配额
+// 上传的文件按内容计算 SHA-256：同一用户再次上传相同内容时直接使用已有材料，处理结果和题目都不变；
+// 其他用户上传过相同内容时共用已保存的文件和提取结果；同一用户上传内容不同的同名文件时保存为该材料的新版本，
+// 旧版本和它的题目保留为历史。每个用户占用的空间受配额限制（config/storage.js）
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('../database/database');
+const materialJobs = require('./materialJobs');
+const SecurityUtils = require('../utils/security');
+const { defaultQuota } = require('../../config/storage');
+
+function formatSize(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${Math.round((bytes / 1024 / 1024) * 10) / 10} MB`;
+}
+
+class MaterialLibrary {
+    constructor() {
+        // 用户ID -> 该用户正在保存的上传。同一用户的上传依次处理，同时提交的两个相同文件不会都被保存
+        this.pending = new Map();
+    }
+
+    hashFile(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    /**
+     * 用户的存储配额和已用空间（字节），内容相同的材料只计一次
+     * @returns {Object} { quota, used, remaining }
+     */
+    async getUsage(userId) {
+        const user = await Database.get('SELECT storage_quota FROM users WHERE id = ?', [userId]);
+        const quota = user && user.storage_quota !== null && user.storage_quota !== undefined
+            ? user.storage_quota
+            : defaultQuota;
+        const row = await Database.get(
+            `SELECT COALESCE(SUM(file_size), 0) as used FROM (
+                 SELECT MAX(file_size) as file_size FROM materials
+                 WHERE user_id = ?
+                 GROUP BY COALESCE(content_hash, 'id:' || id)
+             )`,
+            [userId]
+        );
+        return { quota, used: row.used, remaining: Math.max(0, quota - row.used) };
+    }
+
+    /**
+     * 保存上传的文件为材料，需要处理时加入处理任务
+     * @param {number} userId - 上传用户
+     * @param {Object} file - 上传的文件 { originalname, filename, path, size }
+     * @param {Object} options - { fields, chunkSize }，fields 为 materials 表的其他字段，如 { requires_chunking, analysis_data }
+     * @returns {Object} { material, taskId, duplicate, restored, previousVersion }
+     *   duplicate 为 true 时 material 是内容相同的已有材料，上传的文件已删除，已处理完成时 taskId 为 null；
+     *   restored 为 true 时该材料是旧版本，已重新设为最新版本；previousVersion 为同名材料的上一个版本
+     */
+    saveUpload(userId, file, options = {}) {
+        const previous = this.pending.get(userId) || Promise.resolve();
+        const task = previous.catch(() => {}).then(() => this.store(userId, file, options));
+        const settled = () => {
+            if (this.pending.get(userId) === task) this.pending.delete(userId);
+        };
+        this.pending.set(userId, task);
+        task.then(settled, settled);
+        return task;
+    }
+
+    async store(userId, file, { fields = {}, chunkSize } = {}) {
+        const hash = await this.hashFile(file.path);
+        const originalName = SecurityUtils.sanitizeInput(file.originalname);
+
+        const existing = await Database.get(
+            'SELECT * FROM materials WHERE user_id = ? AND content_hash = ? ORDER BY is_latest DESC, id DESC LIMIT 1',
+            [userId, hash]
+        );
+        if (existing) {
+            if (existing.file_path && fs.existsSync(existing.file_path)) {
+                this.removeUpload(file, existing.file_path);
+            } else {
+                // 已有材料的文件丢失时用这次上传的文件补上，共用同一文件的其他材料一并修复（路径可能为空，用 IS 比较）
+                await Database.update(
+                    'UPDATE materials SET file_path = ?, filename = ? WHERE id = ? OR (content_hash = ? AND file_path IS ?)',
+                    [file.path, file.filename, existing.id, hash, existing.file_path]
+                );
+                existing.file_path = file.path;
+                existing.filename = file.filename;
+            }
+            console.log(`♻️ ${file.originalname} 与材料 ${existing.id}（第 ${existing.version} 版）内容相同，使用已有材料`);
+
+            // 与旧版本内容相同时恢复该版本为最新版本，否则列表中仍是其他版本
+            const restored = existing.is_latest !== 1;
+            if (restored) {
+                await Database.update(
+                    'UPDATE materials SET is_latest = CASE WHEN id = ? THEN 1 ELSE 0 END WHERE version_group = ?',
+                    [existing.id, existing.version_group]
+                );
+                existing.is_latest = 1;
+                console.log(`⏪ 材料 ${existing.id}（第 ${existing.version} 版）恢复为最新版本`);
+            }
+
+            // 已有材料正在处理时返回其任务；未处理完成又没有任务（如处理失败）时重新处理
+            const active = ['pending', 'processing'].includes(existing.processing_status) && existing.task_id;
+            let taskId = active ? existing.task_id : null;
+            if (!active && existing.processed !== 1) {
+                taskId = (await materialJobs.enqueueProcessing(existing, { chunkSize })).id;
+            }
+            return { material: existing, taskId, duplicate: true, restored, previousVersion: null };
+        }
+
+        const usage = await this.getUsage(userId);
+        if (usage.used + file.size > usage.quota) {
+            this.removeUpload(file);
+            throw this.createError(413,
+                `存储空间不足：已用 ${formatSize(usage.used)}，配额 ${formatSize(usage.quota)}，本文件 ${formatSize(file.size)}。` +
+                '请删除不需要的材料或旧版本后再上传');
+        }
+
+        // 其他用户上传过相同内容：共用已保存的文件，复制提取结果
+        const shared = await Database.get(
+            'SELECT * FROM materials WHERE content_hash = ? ORDER BY content_text IS NULL, id DESC LIMIT 1',
+            [hash]
+        );
+        const sharedFile = shared && shared.file_path && fs.existsSync(shared.file_path) ? shared : null;
+        const reusedExtraction = !!(sharedFile && sharedFile.content_text);
+
+        const previousVersion = await Database.get(
+            'SELECT * FROM materials WHERE user_id = ? AND original_name = ? AND is_latest = 1 ORDER BY id DESC LIMIT 1',
+            [userId, originalName]
+        );
+
+        if (sharedFile) {
+            this.removeUpload(file, sharedFile.file_path);
+        }
+        const columns = {
+            user_id: userId,
+            filename: sharedFile ? sharedFile.filename : file.filename,
+            original_name: originalName,
+            file_type: path.extname(file.originalname).substring(1).toLowerCase(),
+            file_size: file.size,
+            file_path: sharedFile ? sharedFile.file_path : file.path,
+            content_hash: hash,
+            version: previousVersion ? previousVersion.version + 1 : 1,
+            version_group: previousVersion ? previousVersion.version_group : null,
+            is_latest: 1,
+            // 已发布材料的新版本同样对学生可见
+            published: previousVersion ? previousVersion.published : 0,
+            content_text: reusedExtraction ? sharedFile.content_text : null,
+            content_structure: reusedExtraction ? sharedFile.content_structure : null,
+            ...fields
+        };
+        const names = Object.keys(columns);
+        const result = await Database.insert(
+            `INSERT INTO materials (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+            names.map(name => columns[name])
+        );
+
+        if (previousVersion) {
+            await Database.update(
+                'UPDATE materials SET is_latest = 0 WHERE version_group = ? AND id != ?',
+                [previousVersion.version_group, result.id]
+            );
+            console.log(`🗂️ ${originalName} 保存为第 ${columns.version} 版（材料 ${result.id}），上一版为材料 ${previousVersion.id}`);
+        } else {
+            await Database.update('UPDATE materials SET version_group = id WHERE id = ?', [result.id]);
+        }
+
+        const material = await Database.get('SELECT * FROM materials WHERE id = ?', [result.id]);
+        const job = await materialJobs.enqueueProcessing(material, { chunkSize, reuseExtraction: reusedExtraction });
+        material.task_id = job.id;
+        return { material, taskId: job.id, duplicate: false, restored: false, previousVersion: previousVersion || null };
+    }
+
+    // 删除上传的临时文件，keepPath 为仍在使用的文件
+    removeUpload(file, keepPath = null) {
+        if (!file.path || (keepPath && path.resolve(file.path) === path.resolve(keepPath))) return;
+        if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+    }
+
+    /**
+     * 材料的所有版本，从新到旧
+     * @param {Object} material - materials 表记录
+     * @param {Object} options - { publishedOnly } 为 true 时只列出已发布的版本
+     */
+    async listVersions(material, { publishedOnly = false } = {}) {
+        const rows = await Database.query(
+            `SELECT m.id, m.version, m.file_size, m.processed, m.published, m.is_latest, m.created_at,
+                    (SELECT COUNT(*) FROM questions WHERE material_id = m.id) as question_count
+             FROM materials m
+             WHERE m.version_group = ? ${publishedOnly ? 'AND m.published = 1' : ''}
+             ORDER BY m.version DESC`,
+            [material.version_group || material.id]
+        );
+        return rows.map(row => ({
+            id: row.id,
+            version: row.version,
+            sizeBytes: row.file_size,
+            processed: row.processed === 1,
+            published: row.published === 1,
+            latest: row.is_latest === 1,
+            questionCount: row.question_count,
+            createdAt: row.created_at
+        }));
+    }
+
+    /**
+     * 材料记录删除后调用：文件没有其他材料使用时才删除；删除的是最新版本时，剩下的最高版本成为最新版本
+     */
+    async release(material) {
+        if (material.file_path) {
+            const other = await Database.get('SELECT id FROM materials WHERE file_path = ? LIMIT 1', [material.file_path]);
+            if (!other && fs.existsSync(material.file_path)) {
+                try {
+                    fs.unlinkSync(material.file_path);
+                    console.log(`🗂️ 已删除文件: ${material.file_path}`);
+                } catch (error) {
+                    console.error('文件删除失败:', error);
+                }
+            }
+        }
+
+        if (material.is_latest === 1 && material.version_group) {
+            const latest = await Database.get(
+                'SELECT id FROM materials WHERE version_group = ? ORDER BY version DESC LIMIT 1',
+                [material.version_group]
+            );
+            if (latest) {
+                await Database.update('UPDATE materials SET is_latest = 1 WHERE id = ?', [latest.id]);
+            }
+        }
+    }
+
+    createError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new MaterialLibrary();
@@ -0,0 +1,220 @@
+// 模型路由 - 按 config/gpu-config.json 的模型列表为不同任务选择模型
+// 轻量任务（干扰项生成、题目润色）使用 light 模型，套卷等重任务使用 primary 模型；
+// 模型未安装或调用失败时只在任务配置的等级之间降级（见 candidates），不会换用 supported 中无关的模型
+const gpuConfigService = require('./gpuConfigService');
+
+const INSTALLED_CACHE_TTL = 30000; // 已安装模型列表缓存时间
+
+class ModelRouter {
+    constructor() {
+        this.provider = 'ollama'; // gpu-config.json 中的模型名称属于Ollama
+        this.installed = new Map(); // provider -> { models, checkedAt }
+        this.cooldowns = new Map(); // provider:model -> { until, error }
+        this.usage = new Map();     // provider:model -> { success, failure, lastUsedAt, lastTask }
+    }
+
+    // 模型配置每次从 gpuConfigService 读取，配置文件重新加载后立即生效；OLLAMA_MODEL 环境变量覆盖 primary
+    get models() {
+        const { primary, fallback, light } = gpuConfigService.get().models;
+        return { primary, fallback, light };
+    }
+
+    get supported() {
+        return gpuConfigService.get().models.supported;
+    }
+
+    get routing() {
+        return gpuConfigService.get().models.routing;
+    }
+
+    get failureCooldown() {
+        return gpuConfigService.get().models.failureCooldown;
+    }
+
+    // 只有Ollama后端按配置路由，其他后端使用请求指定的模型或后端默认模型
+    handles(providerName) {
+        return providerName === this.provider && Boolean(this.models.primary);
+    }
+
+    /**
+     * 任务使用的模型等级：primary | light | fallback
+     */
+    tierFor(task) {
+        return this.routing[task] || 'primary';
+    }
+
+    /**
+     * 任务的候选模型，按优先级排列
+     * light 任务依次尝试 light → primary → fallback，primary 任务尝试 primary → fallback，fallback 任务尝试 fallback → primary
+     */
+    candidates(task) {
+        const tier = this.tierFor(task);
+        const order = tier === 'light'
+            ? [this.models.light, this.models.primary, this.models.fallback]
+            : tier === 'fallback'
+                ? [this.models.fallback, this.models.primary]
+                : [this.models.primary, this.models.fallback];
+
+        return [...new Set(order.filter(Boolean))];
+    }
+
+    /**
+     * 本次调用依次尝试的模型
+     * @param {Object} provider - 推理后端
+     * @param {string} task - 任务名称
+     * @param {string} requestedModel - 调用方指定的模型，优先尝试
+     * @returns {Array} 模型名称列表；不路由的后端返回 [requestedModel]
+     * @throws {Error} 候选模型都未安装时抛出 code 为 MODEL_NOT_INSTALLED 的错误
+     */
+    async plan(provider, task, requestedModel) {
+        if (!this.handles(provider.name)) {
+            return [requestedModel];
+        }
+
+        let chain = this.candidates(task);
+        if (requestedModel) {
+            chain = [requestedModel, ...chain.filter(model => model !== requestedModel)];
+        }
+
+        // 只保留已安装的模型；无法获取模型列表时交给调用结果判断
+        const installed = await this.installedModels(provider);
+        if (installed) {
+            const available = chain.filter(model => this.isInstalled(model, installed));
+            if (available.length === 0) {
+                throw Object.assign(
+                    new Error(`任务 ${task || 'default'} 可用的模型（${chain.join('、')}）均未安装，请先用 ollama pull 安装`),
+                    { code: 'MODEL_NOT_INSTALLED' }
+                );
+            }
+            chain = available;
+        }
+
+        // 冷却中的模型排到最后
+        const now = Date.now();
+        const cooling = model => {
+            const entry = this.cooldowns.get(this.key(provider.name, model));
+            return entry && entry.until > now;
+        };
+        return chain.filter(model => !cooling(model)).concat(chain.filter(cooling));
+    }
+
+    /**
+     * 任务当前会使用的模型
+     */
+    async resolve(provider, task) {
+        const chain = await this.plan(provider, task);
+        return chain[0] || provider.defaultModel;
+    }
+
+    async installedModels(provider) {
+        const cached = this.installed.get(provider.name);
+        if (cached && Date.now() - cached.checkedAt < INSTALLED_CACHE_TTL) {
+            return cached.models;
+        }
+        try {
+            const models = await provider.listModels();
+            this.installed.set(provider.name, { models, checkedAt: Date.now() });
+            return models;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Ollama 中未指定标签的模型名称等同于 :latest
+    isInstalled(model, installed) {
+        return installed.includes(model) || (!model.includes(':') && installed.includes(`${model}:latest`));
+    }
+
+    // 模型不存在的错误不需要重试，直接切换模型
+    isMissingModel(error) {
+        const status = error.response && error.response.status;
+        return status === 404 || /model .*not found/i.test(error.message || '');
+    }
+
+    recordSuccess(providerName, model, task) {
+        const stats = this.stats(providerName, model);
+        stats.success++;
+        stats.lastUsedAt = new Date().toISOString();
+        stats.lastTask = task || null;
+        this.cooldowns.delete(this.key(providerName, model));
+    }
+
+    recordFailure(providerName, model, task, error) {
+        const stats = this.stats(providerName, model);
+        stats.failure++;
+        stats.lastTask = task || null;
+        stats.lastError = error ? error.message : null;
+
+        if (this.handles(providerName)) {
+            this.cooldowns.set(this.key(providerName, model), {
+                until: Date.now() + this.failureCooldown,
+                error: stats.lastError
+            });
+            if (error && this.isMissingModel(error)) {
+                this.installed.delete(providerName);
+            }
+        }
+    }
+
+    stats(providerName, model) {
+        const key = this.key(providerName, model);
+        if (!this.usage.has(key)) {
+            this.usage.set(key, { success: 0, failure: 0, lastUsedAt: null, lastTask: null, lastError: null });
+        }
+        return this.usage.get(key);
+    }
+
+    key(providerName, model) {
+        return `${providerName}:${model || 'default'}`;
+    }
+
+    /**
+     * 路由状态：配置的模型、安装情况、各任务当前使用的模型、冷却中的模型和调用统计
+     * @param {Object} provider - 推理后端
+     */
+    async status(provider) {
+        const prefix = `${provider.name}:`;
+        const usage = {};
+        for (const [key, stats] of this.usage) {
+            if (key.startsWith(prefix)) usage[key.slice(prefix.length)] = stats;
+        }
+
+        if (!this.handles(provider.name)) {
+            return { enabled: false, provider: provider.name, usage };
+        }
+
+        const installed = await this.installedModels(provider);
+        const configured = [...new Set([this.models.primary, this.models.fallback, this.models.light, ...this.supported].filter(Boolean))];
+        const tasks = {};
+        for (const task of Object.keys(this.routing)) {
+            try {
+                const chain = await this.plan(provider, task);
+                tasks[task] = { tier: this.tierFor(task), model: chain[0] || null, chain };
+            } catch (error) {
+                tasks[task] = { tier: this.tierFor(task), model: null, chain: [], error: error.message };
+            }
+        }
+
+        const now = Date.now();
+        const cooldowns = [];
+        for (const [key, entry] of this.cooldowns) {
+            if (key.startsWith(prefix) && entry.until > now) {
+                cooldowns.push({ model: key.slice(prefix.length), until: new Date(entry.until).toISOString(), error: entry.error });
+            }
+        }
+
+        return {
+            enabled: true,
+            provider: provider.name,
+            models: this.models,
+            supported: this.supported,
+            installed: installed,
+            missing: installed ? configured.filter(model => !this.isInstalled(model, installed)) : null,
+            tasks: tasks,
+            cooldowns: cooldowns,
+            usage: usage
+        };
+    }
+}
+
+module.exports = new ModelRouter();
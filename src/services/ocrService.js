@@ -0,0 +1,236 @@
+// 离线文字识别（OCR）服务
+// 调用本机安装的 tesseract 识别图片，扫描版 PDF 的页面先用 pdftoppm 转为图片；配置见 config/ocr.js。
+// 识别结果按行给出文字、位置和置信度，并转换为与 pdf.js getTextContent 相同格式的文本片段，由 pdfLayout 统一还原版面
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const config = require('../../config/ocr');
+
+function run(command, args) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout: config.timeout, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (!error) return resolve(stdout);
+            if (error.code === 'ENOENT') {
+                error.message = `找不到命令 ${command}`;
+            } else if (error.killed) {
+                error.message = `${path.basename(command)} 执行超时（${config.timeout}ms）`;
+            } else if (stderr && stderr.trim()) {
+                error.message = stderr.trim().split('\n').pop();
+            }
+            reject(error);
+        });
+    });
+}
+
+// 按字数加权的平均置信度
+function weightedConfidence(entries) {
+    let total = 0;
+    let weight = 0;
+    entries.forEach(({ confidence, length }) => {
+        if (confidence === null || confidence === undefined || !length) return;
+        total += confidence * length;
+        weight += length;
+    });
+    return weight > 0 ? Math.round((total / weight) * 10) / 10 : null;
+}
+
+/**
+ * 解析 tesseract 的 tsv 输出
+ * 每行为 level page_num block_num par_num line_num word_num left top width height conf text，
+ * level 1 是整页，level 5 是单词
+ * @returns {Object} { width, height, lines: [{ text, confidence, left, top, width, height, words }] }
+ */
+function parseTsv(tsv) {
+    const page = { width: 0, height: 0 };
+    const lines = new Map();
+
+    tsv.split('\n').slice(1).forEach(row => {
+        const columns = row.split('\t');
+        if (columns.length < 12) return;
+        const [level, , block, paragraph, line, , left, top, width, height, conf] = columns.slice(0, 11).map(Number);
+        const text = columns.slice(11).join('\t').trim();
+
+        if (level === 1) {
+            page.width = width;
+            page.height = height;
+            return;
+        }
+        if (level !== 5 || !text || conf < 0) return;
+
+        const key = `${block}.${paragraph}.${line}`;
+        if (!lines.has(key)) lines.set(key, []);
+        lines.get(key).push({ text, confidence: conf, left, top, width, height });
+    });
+
+    return {
+        width: page.width,
+        height: page.height,
+        lines: Array.from(lines.values()).map(words => {
+            const left = Math.min(...words.map(word => word.left));
+            const top = Math.min(...words.map(word => word.top));
+            return {
+                text: words.map(word => word.text).join(' '),
+                confidence: weightedConfidence(words.map(word => ({ confidence: word.confidence, length: word.text.length }))),
+                left,
+                top,
+                width: Math.max(...words.map(word => word.left + word.width)) - left,
+                height: Math.max(...words.map(word => word.top + word.height)) - top,
+                words
+            };
+        })
+    };
+}
+
+class OcrService {
+    constructor() {
+        // 引擎检查结果 { available, languages, reason }，只检查一次
+        this.engine = null;
+    }
+
+    /**
+     * 检查 tesseract 和语言包是否可用
+     * @returns {Object} { available, languages, reason }，languages 为实际使用的语言包，如 chi_sim+eng
+     */
+    async checkEngine() {
+        if (this.engine) return this.engine;
+
+        if (!config.enabled) {
+            this.engine = { available: false, reason: 'OCR 已关闭（OCR_ENABLED=false）' };
+        } else {
+            try {
+                const output = await run(config.tesseractPath, ['--list-langs']);
+                const installed = output.split('\n').map(line => line.trim()).filter(line => line && !/^list of/i.test(line));
+                const wanted = config.languages.split('+');
+                const languages = wanted.filter(language => installed.includes(language));
+                if (languages.length === 0) {
+                    this.engine = { available: false, reason: `tesseract 没有安装所需的语言包（${config.languages}）` };
+                } else {
+                    const missing = wanted.filter(language => !languages.includes(language));
+                    if (missing.length > 0) {
+                        console.warn(`⚠️ tesseract 缺少语言包 ${missing.join(', ')}，对应文字的识别效果会变差`);
+                    }
+                    this.engine = { available: true, languages: languages.join('+') };
+                }
+            } catch (error) {
+                this.engine = { available: false, reason: `未安装 OCR 引擎 tesseract（${error.message}）` };
+            }
+        }
+
+        if (this.engine.available) {
+            console.log(`🔎 OCR 引擎可用，语言包: ${this.engine.languages}`);
+        } else {
+            console.warn(`⚠️ OCR 不可用: ${this.engine.reason}`);
+        }
+        return this.engine;
+    }
+
+    async requireEngine() {
+        const engine = await this.checkEngine();
+        if (!engine.available) {
+            throw Object.assign(new Error(engine.reason), { code: 'OCR_UNAVAILABLE' });
+        }
+        return engine;
+    }
+
+    /**
+     * 识别一张图片
+     * @returns {Object} parseTsv 的结果
+     */
+    async recognize(imagePath) {
+        const { languages } = await this.requireEngine();
+        const tsv = await run(config.tesseractPath, [
+            imagePath, 'stdout', '-l', languages, '--psm', String(config.pageSegmentationMode), 'tsv'
+        ]);
+        return parseTsv(tsv);
+    }
+
+    /**
+     * 识别图片文件
+     * @returns {Object} { items, view, summary }，坐标以像素为单位
+     */
+    async recognizeImage(imagePath) {
+        const result = await this.recognize(imagePath);
+        const view = [0, 0, result.width, result.height];
+        return { items: this.textItems(result, view), view, summary: this.summarize(1, result) };
+    }
+
+    /**
+     * 把 PDF 的一页转为图片后识别
+     * @param {string} pdfPath - PDF 文件路径
+     * @param {number} pageNumber - 页码，从 1 开始
+     * @param {Array} view - 页面区域 [x0, y0, x1, y1]，识别结果换算到这个坐标系
+     * @returns {Object} { items, summary }
+     */
+    async recognizePdfPage(pdfPath, pageNumber, view) {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-'));
+        try {
+            const prefix = path.join(directory, 'page');
+            await run(config.pdftoppmPath, [
+                '-f', String(pageNumber), '-l', String(pageNumber), '-r', String(config.dpi),
+                '-gray', '-png', '-singlefile', pdfPath, prefix
+            ]);
+            const result = await this.recognize(`${prefix}.png`);
+            return { items: this.textItems(result, view), summary: this.summarize(pageNumber, result) };
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * 识别结果转换为 pdf.js 格式的文本片段（y 轴向上），同一行的单词使用同一基线，字号取行高
+     */
+    textItems(result, view) {
+        if (!result.width || !result.height) return [];
+        const [x0, y0, x1, y1] = view;
+        const scale = (x1 - x0) / result.width;
+        const yScale = (y1 - y0) / result.height;
+
+        return result.lines.flatMap(line => {
+            const size = line.height * yScale;
+            const baseline = y1 - (line.top + line.height) * yScale;
+            return line.words.map(word => ({
+                str: word.text,
+                transform: [size, 0, 0, size, x0 + word.left * scale, baseline],
+                width: word.width * scale,
+                height: size
+            }));
+        });
+    }
+
+    /**
+     * 每页的识别质量：平均置信度和低置信度区域，区域位置为相对页面宽高的比例 [left, top, width, height]
+     * @returns {Object} { page, confidence, words, lowConfidenceCount, lowConfidence: [{ text, confidence, box }] }
+     */
+    summarize(pageNumber, result) {
+        const words = result.lines.flatMap(line => line.words);
+        const ratio = (value, total) => Math.round((value / (total || 1)) * 1000) / 1000;
+        const flagged = result.lines.filter(line => line.confidence !== null && line.confidence < config.lowConfidence);
+
+        return {
+            page: pageNumber,
+            confidence: weightedConfidence(words.map(word => ({ confidence: word.confidence, length: word.text.length }))),
+            words: words.length,
+            lowConfidenceCount: flagged.length,
+            lowConfidence: flagged.slice(0, config.maxFlaggedRegions).map(line => ({
+                text: line.text,
+                confidence: line.confidence,
+                box: [
+                    ratio(line.left, result.width),
+                    ratio(line.top, result.height),
+                    ratio(line.width, result.width),
+                    ratio(line.height, result.height)
+                ]
+            }))
+        };
+    }
+
+    /**
+     * 多页的平均置信度，按每页单词数加权
+     */
+    overallConfidence(pages) {
+        return weightedConfidence(pages.map(page => ({ confidence: page.confidence, length: page.words })));
+    }
+}
+
+module.exports = new OcrService();
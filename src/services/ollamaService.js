@@ -1,43 +1,38 @@
-const axios = require('axios');
+const providers = require('./providers');
+const modelRouter = require('./modelRouter');
+const { splitThinking } = require('../utils/ollamaStream');
 
 class OllamaService {
     constructor() {
-        // 从环境变量获取Ollama配置，提供默认值
-        // 使用 127.0.0.1 而不是 localhost 避免 IPv6 解析问题
-        this.baseURL = process.env.OLLAMA_BASE_URL || 'http://127.0.0.1:11434';
-        this.model = process.env.OLLAMA_MODEL || 'deepseek-r1:7b';
-        this.timeout = parseInt(process.env.OLLAMA_TIMEOUT) || 90000; // 默认90秒，获得更高质量
+        // 推理后端的地址、模型和超时在 config/llmProviders.js 中配置，
+        // 各方法的 provider 参数指定后端名称（ollama / openai / stub），缺省使用默认后端
         this.maxContentLength = parseInt(process.env.OLLAMA_MAX_CONTENT_LENGTH) || 8000; // 最大内容长度
         this.chunkSize = parseInt(process.env.OLLAMA_CHUNK_SIZE) || 2000; // 分块大小
     }
 
-    // 检查Ollama服务是否可用
-    async checkService() {
-        try {
-            const response = await axios.get(`${this.baseURL}/api/tags`, {
-                timeout: 5000
-            });
-            
-            // 检查指定模型是否存在
-            const models = response.data.models || [];
-            const modelExists = models.some(m => m.name.includes(this.model.split(':')[0]));
-            
-            return {
-                available: true,
-                models: models.map(m => m.name),
-                currentModel: this.model,
-                modelExists
-            };
-        } catch (error) {
-            console.log('Ollama服务检查失败:', error.message);
-            return {
-                available: false,
-                error: error.message,
-                models: [],
-                currentModel: this.model,
-                modelExists: false
-            };
+    // 检查推理服务是否可用
+    async checkService(providerName) {
+        const provider = providers.get(providerName);
+        const health = await provider.health();
+        const model = provider.defaultModel;
+
+        if (!health.available) {
+            console.log(`${provider.name} 服务检查失败:`, health.error);
         }
+
+        // 检查指定模型是否存在；未配置模型时使用服务端的第一个模型
+        const modelExists = model
+            ? health.models.some(m => m.includes(model.split(':')[0]))
+            : health.models.length > 0;
+
+        return {
+            available: health.available,
+            provider: provider.name,
+            error: health.error,
+            models: health.models,
+            currentModel: model || health.models[0] || null,
+            modelExists
+        };
     }
 
     // 生成题目 - 优化版本
@@ -45,25 +40,22 @@ class OllamaService {
         const {
             questionCount = 10,
             questionTypes = ['multiple-choice', 'fill-blank', 'essay'],
-            difficulty = 'medium'
+            difficulty = 'medium',
+            onQuestion = null, // 流式模式下每道题目的JSON闭合时回调
+            provider = null
         } = options;
 
         try {
             console.log(`📊 原始内容长度: ${content.length} 字符`);
             
             // 检查服务可用性
-            const serviceStatus = await this.checkService();
+            const serviceStatus = await this.checkService(provider);
             if (!serviceStatus.available) {
-                throw new Error(`Ollama服务不可用: ${serviceStatus.error}`);
+                throw new Error(`推理服务不可用: ${serviceStatus.error}`);
             }
 
-            if (!serviceStatus.modelExists) {
-                console.warn(`模型 ${this.model} 不存在，使用可用的第一个模型`);
-                if (serviceStatus.models.length > 0) {
-                    this.model = serviceStatus.models[0];
-                } else {
-                    throw new Error('没有可用的模型');
-                }
+            if (serviceStatus.models.length === 0) {
+                throw new Error('没有可用的模型');
             }
 
             // 直接使用原始内容，让AI模型自行处理和提取信息
@@ -81,20 +73,19 @@ class OllamaService {
             
             // 调用Ollama API with retry logic
             const response = await this.callOllamaWithRetry({
-                model: this.model,
+                provider: provider,
+                task: 'question_generation',
                 prompt: prompt,
-                stream: false,
                 options: {
-                    temperature: 0.7,
-                    top_p: 0.9,
-                    max_tokens: 4000,
-                    num_predict: 2000 // 限制生成长度
+                    num_predict: 2000 // 限制生成长度，采样参数见 gpu-config.json 的任务预设
                 }
-            });
+            }, 2, { onQuestion });
 
-            // 解析响应
+            // 解析响应：流式模式已逐题解析，输出被截断时保留已完成的题目
             const generatedText = response.data.response;
-            const questions = this.parseQuestions(generatedText);
+            const questions = response.data.questions && response.data.questions.length > 0
+                ? response.data.questions
+                : this.parseQuestions(generatedText).map(question => this.tagQuestion(question, response.data));
             
             // 验证和补充题目
             return this.validateAndEnhanceQuestions(questions, questionCount);
@@ -107,7 +98,7 @@ class OllamaService {
                 console.log('⏰ 请求超时，尝试使用简化内容重新生成');
                 try {
                     const simplifiedContent = this.simplifyContent(content, 1000);
-                    return await this.generateQuestionsWithSimplifiedContent(simplifiedContent, questionCount, questionTypes, difficulty);
+                    return await this.generateQuestionsWithSimplifiedContent(simplifiedContent, questionCount, questionTypes, difficulty, provider);
                 } catch (retryError) {
                     console.log('🔄 简化重试也失败，使用备用方案');
                 }
@@ -141,62 +132,124 @@ class OllamaService {
 
 
     // 使用简化内容生成题目
-    async generateQuestionsWithSimplifiedContent(content, questionCount, questionTypes, difficulty) {
+    async generateQuestionsWithSimplifiedContent(content, questionCount, questionTypes, difficulty, provider = null) {
         console.log('🔄 使用简化内容重新生成题目');
         
         const prompt = this.buildSimplifiedPrompt(content, questionCount, questionTypes, difficulty);
         
         const response = await this.callOllamaWithRetry({
-            model: this.model,
+            provider: provider,
+            task: 'question_generation',
             prompt: prompt,
-            stream: false,
             options: {
-                temperature: 0.8,
-                top_p: 0.9,
-                max_tokens: 1500,
                 num_predict: 800
             }
         });
         
         const generatedText = response.data.response;
-        const questions = this.parseQuestions(generatedText);
+        const questions = this.parseQuestions(generatedText).map(question => this.tagQuestion(question, response.data));
         
         return this.validateAndEnhanceQuestions(questions, questionCount);
     }
 
-    // 带重试的Ollama调用
-    async callOllamaWithRetry(requestData, maxRetries = 2) {
+    // 带重试的模型调用
+    // requestData: { provider, model, task, prompt, system, options, stream }，provider/model 缺省时使用默认后端及其默认模型
+    // task 为任务名称（见 gpu-config.json 的 routing 和 presets），Ollama 按任务选择模型和推理参数，失败或模型未安装时切换到备用模型
+    // options 只需指定本次调用特有的参数（如 num_predict），与 gpu-config.json 的配置合并后发送
+    // 返回 { data: { response, thinking, questions, model, provider } }，response 已去除 <think> 推理内容，题目带有生成模型
+    // handlers: { onToken, onThinking, onQuestion } 仅在流式模式下回调
+    async callOllamaWithRetry(requestData, maxRetries = 2, handlers = {}) {
+        const { provider: providerName, ...request } = requestData;
+        const task = request.task;
+        const provider = providers.get(providerName);
+        const models = await modelRouter.plan(provider, task, request.model);
         let lastError;
+        let emitted = 0;
         
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                console.log(`🔄 第 ${attempt} 次尝试调用Ollama API`);
-                
-                const response = await axios.post(`${this.baseURL}/api/generate`, requestData, {
-                    timeout: this.timeout,
-                    headers: {
-                        'Content-Type': 'application/json'
+        for (let modelIndex = 0; modelIndex < models.length; modelIndex++) {
+            const model = models[modelIndex];
+            const modelRequest = model ? { ...request, model } : request;
+
+            for (let attempt = 1; attempt <= maxRetries; attempt++) {
+                const attemptHandlers = {
+                    ...handlers,
+                    onQuestion: handlers.onQuestion ? (question) => {
+                        emitted++;
+                        handlers.onQuestion(this.tagQuestion(question, { model: model || provider.defaultModel, provider: provider.name }));
+                    } : null
+                };
+
+                try {
+                    console.log(`🔄 第 ${attempt} 次尝试调用 ${provider.name}${model ? ` (${model})` : ''}${provider.shouldStream(request) ? '（流式）' : ''}`);
+                    
+                    const result = await provider.generate(modelRequest, attemptHandlers);
+                    result.questions = (result.questions || []).map(question => this.tagQuestion(question, result));
+                    result.task = task || null;
+                    result.fallback = modelIndex > 0;
+                    modelRouter.recordSuccess(provider.name, result.model, task);
+                    
+                    console.log(`✅ ${provider.name} 调用成功`);
+                    return { data: result };
+                    
+                } catch (error) {
+                    lastError = error;
+                    console.warn(`⚠️ 第 ${attempt} 次尝试失败:`, error.message);
+                    
+                    // 已经推送过题目时不再重试，避免重复推送；模型不存在时直接切换模型
+                    if (emitted > 0 || modelRouter.isMissingModel(error)) break;
+                    if (attempt < maxRetries) {
+                        const delay = attempt * 2000; // 递增延迟
+                        console.log(`⏳ 等待 ${delay}ms 后重试`);
+                        await new Promise(resolve => setTimeout(resolve, delay));
                     }
-                });
-                
-                console.log('✅ Ollama API调用成功');
-                return response;
-                
-            } catch (error) {
-                lastError = error;
-                console.warn(`⚠️ 第 ${attempt} 次尝试失败:`, error.message);
-                
-                if (attempt < maxRetries) {
-                    const delay = attempt * 2000; // 递增延迟
-                    console.log(`⏳ 等待 ${delay}ms 后重试`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
                 }
             }
+
+            modelRouter.recordFailure(provider.name, model, task, lastError);
+            if (emitted > 0) break;
+            if (modelIndex < models.length - 1) {
+                console.warn(`🔀 模型 ${model} 不可用，切换到备用模型 ${models[modelIndex + 1]}`);
+            }
         }
         
         throw lastError;
     }
 
+    // 任务当前会使用的模型
+    async resolveModel(providerName, task) {
+        return modelRouter.resolve(providers.get(providerName), task);
+    }
+
+    // 记录题目由哪个后端和模型生成
+    tagQuestion(question, { model, provider }) {
+        return { ...question, model: model || null, provider: provider || null };
+    }
+
+    /**
+     * 通用文本生成
+     * @param {string} prompt - 提示词
+     * @param {Object} options - { provider, model, task, ...Ollama options }，未指定的参数使用 gpu-config.json 中任务的预设
+     * @returns {Object} { content, thinking, model, provider }
+     */
+    async generateResponse(prompt, options = {}) {
+        const { provider, model, task, ...generationOptions } = options;
+        const response = await this.callOllamaWithRetry({
+            provider: provider,
+            model: model,
+            task: task,
+            prompt: prompt,
+            stream: false,
+            options: generationOptions
+        }, 1);
+
+        return {
+            content: response.data.response,
+            thinking: response.data.thinking,
+            model: response.data.model,
+            provider: response.data.provider
+        };
+    }
+
     // 构建优化的提示词
     buildOptimizedPrompt(content, questionCount, questionTypes, difficulty) {
         const typeDescriptions = {
@@ -303,8 +356,8 @@ ${content}
     // 解析生成的题目
     parseQuestions(generatedText) {
         try {
-            // 尝试提取JSON部分
-            let jsonText = generatedText.trim();
+            // 尝试提取JSON部分，忽略 <think> 推理内容
+            let jsonText = splitThinking(generatedText).answer;
             
             // 如果包含代码块标记，提取其中的内容
             const jsonMatch = jsonText.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/);
@@ -445,7 +498,8 @@ ${content}
     }
 
     // 批改问答题（使用AI）
-    async gradeEssayQuestion(question, userAnswer, referenceAnswer) {
+    // options: { provider, onToken, onThinking }，流式模式下实时回调评语
+    async gradeEssayQuestion(question, userAnswer, referenceAnswer, options = {}) {
         try {
             const prompt = `请作为一名专业教师，批改以下问答题：
 
@@ -467,19 +521,19 @@ ${content}
   "improvements": ["改进建议1", "改进建议2"]
 }`;
 
-            const response = await axios.post(`${this.baseURL}/api/generate`, {
-                model: this.model,
+            const response = await this.callOllamaWithRetry({
+                provider: options.provider,
+                task: 'grading',
                 prompt: prompt,
-                stream: false,
                 options: {
-                    temperature: 0.3,
-                    max_tokens: 1000
+                    num_predict: 1000
                 }
-            }, {
-                timeout: this.timeout
-            });
+            }, 1, { onToken: options.onToken, onThinking: options.onThinking });
 
-            const result = JSON.parse(response.data.response);
+            // 回答中可能带有说明文字，只取评分JSON
+            const jsonMatch = response.data.response.match(/\{[\s\S]*\}/);
+            const result = JSON.parse(jsonMatch ? jsonMatch[0] : response.data.response);
+            result.model = response.data.model;
             return result;
         } catch (error) {
             console.error('AI批改失败:', error.message);
@@ -492,6 +546,114 @@ ${content}
             };
         }
     }
+
+    /**
+     * 为选择题生成干扰项（轻量任务，Ollama 使用 light 模型）
+     * @param {Object} question - 选择题 { question, options, correctAnswer }
+     * @param {number} count - 需要的干扰项数量
+     * @param {Object} options - { provider }
+     * @returns {Object} { distractors, model }，生成失败时 distractors 为空数组
+     */
+    async generateDistractors(question, count, options = {}) {
+        const existing = Array.isArray(question.options) ? question.options : [];
+        const correct = typeof question.correctAnswer === 'number' ? existing[question.correctAnswer] : question.correctAnswer;
+        const prompt = `请为以下选择题补充${count}个干扰项：
+
+题目：${question.question}
+正确答案：${correct}
+已有选项：${existing.join('；')}
+
+要求：
+1. 干扰项与正确答案属于同一类别，有一定迷惑性但明确错误
+2. 不要与已有选项重复
+
+请按以下JSON格式输出：
+{
+  "distractors": ["干扰项1", "干扰项2"]
+}`;
+
+        try {
+            const response = await this.callOllamaWithRetry({
+                provider: options.provider,
+                task: 'distractors',
+                prompt: prompt,
+                stream: false,
+                options: {
+                    num_predict: 300
+                }
+            }, 1);
+
+            const jsonMatch = response.data.response.match(/\{[\s\S]*\}/);
+            const parsed = JSON.parse(jsonMatch ? jsonMatch[0] : response.data.response);
+            const distractors = (parsed.distractors || [])
+                .filter(item => typeof item === 'string' && item.trim() && !existing.includes(item.trim()))
+                .map(item => item.trim())
+                .slice(0, count);
+
+            return { distractors, model: response.data.model };
+        } catch (error) {
+            console.warn('干扰项生成失败:', error.message);
+            return { distractors: [], model: null };
+        }
+    }
+
+    /**
+     * 不给出答案让模型重新作答，用于校验生成的题目（Ollama 按 verification 任务路由到另一个模型）
+     * @param {Object} question - 统一格式的题目
+     * @param {Object} options - { provider }
+     * @returns {Object} { answer, otherCorrect, answerInStem, confidence, reason, model }
+     *   选择题的 answer/otherCorrect 为选项字母，判断题为 true/false，填空题为各空答案数组；回答无法解析或没有答案时抛出错误
+     */
+    async solveQuestion(question, options = {}) {
+        const labels = question.options.map((option, index) => `${String.fromCharCode(65 + index)}. ${option}`);
+        const instructions = {
+            'multiple-choice': '单项选择题，answer 填一个选项字母',
+            'multi-select': '多项选择题，answer 填所有正确选项字母的数组',
+            'true-false': '判断题，answer 填 true 或 false',
+            'fill-blank': `填空题，共${(question.blanks || []).length || 1}个空，answer 填各空答案的数组`
+        };
+        const prompt = `请独立作答下面的题目，并检查题目本身是否有问题。
+
+题型：${instructions[question.type] || question.type}
+题目：${question.question}
+${labels.length > 0 ? `选项：\n${labels.join('\n')}\n` : ''}
+请按以下JSON格式输出：
+{
+  "answer": "你的答案",
+  "otherCorrect": ["除你的答案外，同样可以认为正确的选项字母，没有则为空数组"],
+  "answerInStem": false,
+  "confidence": 0.9,
+  "reason": "简要说明"
+}
+answerInStem 表示题干是否直接给出或明显暗示了答案，confidence 为你对答案的把握（0-1）。`;
+
+        const response = await this.callOllamaWithRetry({
+            provider: options.provider,
+            task: 'verification',
+            prompt: prompt,
+            stream: false,
+            options: {
+                num_predict: 400
+            }
+        }, 1);
+
+        const jsonMatch = response.data.response.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            throw new Error('校验模型未返回JSON');
+        }
+        const parsed = JSON.parse(jsonMatch[0]);
+        if (parsed.answer === undefined || parsed.answer === null) {
+            throw new Error('校验模型未给出答案');
+        }
+        return {
+            answer: parsed.answer,
+            otherCorrect: Array.isArray(parsed.otherCorrect) ? parsed.otherCorrect : [],
+            answerInStem: parsed.answerInStem === true,
+            confidence: typeof parsed.confidence === 'number' ? Math.min(1, Math.max(0, parsed.confidence)) : null,
+            reason: typeof parsed.reason === 'string' ? parsed.reason : '',
+            model: response.data.model
+        };
+    }
 }
 
 module.exports = new OllamaService();
\ No newline at end of file
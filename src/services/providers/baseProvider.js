@@ -0,0 +1,155 @@
+// 推理后端基类
+// 各后端实现 listModels、health、generate，统一返回 { response, thinking, questions, model, provider }
+const { StringDecoder } = require('string_decoder');
+const { StreamCollector } = require('../../utils/ollamaStream');
+
+class BaseProvider {
+    /**
+     * @param {string} name - 后端名称
+     * @param {Object} config - config/llmProviders.js 中对应的配置
+     */
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = config;
+        this.defaultModel = config.model || '';
+        this.timeout = config.timeout || 90000;
+        this.streaming = config.stream !== false;
+        this.streamIdleTimeout = config.streamIdleTimeout || 30000;
+    }
+
+    /**
+     * 可用模型名称列表
+     * @returns {Array<string>}
+     */
+    async listModels() {
+        throw new Error(`${this.name} 未实现模型列表`);
+    }
+
+    /**
+     * 健康检查
+     * @returns {Object} { available, latency, models, error }
+     */
+    async health() {
+        const startTime = Date.now();
+        try {
+            const models = await this.listModels();
+            return {
+                available: true,
+                latency: Date.now() - startTime,
+                models: models
+            };
+        } catch (error) {
+            return {
+                available: false,
+                latency: Date.now() - startTime,
+                models: [],
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * 后端支持的功能
+     */
+    capabilities() {
+        return {
+            streaming: false,
+            thinking: false,
+            modelListing: true
+        };
+    }
+
+    /**
+     * 模型的上下文长度和最大输出长度（token）
+     * @param {string} model - 模型名称，缺省为默认模型
+     */
+    tokenLimits(model = this.defaultModel) {
+        return {
+            model: model,
+            contextWindow: this.config.contextWindow || 4096,
+            maxOutputTokens: this.config.maxOutputTokens || 2048
+        };
+    }
+
+    /**
+     * 生成回答
+     * @param {Object} request - { model, task, prompt, system, options, stream }，options 沿用Ollama参数名，task 用于选择 gpu-config.json 中的参数预设
+     * @param {Object} handlers - { onToken, onThinking, onQuestion } 仅在流式模式下逐步回调
+     * @returns {Object} { response, thinking, questions, incomplete, error, model, provider, usage }
+     */
+    async generate(request, handlers = {}) {
+        throw new Error(`${this.name} 未实现文本生成`);
+    }
+
+    // 请求未指定stream时使用后端配置
+    shouldStream(request) {
+        return request.stream !== undefined ? request.stream : this.streaming;
+    }
+
+    // 最大输出长度，不超过模型限制
+    maxOutputTokens(request, model) {
+        const options = request.options || {};
+        const requested = options.num_predict || options.max_tokens;
+        const limit = this.tokenLimits(model).maxOutputTokens;
+        return requested > 0 ? Math.min(requested, limit) : limit; // Ollama 的 -1/-2 表示不限制
+    }
+
+    /**
+     * 逐行读取流式响应
+     * 超过 streamIdleTimeout 没有新数据时中止；中途出错时已经解析出题目则返回已完成部分（incomplete 为 true）
+     * @param {Stream} stream - axios 的响应流
+     * @param {Function} onLine - 处理一行数据，返回 false 表示流已结束
+     * @param {StreamCollector} collector - 汇总回答
+     * @returns {Object} { incomplete, error }
+     */
+    async readLines(stream, onLine, collector) {
+        let idleTimer = null;
+        const resetIdleTimer = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                stream.destroy(new Error(`${this.name} 流式响应超过 ${this.streamIdleTimeout}ms 没有新内容`));
+            }, this.streamIdleTimeout);
+        };
+
+        // 多字节字符（如中文）可能被拆到两个数据块中，由 StringDecoder 拼接后再解码
+        const decoder = new StringDecoder('utf8');
+        let buffer = '';
+        try {
+            resetIdleTimer();
+            reading: for await (const chunk of stream) {
+                resetIdleTimer();
+                buffer += decoder.write(chunk);
+                let newline;
+                while ((newline = buffer.indexOf('\n')) !== -1) {
+                    const line = buffer.slice(0, newline).trim();
+                    buffer = buffer.slice(newline + 1);
+                    if (line && onLine(line) === false) break reading;
+                }
+            }
+            buffer += decoder.end();
+            if (buffer.trim()) onLine(buffer.trim());
+            collector.finish();
+            return { incomplete: false };
+        } catch (error) {
+            if (collector.questions.length === 0) {
+                throw error;
+            }
+            console.warn(`⚠️ 流式响应中断，保留已生成的 ${collector.questions.length} 道题目:`, error.message);
+            return { incomplete: true, error: error.message };
+        } finally {
+            clearTimeout(idleTimer);
+            stream.destroy();
+        }
+    }
+
+    // 非流式响应也按相同方式拆分推理内容和题目，但不触发回调
+    collectText(text, thinking = '') {
+        const collector = new StreamCollector();
+        collector.pushThinking(thinking);
+        collector.push(text || '');
+        collector.finish();
+        return collector.result();
+    }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,73 @@
+// 推理后端注册表
+// 默认后端由 config/llmProviders.js 的 defaultProvider（环境变量 LLM_PROVIDER）决定，请求可以按名称指定后端
+const config = require('../../../config/llmProviders');
+const OllamaProvider = require('./ollamaProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const StubProvider = require('./stubProvider');
+
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.defaultName = config.defaultProvider;
+
+        this.register(new OllamaProvider(config.providers.ollama));
+        this.register(new OpenAICompatibleProvider(config.providers.openai));
+        this.register(new StubProvider(config.providers.stub));
+
+        if (!this.providers.has(this.defaultName)) {
+            console.warn(`未知的推理后端 ${this.defaultName}，使用 ollama`);
+            this.defaultName = 'ollama';
+        }
+    }
+
+    register(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    has(name) {
+        return this.providers.has(name);
+    }
+
+    names() {
+        return Array.from(this.providers.keys());
+    }
+
+    /**
+     * 按名称获取后端，未指定时返回默认后端
+     * @param {string} name - 后端名称
+     */
+    get(name) {
+        if (!name) {
+            return this.providers.get(this.defaultName);
+        }
+        const provider = this.providers.get(name);
+        if (!provider) {
+            throw Object.assign(new Error(`未知的推理后端: ${name}`), { code: 'UNKNOWN_PROVIDER' });
+        }
+        return provider;
+    }
+
+    /**
+     * 所有后端的状态、功能和模型限制
+     */
+    async describe() {
+        return Promise.all(this.names().map(async name => {
+            const provider = this.providers.get(name);
+            const health = await provider.health();
+            const model = provider.defaultModel || health.models[0] || '';
+            return {
+                name: name,
+                default: name === this.defaultName,
+                available: health.available,
+                latency: health.latency,
+                error: health.error,
+                models: health.models,
+                defaultModel: model,
+                capabilities: provider.capabilities(),
+                tokenLimits: provider.tokenLimits(model)
+            };
+        }));
+    }
+}
+
+module.exports = new ProviderRegistry();
@@ -0,0 +1,109 @@
+// Ollama 后端：/api/tags 列出模型，/api/generate 生成（NDJSON流）
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+const { StreamCollector } = require('../../utils/ollamaStream');
+const gpuConfigService = require('../gpuConfigService');
+
+class OllamaProvider extends BaseProvider {
+    constructor(config) {
+        super('ollama', config);
+        this.baseURL = config.baseURL;
+        this.applyConfig(gpuConfigService.get());
+        gpuConfigService.on('change', updated => this.applyConfig(updated));
+    }
+
+    // 默认模型和生成超时跟随 gpu-config.json
+    applyConfig(gpuConfig) {
+        this.defaultModel = gpuConfig.models.primary;
+        this.timeout = gpuConfig.timeout.generation;
+    }
+
+    async listModels() {
+        const response = await axios.get(`${this.baseURL}/api/tags`, {
+            timeout: 5000
+        });
+        return (response.data.models || []).map(m => m.name);
+    }
+
+    capabilities() {
+        return {
+            streaming: true,
+            thinking: true, // deepseek-r1 等模型输出 <think> 推理内容
+            modelListing: true
+        };
+    }
+
+    // 上下文长度取 gpu-config.json 中生效的 num_ctx
+    tokenLimits(model = this.defaultModel) {
+        const limits = super.tokenLimits(model);
+        limits.contextWindow = gpuConfigService.optionsFor(null).num_ctx || limits.contextWindow;
+        return limits;
+    }
+
+    async generate(request, handlers = {}) {
+        const model = request.model || this.defaultModel;
+        const body = {
+            model: model,
+            prompt: request.prompt,
+            options: gpuConfigService.optionsFor(request.task, request.options)
+        };
+        if (request.system) body.system = request.system;
+
+        if (!this.shouldStream(request)) {
+            const response = await axios.post(`${this.baseURL}/api/generate`, { ...body, stream: false }, {
+                timeout: this.timeout,
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            });
+            return {
+                ...this.collectText(response.data.response, response.data.thinking),
+                incomplete: false,
+                model: model,
+                provider: this.name,
+                usage: this.usage(response.data)
+            };
+        }
+
+        const response = await axios.post(`${this.baseURL}/api/generate`, { ...body, stream: true }, {
+            timeout: this.timeout,
+            responseType: 'stream',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+
+        const collector = new StreamCollector(handlers);
+        let usage = null;
+        const status = await this.readLines(response.data, line => {
+            const data = JSON.parse(line);
+            if (data.error) {
+                throw new Error(`Ollama错误: ${data.error}`);
+            }
+            // 新版Ollama开启think时推理内容单独放在thinking字段
+            collector.pushThinking(data.thinking);
+            collector.push(data.response);
+            if (data.done) {
+                usage = this.usage(data);
+                return false;
+            }
+        }, collector);
+
+        return {
+            ...collector.result(),
+            ...status,
+            model: model,
+            provider: this.name,
+            usage: usage
+        };
+    }
+
+    usage(data) {
+        return {
+            promptTokens: data.prompt_eval_count || 0,
+            completionTokens: data.eval_count || 0
+        };
+    }
+}
+
+module.exports = OllamaProvider;
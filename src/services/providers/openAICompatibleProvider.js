@@ -0,0 +1,146 @@
+// 兼容OpenAI接口的后端：/models 列出模型，/chat/completions 生成（SSE流）
+// 适用于 llama.cpp server、vLLM、LM Studio 等本地推理服务
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+const { StreamCollector } = require('../../utils/ollamaStream');
+const gpuConfigService = require('../gpuConfigService');
+
+class OpenAICompatibleProvider extends BaseProvider {
+    constructor(config) {
+        super('openai', config);
+        this.baseURL = config.baseURL.replace(/\/+$/, '');
+        this.apiKey = config.apiKey;
+        this.contextWindows = {}; // 服务端返回的各模型上下文长度
+    }
+
+    headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    async listModels() {
+        const response = await axios.get(`${this.baseURL}/models`, {
+            timeout: 5000,
+            headers: this.headers()
+        });
+
+        const models = response.data.data || [];
+        models.forEach(m => {
+            // vLLM 返回 max_model_len，llama.cpp server 返回 meta.n_ctx_train
+            const contextWindow = m.max_model_len || m.context_length || (m.meta && m.meta.n_ctx_train);
+            if (contextWindow) {
+                this.contextWindows[m.id] = contextWindow;
+            }
+        });
+        return models.map(m => m.id);
+    }
+
+    capabilities() {
+        return {
+            streaming: true,
+            thinking: true, // 支持 reasoning_content 字段和 <think> 标签
+            modelListing: true
+        };
+    }
+
+    tokenLimits(model = this.defaultModel) {
+        const limits = super.tokenLimits(model);
+        if (this.contextWindows[model]) {
+            limits.contextWindow = this.contextWindows[model];
+        }
+        return limits;
+    }
+
+    // 未配置模型时使用服务端的第一个模型
+    async resolveModel(requested) {
+        if (requested) return requested;
+        if (this.defaultModel) return this.defaultModel;
+
+        const models = await this.listModels();
+        if (models.length === 0) {
+            throw new Error('推理服务没有可用的模型');
+        }
+        this.defaultModel = models[0];
+        return this.defaultModel;
+    }
+
+    async generate(request, handlers = {}) {
+        const model = await this.resolveModel(request.model);
+        // 采样参数与Ollama共用 gpu-config.json 的任务预设
+        const options = gpuConfigService.optionsFor(request.task, request.options);
+        const messages = [];
+        if (request.system) {
+            messages.push({ role: 'system', content: request.system });
+        }
+        messages.push({ role: 'user', content: request.prompt });
+
+        const body = {
+            model: model,
+            messages: messages,
+            max_tokens: this.maxOutputTokens({ ...request, options }, model)
+        };
+        if (options.temperature !== undefined) body.temperature = options.temperature;
+        if (options.top_p !== undefined) body.top_p = options.top_p;
+
+        if (!this.shouldStream(request)) {
+            const response = await axios.post(`${this.baseURL}/chat/completions`, { ...body, stream: false }, {
+                timeout: this.timeout,
+                headers: this.headers()
+            });
+            const message = (response.data.choices && response.data.choices[0] && response.data.choices[0].message) || {};
+            return {
+                ...this.collectText(message.content, message.reasoning_content),
+                incomplete: false,
+                model: model,
+                provider: this.name,
+                usage: this.usage(response.data.usage)
+            };
+        }
+
+        const response = await axios.post(`${this.baseURL}/chat/completions`, { ...body, stream: true }, {
+            timeout: this.timeout,
+            responseType: 'stream',
+            headers: this.headers()
+        });
+
+        const collector = new StreamCollector(handlers);
+        let usage = null;
+        const status = await this.readLines(response.data, line => {
+            if (!line.startsWith('data:')) return;
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') return false;
+
+            const data = JSON.parse(payload);
+            if (data.error) {
+                throw new Error(`推理服务错误: ${data.error.message || data.error}`);
+            }
+            if (data.usage) {
+                usage = this.usage(data.usage);
+            }
+            const delta = (data.choices && data.choices[0] && data.choices[0].delta) || {};
+            collector.pushThinking(delta.reasoning_content || delta.reasoning);
+            collector.push(delta.content);
+        }, collector);
+
+        return {
+            ...collector.result(),
+            ...status,
+            model: model,
+            provider: this.name,
+            usage: usage
+        };
+    }
+
+    usage(data) {
+        if (!data) return null;
+        return {
+            promptTokens: data.prompt_tokens || 0,
+            completionTokens: data.completion_tokens || 0
+        };
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,143 @@
+// 确定性的本地桩后端：不调用任何推理服务，根据提示词的哈希生成固定结果
+// 用于开发、演示和没有GPU的环境；相同提示词总是得到相同的题目
+const crypto = require('crypto');
+const BaseProvider = require('./baseProvider');
+const { StreamCollector } = require('../../utils/ollamaStream');
+
+const TOKEN_SIZE = 16; // 流式模式下每次回调的字符数
+
+class StubProvider extends BaseProvider {
+    constructor(config) {
+        super('stub', config);
+    }
+
+    async listModels() {
+        return [this.defaultModel];
+    }
+
+    capabilities() {
+        return {
+            streaming: true,
+            thinking: false,
+            modelListing: true
+        };
+    }
+
+    async generate(request, handlers = {}) {
+        const model = request.model || this.defaultModel;
+        const text = this.respond(request.prompt || '');
+        const collector = new StreamCollector(this.shouldStream(request) ? handlers : {});
+
+        for (let i = 0; i < text.length; i += TOKEN_SIZE) {
+            collector.push(text.slice(i, i + TOKEN_SIZE));
+        }
+        collector.finish();
+
+        return {
+            ...collector.result(),
+            incomplete: false,
+            model: model,
+            provider: this.name,
+            usage: {
+                promptTokens: Math.ceil((request.prompt || '').length / 2),
+                completionTokens: Math.ceil(text.length / 2)
+            }
+        };
+    }
+
+    /**
+     * 按提示词类型构造回答：批改请求返回评分，干扰项请求返回干扰项，出题请求返回题目JSON，其他返回摘要文本
+     */
+    respond(prompt) {
+        const seed = crypto.createHash('md5').update(prompt).digest();
+        const terms = this.extractTerms(prompt);
+
+        if (/"score"/.test(prompt)) {
+            return JSON.stringify({
+                score: 60 + (seed[0] % 41),
+                feedback: '回答覆盖了部分要点，建议结合材料补充关键概念的解释。',
+                strengths: ['回答切题'],
+                improvements: ['补充关键概念', '完善论证过程']
+            }, null, 2);
+        }
+
+        if (/"distractors"/.test(prompt)) {
+            return JSON.stringify({ distractors: terms.slice(0, 4) }, null, 2);
+        }
+
+        const countMatch = prompt.match(/生成(\d+|一)道/);
+        if (countMatch) {
+            // “生成一道”的单题提示词要求直接输出题目对象，其余输出 { questions: [...] }
+            const single = countMatch[1] === '一';
+            const count = single ? 1 : Math.min(parseInt(countMatch[1]) || 1, 20);
+            const types = this.detectTypes(prompt);
+            const questions = [];
+            for (let i = 0; i < count; i++) {
+                questions.push(this.buildQuestion(types[i % types.length], terms, seed, i));
+            }
+            return JSON.stringify(single ? questions[0] : { questions }, null, 2);
+        }
+
+        return `学习材料主要涉及：${terms.slice(0, 5).join('、')}。`;
+    }
+
+    detectTypes(prompt) {
+        const types = [];
+        if (/选择题/.test(prompt)) types.push('multiple-choice');
+        if (/填空题/.test(prompt)) types.push('fill-blank');
+        if (/问答题|简答题/.test(prompt)) types.push('essay');
+        return types.length > 0 ? types : ['multiple-choice'];
+    }
+
+    // 提示词中出现的词语，用作题目中的概念；按出现次数排序，材料中反复出现的词优先于提示词模板中的词
+    extractTerms(prompt) {
+        const words = prompt.match(/[一-龥]{2,6}|[A-Za-z][A-Za-z0-9-]{3,}/g) || [];
+        const counts = new Map();
+        words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+        const ranked = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a)).slice(0, 12);
+        const fallback = ['核心概念', '基本原理', '实际应用', '研究方法', '发展历程'].filter(term => !counts.has(term));
+        return ranked.length >= 5 ? ranked : ranked.concat(fallback);
+    }
+
+    buildQuestion(type, terms, seed, index) {
+        // 连续取词，保证同一道题中的概念互不相同
+        const base = seed[index % seed.length] + index;
+        const pick = offset => terms[(base + offset) % terms.length];
+        const term = pick(0);
+
+        if (type === 'fill-blank') {
+            return {
+                type: 'fill-blank',
+                question: `材料中与“${pick(1)}”密切相关的概念是______。`,
+                answer: term,
+                correctAnswer: term,
+                explanation: `根据材料，“${pick(1)}”与“${term}”直接相关。`,
+                knowledgePoints: [term]
+            };
+        }
+        if (type === 'essay') {
+            return {
+                type: 'essay',
+                question: `请结合材料说明“${term}”的含义及其作用。`,
+                sampleAnswer: `“${term}”是材料讨论的重点之一，应结合“${pick(1)}”和“${pick(2)}”说明其含义和作用。`,
+                keyPoints: [term, pick(1)],
+                explanation: '回答应覆盖定义、作用和实例。',
+                knowledgePoints: [term]
+            };
+        }
+
+        const options = [term, pick(2), pick(3), pick(4)];
+        const correctAnswer = seed[index % seed.length] % 4;
+        [options[0], options[correctAnswer]] = [options[correctAnswer], options[0]];
+        return {
+            type: 'multiple-choice',
+            question: `根据材料，下列哪一项与“${pick(1)}”关系最密切？`,
+            options: options,
+            correctAnswer: correctAnswer,
+            explanation: `材料中该要点围绕“${term}”展开。`,
+            knowledgePoints: [term]
+        };
+    }
+}
+
+module.exports = StubProvider;
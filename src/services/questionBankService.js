@@ -0,0 +1,307 @@
+// 题库服务 - 将生成的题目持久化到questions表
+const crypto = require('crypto');
+const Database = require('../database/database');
+const quizSessionService = require('./quizSessionService');
+const questionFormat = require('./generation/questionFormat');
+const questionSchema = require('./generation/questionSchema');
+const sourceGrounding = require('./generation/sourceGrounding');
+const similarityIndex = require('./generation/similarityIndex');
+const accessService = require('./accessService');
+const extractors = require('./extractors');
+
+// 模板占位和备用题库的题目不是根据材料生成的，不保存到题库
+const PLACEHOLDER_SOURCES = ['fallback', 'template', 'quick-template'];
+
+class QuestionBankService {
+    constructor() {
+        this.difficultyMap = { easy: 1, medium: 2, hard: 3 };
+    }
+
+    /**
+     * 保存生成的题目，返回带数据库ID的题目
+     * 同一材料下题型和题干相同的题目复用已有记录，保证ID稳定；未通过格式校验的题目和模板/备用题目跳过
+     * @param {number} materialId - 材料ID
+     * @param {Array} questions - 生成器返回的题目
+     * @param {Object} options - 保存选项
+     * @param {string} options.source - 生成器来源
+     * @param {number} options.difficulty - 默认难度
+     * @returns {Array} 带数据库ID的统一格式题目
+     */
+    async saveQuestions(materialId, questions, { source = 'basic', difficulty = 1 } = {}) {
+        const saved = [];
+        const seen = new Set();
+
+        for (const raw of questions || []) {
+            if (!raw || !raw.question || !raw.type) continue;
+            if (PLACEHOLDER_SOURCES.includes(raw.generated) || PLACEHOLDER_SOURCES.includes(raw.source)) continue;
+
+            try {
+                const question = questionFormat.toCanonical(raw, { difficulty, source });
+                const errors = questionSchema.validate(question);
+                if (errors.length > 0) {
+                    console.warn(`⚠️ 跳过格式不正确的题目「${question.question.substring(0, 30)}」:`, questionSchema.formatErrors(errors));
+                    continue;
+                }
+
+                const record = this.toRecord(materialId, question, { source, difficulty });
+                // 同一批次内的重复题目只保留一道
+                if (seen.has(record.question_id)) continue;
+                seen.add(record.question_id);
+
+                const existing = await Database.get(
+                    'SELECT id FROM questions WHERE material_id = ? AND question_id = ?',
+                    [materialId, record.question_id]
+                );
+
+                let id;
+                if (existing) {
+                    id = existing.id;
+                } else {
+                    const result = await Database.insert(
+                        `INSERT INTO questions (material_id, question_type, question_text, options, correct_answer,
+                                                explanation, difficulty, knowledge_points, question_id, source,
+                                                enhanced, related_concepts, sample_answer, key_points,
+                                                scoring_criteria, acceptable_answers, quality_score, model, provider,
+                                                blanks, schema_version, quality_reason, source_chunk, source_start,
+                                                source_end, source_quote, source_method, similarity_signature,
+                                                similarity_version)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [
+                            record.material_id, record.question_type, record.question_text, record.options,
+                            record.correct_answer, record.explanation, record.difficulty, record.knowledge_points,
+                            record.question_id, record.source, record.enhanced, record.related_concepts,
+                            record.sample_answer, record.key_points, record.scoring_criteria,
+                            record.acceptable_answers, record.quality_score, record.model, record.provider,
+                            record.blanks, record.schema_version, record.quality_reason, record.source_chunk,
+                            record.source_start, record.source_end, record.source_quote, record.source_method,
+                            record.similarity_signature, record.similarity_version
+                        ]
+                    );
+                    id = result.id;
+                }
+
+                saved.push({
+                    ...question,
+                    id: id,
+                    materialId: materialId,
+                    difficulty: record.difficulty,
+                    source: record.source
+                });
+            } catch (error) {
+                console.error('保存题目失败:', error.message);
+            }
+        }
+
+        console.log(`💾 材料 ${materialId} 保存题目 ${saved.length}/${(questions || []).length} 道 (来源: ${source})`);
+        return saved;
+    }
+
+    /**
+     * 导入题目：全部通过格式校验才保存，否则抛出带逐题错误的 INVALID_QUESTION 错误
+     * @param {number} materialId - 材料ID
+     * @param {Array} questions - 任意支持格式的题目，转换为统一格式后校验
+     * @param {Object} options - 同 saveQuestions，source 缺省为 import
+     * @returns {Array} 带数据库ID的统一格式题目
+     */
+    async importQuestions(materialId, questions, { source = 'import', difficulty = 2 } = {}) {
+        if (!Array.isArray(questions) || questions.length === 0) {
+            throw Object.assign(new Error('没有要导入的题目'), { statusCode: 400 });
+        }
+
+        const canonical = questions.map(raw => (raw && typeof raw === 'object' && !Array.isArray(raw)
+            ? questionFormat.toCanonical(raw, { difficulty, source })
+            : raw));
+        const { valid, errors } = questionSchema.validateAll(canonical);
+        if (!valid) {
+            throw questionSchema.createValidationError(errors);
+        }
+        return this.saveQuestions(materialId, canonical, { source, difficulty });
+    }
+
+    /**
+     * 获取题目依据的材料原文，用于答案详解展示和核查答案是否有出处
+     * @param {Object} user - 当前用户 { userId, role }，管理员可查看所有题目
+     * @param {number} questionId - 题目ID
+     * @returns {Object} 来源信息和所在段落，highlight 为摘录在段落中的位置，location 为所在的结构单元（如幻灯片）
+     */
+    async getSource(user, questionId) {
+        const id = parseInt(questionId);
+        const { missing, forbidden } = await accessService.checkQuestions(user.userId, [id]);
+        if (missing.length > 0) {
+            throw Object.assign(new Error('题目不存在'), { statusCode: 404 });
+        }
+        if (forbidden.length > 0 && user.role !== 'admin') {
+            throw Object.assign(new Error('无权查看该题目'), { statusCode: 403 });
+        }
+
+        const row = await Database.get(
+            `SELECT q.*, m.original_name as material_name, m.content_text, m.content_structure
+             FROM questions q
+             LEFT JOIN materials m ON q.material_id = m.id
+             WHERE q.id = ?`,
+            [id]
+        );
+        const { sourceRef } = this.formatQuestion(row);
+        if (!sourceRef) {
+            throw Object.assign(new Error('该题目没有记录原文来源'), { statusCode: 404 });
+        }
+        const structure = extractors.parseStructure(row.content_structure);
+
+        return {
+            questionId: row.id,
+            materialId: row.material_id,
+            materialName: row.material_name || null,
+            ...sourceRef,
+            ...sourceGrounding.extractPassage(row.content_text, sourceRef, structure ? structure.units : [])
+        };
+    }
+
+    /**
+     * 将生成器题目转换为questions表记录
+     */
+    toRecord(materialId, question, { source, difficulty }) {
+        const type = question.type;
+        const sourceRef = question.sourceRef || {};
+        const options = Array.isArray(question.options) ? question.options : [];
+        const knowledgePoints = this.toList(question.knowledgePoints || question.concept);
+
+        return {
+            material_id: materialId,
+            question_type: type,
+            question_text: question.question,
+            options: options.length > 0 ? JSON.stringify(options) : null,
+            correct_answer: this.normalizeCorrectAnswer(question, options),
+            explanation: question.explanation || null,
+            difficulty: this.normalizeDifficulty(question.difficulty, difficulty),
+            knowledge_points: knowledgePoints.length > 0 ? knowledgePoints.join(',') : null,
+            question_id: this.fingerprint(materialId, type, question.question),
+            source: [question.source, question.generated].find(value => typeof value === 'string') || source,
+            enhanced: question.enhanced ? 1 : 0,
+            related_concepts: this.toJSON(question.relatedConcepts),
+            sample_answer: question.sampleAnswer || null,
+            key_points: this.toJSON(question.keyPoints),
+            scoring_criteria: this.toJSON(question.scoringCriteria),
+            acceptable_answers: this.toJSON(question.acceptableAnswers),
+            quality_score: typeof question.qualityScore === 'number' ? question.qualityScore : 0,
+            quality_reason: question.qualityReason || null,   // 质量校验的结论
+            model: typeof question.model === 'string' ? question.model : null,       // 生成题目的模型
+            provider: typeof question.provider === 'string' ? question.provider : null,
+            blanks: question.type === 'fill-blank' ? this.toJSON(question.blanks) : null,
+            schema_version: question.schemaVersion || questionSchema.SCHEMA_VERSION,
+            // 题目依据的材料原文，位置对应 materials.content_text
+            source_chunk: sourceRef.chunkIndex ?? null,
+            source_start: sourceRef.start ?? null,
+            source_end: sourceRef.end ?? null,
+            source_quote: sourceRef.quote || null,
+            source_method: sourceRef.method || null,
+            similarity_signature: similarityIndex.encode(similarityIndex.signature(question)),
+            similarity_version: similarityIndex.SIGNATURE_VERSION
+        };
+    }
+
+    /**
+     * 将questions表记录转换为统一格式的题目（见 generation/questionFormat）
+     * @param {Object} row - questions表记录
+     * @returns {Object} 题目
+     */
+    formatQuestion(row) {
+        const question = questionFormat.toCanonical({
+            id: row.id,
+            type: row.question_type,
+            question: row.question_text,
+            options: quizSessionService.parseJSON(row.options, []),
+            correctAnswer: row.correct_answer,
+            sampleAnswer: row.sample_answer,
+            blanks: quizSessionService.parseJSON(row.blanks, null),
+            acceptableAnswers: quizSessionService.parseJSON(row.acceptable_answers, []),
+            keyPoints: quizSessionService.parseJSON(row.key_points, []),
+            scoringCriteria: quizSessionService.parseJSON(row.scoring_criteria, null),
+            relatedConcepts: quizSessionService.parseJSON(row.related_concepts, []),
+            explanation: row.explanation,
+            difficulty: row.difficulty,
+            knowledgePoints: row.knowledge_points ? row.knowledge_points.split(',') : [],
+            qualityScore: row.quality_score,
+            qualityReason: row.quality_reason,
+            source: row.source,
+            model: row.model,
+            provider: row.provider,
+            enhanced: row.enhanced,
+            sourceRef: row.source_start !== null && row.source_start !== undefined ? {
+                chunkIndex: row.source_chunk,
+                start: row.source_start,
+                end: row.source_end,
+                quote: row.source_quote,
+                method: row.source_method
+            } : null
+        });
+        return { ...question, materialId: row.material_id };
+    }
+
+    /**
+     * 统一正确答案存储格式：单选题存选项索引，多选题和排序题存索引数组的 JSON，其余存文本
+     */
+    normalizeCorrectAnswer(question, options) {
+        const raw = question.correctAnswer !== undefined && question.correctAnswer !== null
+            ? question.correctAnswer
+            : question.answer;
+
+        switch (question.type) {
+            case 'multiple-choice': {
+                const index = quizSessionService.resolveOptionIndex(raw, options);
+                return index === -1 ? String(raw ?? '') : String(index);
+            }
+            case 'multi-select':
+            case 'ordering':
+                return JSON.stringify(raw);
+            case 'true-false': {
+                const value = quizSessionService.normalizeBoolean(raw);
+                if (value === null) {
+                    throw Object.assign(new Error(`判断题答案无法识别: ${raw}`), { statusCode: 400 });
+                }
+                return String(value);
+            }
+            case 'essay':
+                return String(question.sampleAnswer || raw || '');
+            default:
+                return Array.isArray(raw) ? raw.join(' ') : String(raw ?? '');
+        }
+    }
+
+    normalizeDifficulty(value, fallback) {
+        if (typeof value === 'number' && value > 0) return Math.round(value);
+        if (typeof value === 'string') {
+            if (this.difficultyMap[value]) return this.difficultyMap[value];
+            const parsed = parseInt(value);
+            if (parsed > 0) return parsed;
+        }
+        return parseInt(fallback) || 1;
+    }
+
+    /**
+     * 题目指纹：材料 + 题型 + 规范化题干
+     */
+    fingerprint(materialId, type, text) {
+        const normalized = quizSessionService.normalizeText(text);
+        return crypto.createHash('sha1')
+            .update(`${materialId}|${type}|${normalized}`)
+            .digest('hex')
+            .substring(0, 16);
+    }
+
+    toList(value) {
+        if (!value) return [];
+        const list = Array.isArray(value) ? value : [value];
+        return list
+            .map(item => (typeof item === 'object' && item !== null ? item.term || item.name : item))
+            .filter(item => typeof item === 'string' && item.trim())
+            .map(item => item.trim().replace(/,/g, '，'));
+    }
+
+    toJSON(value) {
+        if (value === undefined || value === null) return null;
+        if (Array.isArray(value) && value.length === 0) return null;
+        return JSON.stringify(value);
+    }
+}
+
+module.exports = new QuestionBankService();
@@ -0,0 +1,239 @@
+// 题集服务 - 教师从自己的题库中挑选题目组成题集并发布给学生
+const Database = require('../database/database');
+const questionBankService = require('./questionBankService');
+
+class QuestionSetService {
+    /**
+     * 创建题集
+     * @param {number} teacherId - 教师ID
+     * @param {Object} params - 题集参数
+     * @param {string} params.title - 标题
+     * @param {string} params.description - 说明
+     * @param {number} params.materialId - 关联材料（可选）
+     * @param {Array<number>} params.questionIds - 题目ID，按顺序排列
+     * @returns {Object} 题集详情
+     */
+    async create(teacherId, { title, description = null, materialId = null, questionIds = [] }) {
+        if (!title || !String(title).trim()) {
+            throw this.createError(400, '题集标题是必填项');
+        }
+
+        const ids = await this.validateQuestions(teacherId, questionIds);
+
+        if (materialId) {
+            const material = await Database.get(
+                'SELECT id FROM materials WHERE id = ? AND user_id = ?',
+                [materialId, teacherId]
+            );
+            if (!material) {
+                throw this.createError(404, '材料不存在');
+            }
+        }
+
+        const result = await Database.insert(
+            `INSERT INTO question_sets (teacher_id, title, description, material_id, published)
+             VALUES (?, ?, ?, ?, 0)`,
+            [teacherId, String(title).trim(), description, materialId || null]
+        );
+        await this.replaceItems(result.id, ids);
+
+        console.log(`📚 教师 ${teacherId} 创建题集 ${result.id}，共 ${ids.length} 道题`);
+        return this.getOwned(teacherId, result.id);
+    }
+
+    /**
+     * 更新题集标题、说明或题目
+     */
+    async update(teacherId, setId, { title, description, questionIds }) {
+        const set = await this.getOwnedRow(teacherId, setId);
+
+        if (questionIds !== undefined) {
+            const ids = await this.validateQuestions(teacherId, questionIds);
+            await this.replaceItems(set.id, ids);
+        }
+
+        await Database.update(
+            `UPDATE question_sets SET title = ?, description = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [
+                title !== undefined && String(title).trim() ? String(title).trim() : set.title,
+                description !== undefined ? description : set.description,
+                set.id
+            ]
+        );
+
+        return this.getOwned(teacherId, set.id);
+    }
+
+    /**
+     * 发布或取消发布题集
+     */
+    async setPublished(teacherId, setId, published) {
+        const set = await this.getOwnedRow(teacherId, setId);
+        await Database.update(
+            'UPDATE question_sets SET published = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [published ? 1 : 0, set.id]
+        );
+        return this.getOwned(teacherId, set.id);
+    }
+
+    async remove(teacherId, setId) {
+        const set = await this.getOwnedRow(teacherId, setId);
+        await Database.delete('DELETE FROM question_set_items WHERE set_id = ?', [set.id]);
+        await Database.delete('DELETE FROM question_sets WHERE id = ?', [set.id]);
+    }
+
+    /**
+     * 分页查询题集：教师看自己的题集，学生看已发布的题集
+     * @param {Object} user - 当前用户 { userId, role }
+     * @param {Object} filters - { page, limit }
+     * @returns {Object} { items, pagination }
+     */
+    async list(user, filters = {}) {
+        const page = Math.max(1, parseInt(filters.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(filters.limit) || 20));
+        const offset = (page - 1) * limit;
+
+        const isStudent = !user.role || user.role === 'student';
+        const where = isStudent ? 'qs.published = 1' : 'qs.teacher_id = ?';
+        const params = isStudent ? [] : [user.userId];
+
+        const countResult = await Database.get(
+            `SELECT COUNT(*) as total FROM question_sets qs WHERE ${where}`,
+            params
+        );
+
+        const rows = await Database.query(
+            `SELECT qs.*, u.username as teacher_name,
+                    (SELECT COUNT(*) FROM question_set_items WHERE set_id = qs.id) as question_count
+             FROM question_sets qs
+             LEFT JOIN users u ON qs.teacher_id = u.id
+             WHERE ${where}
+             ORDER BY qs.updated_at DESC, qs.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+
+        return {
+            items: rows.map(row => this.formatSet(row)),
+            pagination: {
+                page: page,
+                limit: limit,
+                total: countResult.total,
+                pages: Math.ceil(countResult.total / limit)
+            }
+        };
+    }
+
+    /**
+     * 获取题集及题目：创建者、管理员可以查看未发布的题集
+     * @param {Object} user - 当前用户 { userId, role }
+     * @param {number} setId - 题集ID
+     * @returns {Object} 题集详情，含questions
+     */
+    async get(user, setId) {
+        const set = await Database.get(
+            `SELECT qs.*, u.username as teacher_name
+             FROM question_sets qs
+             LEFT JOIN users u ON qs.teacher_id = u.id
+             WHERE qs.id = ?`,
+            [setId]
+        );
+
+        const canView = set && (set.published === 1 || set.teacher_id === user.userId || user.role === 'admin');
+        if (!canView) {
+            throw this.createError(404, '题集不存在');
+        }
+
+        const rows = await Database.query(
+            `SELECT q.*
+             FROM question_set_items qsi
+             JOIN questions q ON qsi.question_id = q.id
+             WHERE qsi.set_id = ?
+             ORDER BY qsi.position ASC`,
+            [set.id]
+        );
+
+        return {
+            ...this.formatSet({ ...set, question_count: rows.length }),
+            questions: rows.map(row => questionBankService.formatQuestion(row))
+        };
+    }
+
+    async getOwned(teacherId, setId) {
+        await this.getOwnedRow(teacherId, setId);
+        return this.get({ userId: teacherId }, setId);
+    }
+
+    async getOwnedRow(teacherId, setId) {
+        const set = await Database.get(
+            'SELECT * FROM question_sets WHERE id = ? AND teacher_id = ?',
+            [setId, teacherId]
+        );
+        if (!set) {
+            throw this.createError(404, '题集不存在');
+        }
+        return set;
+    }
+
+    /**
+     * 题集只能包含教师自己材料下的题目
+     * @returns {Array<number>} 去重后的题目ID
+     */
+    async validateQuestions(teacherId, questionIds) {
+        const ids = Array.isArray(questionIds)
+            ? [...new Set(questionIds.map(id => parseInt(id)).filter(id => id > 0))]
+            : [];
+        if (ids.length === 0) {
+            throw this.createError(400, '请至少选择一道题目');
+        }
+
+        const owned = await Database.query(
+            `SELECT q.id
+             FROM questions q
+             JOIN materials m ON q.material_id = m.id
+             WHERE m.user_id = ? AND q.id IN (${ids.map(() => '?').join(', ')})`,
+            [teacherId, ...ids]
+        );
+        if (owned.length !== ids.length) {
+            const ownedIds = new Set(owned.map(row => row.id));
+            const invalid = ids.filter(id => !ownedIds.has(id));
+            throw this.createError(403, `只能选择自己题库中的题目: ${invalid.join(', ')}`);
+        }
+
+        return ids;
+    }
+
+    async replaceItems(setId, questionIds) {
+        await Database.delete('DELETE FROM question_set_items WHERE set_id = ?', [setId]);
+        for (let i = 0; i < questionIds.length; i++) {
+            await Database.insert(
+                'INSERT INTO question_set_items (set_id, question_id, position) VALUES (?, ?, ?)',
+                [setId, questionIds[i], i]
+            );
+        }
+    }
+
+    formatSet(row) {
+        return {
+            id: row.id,
+            title: row.title,
+            description: row.description,
+            materialId: row.material_id,
+            teacherId: row.teacher_id,
+            teacherName: row.teacher_name || null,
+            published: row.published === 1,
+            questionCount: row.question_count || 0,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    createError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new QuestionSetService();
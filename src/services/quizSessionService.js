@@ -0,0 +1,703 @@
+// 练习会话服务 - 创建会话、批改答案、计算成绩
+const Database = require('../database/database');
+const wrongQuestionService = require('./wrongQuestionService');
+const reviewSchedulerService = require('./reviewSchedulerService');
+const accessService = require('./accessService');
+
+const NUMBER = /^-?(\d+(\.\d*)?|\.\d+)$/;
+
+class QuizSessionService {
+    constructor() {
+        // 问答题关键点覆盖率达到该比例视为答对
+        this.essayPassRatio = 0.6;
+        // 每答对一题获得的经验值
+        this.expPerCorrectAnswer = 2;
+        // 限时作答的网络延迟宽限（毫秒）
+        this.deadlineGraceMs = 30 * 1000;
+    }
+
+    /**
+     * 创建练习会话
+     * @param {number} userId - 用户ID
+     * @param {Object} params - 会话参数
+     * @param {number} params.materialId - 材料ID（可选）
+     * @param {string} params.quizType - 练习类型
+     * @param {Array<number>} params.questionIds - 题目ID列表
+     * @param {number} params.assignmentId - 关联的班级作业（可选，题目权限由作业服务校验）
+     * @param {string} params.deadlineAt - 作答截止时间（可选，ISO格式）
+     * @returns {Object} 会话信息
+     */
+    async createSession(userId, { materialId = null, quizType = 'mixed', questionIds = [], assignmentId = null, deadlineAt = null } = {}) {
+        const ids = this.normalizeQuestionIds(questionIds);
+        if (ids.length === 0) {
+            throw this.createError(400, '请提供有效的题目ID列表');
+        }
+
+        // 作业题目在作业截止前不对学生开放练习，由作业服务校验班级成员身份
+        if (!assignmentId) {
+            const { missing, forbidden } = await accessService.checkQuestions(userId, ids);
+            if (missing.length > 0) {
+                throw this.createError(404, `题目不存在: ${missing.join(', ')}`);
+            }
+            if (forbidden.length > 0) {
+                throw this.createError(403, `无权访问题目: ${forbidden.join(', ')}`);
+            }
+        }
+
+        if (materialId && !assignmentId) {
+            const { material, accessible } = await accessService.getMaterial(userId, materialId);
+            if (!material) {
+                throw this.createError(404, '材料不存在');
+            }
+            if (!accessible) {
+                throw this.createError(403, '无权访问该材料');
+            }
+        }
+
+        const startedAt = new Date().toISOString();
+        const result = await Database.insert(
+            `INSERT INTO quiz_sessions (user_id, quiz_type, material_id, total_questions, correct_answers,
+                                        score, time_spent, started_at, completed_at, status, question_ids,
+                                        assignment_id, deadline_at)
+             VALUES (?, ?, ?, ?, 0, 0, 0, ?, NULL, 'in_progress', ?, ?, ?)`,
+            [userId, quizType, materialId || null, ids.length, startedAt, JSON.stringify(ids), assignmentId, deadlineAt]
+        );
+
+        console.log(`📝 练习会话已创建: ${result.id}, 用户: ${userId}, 题目数: ${ids.length}`);
+
+        return {
+            sessionId: result.id,
+            materialId: materialId || null,
+            quizType: quizType,
+            totalQuestions: ids.length,
+            questionIds: ids,
+            assignmentId: assignmentId,
+            deadlineAt: deadlineAt,
+            startedAt: startedAt
+        };
+    }
+
+    /**
+     * 获取用户的练习会话
+     * @param {number} sessionId - 会话ID
+     * @param {number} userId - 用户ID
+     * @returns {Object} 会话记录
+     */
+    async getSession(sessionId, userId) {
+        const session = await Database.get(
+            'SELECT * FROM quiz_sessions WHERE id = ? AND user_id = ?',
+            [sessionId, userId]
+        );
+
+        if (!session) {
+            throw this.createError(404, '练习会话不存在');
+        }
+
+        return session;
+    }
+
+    /**
+     * 提交并批改单题答案
+     * @param {number} userId - 用户ID
+     * @param {Object} params - 答题参数
+     * @returns {Object} 批改结果
+     */
+    async submitAnswer(userId, { sessionId, questionId, userAnswer, timeSpent = 0 }) {
+        const session = await this.getSession(sessionId, userId);
+        if (session.status !== 'in_progress') {
+            throw this.createError(409, '练习已结束，无法继续提交答案');
+        }
+        if (this.isPastDeadline(session)) {
+            await this.completeSession(userId, session.id);
+            throw this.createError(409, '作答时间已到，练习已自动提交');
+        }
+
+        const qid = parseInt(questionId);
+        const sessionQuestionIds = this.parseJSON(session.question_ids, []);
+        if (!sessionQuestionIds.includes(qid)) {
+            throw this.createError(400, '该题目不属于当前练习');
+        }
+
+        const question = await Database.get('SELECT * FROM questions WHERE id = ?', [qid]);
+        if (!question) {
+            throw this.createError(404, '题目不存在');
+        }
+
+        const grading = this.gradeAnswer(question, userAnswer);
+        const storedAnswer = typeof userAnswer === 'string' ? userAnswer : JSON.stringify(userAnswer);
+        const spent = Math.max(0, parseInt(timeSpent) || 0);
+
+        // 作业可多次提交，作答过程中不公布答案，重复作答时覆盖之前的记录
+        // 作业作答不计入错题本和复习排期，避免作业开放期间通过错题练习看到答案
+        if (session.assignment_id) {
+            const existing = await Database.get(
+                'SELECT id FROM answer_records WHERE session_id = ? AND question_id = ?',
+                [session.id, qid]
+            );
+            if (existing) {
+                await Database.update(
+                    'UPDATE answer_records SET user_answer = ?, is_correct = ?, score = ?, time_spent = ? WHERE id = ?',
+                    [storedAnswer, grading.isCorrect ? 1 : 0, grading.score, spent, existing.id]
+                );
+            } else {
+                await Database.insert(
+                    `INSERT INTO answer_records (session_id, question_id, user_answer, is_correct, score, time_spent)
+                     VALUES (?, ?, ?, ?, ?, ?)`,
+                    [session.id, qid, storedAnswer, grading.isCorrect ? 1 : 0, grading.score, spent]
+                );
+            }
+            return {
+                questionId: qid,
+                saved: true
+            };
+        }
+
+        // 练习批改后即公布答案，每道题只记录首次作答；条件插入保证并发提交时也只有一次生效
+        const inserted = await Database.insert(
+            `INSERT INTO answer_records (session_id, question_id, user_answer, is_correct, score, time_spent)
+             SELECT ?, ?, ?, ?, ?, ?
+             WHERE NOT EXISTS (SELECT 1 FROM answer_records WHERE session_id = ? AND question_id = ?)`,
+            [session.id, qid, storedAnswer, grading.isCorrect ? 1 : 0, grading.score, spent, session.id, qid]
+        );
+        if (inserted.changes !== 1) {
+            throw this.createError(409, '该题目已作答，不能重复提交');
+        }
+
+        const wrongBook = await wrongQuestionService.recordAnswer(userId, qid, grading.isCorrect, storedAnswer);
+        const review = await reviewSchedulerService.recordReview(userId, qid, grading, spent);
+
+        return {
+            questionId: qid,
+            isCorrect: grading.isCorrect,
+            score: grading.score,
+            correctAnswer: grading.correctAnswer,
+            explanation: question.explanation || '',
+            wrongBook: wrongBook,
+            review: review
+        };
+    }
+
+    /**
+     * 限时会话是否已超过截止时间（含宽限）
+     */
+    isPastDeadline(session, now = Date.now()) {
+        if (!session.deadline_at) return false;
+        return now > new Date(session.deadline_at).getTime() + this.deadlineGraceMs;
+    }
+
+    /**
+     * 完成练习，根据答题记录计算成绩
+     * @param {number} userId - 用户ID
+     * @param {number} sessionId - 会话ID
+     * @param {Object} params - 额外参数
+     * @returns {Object} 练习结果
+     */
+    async completeSession(userId, sessionId, { totalTimeSpent } = {}) {
+        const session = await this.getSession(sessionId, userId);
+        if (session.status === 'completed') {
+            return this.formatResult(session);
+        }
+
+        const summary = await Database.get(
+            `SELECT COUNT(*) as answered,
+                    SUM(CASE WHEN is_correct = 1 THEN 1 ELSE 0 END) as correct,
+                    SUM(time_spent) as timeSpent
+             FROM answer_records WHERE session_id = ?`,
+            [session.id]
+        );
+
+        const totalQuestions = session.total_questions;
+        const correctAnswers = summary.correct || 0;
+        const score = totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0;
+
+        // 优先使用客户端上报的总用时，否则使用答题记录用时或会话时长
+        const elapsed = Math.round((Date.now() - new Date(session.started_at).getTime()) / 1000);
+        const timeSpent = parseInt(totalTimeSpent) > 0
+            ? parseInt(totalTimeSpent)
+            : (summary.timeSpent || Math.max(0, elapsed));
+
+        const expGained = this.calculateExperience(correctAnswers, score);
+        const completedAt = new Date().toISOString();
+
+        // 只有把会话改为完成的那个请求发放经验，并发的重复提交返回已完成的结果
+        const transition = await Database.update(
+            `UPDATE quiz_sessions
+             SET correct_answers = ?, score = ?, time_spent = ?, completed_at = ?,
+                 status = 'completed', experience_gained = ?
+             WHERE id = ? AND status IS NOT 'completed'`,
+            [correctAnswers, score, timeSpent, completedAt, expGained, session.id]
+        );
+        if (transition.changes !== 1) {
+            return this.formatResult(await this.getSession(session.id, userId));
+        }
+
+        await Database.update(
+            'UPDATE users SET experience = experience + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [expGained, userId]
+        );
+
+        await this.updateStudyStats(userId, {
+            timeSpent: timeSpent,
+            questionsAnswered: summary.answered || 0,
+            correctAnswers: correctAnswers,
+            materialId: session.material_id
+        });
+
+        console.log(`🏁 练习会话 ${session.id} 完成: ${correctAnswers}/${totalQuestions}, 得分 ${score}`);
+
+        return this.formatResult({
+            ...session,
+            correct_answers: correctAnswers,
+            score: score,
+            time_spent: timeSpent,
+            completed_at: completedAt,
+            experience_gained: expGained
+        });
+    }
+
+    /**
+     * 分页查询练习历史
+     * @param {number} userId - 用户ID
+     * @param {Object} filters - 筛选条件
+     * @param {string} filters.startDate - 开始日期（YYYY-MM-DD）
+     * @param {string} filters.endDate - 结束日期（YYYY-MM-DD）
+     * @param {number} filters.materialId - 材料ID
+     * @param {string} filters.quizType - 练习类型
+     * @param {number} filters.minScore - 最低分
+     * @param {number} filters.maxScore - 最高分
+     * @param {string} filters.status - 会话状态，默认completed，all为全部
+     * @returns {Object} { items, pagination }
+     */
+    async listHistory(userId, filters = {}) {
+        const page = Math.max(1, parseInt(filters.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(filters.limit) || 20));
+        const offset = (page - 1) * limit;
+
+        const conditions = ['qs.user_id = ?'];
+        const params = [userId];
+
+        const status = filters.status || 'completed';
+        if (status !== 'all') {
+            conditions.push('qs.status = ?');
+            params.push(status);
+        }
+        if (filters.startDate) {
+            conditions.push('DATE(COALESCE(qs.completed_at, qs.started_at)) >= DATE(?)');
+            params.push(filters.startDate);
+        }
+        if (filters.endDate) {
+            conditions.push('DATE(COALESCE(qs.completed_at, qs.started_at)) <= DATE(?)');
+            params.push(filters.endDate);
+        }
+        if (filters.materialId) {
+            conditions.push('qs.material_id = ?');
+            params.push(parseInt(filters.materialId));
+        }
+        if (filters.quizType) {
+            conditions.push('qs.quiz_type = ?');
+            params.push(filters.quizType);
+        }
+        if (filters.minScore !== undefined && filters.minScore !== '') {
+            conditions.push('qs.score >= ?');
+            params.push(Number(filters.minScore) || 0);
+        }
+        if (filters.maxScore !== undefined && filters.maxScore !== '') {
+            conditions.push('qs.score <= ?');
+            params.push(Number(filters.maxScore) || 0);
+        }
+
+        const where = conditions.join(' AND ');
+
+        const countResult = await Database.get(
+            `SELECT COUNT(*) as total FROM quiz_sessions qs WHERE ${where}`,
+            params
+        );
+
+        const rows = await Database.query(
+            `SELECT qs.*, m.original_name as material_name
+             FROM quiz_sessions qs
+             LEFT JOIN materials m ON qs.material_id = m.id
+             WHERE ${where}
+             ORDER BY COALESCE(qs.completed_at, qs.started_at) DESC, qs.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+
+        return {
+            items: rows.map(row => this.formatHistoryItem(row)),
+            pagination: {
+                page: page,
+                limit: limit,
+                total: countResult.total,
+                pages: Math.ceil(countResult.total / limit)
+            }
+        };
+    }
+
+    /**
+     * 获取会话详情及全部答题记录，按出题顺序排列
+     * @param {number} userId - 用户ID
+     * @param {number} sessionId - 会话ID
+     * @returns {Object} { session, records } records为answer_records与questions的联合记录
+     */
+    async getSessionRecords(userId, sessionId) {
+        const session = await Database.get(
+            `SELECT qs.*, m.original_name as material_name
+             FROM quiz_sessions qs
+             LEFT JOIN materials m ON qs.material_id = m.id
+             WHERE qs.id = ? AND qs.user_id = ?`,
+            [sessionId, userId]
+        );
+
+        if (!session) {
+            throw this.createError(404, '练习会话不存在');
+        }
+
+        const records = await Database.query(
+            `SELECT ar.id as record_id, ar.user_answer, ar.is_correct, ar.score as answer_score,
+                    ar.time_spent as answer_time_spent, ar.created_at as answered_at, q.*
+             FROM answer_records ar
+             JOIN questions q ON ar.question_id = q.id
+             WHERE ar.session_id = ?
+             ORDER BY ar.id ASC`,
+            [session.id]
+        );
+
+        const order = this.parseJSON(session.question_ids, []);
+        const position = id => {
+            const index = order.indexOf(id);
+            return index === -1 ? order.length : index;
+        };
+        records.sort((a, b) => position(a.id) - position(b.id));
+
+        return { session: this.formatHistoryItem(session), records };
+    }
+
+    formatHistoryItem(row) {
+        return {
+            id: row.id,
+            quizType: row.quiz_type,
+            materialId: row.material_id,
+            materialName: row.material_name || null,
+            assignmentId: row.assignment_id || null,
+            status: row.status,
+            totalQuestions: row.total_questions,
+            correctAnswers: row.correct_answers,
+            score: row.score,
+            timeSpent: row.time_spent,
+            expGained: row.experience_gained || 0,
+            startedAt: row.started_at,
+            completedAt: row.completed_at
+        };
+    }
+
+    /**
+     * 更新当日学习统计
+     */
+    async updateStudyStats(userId, { timeSpent, questionsAnswered, correctAnswers, materialId }) {
+        const today = new Date().toISOString().split('T')[0];
+
+        // 当天首次练习该材料时计入学习材料数
+        let materialsStudied = 0;
+        if (materialId) {
+            const studied = await Database.get(
+                `SELECT COUNT(*) as count FROM quiz_sessions
+                 WHERE user_id = ? AND material_id = ? AND status = 'completed' AND DATE(completed_at) = ?`,
+                [userId, materialId, today]
+            );
+            materialsStudied = studied.count <= 1 ? 1 : 0;
+        }
+
+        await Database.insert(
+            `INSERT INTO study_stats (user_id, date, study_time, questions_answered, correct_answers, materials_studied)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT(user_id, date) DO UPDATE SET
+                study_time = study_time + excluded.study_time,
+                questions_answered = questions_answered + excluded.questions_answered,
+                correct_answers = correct_answers + excluded.correct_answers,
+                materials_studied = materials_studied + excluded.materials_studied`,
+            [userId, today, timeSpent, questionsAnswered, correctAnswers, materialsStudied]
+        );
+    }
+
+    /**
+     * 根据题目批改答案
+     * @param {Object} question - questions表记录
+     * @param {*} userAnswer - 用户答案
+     * @returns {Object} { isCorrect, score, correctAnswer }
+     */
+    gradeAnswer(question, userAnswer) {
+        const options = this.parseJSON(question.options, []);
+        const acceptable = this.parseJSON(question.acceptable_answers, []);
+
+        if (this.isEmptyAnswer(userAnswer)) {
+            return { isCorrect: false, score: 0, correctAnswer: this.displayAnswer(question, options) };
+        }
+
+        switch (question.question_type) {
+            case 'multiple-choice': {
+                const correctIndex = this.resolveOptionIndex(question.correct_answer, options);
+                const userIndex = this.resolveOptionIndex(userAnswer, options);
+                const isCorrect = correctIndex !== -1 && correctIndex === userIndex;
+                return { isCorrect, score: isCorrect ? 1 : 0, correctAnswer: correctIndex };
+            }
+
+            case 'multi-select': {
+                const correct = this.resolveOptionIndexes(question.correct_answer, options);
+                const selected = [...new Set(this.resolveOptionIndexes(userAnswer, options))];
+                // 选错任一项不得分，漏选按选对的比例得分
+                const wrong = selected.some(index => !correct.includes(index));
+                const hits = selected.filter(index => correct.includes(index)).length;
+                const isCorrect = !wrong && correct.length > 0 && hits === correct.length;
+                const score = wrong || correct.length === 0 ? 0 : Math.round((hits / correct.length) * 100) / 100;
+                return { isCorrect, score, correctAnswer: correct };
+            }
+
+            case 'ordering': {
+                const correct = this.resolveOptionIndexes(question.correct_answer, options);
+                const order = this.resolveOptionIndexes(userAnswer, options);
+                // 按位置正确的比例得分
+                const hits = correct.filter((index, position) => order[position] === index).length;
+                const isCorrect = correct.length > 0 && hits === correct.length && order.length === correct.length;
+                const score = correct.length === 0 ? 0 : Math.round((hits / correct.length) * 100) / 100;
+                return { isCorrect, score, correctAnswer: correct };
+            }
+
+            case 'true-false': {
+                const isCorrect = this.normalizeBoolean(userAnswer) === this.normalizeBoolean(question.correct_answer);
+                return { isCorrect, score: isCorrect ? 1 : 0, correctAnswer: question.correct_answer };
+            }
+
+            case 'fill-blank': {
+                const blanks = this.parseJSON(question.blanks, []);
+                if (Array.isArray(blanks) && blanks.length > 1) {
+                    return this.gradeBlanks(blanks, userAnswer, question.correct_answer);
+                }
+
+                const candidates = [question.correct_answer, ...acceptable];
+                const answerText = Array.isArray(userAnswer) ? userAnswer.join(' ') : String(userAnswer);
+                const isCorrect = candidates.some(candidate => this.textMatches(answerText, candidate));
+                return { isCorrect, score: isCorrect ? 1 : 0, correctAnswer: question.correct_answer };
+            }
+
+            case 'essay': {
+                const coverage = this.essayCoverage(question, String(userAnswer));
+                const isCorrect = coverage >= this.essayPassRatio;
+                return {
+                    isCorrect,
+                    score: Math.round(coverage * 100) / 100,
+                    correctAnswer: question.sample_answer || question.correct_answer
+                };
+            }
+
+            default: {
+                const isCorrect = this.textMatches(String(userAnswer), question.correct_answer);
+                return { isCorrect, score: isCorrect ? 1 : 0, correctAnswer: question.correct_answer };
+            }
+        }
+    }
+
+    /**
+     * 多空填空题逐空批改，按答对的空数比例得分
+     * @param {Array} blanks - [{ answer, acceptableAnswers }]
+     * @param {*} userAnswer - 各空答案数组，字符串时按空白或逗号分隔
+     */
+    gradeBlanks(blanks, userAnswer, correctAnswer) {
+        let answers = userAnswer;
+        if (typeof answers === 'string' && answers.trim().startsWith('[')) {
+            answers = this.parseJSON(answers, answers);
+        }
+        if (!Array.isArray(answers)) {
+            answers = String(answers).split(/[\s,，;；、]+/).filter(Boolean);
+        }
+
+        const hits = blanks.filter((blank, index) => {
+            const candidates = [blank.answer, ...(blank.acceptableAnswers || [])];
+            return answers[index] !== undefined && candidates.some(candidate => this.textMatches(answers[index], candidate));
+        }).length;
+        return {
+            isCorrect: hits === blanks.length,
+            score: Math.round((hits / blanks.length) * 100) / 100,
+            correctAnswer: correctAnswer
+        };
+    }
+
+    /**
+     * 计算问答题关键点覆盖率
+     */
+    essayCoverage(question, userAnswer) {
+        const normalizedAnswer = this.normalizeText(userAnswer);
+        if (!normalizedAnswer) return 0;
+
+        let keyPoints = this.parseJSON(question.key_points, []);
+        if (!Array.isArray(keyPoints)) keyPoints = [];
+        keyPoints = keyPoints.map(point => this.normalizeText(String(point))).filter(Boolean);
+
+        if (keyPoints.length > 0) {
+            const hits = keyPoints.filter(point => normalizedAnswer.includes(point)).length;
+            return hits / keyPoints.length;
+        }
+
+        // 没有关键点时，按参考答案的双字片段召回率估算
+        const reference = this.normalizeText(question.sample_answer || question.correct_answer || '');
+        const referenceBigrams = this.bigrams(reference);
+        if (referenceBigrams.size === 0) return 0;
+
+        const answerBigrams = this.bigrams(normalizedAnswer);
+        let hits = 0;
+        referenceBigrams.forEach(gram => {
+            if (answerBigrams.has(gram)) hits++;
+        });
+
+        // 参考答案通常比学生答案完整，召回率放宽一倍后封顶
+        return Math.min(1, (hits / referenceBigrams.size) * 2);
+    }
+
+    bigrams(text) {
+        const grams = new Set();
+        for (let i = 0; i < text.length - 1; i++) {
+            grams.add(text.substr(i, 2));
+        }
+        return grams;
+    }
+
+    /**
+     * 将选项答案（索引、选项文本或字母）解析为选项索引
+     * 先按选项原文匹配，"A stack" 这样以字母开头的选项不会被当作标号 A
+     */
+    resolveOptionIndex(value, options) {
+        if (value === null || value === undefined) return -1;
+
+        if (typeof value === 'number') {
+            return Number.isInteger(value) && value >= 0 && value < Math.max(options.length, 1) ? value : -1;
+        }
+
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) {
+            return this.resolveOptionIndex(parseInt(text), options);
+        }
+
+        const normalized = this.normalizeText(text);
+        const textIndex = normalized ? options.findIndex(option => this.normalizeText(String(option)) === normalized) : -1;
+        if (textIndex !== -1) return textIndex;
+
+        // 单独的字母，或带标点的标号 "A." "A)" "A、选项内容"
+        const labelMatch = text.match(/^([A-Za-z])(\s*[.、．:：)）]|$)/);
+        if (labelMatch) {
+            return labelMatch[1].toUpperCase().charCodeAt(0) - 65;
+        }
+        return -1;
+    }
+
+    /**
+     * 将多个选项的答案（索引数组、"A,C"、"AC" 或 JSON 数组）解析为选项索引数组，无法解析的项为 -1
+     */
+    resolveOptionIndexes(value, options) {
+        return this.splitChoices(value, options.length).map(item => this.resolveOptionIndex(item, options));
+    }
+
+    splitChoices(value, optionCount) {
+        if (value === null || value === undefined) return [];
+        const parsed = typeof value === 'string' && value.trim().startsWith('[') ? this.parseJSON(value, value) : value;
+        if (Array.isArray(parsed)) return parsed;
+
+        const text = String(parsed).trim();
+        const letters = text.toUpperCase().split('');
+        if (/^[A-Za-z]+$/.test(text) && letters.every(letter => letter.charCodeAt(0) - 65 < optionCount)) {
+            return letters;
+        }
+        return text.split(/[,，、;；\s]+/).filter(Boolean);
+    }
+
+    normalizeBoolean(value) {
+        const text = String(value).trim().toLowerCase();
+        if (['true', '1', '对', '正确', '是', 't', 'yes', '√'].includes(text)) return true;
+        if (['false', '0', '错', '错误', '否', 'f', 'no', '×'].includes(text)) return false;
+        return null;
+    }
+
+    textMatches(answer, expected) {
+        if (expected === null || expected === undefined) return false;
+        const a = this.normalizeText(String(answer));
+        const b = this.normalizeText(String(expected));
+        if (a.length === 0) return false;
+        // 都是数字时按数值比较（3.0 与 3、.5 与 0.5 相同）
+        if (NUMBER.test(a) && NUMBER.test(b)) return Number(a) === Number(b);
+        return a === b;
+    }
+
+    /**
+     * 规范化文本：全角转半角、去除空白和标点（包括公式的 $ 定界符）、小写；
+     * 数字前的负号和小数点保留，"-3" 与 "3"、"3.14" 与 "314" 不同
+     */
+    normalizeText(text) {
+        return String(text)
+            .replace(/[！-～]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xfee0))
+            .replace(/　/g, ' ')
+            .toLowerCase()
+            .replace(/[\s,;:!?'"()[\]{}<>$，。；：！？、“”‘’（）【】《》_]/g, '')
+            .replace(/[.\-](?!\d)/g, '');
+    }
+
+    isEmptyAnswer(answer) {
+        if (answer === undefined || answer === null) return true;
+        if (Array.isArray(answer)) return answer.length === 0;
+        return String(answer).trim() === '';
+    }
+
+    displayAnswer(question, options) {
+        if (question.question_type === 'multiple-choice') {
+            return this.resolveOptionIndex(question.correct_answer, options);
+        }
+        if (['multi-select', 'ordering'].includes(question.question_type)) {
+            return this.resolveOptionIndexes(question.correct_answer, options);
+        }
+        if (question.question_type === 'essay') {
+            return question.sample_answer || question.correct_answer;
+        }
+        return question.correct_answer;
+    }
+
+    calculateExperience(correctAnswers, score) {
+        return correctAnswers * this.expPerCorrectAnswer + Math.floor(score / 10);
+    }
+
+    formatResult(session) {
+        return {
+            sessionId: session.id,
+            totalQuestions: session.total_questions,
+            correctAnswers: session.correct_answers,
+            wrongAnswers: session.total_questions - session.correct_answers,
+            score: session.score,
+            timeSpent: session.time_spent,
+            expGained: session.experience_gained || 0,
+            completedAt: session.completed_at
+        };
+    }
+
+    normalizeQuestionIds(questionIds) {
+        if (!Array.isArray(questionIds)) return [];
+        const ids = questionIds
+            .map(id => parseInt(id))
+            .filter(id => Number.isInteger(id) && id > 0);
+        return [...new Set(ids)];
+    }
+
+    parseJSON(value, fallback) {
+        if (value === null || value === undefined || value === '') return fallback;
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    createError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new QuizSessionService();
@@ -0,0 +1,233 @@
+// 复习调度服务 - 基于SM-2算法的间隔重复
+const Database = require('../database/database');
+const accessService = require('./accessService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReviewSchedulerService {
+    constructor() {
+        this.defaultEase = 2.5;
+        this.minEase = 1.3;
+        // 每日复习题目上限
+        this.dailyLimit = parseInt(process.env.REVIEW_DAILY_LIMIT) || 20;
+        // 答对且用时不超过该秒数视为"轻松回忆"
+        this.fastRecallSeconds = 15;
+    }
+
+    /**
+     * 根据批改结果更新复习卡片
+     * 答错的题目自动加入复习队列；已有卡片的题目每次作答都会重新排期
+     * @param {number} userId - 用户ID
+     * @param {number} questionId - 题目ID
+     * @param {Object} grading - 批改结果 { isCorrect, score }
+     * @param {number} timeSpent - 答题用时（秒）
+     * @returns {Object|null} 新的复习状态
+     */
+    async recordReview(userId, questionId, grading, timeSpent = 0) {
+        const card = await Database.get(
+            'SELECT * FROM review_cards WHERE user_id = ? AND question_id = ?',
+            [userId, questionId]
+        );
+
+        // 答对且尚未加入复习的题目不需要建卡
+        if (!card && grading.isCorrect) {
+            return null;
+        }
+
+        const quality = this.gradeToQuality(grading, timeSpent);
+        const now = new Date();
+        const next = this.schedule(card || this.newCard(), quality, now);
+
+        await Database.insert(
+            `INSERT INTO review_cards (user_id, question_id, ease_factor, interval_days, repetitions, lapses,
+                                       due_at, last_reviewed_at, last_quality)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(user_id, question_id) DO UPDATE SET
+                ease_factor = excluded.ease_factor,
+                interval_days = excluded.interval_days,
+                repetitions = excluded.repetitions,
+                lapses = excluded.lapses,
+                due_at = excluded.due_at,
+                last_reviewed_at = excluded.last_reviewed_at,
+                last_quality = excluded.last_quality`,
+            [
+                userId, questionId, next.easeFactor, next.intervalDays, next.repetitions, next.lapses,
+                next.dueAt, now.toISOString(), quality
+            ]
+        );
+
+        return { ...next, quality };
+    }
+
+    /**
+     * SM-2排期
+     * @param {Object} card - 当前卡片状态（review_cards记录）
+     * @param {number} quality - 回忆质量 0-5
+     * @param {Date} now - 当前时间
+     * @returns {Object} 新的卡片状态
+     */
+    schedule(card, quality, now = new Date()) {
+        let easeFactor = card.ease_factor || this.defaultEase;
+        let intervalDays = card.interval_days || 0;
+        let repetitions = card.repetitions || 0;
+        let lapses = card.lapses || 0;
+
+        if (quality < 3) {
+            // 遗忘：重新开始学习，已记住过的题目计一次遗忘
+            if (repetitions > 0) lapses++;
+            repetitions = 0;
+            intervalDays = 1;
+        } else {
+            repetitions++;
+            if (repetitions === 1) {
+                intervalDays = 1;
+            } else if (repetitions === 2) {
+                intervalDays = 6;
+            } else {
+                intervalDays = Math.round(intervalDays * easeFactor);
+            }
+        }
+
+        easeFactor += 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+        easeFactor = Math.max(this.minEase, Math.round(easeFactor * 100) / 100);
+
+        return {
+            easeFactor,
+            intervalDays,
+            repetitions,
+            lapses,
+            dueAt: new Date(now.getTime() + intervalDays * DAY_MS).toISOString()
+        };
+    }
+
+    /**
+     * 将批改结果映射为SM-2的回忆质量
+     * 5: 快速答对  4: 答对  3: 勉强答对（问答题部分得分）
+     * 2: 答错但接近  1: 答错  0: 未作答
+     */
+    gradeToQuality({ isCorrect, score = 0 }, timeSpent = 0) {
+        const spent = parseInt(timeSpent) || 0;
+
+        if (isCorrect) {
+            if (score < 1) return 3;
+            return spent > 0 && spent <= this.fastRecallSeconds ? 5 : 4;
+        }
+
+        if (score >= 0.3) return 2;
+        return score > 0 || spent > 0 ? 1 : 0;
+    }
+
+    newCard() {
+        return {
+            ease_factor: this.defaultEase,
+            interval_days: 0,
+            repetitions: 0,
+            lapses: 0
+        };
+    }
+
+    /**
+     * 将题目加入复习队列，已存在的卡片保持原有排期，移出过的卡片恢复
+     * 只会加入用户有权练习的题目
+     * @param {number} userId - 用户ID
+     * @param {Array<number>} questionIds - 题目ID列表
+     * @returns {number} 新增或恢复的卡片数
+     */
+    async addCards(userId, questionIds) {
+        const ids = [...new Set((questionIds || []).map(id => parseInt(id)).filter(id => id > 0))];
+        if (ids.length === 0) return 0;
+
+        const condition = accessService.questionCondition(userId);
+        const result = await Database.insert(
+            `INSERT INTO review_cards (user_id, question_id, ease_factor, due_at)
+             SELECT ?, q.id, ?, ?
+             FROM questions q
+             LEFT JOIN materials m ON q.material_id = m.id
+             WHERE ${condition.sql} AND q.id IN (${ids.map(() => '?').join(', ')})
+             ON CONFLICT(user_id, question_id) DO UPDATE SET suspended = 0 WHERE suspended = 1`,
+            [userId, this.defaultEase, new Date().toISOString(), ...condition.params, ...ids]
+        );
+        return result.changes;
+    }
+
+    /**
+     * 未掌握的错题补建复习卡片（错题本早于复习功能的数据）；移出的卡片保留为暂停状态，不会重新加入
+     */
+    async syncWrongQuestions(userId) {
+        const result = await Database.insert(
+            `INSERT OR IGNORE INTO review_cards (user_id, question_id, ease_factor, due_at)
+             SELECT user_id, question_id, ?, ? FROM wrong_questions
+             WHERE user_id = ? AND mastered = 0`,
+            [this.defaultEase, new Date().toISOString(), userId]
+        );
+        return result.changes;
+    }
+
+    /**
+     * 获取到期的复习题目，逾期最久的优先
+     * @param {number} userId - 用户ID
+     * @param {Object} options - 查询选项
+     * @param {number} options.limit - 数量上限，默认每日上限
+     * @param {number} options.materialId - 限定材料
+     * @returns {Object} { items, summary }
+     */
+    async getDue(userId, { limit, materialId } = {}) {
+        await this.syncWrongQuestions(userId);
+
+        const max = Math.min(100, Math.max(1, parseInt(limit) || this.dailyLimit));
+        const now = new Date().toISOString();
+        const conditions = ['rc.user_id = ?', 'rc.suspended = 0', 'rc.due_at <= ?'];
+        const params = [userId, now];
+
+        if (materialId) {
+            conditions.push('q.material_id = ?');
+            params.push(parseInt(materialId));
+        }
+
+        const items = await Database.query(
+            `SELECT rc.id as card_id, rc.ease_factor, rc.interval_days, rc.repetitions, rc.lapses,
+                    rc.due_at, rc.last_reviewed_at, q.*, m.original_name as material_name
+             FROM review_cards rc
+             JOIN questions q ON rc.question_id = q.id
+             LEFT JOIN materials m ON q.material_id = m.id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY rc.due_at ASC, rc.lapses DESC
+             LIMIT ?`,
+            [...params, max]
+        );
+
+        const summary = await Database.get(
+            `SELECT COUNT(*) as total,
+                    SUM(CASE WHEN due_at <= ? THEN 1 ELSE 0 END) as due,
+                    SUM(CASE WHEN repetitions = 0 AND last_reviewed_at IS NULL THEN 1 ELSE 0 END) as fresh,
+                    MIN(CASE WHEN due_at > ? THEN due_at END) as nextDueAt
+             FROM review_cards WHERE user_id = ? AND suspended = 0`,
+            [now, now, userId]
+        );
+
+        return {
+            items: items,
+            summary: {
+                total: summary.total || 0,
+                due: summary.due || 0,
+                fresh: summary.fresh || 0,
+                nextDueAt: summary.nextDueAt || null,
+                dailyLimit: this.dailyLimit
+            }
+        };
+    }
+
+    /**
+     * 将题目移出复习队列：卡片标记为暂停而不删除，错题同步不会再把它加回来
+     * @returns {boolean} 是否移出成功
+     */
+    async removeCard(userId, questionId) {
+        const result = await Database.update(
+            'UPDATE review_cards SET suspended = 1 WHERE user_id = ? AND question_id = ? AND suspended = 0',
+            [userId, questionId]
+        );
+        return result.changes > 0;
+    }
+}
+
+module.exports = new ReviewSchedulerService();
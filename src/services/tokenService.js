@@ -0,0 +1,141 @@
+// 令牌服务 - 签发访问令牌，管理可轮换、可吊销的刷新令牌
+const crypto = require('crypto');
+const Database = require('../database/database');
+const { generateToken } = require('../middleware/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TokenService {
+    constructor() {
+        // 刷新令牌有效天数
+        this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+    }
+
+    /**
+     * 签发访问令牌和刷新令牌
+     * @param {Object} user - 用户记录（需要id、username、role）
+     * @param {Object} options - 签发选项
+     * @param {string} options.familyId - 令牌族ID，轮换时沿用，首次登录时新建
+     * @param {string} options.userAgent - 客户端标识
+     * @returns {Object} { accessToken, refreshToken, refreshExpiresAt }
+     */
+    async issueTokens(user, { familyId = null, userAgent = null } = {}) {
+        const refreshToken = crypto.randomBytes(48).toString('hex');
+        const expiresAt = new Date(Date.now() + this.refreshTokenDays * DAY_MS).toISOString();
+
+        const result = await Database.insert(
+            `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, user_agent)
+             VALUES (?, ?, ?, ?, ?)`,
+            [user.id, this.hash(refreshToken), familyId || crypto.randomUUID(), expiresAt, userAgent]
+        );
+
+        // 顺带清理该用户已过期的刷新令牌
+        await Database.delete(
+            'DELETE FROM refresh_tokens WHERE user_id = ? AND expires_at < ?',
+            [user.id, new Date().toISOString()]
+        );
+
+        return {
+            id: result.id,
+            accessToken: generateToken({ userId: user.id, username: user.username, role: user.role || 'student' }),
+            refreshToken: refreshToken,
+            refreshExpiresAt: expiresAt
+        };
+    }
+
+    /**
+     * 使用刷新令牌换取新令牌，旧刷新令牌立即失效
+     * 已失效的刷新令牌被再次使用说明可能被盗用，整个令牌族都会被吊销
+     * @param {string} refreshToken - 刷新令牌
+     * @param {string} userAgent - 客户端标识
+     * @returns {Object} 新的令牌
+     */
+    async rotate(refreshToken, userAgent = null) {
+        const record = await this.findRecord(refreshToken);
+        if (!record) {
+            throw this.createError(401, '刷新令牌无效');
+        }
+
+        if (record.revoked_at) {
+            return this.rejectReuse(record);
+        }
+
+        if (new Date(record.expires_at).getTime() < Date.now()) {
+            throw this.createError(401, '刷新令牌已过期，请重新登录');
+        }
+
+        const user = await Database.get('SELECT id, username, role, disabled FROM users WHERE id = ?', [record.user_id]);
+        if (!user || user.disabled) {
+            await this.revokeFamily(record.family_id);
+            throw this.createError(401, user ? '账号已被停用' : '用户不存在');
+        }
+
+        const tokens = await this.issueTokens(user, { familyId: record.family_id, userAgent });
+        // 条件更新保证同一刷新令牌的并发请求只有一个换取成功，其余按重复使用处理（新签发的令牌随令牌族一起吊销）
+        const result = await Database.update(
+            'UPDATE refresh_tokens SET revoked_at = ?, replaced_by = ? WHERE id = ? AND revoked_at IS NULL',
+            [new Date().toISOString(), tokens.id, record.id]
+        );
+        if (result.changes !== 1) {
+            return this.rejectReuse(record);
+        }
+
+        return tokens;
+    }
+
+    // 已失效的刷新令牌被再次使用：吊销整个令牌族并拒绝请求
+    async rejectReuse(record) {
+        await this.revokeFamily(record.family_id);
+        console.warn(`⚠️ 用户 ${record.user_id} 的已失效刷新令牌被重复使用，已吊销该登录会话`);
+        throw this.createError(401, '刷新令牌已失效，请重新登录');
+    }
+
+    /**
+     * 吊销单个刷新令牌（退出登录），同时吊销其轮换出的整个令牌族
+     * @returns {boolean} 是否找到该令牌
+     */
+    async revoke(refreshToken) {
+        const record = await this.findRecord(refreshToken);
+        if (!record) return false;
+
+        await this.revokeFamily(record.family_id);
+        return true;
+    }
+
+    /**
+     * 吊销用户的全部刷新令牌（修改密码、退出所有设备）
+     * @returns {number} 吊销的令牌数
+     */
+    async revokeAllForUser(userId) {
+        const result = await Database.update(
+            'UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+            [new Date().toISOString(), userId]
+        );
+        return result.changes;
+    }
+
+    async revokeFamily(familyId) {
+        await Database.update(
+            'UPDATE refresh_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL',
+            [new Date().toISOString(), familyId]
+        );
+    }
+
+    async findRecord(refreshToken) {
+        if (!refreshToken || typeof refreshToken !== 'string') return null;
+        return Database.get('SELECT * FROM refresh_tokens WHERE token_hash = ?', [this.hash(refreshToken)]);
+    }
+
+    // 数据库只保存刷新令牌的哈希，泄露数据库也无法直接使用
+    hash(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    createError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,183 @@
+// 错题本服务 - 记录错题、筛选查询、自动掌握判定
+const Database = require('../database/database');
+
+class WrongQuestionService {
+    constructor() {
+        // 连续答对该次数后自动标记为已掌握
+        this.masteryStreak = parseInt(process.env.WRONG_QUESTION_MASTERY_STREAK) || 3;
+    }
+
+    /**
+     * 根据批改结果更新错题本
+     * 答错：新增或累加错误次数，并重置连续答对次数
+     * 答对：已在错题本中的题目累加连续答对次数，达到阈值后自动掌握
+     * @param {number} userId - 用户ID
+     * @param {number} questionId - 题目ID
+     * @param {boolean} isCorrect - 是否答对
+     * @param {string} userAnswer - 用户答案
+     * @returns {Object|null} 错题状态
+     */
+    async recordAnswer(userId, questionId, isCorrect, userAnswer) {
+        const now = new Date().toISOString();
+
+        if (!isCorrect) {
+            await Database.insert(
+                `INSERT INTO wrong_questions (user_id, question_id, wrong_count, last_wrong_at, mastered,
+                                              correct_streak, last_wrong_answer, last_practiced_at)
+                 VALUES (?, ?, 1, ?, 0, 0, ?, ?)
+                 ON CONFLICT(user_id, question_id) DO UPDATE SET
+                    wrong_count = wrong_count + 1,
+                    last_wrong_at = excluded.last_wrong_at,
+                    mastered = 0,
+                    mastered_at = NULL,
+                    correct_streak = 0,
+                    last_wrong_answer = excluded.last_wrong_answer,
+                    last_practiced_at = excluded.last_practiced_at`,
+                [userId, questionId, now, userAnswer, now]
+            );
+            return { inWrongBook: true, mastered: false, correctStreak: 0 };
+        }
+
+        const entry = await Database.get(
+            'SELECT id, correct_streak, mastered FROM wrong_questions WHERE user_id = ? AND question_id = ?',
+            [userId, questionId]
+        );
+        if (!entry || entry.mastered) {
+            return entry ? { inWrongBook: true, mastered: true, correctStreak: entry.correct_streak } : null;
+        }
+
+        const streak = (entry.correct_streak || 0) + 1;
+        const mastered = streak >= this.masteryStreak;
+
+        await Database.update(
+            `UPDATE wrong_questions
+             SET correct_streak = ?, last_practiced_at = ?, mastered = ?, mastered_at = ?
+             WHERE id = ?`,
+            [streak, now, mastered ? 1 : 0, mastered ? now : null, entry.id]
+        );
+
+        if (mastered) {
+            console.log(`🎓 错题 ${entry.id} 连续答对 ${streak} 次，自动标记为已掌握`);
+        }
+
+        return { inWrongBook: true, mastered, correctStreak: streak };
+    }
+
+    /**
+     * 分页查询错题
+     * @param {number} userId - 用户ID
+     * @param {Object} filters - 筛选条件
+     * @returns {Object} { items, pagination }
+     */
+    async list(userId, filters = {}) {
+        const page = Math.max(1, parseInt(filters.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(filters.limit) || 20));
+        const offset = (page - 1) * limit;
+        const { where, params } = this.buildFilters(userId, filters);
+
+        const countResult = await Database.get(
+            `SELECT COUNT(*) as total
+             FROM wrong_questions wq
+             JOIN questions q ON wq.question_id = q.id
+             WHERE ${where}`,
+            params
+        );
+
+        const items = await Database.query(
+            `SELECT wq.id as wrong_id, wq.wrong_count, wq.last_wrong_at, wq.mastered, wq.mastered_at,
+                    wq.correct_streak, wq.last_wrong_answer, q.*, m.original_name as material_name
+             FROM wrong_questions wq
+             JOIN questions q ON wq.question_id = q.id
+             LEFT JOIN materials m ON q.material_id = m.id
+             WHERE ${where}
+             ORDER BY wq.last_wrong_at DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+
+        return {
+            items: items,
+            pagination: {
+                page: page,
+                limit: limit,
+                total: countResult.total,
+                pages: Math.ceil(countResult.total / limit)
+            }
+        };
+    }
+
+    /**
+     * 选取用于练习的错题，错误次数多、最近答错的优先
+     * @param {number} userId - 用户ID
+     * @param {Object} filters - 筛选条件，可用ids指定错题
+     * @returns {Array} questions表记录
+     */
+    async selectForPractice(userId, filters = {}) {
+        const count = Math.min(50, Math.max(1, parseInt(filters.count) || 10));
+        const { where, params } = this.buildFilters(userId, { mastered: 'false', ...filters });
+
+        let idFilter = '';
+        const ids = Array.isArray(filters.ids)
+            ? filters.ids.map(id => parseInt(id)).filter(id => id > 0)
+            : [];
+        if (ids.length > 0) {
+            idFilter = ` AND wq.id IN (${ids.map(() => '?').join(', ')})`;
+            params.push(...ids);
+        }
+
+        return Database.query(
+            `SELECT q.*
+             FROM wrong_questions wq
+             JOIN questions q ON wq.question_id = q.id
+             WHERE ${where}${idFilter}
+             ORDER BY wq.wrong_count DESC, wq.last_wrong_at DESC
+             LIMIT ?`,
+            [...params, count]
+        );
+    }
+
+    /**
+     * 手动标记错题为已掌握
+     * @returns {boolean} 是否更新成功
+     */
+    async markMastered(userId, wrongQuestionId) {
+        const result = await Database.update(
+            `UPDATE wrong_questions SET mastered = 1, mastered_at = ?
+             WHERE id = ? AND user_id = ?`,
+            [new Date().toISOString(), wrongQuestionId, userId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * 构建筛选条件：材料、题型、知识点、掌握状态
+     */
+    buildFilters(userId, filters) {
+        const conditions = ['wq.user_id = ?'];
+        const params = [userId];
+
+        if (filters.materialId) {
+            conditions.push('q.material_id = ?');
+            params.push(parseInt(filters.materialId));
+        }
+        if (filters.type) {
+            conditions.push('q.question_type = ?');
+            params.push(filters.type);
+        }
+        if (filters.knowledgePoint) {
+            conditions.push("(',' || q.knowledge_points || ',') LIKE ?");
+            params.push(`%,${filters.knowledgePoint},%`);
+        }
+
+        const mastered = filters.mastered === undefined ? 'false' : String(filters.mastered);
+        if (mastered === 'true') {
+            conditions.push('wq.mastered = 1');
+        } else if (mastered === 'false') {
+            conditions.push('wq.mastered = 0');
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+}
+
+module.exports = new WrongQuestionService();
@@ -0,0 +1,207 @@
+// Ollama流式响应解析工具
+// ThinkTagSplitter 把 deepseek-r1 输出的 <think> 推理内容和正式回答分开，
+// JsonObjectScanner 在回答文本到达过程中找出已经闭合的JSON对象，逐题解析
+// StreamCollector 组合两者，汇总各推理后端的流式回答
+
+const THINK_OPEN = '<think>';
+const THINK_CLOSE = '</think>';
+
+// 分离 <think>...</think> 推理内容，标签可能被拆在多个token中
+class ThinkTagSplitter {
+    constructor() {
+        this.inThink = false;
+        this.pending = '';
+    }
+
+    /**
+     * 追加一段token
+     * @param {string} text - 新到达的文本
+     * @returns {Object} { answer, thinking } 本次可以确定归属的文本
+     */
+    push(text) {
+        let buffer = this.pending + text;
+        let answer = '';
+        let thinking = '';
+        this.pending = '';
+
+        while (buffer.length > 0) {
+            const tag = this.inThink ? THINK_CLOSE : THINK_OPEN;
+            const index = buffer.indexOf(tag);
+
+            if (index === -1) {
+                // 末尾可能是被拆开的标签前缀，留到下一段再判断
+                const keep = this.partialTagLength(buffer, tag);
+                const settled = buffer.slice(0, buffer.length - keep);
+                if (this.inThink) thinking += settled; else answer += settled;
+                this.pending = buffer.slice(buffer.length - keep);
+                break;
+            }
+
+            const before = buffer.slice(0, index);
+            if (this.inThink) thinking += before; else answer += before;
+            this.inThink = !this.inThink;
+            buffer = buffer.slice(index + tag.length);
+        }
+
+        return { answer, thinking };
+    }
+
+    /**
+     * 输出剩余缓存
+     */
+    flush() {
+        const rest = this.pending;
+        this.pending = '';
+        return this.inThink ? { answer: '', thinking: rest } : { answer: rest, thinking: '' };
+    }
+
+    partialTagLength(buffer, tag) {
+        for (let length = Math.min(tag.length - 1, buffer.length); length > 0; length--) {
+            if (tag.startsWith(buffer.slice(buffer.length - length))) {
+                return length;
+            }
+        }
+        return 0;
+    }
+}
+
+// 增量扫描JSON对象：每个对象的右括号到达时立即解析
+class JsonObjectScanner {
+    constructor() {
+        this.text = '';
+        this.position = 0;
+        this.starts = [];
+        this.inString = false;
+        this.escaped = false;
+    }
+
+    /**
+     * 追加文本
+     * @param {string} text - 回答文本
+     * @returns {Array} 本次闭合的对象 [{ value, depth }]，depth为0表示最外层对象
+     */
+    push(text) {
+        this.text += text;
+        const objects = [];
+
+        for (; this.position < this.text.length; this.position++) {
+            const char = this.text[this.position];
+
+            // JSON开始之前的说明文字不做字符串识别
+            if (this.starts.length > 0 && this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"' && this.starts.length > 0) {
+                this.inString = true;
+            } else if (char === '{') {
+                this.starts.push(this.position);
+            } else if (char === '}' && this.starts.length > 0) {
+                const start = this.starts.pop();
+                try {
+                    objects.push({
+                        value: JSON.parse(this.text.slice(start, this.position + 1)),
+                        depth: this.starts.length
+                    });
+                } catch (error) {
+                    // 不完整或不合法的片段，等外层对象闭合时再解析
+                }
+            }
+        }
+
+        return objects;
+    }
+}
+
+// 汇总流式回答：分离推理内容，逐题解析并回调，各推理后端共用
+class StreamCollector {
+    /**
+     * @param {Object} handlers - { onToken(text), onThinking(text), onQuestion(question) }
+     */
+    constructor(handlers = {}) {
+        this.handlers = handlers;
+        this.splitter = new ThinkTagSplitter();
+        this.scanner = new JsonObjectScanner();
+        this.answer = '';
+        this.thinking = '';
+        this.questions = [];
+    }
+
+    // 回答文本，可能包含 <think> 标签
+    push(text) {
+        if (!text) return;
+        const parts = this.splitter.push(text);
+        this.pushThinking(parts.thinking);
+        this.pushAnswer(parts.answer);
+    }
+
+    // 后端单独返回的推理内容
+    pushThinking(text) {
+        if (!text) return;
+        this.thinking += text;
+        if (this.handlers.onThinking) this.handlers.onThinking(text);
+    }
+
+    pushAnswer(text) {
+        if (!text) return;
+        this.answer += text;
+        if (this.handlers.onToken) this.handlers.onToken(text);
+
+        for (const { value } of this.scanner.push(text)) {
+            if (isQuestionObject(value)) {
+                this.questions.push(value);
+                if (this.handlers.onQuestion) this.handlers.onQuestion(value);
+            }
+        }
+    }
+
+    // 流结束，输出缓存中剩余的文本
+    finish() {
+        const rest = this.splitter.flush();
+        this.pushThinking(rest.thinking);
+        this.pushAnswer(rest.answer);
+    }
+
+    result() {
+        return {
+            response: this.answer.trim(),
+            thinking: this.thinking.trim(),
+            questions: this.questions
+        };
+    }
+}
+
+// 判断解析出的JSON对象是否为一道题目
+function isQuestionObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+        typeof value.question === 'string' && value.question.trim().length > 0;
+}
+
+/**
+ * 去除完整文本中的 <think> 推理内容
+ * @param {string} text - 模型输出
+ * @returns {Object} { answer, thinking }
+ */
+function splitThinking(text) {
+    const splitter = new ThinkTagSplitter();
+    const parsed = splitter.push(text || '');
+    const rest = splitter.flush();
+    return {
+        answer: (parsed.answer + rest.answer).trim(),
+        thinking: (parsed.thinking + rest.thinking).trim()
+    };
+}
+
+module.exports = {
+    ThinkTagSplitter,
+    JsonObjectScanner,
+    StreamCollector,
+    splitThinking
+};
@@ -0,0 +1,48 @@
+// 文本文件编码识别
+// 有 BOM 时按 BOM 解码；否则先按 UTF-8 严格解码，不是合法 UTF-8 时按声明的编码（如 HTML 的 meta charset），
+// 没有声明时按 GB18030（兼容 GBK、GB2312）解码，中文 Windows 下保存的文本文件多为这一编码
+
+const BOMS = [
+    { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+    { bytes: [0xff, 0xfe], encoding: 'utf-16le' },
+    { bytes: [0xfe, 0xff], encoding: 'utf-16be' }
+];
+
+// 不合法的字节序列或不认识的编码名称返回 null
+function tryDecode(buffer, encoding) {
+    try {
+        return new TextDecoder(encoding, { fatal: true }).decode(buffer);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 解码文本
+ * @param {Buffer} buffer - 文件内容
+ * @param {Object} options - { declared } 文件中声明的编码
+ * @returns {Object} { text, encoding }
+ */
+function decodeText(buffer, { declared = null } = {}) {
+    const bom = BOMS.find(({ bytes }) => bytes.every((byte, index) => buffer[index] === byte));
+    if (bom) {
+        return { text: new TextDecoder(bom.encoding).decode(buffer.subarray(bom.bytes.length)), encoding: bom.encoding };
+    }
+
+    const utf8 = tryDecode(buffer, 'utf-8');
+    if (utf8 !== null) {
+        return { text: utf8, encoding: 'utf-8' };
+    }
+
+    for (const encoding of [declared, 'gb18030'].filter(Boolean)) {
+        const text = tryDecode(buffer, encoding);
+        if (text !== null) {
+            return { text, encoding: encoding.toLowerCase() };
+        }
+    }
+
+    // 都不合法时按 UTF-8 解码，非法字节替换为 U+FFFD
+    return { text: new TextDecoder('utf-8').decode(buffer), encoding: 'utf-8' };
+}
+
+module.exports = { decodeText };
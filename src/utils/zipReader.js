@@ -0,0 +1,113 @@
+// ZIP 压缩包读取工具
+// pptx、docx、epub 等文档格式都是 ZIP 包，这里只实现读取条目所需的部分：
+// 从文件末尾的中央目录读出条目列表，按需解压单个条目（存储或 deflate），不支持 ZIP64 和加密
+const fs = require('fs');
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+class ZipArchive {
+    /**
+     * @param {Buffer} buffer - 整个压缩包的内容
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.entries = new Map();   // 条目名称 -> { method, compressedSize, size, localOffset }
+        this.readCentralDirectory();
+    }
+
+    static fromFile(filePath) {
+        return new ZipArchive(fs.readFileSync(filePath));
+    }
+
+    readCentralDirectory() {
+        const buffer = this.buffer;
+        const end = this.findEndOfCentralDirectory();
+        const count = buffer.readUInt16LE(end + 10);
+        let offset = buffer.readUInt32LE(end + 16);
+        if (offset === 0xffffffff || count === 0xffff) {
+            throw new Error('不支持 ZIP64 格式的压缩包');
+        }
+
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+                throw new Error('压缩包目录已损坏');
+            }
+            const flags = buffer.readUInt16LE(offset + 8);
+            const nameLength = buffer.readUInt16LE(offset + 28);
+            const extraLength = buffer.readUInt16LE(offset + 30);
+            const commentLength = buffer.readUInt16LE(offset + 32);
+            const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+            this.entries.set(name, {
+                encrypted: (flags & 0x1) !== 0,
+                method: buffer.readUInt16LE(offset + 10),
+                compressedSize: buffer.readUInt32LE(offset + 20),
+                size: buffer.readUInt32LE(offset + 24),
+                localOffset: buffer.readUInt32LE(offset + 42)
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+    }
+
+    // 中央目录结束记录在文件末尾，后面可能跟着注释
+    findEndOfCentralDirectory() {
+        const buffer = this.buffer;
+        const stop = Math.max(0, buffer.length - 22 - MAX_COMMENT_LENGTH);
+        for (let offset = buffer.length - 22; offset >= stop; offset--) {
+            if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+                return offset;
+            }
+        }
+        throw new Error('不是有效的 ZIP 压缩包');
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    names() {
+        return Array.from(this.entries.keys());
+    }
+
+    /**
+     * 读取条目内容
+     * @param {string} name - 条目名称（压缩包内的路径）
+     * @returns {Buffer}
+     */
+    read(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`压缩包中没有 ${name}`);
+        }
+        if (entry.encrypted) {
+            throw new Error(`${name} 已加密，无法读取`);
+        }
+
+        const buffer = this.buffer;
+        const offset = entry.localOffset;
+        if (buffer.readUInt32LE(offset) !== LOCAL_FILE_HEADER) {
+            throw new Error(`${name} 的文件头已损坏`);
+        }
+        const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+        const data = buffer.subarray(start, start + entry.compressedSize);
+
+        switch (entry.method) {
+            case 0:
+                return data;
+            case 8:
+                return zlib.inflateRawSync(data);
+            default:
+                throw new Error(`${name} 使用了不支持的压缩方式 ${entry.method}`);
+        }
+    }
+
+    readText(name) {
+        return this.read(name).toString('utf8');
+    }
+}
+
+module.exports = { ZipArchive };